@@ -0,0 +1,213 @@
+/**
+ * Benchmark de DataModel.filtrarDados()
+ * Gera um dataset sintético (empresas × turmas × alunos × dias úteis), monta os índices
+ * com processData() e compara a filtragem indexada com a varredura completa de rawData
+ * usada antes dos índices. Os dois resultados precisam ser idênticos.
+ */
+
+const STATUS = ['MATRICULADO', 'MATRICULADO', 'MATRICULADO', 'TRANCADO', 'TRANSFERIDO'];
+
+/**
+ * Gera as linhas do dataset sintético
+ * @param {Object} opcoes - {empresas, turmas, alunos, meses}
+ * @returns {Array<Object>}
+ */
+function gerarLinhas({ empresas, turmas, alunos, meses }) {
+    const dias = [];
+    for (let mes = 1; mes <= meses; mes++) {
+        const ultimo = new Date(2025, mes, 0).getDate();
+        for (let dia = 1; dia <= ultimo; dia++) {
+            const semana = new Date(2025, mes - 1, dia).getDay();
+            if (semana > 0 && semana < 6) dias.push(`${String(dia).padStart(2, '0')}/${String(mes).padStart(2, '0')}/2025`);
+        }
+    }
+
+    const linhas = [];
+    let ra = 100000;
+    for (let e = 0; e < empresas; e++) {
+        const cnpj = String(10000000000000 + e * 7919).slice(0, 14);
+        for (let t = 0; t < turmas; t++) {
+            const turma = `APR-${String(e).padStart(3, '0')}-${t}`;
+            for (let a = 0; a < alunos; a++) {
+                ra++;
+                const descricao = STATUS[ra % STATUS.length];
+                dias.forEach((data, i) => {
+                    const faltas = (i + a) % 9 === 0 ? 4 : 0;
+                    linhas.push({
+                        TURMA: turma,
+                        CURSO: 'APRENDIZAGEM INDUSTRIAL',
+                        RA: String(ra),
+                        ALUNO: `ALUNO ${ra}`,
+                        DESCRICAO: descricao,
+                        DATA: data,
+                        FALTAS: String(faltas),
+                        FREQUENCIA: String(4 - faltas),
+                        JUSTIFICADA: '',
+                        CNPJ_EMPRESA: cnpj,
+                        EMPRESA: `EMPRESA ${e}`
+                    });
+                });
+            }
+        }
+    }
+    return linhas;
+}
+
+/**
+ * Filtragem por varredura completa (implementação anterior aos índices)
+ */
+function filtrarPorVarredura(model, filtros) {
+    const { cnpj, turma, dataInicio, dataFim, statusList } = filtros;
+
+    let statusSet = null;
+    if (Array.isArray(statusList)) {
+        statusSet = new Set(statusList.map(s => model.normalizeStatus(s)));
+        if (statusSet.size === 0) return [];
+    }
+
+    return model.rawData.filter(row => {
+        if (cnpj) {
+            if (model.normalizeCNPJ(row.CNPJ_EMPRESA || '') !== model.normalizeCNPJ(cnpj)) return false;
+        }
+        if (turma && row.TURMA !== turma) return false;
+        if (dataInicio && dataFim && row.DATA) {
+            const dataRegistro = model.parseDate(row.DATA);
+            if (!dataRegistro) return false;
+            const inicio = model.parseDate(dataInicio);
+            const fim = model.parseDate(dataFim);
+            if (dataRegistro < inicio || dataRegistro > fim) return false;
+        }
+        if (statusSet && !statusSet.has(model.normalizeStatus(row.DESCRICAO || ''))) return false;
+        return true;
+    });
+}
+
+/**
+ * Mediana do tempo de execução (ms) de uma função
+ * @returns {Object} - {ms, resultado}
+ */
+function medir(fn, repeticoes = 5) {
+    const tempos = [];
+    let resultado;
+    for (let i = 0; i < repeticoes; i++) {
+        const inicio = performance.now();
+        resultado = fn();
+        tempos.push(performance.now() - inicio);
+    }
+    tempos.sort((a, b) => a - b);
+    return { ms: tempos[Math.floor(tempos.length / 2)], resultado };
+}
+
+/**
+ * Compara dois resultados de filtragem (mesmas linhas, mesma ordem)
+ */
+function mesmoResultado(a, b) {
+    const lista = (r) => Array.isArray(r[0]) ? r : [r];
+    const [la, lb] = [lista(a), lista(b)];
+    return la.length === lb.length && la.every((itens, i) => itens.length === lb[i].length && itens.every((row, j) => row === lb[i][j]));
+}
+
+/**
+ * Executa os cenários e devolve as medições
+ * @param {Object} opcoes - {empresas, turmas, alunos, meses}
+ * @returns {Object} - {linhas, indexacaoMs, cenarios: [{nome, varredura, indice, registros, iguais}]}
+ */
+function executarBenchmark(opcoes) {
+    const model = new DataModel();
+    model.rawData = gerarLinhas(opcoes);
+
+    const indexacao = medir(() => model.processData(), 1);
+
+    const empresas = model.getEmpresasAPR();
+    const { inicio, fim } = model.getPeriodoMes('2025-02');
+    const statusList = ['MATRICULADO', 'TRANCADO'];
+
+    const cenarios = [
+        {
+            nome: 'Uma empresa, uma turma, um mês',
+            filtros: [{ cnpj: empresas[0].cnpj, turma: model.getTurmasPorEmpresa(empresas[0].cnpj)[0], dataInicio: inicio, dataFim: fim, statusList }]
+        },
+        {
+            nome: 'Uma empresa, todas as turmas, período inteiro',
+            filtros: [{ cnpj: empresas[0].cnpj, turma: null, dataInicio: null, dataFim: null, statusList }]
+        },
+        {
+            nome: `Lote do mês (${empresas.length} empresas)`,
+            filtros: empresas.map(e => ({ cnpj: e.cnpj, turma: null, dataInicio: inicio, dataFim: fim, statusList }))
+        }
+    ];
+
+    return {
+        linhas: model.rawData.length,
+        indexacaoMs: indexacao.ms,
+        cenarios: cenarios.map(({ nome, filtros }) => {
+            const executar = (filtrar) => () => {
+                const resultados = filtros.map(f => filtrar(f));
+                return filtros.length === 1 ? resultados[0] : resultados;
+            };
+            const varredura = medir(executar(f => filtrarPorVarredura(model, f)), 3);
+            const indice = medir(executar(f => model.filtrarDados(f)));
+            const registros = filtros.length === 1
+                ? indice.resultado.length
+                : indice.resultado.reduce((sum, r) => sum + r.length, 0);
+            return {
+                nome,
+                varredura: varredura.ms,
+                indice: indice.ms,
+                registros,
+                iguais: mesmoResultado(varredura.resultado, indice.resultado)
+            };
+        })
+    };
+}
+
+/**
+ * Exibe as medições na tabela da página
+ */
+function exibirResultado(resultado) {
+    const formatar = (ms) => ms.toLocaleString('pt-BR', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+    document.getElementById('benchmarkStatus').textContent =
+        `${resultado.linhas.toLocaleString('pt-BR')} linhas · índices montados em ${formatar(resultado.indexacaoMs)} ms`;
+
+    const tbody = document.querySelector('#benchmarkTabela tbody');
+    tbody.innerHTML = '';
+    resultado.cenarios.forEach(c => {
+        const tr = document.createElement('tr');
+        [
+            c.nome,
+            formatar(c.varredura),
+            formatar(c.indice),
+            `${Math.round(c.varredura / Math.max(c.indice, 0.01))}×`,
+            c.registros.toLocaleString('pt-BR'),
+            c.iguais ? 'Idêntico' : 'DIFERENTE'
+        ].forEach((valor, i) => {
+            const td = document.createElement('td');
+            if (i > 0 && i < 5) td.className = 'num';
+            td.textContent = valor;
+            tr.appendChild(td);
+        });
+        tbody.appendChild(tr);
+    });
+}
+
+document.getElementById('benchmarkForm').addEventListener('submit', (e) => {
+    e.preventDefault();
+    const valor = (id) => Math.max(1, parseInt(document.getElementById(id).value, 10) || 1);
+    const opcoes = { empresas: valor('empresas'), turmas: valor('turmas'), alunos: valor('alunos'), meses: Math.min(12, valor('meses')) };
+
+    document.getElementById('benchmarkStatus').textContent = 'Gerando dados e medindo...';
+    document.getElementById('btnExecutar').disabled = true;
+
+    // Deixar a mensagem aparecer antes do processamento
+    setTimeout(() => {
+        try {
+            exibirResultado(executarBenchmark(opcoes));
+        } catch (error) {
+            alert('Erro ao executar o benchmark: ' + error.message);
+            console.error(error);
+        } finally {
+            document.getElementById('btnExecutar').disabled = false;
+        }
+    }, 50);
+});
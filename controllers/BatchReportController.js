@@ -0,0 +1,274 @@
+/**
+ * BatchReportController - Controller da geração em lote
+ * Responsável por: gerar o relatório Excel de todas as empresas do programa ativo em um mês
+ * (todas as turmas de cada CNPJ) e baixar tudo em um único ZIP com manifesto, ou imprimir
+ * as declarações de frequência de todas as empresas em um único documento (PDF)
+ * Requer JSZip carregado na página (global JSZip)
+ */
+class BatchReportController {
+    /**
+     * @param {DataModel} dataModel
+     * @param {RuleProfileModel} profileModel
+     * @param {ExcelReportView} excelView
+     * @param {Object} options
+     * @param {Function} options.getStatusList - Retorna os status selecionados no formulário (null = todos)
+     * @param {Function} options.showStatus - Exibe mensagem no painel de status
+     * @param {Function} options.hideStatus - Esconde o painel de status
+     * @param {Function} options.notify - Exibe mensagem temporária ao final
+     * @param {JustificationModel} [options.justificativas] - Justificativas manuais aplicadas aos relatórios
+     * @param {CourseConfigModel} [options.cursos] - Carga horária dos cursos (ausência acumulada no curso)
+     * @param {ScheduleModel} [options.calendario] - Cronogramas das turmas e calendário não letivo
+     * @param {PrintReportView} [options.printView] - Declarações para impressão / PDF
+     */
+    constructor(dataModel, profileModel, excelView, options = {}) {
+        this.model = dataModel;
+        this.profiles = profileModel;
+        this.excelView = excelView;
+        this.getStatusList = options.getStatusList || (() => null);
+        this.showStatus = options.showStatus || (() => {});
+        this.hideStatus = options.hideStatus || (() => {});
+        this.notify = options.notify || (() => {});
+        this.justificativas = options.justificativas || null;
+        this.cursos = options.cursos || null;
+        this.calendario = options.calendario || null;
+        this.printView = options.printView || null;
+        this.gerando = false;
+
+        // Elementos DOM
+        this.elements = {
+            mesSelect: document.getElementById('loteMes'),
+            btnGerar: document.getElementById('btnGerarLote'),
+            quebraSelect: document.getElementById('loteQuebra'),
+            btnImprimir: document.getElementById('btnImprimirLote')
+        };
+
+        this.init();
+    }
+
+    /**
+     * Inicializa os event listeners
+     */
+    init() {
+        this.elements.btnGerar.addEventListener('click', () => this.gerarLote());
+        this.elements.btnImprimir.addEventListener('click', () => this.imprimirLote());
+    }
+
+    /**
+     * Preenche o seletor com os meses do arquivo carregado (mais recente selecionado)
+     */
+    atualizarMeses() {
+        const meses = this.model.getMesesDisponiveis();
+        const select = this.elements.mesSelect;
+        select.innerHTML = '';
+
+        meses.slice().reverse().forEach(chave => {
+            const option = document.createElement('option');
+            option.value = chave;
+            option.textContent = this.model.formatMesChave(chave);
+            select.appendChild(option);
+        });
+
+        select.disabled = meses.length === 0;
+        this.elements.btnGerar.disabled = meses.length === 0;
+        this.elements.quebraSelect.disabled = meses.length === 0;
+        this.elements.btnImprimir.disabled = meses.length === 0;
+    }
+
+    /**
+     * Desabilita a geração em lote (sem arquivo carregado)
+     */
+    desabilitar() {
+        this.elements.mesSelect.innerHTML = '<option value="">Carregue um arquivo CSV primeiro</option>';
+        this.elements.mesSelect.disabled = true;
+        this.elements.btnGerar.disabled = true;
+        this.elements.quebraSelect.disabled = true;
+        this.elements.btnImprimir.disabled = true;
+    }
+
+    /**
+     * Gera o relatório de todas as turmas de uma empresa no período
+     * @param {Object} empresa - {cnpj, nome}
+     * @param {Object} periodo - {inicio, fim} (DD/MM/YYYY)
+     * @param {Object} perfil - Perfil de regras
+     * @param {Array|null} statusList - Status selecionados (null = todos)
+     * @returns {Object|null} - Retorno de gerarRelatorio() com contexto; null sem registros
+     */
+    relatorioEmpresa(empresa, periodo, perfil, statusList) {
+        const dadosFiltrados = this.model.filtrarDados({
+            cnpj: empresa.cnpj,
+            turma: null,
+            dataInicio: periodo.inicio,
+            dataFim: periodo.fim,
+            statusList
+        });
+        if (dadosFiltrados.length === 0) return null;
+
+        const resultado = this.model.gerarRelatorio(dadosFiltrados, perfil, this.justificativas, {
+            cursos: this.cursos,
+            calendario: this.calendario,
+            periodo
+        });
+        resultado.contexto = {
+            programa: this.model.getProgramaAtivo(),
+            empresa: { cnpj: empresa.cnpj, nome: empresa.nome },
+            turma: null,
+            todasTurmas: true,
+            dataInicio: periodo.inicio,
+            dataFim: periodo.fim
+        };
+        return resultado;
+    }
+
+    /**
+     * Gera os relatórios de todas as empresas do programa ativo no mês selecionado e baixa o ZIP
+     */
+    async gerarLote() {
+        const chave = this.elements.mesSelect.value;
+        if (!chave || this.gerando) return;
+
+        if (typeof JSZip === 'undefined') {
+            alert('Erro: biblioteca JSZip não foi carregada. Verifique a conexão e recarregue a página.');
+            return;
+        }
+
+        const programa = this.model.getProgramaAtivo();
+        const empresas = this.model.getEmpresasAPR();
+        if (empresas.length === 0) {
+            alert(`Nenhuma empresa do programa ${programa.nome} encontrada no arquivo carregado.`);
+            return;
+        }
+
+        const periodo = this.model.getPeriodoMes(chave);
+        const perfil = this.profiles.getAtivo();
+        const statusList = this.getStatusList();
+        const zip = new JSZip();
+        const manifesto = [];
+
+        this.gerando = true;
+        this.elements.btnGerar.disabled = true;
+
+        try {
+            for (let i = 0; i < empresas.length; i++) {
+                const empresa = empresas[i];
+                this.showStatus(`Gerando relatórios em lote (${i + 1}/${empresas.length}): ${empresa.nome}`);
+                // Liberar o navegador para atualizar a mensagem entre uma empresa e outra
+                await new Promise(resolve => setTimeout(resolve, 0));
+
+                const resultado = this.relatorioEmpresa(empresa, periodo, perfil, statusList);
+                if (!resultado) {
+                    manifesto.push(this.linhaManifesto(empresa, 'SEM DADOS'));
+                    continue;
+                }
+
+                const resumo = this.model.resumirPorTurma(resultado.relatorio);
+                const workbook = this.excelView.montarWorkbook(resultado, resumo);
+                const arquivo = `relatorio_frequencia_${empresa.cnpj}_${FileHelper.nomeSeguro(empresa.nome)}.xlsx`;
+
+                zip.file(arquivo, XLSX.write(workbook, { bookType: 'xlsx', type: 'array' }));
+                manifesto.push(this.linhaManifesto(empresa, 'GERADO', {
+                    arquivo,
+                    turmas: resumo.length,
+                    alunos: resultado.totalAlunos,
+                    emRisco: resumo.reduce((sum, t) => sum + t.ALUNOS_ATENCAO + t.ALUNOS_CRITICOS, 0),
+                    registros: resultado.totalRegistros
+                }));
+            }
+
+            const gerados = manifesto.filter(linha => linha['SITUAÇÃO'] === 'GERADO').length;
+            if (gerados === 0) {
+                this.hideStatus();
+                alert(`Nenhuma empresa possui registros em ${this.model.formatMesChave(chave)} com os filtros selecionados.`);
+                return;
+            }
+
+            // Manifesto em CSV (separador ";" e BOM para abrir corretamente no Excel)
+            zip.file('manifesto.csv', '\uFEFF' + Papa.unparse(manifesto, { delimiter: ';' }));
+
+            this.showStatus('Compactando arquivos...');
+            const blob = await zip.generateAsync({ type: 'blob', compression: 'DEFLATE' });
+            FileHelper.baixar(blob, `relatorios_frequencia_${chave}.zip`);
+
+            this.hideStatus();
+            const pulados = manifesto.length - gerados;
+            this.notify(`Lote de ${this.model.formatMesChave(chave)} gerado com sucesso!\n\nEmpresas com relatório: ${gerados}\nEmpresas sem dados: ${pulados}`);
+        } catch (error) {
+            this.hideStatus();
+            alert('Erro ao gerar relatórios em lote: ' + error.message);
+            console.error(error);
+        } finally {
+            this.gerando = false;
+            // O arquivo pode ter sido removido durante a geração (desabilitar())
+            this.elements.btnGerar.disabled = this.model.getMesesDisponiveis().length === 0;
+        }
+    }
+
+    /**
+     * Imprime as declarações de frequência de todas as empresas do programa ativo no mês selecionado
+     * Cada empresa começa em uma nova página (ou cada turma, conforme a quebra escolhida).
+     */
+    async imprimirLote() {
+        const chave = this.elements.mesSelect.value;
+        if (!chave || this.gerando || !this.printView) return;
+
+        const programa = this.model.getProgramaAtivo();
+        const empresas = this.model.getEmpresasAPR();
+        if (empresas.length === 0) {
+            alert(`Nenhuma empresa do programa ${programa.nome} encontrada no arquivo carregado.`);
+            return;
+        }
+
+        const periodo = this.model.getPeriodoMes(chave);
+        const perfil = this.profiles.getAtivo();
+        const statusList = this.getStatusList();
+        const resultados = [];
+
+        this.gerando = true;
+        this.elements.btnImprimir.disabled = true;
+
+        try {
+            for (let i = 0; i < empresas.length; i++) {
+                this.showStatus(`Montando declarações para impressão (${i + 1}/${empresas.length}): ${empresas[i].nome}`);
+                await new Promise(resolve => setTimeout(resolve, 0));
+
+                const resultado = this.relatorioEmpresa(empresas[i], periodo, perfil, statusList);
+                if (resultado) resultados.push(resultado);
+            }
+
+            this.hideStatus();
+            if (resultados.length === 0) {
+                alert(`Nenhuma empresa possui registros em ${this.model.formatMesChave(chave)} com os filtros selecionados.`);
+                return;
+            }
+
+            this.printView.imprimir(resultados, this.elements.quebraSelect.value);
+        } catch (error) {
+            this.hideStatus();
+            alert('Erro ao montar as declarações para impressão: ' + error.message);
+            console.error(error);
+        } finally {
+            this.gerando = false;
+            // O arquivo pode ter sido removido durante a geração (desabilitar())
+            this.elements.btnImprimir.disabled = this.model.getMesesDisponiveis().length === 0;
+        }
+    }
+
+    /**
+     * Monta uma linha do manifesto do lote
+     * @param {Object} empresa - {cnpj, nome}
+     * @param {string} situacao - GERADO | SEM DADOS
+     * @param {Object} [info] - {arquivo, turmas, alunos, emRisco, registros}
+     * @returns {Object}
+     */
+    linhaManifesto(empresa, situacao, info = {}) {
+        return {
+            'CNPJ': empresa.cnpj,
+            'EMPRESA': empresa.nome,
+            'SITUAÇÃO': situacao,
+            'ARQUIVO': info.arquivo || '',
+            'TURMAS': info.turmas || 0,
+            'ALUNOS': info.alunos || 0,
+            'ALUNOS EM RISCO': info.emRisco || 0,
+            'REGISTROS': info.registros || 0
+        };
+    }
+}
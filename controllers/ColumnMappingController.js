@@ -0,0 +1,243 @@
+/**
+ * ColumnMappingController - Controller do assistente de mapeamento de colunas
+ * Responsável por: decidir se o cabeçalho do CSV precisa de confirmação,
+ * exibir o assistente (sugestões, amostra de valores, substituição manual)
+ * e lembrar o mapeamento confirmado
+ */
+class ColumnMappingController {
+    /**
+     * @param {ColumnMappingModel} mappingModel
+     */
+    constructor(mappingModel) {
+        this.mapping = mappingModel;
+        this.pendente = null; // {resolve, reject} do assistente aberto
+
+        // Elementos DOM
+        this.elements = {
+            modal: document.getElementById('mapeamentoModal'),
+            btnFechar: document.getElementById('btnFecharMapeamento'),
+            arquivo: document.getElementById('mapeamentoArquivo'),
+            tabela: document.querySelector('#mapeamentoTabela tbody'),
+            pendentes: document.getElementById('mapeamentoPendentes'),
+            lembrar: document.getElementById('mapeamentoLembrar'),
+            btnCancelar: document.getElementById('btnCancelarMapeamento'),
+            btnConfirmar: document.getElementById('btnConfirmarMapeamento')
+        };
+
+        this.init();
+    }
+
+    /**
+     * Inicializa os event listeners
+     */
+    init() {
+        this.elements.btnFechar.addEventListener('click', () => this.cancelar());
+        this.elements.btnCancelar.addEventListener('click', () => this.cancelar());
+        this.elements.btnConfirmar.addEventListener('click', () => this.confirmar());
+        this.elements.tabela.addEventListener('change', () => this.atualizarPendentes());
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && !this.elements.modal.hidden) this.cancelar();
+        });
+    }
+
+    /**
+     * Resolve o mapeamento do arquivo carregado
+     * - Mapeamento salvo para o mesmo cabeçalho: aplicado diretamente
+     * - Todas as colunas com o nome esperado: aplicado diretamente
+     * - Caso contrário: abre o assistente com as sugestões
+     * @param {Array<string>} cabecalhos - Cabeçalhos do arquivo
+     * @param {Array<Object>} amostra - Primeiras linhas do arquivo
+     * @param {string} [arquivo] - Nome do arquivo (exibido quando vários arquivos são carregados)
+     * @returns {Promise<Object>} - {campo: coluna|null}
+     */
+    resolver(cabecalhos, amostra, arquivo = null) {
+        const salvo = this.mapping.getMapeamentoSalvo(cabecalhos);
+        if (salvo) return Promise.resolve(salvo);
+
+        const sugestao = this.mapping.sugerirMapeamento(cabecalhos);
+        if (this.mapping.isExato(sugestao)) return Promise.resolve(this.mapping.paraMapa(sugestao));
+
+        return this.abrir(cabecalhos, amostra, sugestao, arquivo);
+    }
+
+    /**
+     * Abre o assistente para revisar um mapeamento já aplicado
+     * @param {Array<string>} cabecalhos
+     * @param {Array<Object>} amostra
+     * @param {Object} mapaAtual - {campo: coluna|null}
+     * @returns {Promise<Object>}
+     */
+    revisar(cabecalhos, amostra, mapaAtual) {
+        const sugestao = this.mapping.sugerirMapeamento(cabecalhos);
+        Object.keys(sugestao).forEach(campo => {
+            const coluna = mapaAtual ? mapaAtual[campo] || null : sugestao[campo].coluna;
+            sugestao[campo] = { coluna, score: coluna ? this.mapping.similaridade(coluna, this.getDefinicao(campo)) : 0 };
+        });
+        return this.abrir(cabecalhos, amostra, sugestao);
+    }
+
+    /**
+     * Retorna a definição de um campo esperado
+     */
+    getDefinicao(campo) {
+        return this.mapping.CAMPOS.find(def => def.campo === campo);
+    }
+
+    /**
+     * Exibe o assistente e aguarda a confirmação
+     * @returns {Promise<Object>} - Rejeitada quando o usuário cancela
+     */
+    abrir(cabecalhos, amostra, sugestao, arquivo = null) {
+        if (this.pendente) this.pendente.reject(new Error('Mapeamento de colunas cancelado.'));
+
+        this.cabecalhos = cabecalhos;
+        this.elements.arquivo.textContent = arquivo ? `Arquivo: ${arquivo}` : '';
+        this.elements.arquivo.hidden = !arquivo;
+        this.renderTabela(cabecalhos, amostra, sugestao);
+        this.elements.lembrar.checked = true;
+        this.elements.modal.hidden = false;
+
+        return new Promise((resolve, reject) => {
+            this.pendente = { resolve, reject };
+        });
+    }
+
+    /**
+     * Monta uma linha por campo esperado: select de colunas, confiança e valor de exemplo
+     */
+    renderTabela(cabecalhos, amostra, sugestao) {
+        const tbody = this.elements.tabela;
+        tbody.innerHTML = '';
+        this.amostra = amostra || [];
+
+        this.mapping.CAMPOS.forEach(def => {
+            const tr = document.createElement('tr');
+
+            const tdCampo = document.createElement('td');
+            tdCampo.innerHTML = `<strong>${def.campo}</strong>${def.obrigatorio ? ' <span class="obrigatorio">*</span>' : ''}<br><small>${def.rotulo}</small>`;
+            tr.appendChild(tdCampo);
+
+            const tdSelect = document.createElement('td');
+            const select = document.createElement('select');
+            select.className = 'form-select';
+            select.dataset.campo = def.campo;
+            select.appendChild(new Option('— Não mapeado —', ''));
+            cabecalhos.forEach(coluna => select.appendChild(new Option(coluna, coluna)));
+            select.value = sugestao[def.campo].coluna || '';
+            tdSelect.appendChild(select);
+            tr.appendChild(tdSelect);
+
+            const tdConfianca = document.createElement('td');
+            tdConfianca.className = 'mapeamento-confianca';
+            tr.appendChild(tdConfianca);
+
+            const tdExemplo = document.createElement('td');
+            tdExemplo.className = 'mapeamento-exemplo';
+            tr.appendChild(tdExemplo);
+
+            tbody.appendChild(tr);
+        });
+
+        this.atualizarPendentes();
+    }
+
+    /**
+     * Lê o mapeamento escolhido no assistente
+     * @returns {Object} - {campo: coluna|null}
+     */
+    getMapaSelecionado() {
+        const mapa = {};
+        this.elements.tabela.querySelectorAll('select[data-campo]').forEach(select => {
+            mapa[select.dataset.campo] = select.value || null;
+        });
+        return mapa;
+    }
+
+    /**
+     * Atualiza confiança, exemplos, colunas repetidas e campos obrigatórios pendentes
+     */
+    atualizarPendentes() {
+        const mapa = this.getMapaSelecionado();
+        const usos = new Map();
+        Object.values(mapa).filter(c => c).forEach(c => usos.set(c, (usos.get(c) || 0) + 1));
+
+        this.elements.tabela.querySelectorAll('tr').forEach(tr => {
+            const select = tr.querySelector('select[data-campo]');
+            const def = this.getDefinicao(select.dataset.campo);
+            const coluna = select.value;
+            const confianca = tr.querySelector('.mapeamento-confianca');
+            const exemplo = tr.querySelector('.mapeamento-exemplo');
+
+            let texto = '';
+            let classe = '';
+            if (!coluna) {
+                texto = def.obrigatorio ? 'Obrigatório' : '—';
+                classe = def.obrigatorio ? 'critico' : '';
+            } else if (usos.get(coluna) > 1) {
+                texto = 'Coluna repetida';
+                classe = 'atencao';
+            } else {
+                const score = this.mapping.similaridade(coluna, def);
+                if (this.mapping.isNomeEsperado(coluna, def.campo)) {
+                    texto = 'Exato';
+                } else if (score === 1) {
+                    texto = 'Nome alternativo';
+                } else {
+                    texto = score >= this.mapping.SCORE_MINIMO ? `Sugerido (${Math.round(score * 100)}%)` : 'Manual';
+                }
+                classe = score === 1 ? 'regular' : 'atencao';
+            }
+            confianca.textContent = texto;
+            confianca.className = `mapeamento-confianca${classe ? ` situacao situacao-${classe}` : ''}`;
+
+            exemplo.textContent = coluna
+                ? this.amostra.map(row => row[coluna]).filter(v => v !== undefined && v !== '').slice(0, 3).join(' · ')
+                : '';
+        });
+
+        const pendentes = this.mapping.camposPendentes(mapa);
+        this.elements.pendentes.textContent = pendentes.length > 0
+            ? `Campos obrigatórios sem coluna: ${pendentes.map(def => def.campo).join(', ')}`
+            : '';
+        this.elements.btnConfirmar.disabled = pendentes.length > 0;
+    }
+
+    /**
+     * Confirma o mapeamento escolhido
+     */
+    confirmar() {
+        const mapa = this.getMapaSelecionado();
+        const pendentes = this.mapping.camposPendentes(mapa);
+        if (pendentes.length > 0) {
+            alert(`Selecione a coluna dos campos obrigatórios: ${pendentes.map(def => def.campo).join(', ')}`);
+            return;
+        }
+
+        const usadas = Object.values(mapa).filter(c => c);
+        if (new Set(usadas).size !== usadas.length) {
+            alert('Cada coluna do arquivo só pode ser usada em um campo.');
+            return;
+        }
+
+        if (this.elements.lembrar.checked) {
+            this.mapping.salvarMapeamento(this.cabecalhos, mapa);
+        } else {
+            this.mapping.esquecerMapeamento(this.cabecalhos);
+        }
+
+        const pendente = this.pendente;
+        this.pendente = null;
+        this.elements.modal.hidden = true;
+        pendente.resolve(mapa);
+    }
+
+    /**
+     * Cancela o assistente (o carregamento do arquivo é interrompido)
+     */
+    cancelar() {
+        const pendente = this.pendente;
+        this.pendente = null;
+        this.elements.modal.hidden = true;
+        if (pendente) pendente.reject(new Error('Mapeamento de colunas cancelado.'));
+    }
+}
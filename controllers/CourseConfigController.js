@@ -0,0 +1,176 @@
+/**
+ * CourseConfigController - Controller da carga horária dos cursos
+ * Responsável por: painel com os cursos do arquivo carregado (e os já configurados),
+ * onde se informa a carga horária total de cada curso usada no limite de ausência
+ */
+class CourseConfigController {
+    /**
+     * @param {CourseConfigModel} courseConfigModel
+     * @param {DataModel} dataModel - Usado para listar os cursos e turmas do arquivo
+     * @param {Object} options
+     * @param {Function} options.onChange - Chamado quando as cargas horárias mudam
+     */
+    constructor(courseConfigModel, dataModel, options = {}) {
+        this.cursos = courseConfigModel;
+        this.model = dataModel;
+        this.onChange = options.onChange || (() => {});
+
+        // Elementos DOM
+        this.elements = {
+            resumo: document.getElementById('cursosResumo'),
+            btnConfigurar: document.getElementById('btnConfigurarCursos'),
+            modal: document.getElementById('cursoModal'),
+            btnFechar: document.getElementById('btnFecharCursos'),
+            form: document.getElementById('cursoForm'),
+            tbody: document.querySelector('#cursoTabela tbody')
+        };
+
+        this.init();
+    }
+
+    /**
+     * Inicializa os event listeners
+     */
+    init() {
+        this.atualizarResumo();
+
+        this.elements.btnConfigurar.addEventListener('click', () => this.abrir());
+        this.elements.btnFechar.addEventListener('click', () => this.fechar());
+        this.elements.modal.addEventListener('click', (e) => {
+            if (e.target === this.elements.modal) this.fechar();
+        });
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && !this.elements.modal.hidden) this.fechar();
+        });
+
+        this.elements.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.salvar();
+        });
+    }
+
+    /**
+     * Cursos do arquivo carregado (turmas do programa ativo) com as turmas e datas de início
+     * @returns {Map<string, Object>} - chave do curso -> {curso, turmas: Map turma -> início}
+     */
+    getCursosDoArquivo() {
+        const cursos = new Map();
+        this.model.rawData.forEach(row => {
+            const turma = this.model.normalizeName(row.TURMA || '');
+            const curso = this.model.normalizeName(row.CURSO || '');
+            if (!curso || !this.model.isTurmaDoPrograma(turma)) return;
+
+            const chave = this.cursos.chave(curso);
+            if (!cursos.has(chave)) cursos.set(chave, { curso, turmas: new Map() });
+            const turmas = cursos.get(chave).turmas;
+            if (!turmas.get(turma)) turmas.set(turma, String(row.DTINICIO_TURMA || '').trim());
+        });
+        return cursos;
+    }
+
+    /**
+     * Abre o painel
+     */
+    abrir() {
+        this.renderTabela();
+        this.elements.modal.hidden = false;
+        const primeiro = this.elements.tbody.querySelector('input');
+        if (primeiro) primeiro.focus();
+    }
+
+    /**
+     * Fecha o painel
+     */
+    fechar() {
+        this.elements.modal.hidden = true;
+    }
+
+    /**
+     * Atualiza o resumo do formulário principal
+     */
+    atualizarResumo() {
+        const total = this.cursos.cursos.size;
+        this.elements.resumo.textContent = total === 0
+            ? 'Nenhum curso configurado'
+            : `${total} curso(s) com carga horária informada`;
+    }
+
+    /**
+     * Lista os cursos do arquivo e os já configurados, com a carga horária de cada um
+     */
+    renderTabela() {
+        const tbody = this.elements.tbody;
+        tbody.innerHTML = '';
+
+        const cursos = this.getCursosDoArquivo();
+        this.cursos.getCursos().forEach(c => {
+            const chave = this.cursos.chave(c.curso);
+            if (!cursos.has(chave)) cursos.set(chave, { curso: c.curso, turmas: new Map() });
+        });
+
+        if (cursos.size === 0) {
+            const tr = document.createElement('tr');
+            const td = document.createElement('td');
+            td.colSpan = 3;
+            td.className = 'empty';
+            td.textContent = 'Carregue um arquivo para listar os cursos.';
+            tr.appendChild(td);
+            tbody.appendChild(tr);
+            return;
+        }
+
+        Array.from(cursos.values())
+            .sort((a, b) => a.curso.localeCompare(b.curso))
+            .forEach(({ curso, turmas }, i) => {
+                const tr = document.createElement('tr');
+
+                const tdCurso = document.createElement('td');
+                tdCurso.textContent = curso;
+                tr.appendChild(tdCurso);
+
+                const tdTurmas = document.createElement('td');
+                tdTurmas.textContent = turmas.size === 0
+                    ? 'Fora do arquivo carregado'
+                    : Array.from(turmas, ([turma, inicio]) => `${turma} (início: ${inicio || 'sem DTINICIO_TURMA'})`).join(', ');
+                tr.appendChild(tdTurmas);
+
+                const tdCarga = document.createElement('td');
+                const input = document.createElement('input');
+                input.type = 'number';
+                input.min = '1';
+                input.step = 'any';
+                input.className = 'form-input';
+                input.id = `cursoCarga-${i}`;
+                input.dataset.curso = curso;
+                input.placeholder = 'Horas';
+                input.setAttribute('aria-label', `Carga horária total de ${curso}`);
+                const carga = this.cursos.getCargaHoraria(curso);
+                input.value = carga !== null ? carga : '';
+                tdCarga.appendChild(input);
+                tr.appendChild(tdCarga);
+
+                tbody.appendChild(tr);
+            });
+    }
+
+    /**
+     * Salva as cargas horárias do painel (campo vazio remove a configuração do curso)
+     */
+    salvar() {
+        const lista = Array.from(this.elements.tbody.querySelectorAll('input[data-curso]')).map(input => ({
+            curso: input.dataset.curso,
+            cargaHoraria: input.value
+        }));
+
+        try {
+            this.cursos.salvarCursos(lista);
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
+
+        this.atualizarResumo();
+        this.onChange();
+        this.fechar();
+    }
+}
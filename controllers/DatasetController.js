@@ -0,0 +1,229 @@
+/**
+ * DatasetController - Controller dos datasets salvos no navegador
+ * Responsável por: salvar cada arquivo carregado, exibir a lista "Datasets recentes"
+ * (reabrir e excluir), reabrir o dataset ativo ao recarregar a página e guardar
+ * a seleção (empresa, turma, período, status) feita no dataset ativo
+ */
+class DatasetController {
+    /**
+     * @param {DatasetStoreModel} storeModel
+     * @param {DataModel} dataModel
+     * @param {Object} options
+     * @param {Function} options.onAbrir - (dataset, conteudo) ao reabrir um dataset
+     * @param {Function} options.notify - Exibe mensagem temporária
+     */
+    constructor(storeModel, dataModel, options = {}) {
+        this.store = storeModel;
+        this.model = dataModel;
+        this.onAbrir = options.onAbrir || (() => {});
+        this.notify = options.notify || (() => {});
+        this.datasets = [];
+        this.salvando = false; // Alterações feitas durante o salvamento aguardam o id do novo dataset
+        this.pendentes = {};
+
+        // Elementos DOM
+        this.elements = {
+            container: document.getElementById('datasetsRecentes'),
+            lista: document.getElementById('datasetsLista')
+        };
+
+        this.init();
+    }
+
+    /**
+     * Inicializa os event listeners (sem IndexedDB a lista permanece oculta)
+     */
+    init() {
+        if (!this.store.isDisponivel()) return;
+
+        this.elements.lista.addEventListener('click', (e) => {
+            const btn = e.target.closest('button[data-acao]');
+            if (!btn) return;
+            if (btn.dataset.acao === 'abrir') this.abrir(btn.dataset.id);
+            if (btn.dataset.acao === 'excluir') this.excluir(btn.dataset.id);
+        });
+    }
+
+    /**
+     * Recarrega e exibe a lista de datasets salvos
+     */
+    async atualizarLista() {
+        if (!this.store.isDisponivel()) return;
+        try {
+            this.datasets = await this.store.listar();
+        } catch (error) {
+            console.warn('Não foi possível listar os datasets salvos:', error);
+            this.datasets = [];
+        }
+        this.render();
+    }
+
+    /**
+     * Monta a lista "Datasets recentes"
+     */
+    render() {
+        const lista = this.elements.lista;
+        lista.innerHTML = '';
+        this.elements.container.hidden = this.datasets.length === 0;
+
+        this.datasets.forEach(dataset => {
+            const ativo = dataset.id === this.store.datasetAtivoId;
+            const li = document.createElement('li');
+            li.className = `dataset-item${ativo ? ' ativo' : ''}`;
+
+            const info = document.createElement('div');
+            info.className = 'dataset-info';
+            const nome = document.createElement('strong');
+            nome.textContent = dataset.nome + (ativo ? ' (em uso)' : '');
+            const detalhes = document.createElement('small');
+            detalhes.textContent = this.descrever(dataset);
+            info.append(nome, detalhes);
+
+            const acoes = document.createElement('div');
+            acoes.className = 'dataset-acoes';
+            [['abrir', 'Abrir'], ['excluir', 'Excluir']].forEach(([acao, rotulo]) => {
+                const btn = document.createElement('button');
+                btn.type = 'button';
+                btn.className = 'btn btn-secondary btn-inline';
+                btn.dataset.acao = acao;
+                btn.dataset.id = dataset.id;
+                btn.textContent = rotulo;
+                acoes.appendChild(btn);
+            });
+
+            li.append(info, acoes);
+            lista.appendChild(li);
+        });
+    }
+
+    /**
+     * Texto de detalhes: data de envio, linhas e meses cobertos
+     * @param {Object} dataset
+     * @returns {string}
+     */
+    descrever(dataset) {
+        const envio = new Date(dataset.dataUpload).toLocaleString('pt-BR', { dateStyle: 'short', timeStyle: 'short' });
+        const partes = [`Enviado em ${envio}`, `${dataset.linhas.toLocaleString('pt-BR')} linhas`];
+        if (dataset.mesInicio) {
+            const inicio = this.model.formatMesChave(dataset.mesInicio);
+            const fim = this.model.formatMesChave(dataset.mesFim);
+            partes.push(inicio === fim ? inicio : `${inicio} a ${fim}`);
+        }
+        return partes.join(' · ');
+    }
+
+    /**
+     * Salva o arquivo recém-carregado como dataset ativo
+     * @param {string} nome - Nome do arquivo
+     */
+    async registrar(nome) {
+        if (!this.store.isDisponivel()) return;
+
+        const meses = this.model.getMesesDisponiveis();
+        const resumo = {
+            nome,
+            linhas: this.model.linhasOriginais.length,
+            mesInicio: meses[0] || null,
+            mesFim: meses[meses.length - 1] || null
+        };
+
+        this.salvando = true;
+        this.pendentes = {};
+        try {
+            await this.store.salvar(resumo, this.model.exportarDataset());
+            this.salvando = false;
+            if (this.pendentes.selecao !== undefined) this.salvarSelecao(this.pendentes.selecao);
+            if (this.pendentes.conteudo) this.salvarConteudo();
+        } catch (error) {
+            this.salvando = false;
+            console.warn('Não foi possível salvar o dataset:', error);
+            this.store.setAtivo(null);
+            this.notify(`O arquivo não pôde ser salvo no navegador (${error.message}). Ele continua disponível até a página ser recarregada.`);
+        }
+        this.pendentes = {};
+        await this.atualizarLista();
+    }
+
+    /**
+     * Reabre um dataset salvo
+     * @param {string} id
+     * @returns {Promise<boolean>} - false quando o dataset não existe mais
+     */
+    async abrir(id) {
+        let carregado;
+        try {
+            carregado = await this.store.carregar(id);
+        } catch (error) {
+            alert('Erro ao abrir o dataset: ' + error.message);
+            return false;
+        }
+
+        if (!carregado) {
+            if (this.store.datasetAtivoId === id) this.store.setAtivo(null);
+            await this.atualizarLista();
+            return false;
+        }
+
+        this.store.setAtivo(id);
+        this.onAbrir(carregado.dataset, carregado.conteudo);
+        await this.atualizarLista();
+        return true;
+    }
+
+    /**
+     * Reabre o dataset ativo (ao recarregar a página ou após um envio com erro)
+     * @returns {Promise<boolean>} - true quando um dataset foi reaberto
+     */
+    async reabrirAtivo() {
+        await this.atualizarLista();
+        const id = this.store.datasetAtivoId;
+        if (!id || !this.store.isDisponivel()) return false;
+        return this.abrir(id);
+    }
+
+    /**
+     * Exclui um dataset salvo (os dados em uso continuam disponíveis até a página ser recarregada)
+     * @param {string} id
+     */
+    async excluir(id) {
+        const dataset = this.datasets.find(d => d.id === id);
+        if (!dataset || !confirm(`Excluir o dataset "${dataset.nome}" do navegador?`)) return;
+
+        try {
+            await this.store.excluir(id);
+        } catch (error) {
+            alert('Erro ao excluir o dataset: ' + error.message);
+        }
+        await this.atualizarLista();
+    }
+
+    /**
+     * Guarda a seleção feita no dataset ativo
+     * @param {Object} selecao - {cnpj, turma, dataInicio, dataFim, statusList}
+     */
+    salvarSelecao(selecao) {
+        if (this.salvando) {
+            this.pendentes.selecao = selecao;
+            return;
+        }
+        const id = this.store.datasetAtivoId;
+        if (!id || !this.store.isDisponivel()) return;
+        this.store.atualizar(id, { selecao })
+            .catch(error => console.warn('Não foi possível salvar a seleção:', error));
+    }
+
+    /**
+     * Guarda o mapeamento de colunas e os tratamentos de qualidade do dataset ativo
+     */
+    salvarConteudo() {
+        if (this.salvando) {
+            this.pendentes.conteudo = true;
+            return;
+        }
+        const id = this.store.datasetAtivoId;
+        if (!id || !this.store.isDisponivel()) return;
+        const { mapeamento, decisoes } = this.model.exportarDataset();
+        this.store.atualizarConteudo(id, { mapeamento, decisoes })
+            .catch(error => console.warn('Não foi possível atualizar o dataset:', error));
+    }
+}
@@ -3,33 +3,140 @@
  * Responsável por: gerenciar interações da UI, coordenar Model e View
  */
 class FrequencyController {
-    constructor(dataModel) {
+    constructor(dataModel, profileModel, mappingModel, datasetStore, justificationModel, courseConfigModel, scheduleModel, programModel, templateModel, noticeModel) {
         this.model = dataModel;
+        this.profiles = profileModel;
+        this.programas = programModel;
+        this.modelosRelatorio = templateModel;
+        this.justificativas = justificationModel;
+        this.cursos = courseConfigModel;
+        this.calendario = scheduleModel;
         this.selectedEmpresa = null;
         this.selectedTurma = null;
         this.dateRange = null;
         this.flatpickrInstance = null;
         this.ALL_TURMAS = '__ALL__';
+        this.carregamento = 0; // Identifica o carregamento de arquivo mais recente
+        this.restaurandoSelecao = false; // Evita salvar a seleção enquanto ela é restaurada
 
         // Elementos DOM
         this.elements = {
             fileInput: document.getElementById('csvFile'),
             fileLabel: document.querySelector('.file-name'),
+            fileDropZone: document.getElementById('fileDropZone'),
             fileStatus: document.getElementById('fileStatus'),
+            fileProgress: document.getElementById('fileProgress'),
+            fileProgressBar: document.getElementById('fileProgressBar'),
+            btnCancelarLeitura: document.getElementById('btnCancelarLeitura'),
+            btnRevisarMapeamento: document.getElementById('btnRevisarMapeamento'),
             empresaInput: document.getElementById('empresa'),
             empresaDropdown: document.getElementById('empresaDropdown'),
             turmaSelect: document.getElementById('turma'),
             statusGroup: document.getElementById('statusGroup'),
             statusCheckboxes: document.getElementById('statusCheckboxes'),
             statusSelectAll: document.getElementById('status-all'),
-            statusOptions: null, // será populado no init
+            statusOpcoes: document.getElementById('statusOpcoes'),
+            statusOptions: [], // montadas a partir dos status do arquivo (renderStatusOptions)
             dataRangeInput: document.getElementById('dataRange'),
+            periodoAtalhos: Array.from(document.querySelectorAll('.periodo-atalho')),
             btnProcessar: document.getElementById('btnProcessar'),
             statusPanel: document.getElementById('statusPanel'),
             statusMessage: document.getElementById('statusMessage'),
             form: document.getElementById('frequencyForm')
         };
 
+        // Programas (turmas consideradas): índices montados para cada um, antes de abrir qualquer arquivo
+        this.model.setProgramas(programModel.getTodos(), programModel.ativoId);
+        this.programController = new ProgramController(programModel, dataModel, {
+            onSelect: (programa) => this.trocarPrograma(programa),
+            onChange: () => this.atualizarProgramas()
+        });
+
+        // Pré-visualização do relatório (exportação passa a ser ação explícita)
+        this.previewView = new ReportPreviewView({
+            onExport: (resultado, formato) => this.exportarRelatorio(resultado, formato),
+            onPrint: (resultado, quebra) => this.imprimirRelatorio(resultado, quebra),
+            onNotificar: (resultado, limite) => this.noticeController.abrir(resultado, limite),
+            onExcluirDia: (turma, data, motivo) => this.excluirDiaTurma(turma, data, motivo)
+        });
+
+        // Relatório de qualidade do arquivo (tratamento das linhas com problema)
+        this.qualityView = new DataQualityView({
+            onTratamentoChange: (categoria, acao) => this.alterarTratamento(categoria, acao),
+            onDownload: () => this.baixarRelatorioQualidade()
+        });
+
+        // Arquivo de origem de cada mês (datasets com mais de um arquivo)
+        this.originView = new DatasetOriginView();
+
+        // Assistente de mapeamento de colunas do CSV
+        this.mappingController = new ColumnMappingController(mappingModel);
+
+        // Geração do Excel (planilhas e workbook) conforme o modelo de relatório ativo
+        this.excelView = new ExcelReportView({
+            getModelo: () => this.modelosRelatorio.getAtivo()
+        });
+        this.templateController = new ReportTemplateController(templateModel);
+
+        // Exportação nos demais formatos (ODS, CSV, JSON, HTML) a partir das colunas do modelo
+        this.exportView = new ReportExportView(this.excelView);
+
+        // Declaração de frequência para impressão / PDF (cabeçalho, totais e assinatura)
+        this.printView = new PrintReportView(this.excelView, {
+            formatCNPJ: (cnpj) => this.formatCNPJ(cnpj)
+        });
+
+        // Cartas de notificação de faltas dos alunos selecionados no relatório exibido
+        this.noticeController = new NoticeController(noticeModel, new NoticeView(this.excelView, this.printView));
+
+        // Geração em lote (ZIP com um relatório por empresa, ou impressão de todas as empresas)
+        this.batchController = new BatchReportController(dataModel, profileModel, this.excelView, {
+            getStatusList: () => this.getSelectedStatuses(),
+            showStatus: (message) => this.showStatus(message),
+            hideStatus: () => this.hideStatus(),
+            notify: (message) => this.showTimedAlert(message, 5000),
+            justificativas: justificationModel,
+            cursos: courseConfigModel,
+            calendario: scheduleModel,
+            printView: this.printView
+        });
+
+        // Consulta de aluno por RA ou nome (todas as empresas e turmas do arquivo)
+        this.studentController = new StudentLookupController(dataModel, profileModel, this.excelView, {
+            onAbrir: (cnpj, turma) => this.abrirVinculo(cnpj, turma),
+            notify: (message) => this.showTimedAlert(message, 5000),
+            justificativas: justificationModel,
+            cursos: courseConfigModel,
+            calendario: scheduleModel
+        });
+
+        // Datasets salvos no navegador (lista de recentes e seleção do dataset ativo)
+        this.datasetController = new DatasetController(datasetStore, dataModel, {
+            onAbrir: (dataset, conteudo) => this.abrirDataset(dataset, conteudo),
+            notify: (message) => this.showTimedAlert(message, 5000)
+        });
+
+        // Perfis de regras (relatório exibido deixa de valer quando as regras mudam)
+        this.profileController = new RuleProfileController(profileModel, {
+            onChange: () => this.previewView.hide()
+        });
+
+        // Justificativas manuais (aplicadas sobre o CSV ao gerar o relatório)
+        this.justificationController = new JustificationController(justificationModel, dataModel, {
+            onChange: () => this.previewView.hide()
+        });
+
+        // Carga horária dos cursos (limite de ausência acumulada no curso)
+        this.courseController = new CourseConfigController(courseConfigModel, dataModel, {
+            onChange: () => this.previewView.hide()
+        });
+
+        // Cronogramas das turmas e calendário não letivo (dias previstos e dias excluídos)
+        this.scheduleController = new ScheduleController(scheduleModel, dataModel, {
+            onChange: () => this.previewView.hide(),
+            notify: (message) => this.showTimedAlert(message, 5000)
+        });
+
         this.init();
     }
 
@@ -38,52 +145,330 @@ class FrequencyController {
      */
     init() {
         this.setupFileUpload();
+        this.setupMapeamento();
         this.setupAutocomplete();
         this.setupTurmaSelect();
         this.setupStatusCheckboxes();
+        this.setupPeriodoAtalhos();
         this.setupFormSubmit();
+
+        // Reabrir o último dataset usado (dispensa novo envio após recarregar a página)
+        this.datasetController.reabrirAtivo();
     }
 
     /**
-     * Configura o upload de arquivo CSV
+     * Configura o upload dos arquivos CSV (seleção múltipla ou arrastar e soltar)
      */
     setupFileUpload() {
-        this.elements.fileInput.addEventListener('change', async (e) => {
-            const file = e.target.files[0];
-            if (!file) return;
-
-            // Atualizar nome do arquivo
-            this.elements.fileLabel.textContent = file.name;
-
-            // Validar tipo de arquivo (aceita .csv ou .CSV)
-            const fileName = file.name.toLowerCase();
-            if (!fileName.endsWith('.csv') && file.type !== 'text/csv' && file.type !== 'application/vnd.ms-excel') {
-                this.showFileStatus('Erro: Por favor, selecione um arquivo CSV válido.', 'error');
-                this.resetForm();
-                return;
+        this.elements.fileInput.addEventListener('change', (e) => {
+            this.carregarArquivos(Array.from(e.target.files));
+        });
+
+        // Arrastar e soltar arquivos sobre o campo de upload
+        const zona = this.elements.fileDropZone;
+        zona.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            zona.classList.add('drag-over');
+        });
+        zona.addEventListener('dragleave', () => zona.classList.remove('drag-over'));
+        zona.addEventListener('drop', (e) => {
+            e.preventDefault();
+            zona.classList.remove('drag-over');
+            this.elements.fileInput.value = '';
+            this.carregarArquivos(Array.from(e.dataTransfer.files));
+        });
+
+        this.elements.btnCancelarLeitura.addEventListener('click', () => this.model.cancelarCarregamento());
+    }
+
+    /**
+     * Lê os arquivos selecionados e os mescla em um único dataset
+     * @param {Array<File>} files
+     */
+    async carregarArquivos(files) {
+        if (files.length === 0) return;
+
+        // Um novo envio interrompe a leitura anterior
+        const carregamento = ++this.carregamento;
+
+        // Atualizar nome do(s) arquivo(s)
+        const nome = files.length === 1 ? files[0].name : `${files[0].name} + ${files.length - 1} arquivo(s)`;
+        this.elements.fileLabel.textContent = files.length === 1 ? nome : `${files.length} arquivos selecionados`;
+        this.arquivoNome = nome;
+
+        // Validar tipo de arquivo (aceita .csv ou .CSV)
+        const invalido = files.find(file =>
+            !file.name.toLowerCase().endsWith('.csv') && file.type !== 'text/csv' && file.type !== 'application/vnd.ms-excel');
+        if (invalido) {
+            this.showFileStatus(`Erro: "${invalido.name}" não é um arquivo CSV válido.`, 'error');
+            this.resetForm();
+            return;
+        }
+
+        // Mostrar status de carregamento
+        this.showFileStatus(files.length === 1 ? 'Carregando arquivo...' : `Carregando ${files.length} arquivos...`, 'loading');
+        this.showFileProgress(null);
+
+        try {
+            const result = await this.model.carregarArquivos(
+                files,
+                (cabecalhos, amostra, arquivo) => this.mappingController.resolver(cabecalhos, amostra, files.length > 1 ? arquivo : null),
+                (progresso) => this.showFileProgress(progresso)
+            );
+            if (carregamento !== this.carregamento) return; // Substituído por outro envio
+            this.hideFileProgress();
+            this.onDadosCarregados(result, files.length === 1 ? undefined : `${files.length} arquivos mesclados com sucesso!`);
+            this.datasetController.registrar(nome);
+
+        } catch (error) {
+            if (carregamento !== this.carregamento) return; // Substituído por outro envio
+            this.hideFileProgress();
+            const mensagem = error.cancelado ? 'Carregamento cancelado.' : `Erro ao carregar arquivo: ${error.message}`;
+            this.showFileStatus(mensagem, 'error');
+            this.resetForm();
+
+            // O dataset que estava em uso continua salvo: reabri-lo
+            if (await this.datasetController.reabrirAtivo()) {
+                this.showFileStatus(`${mensagem} O dataset anterior foi reaberto.`, 'error');
             }
+        }
+    }
 
-            // Mostrar status de carregamento
-            this.showFileStatus('Carregando arquivo...', 'loading');
+    /**
+     * Exibe o progresso da leitura do arquivo
+     * @param {Object|null} progresso - {etapa, bytes, total, linhas, arquivo, indiceArquivo, totalArquivos};
+     *   null antes do primeiro bloco
+     */
+    showFileProgress(progresso) {
+        const { fileProgress, fileProgressBar } = this.elements;
+        fileProgress.hidden = false;
+        if (!progresso) {
+            fileProgressBar.removeAttribute('value'); // Barra indeterminada
+            return;
+        }
 
-            try {
-                const result = await this.model.loadCSV(file);
-                this.showFileStatus(
-                    `✓ Arquivo carregado com sucesso! ${result.totalRegistros} registros, ${result.empresasAPR} empresas APR encontradas.`,
-                    'success'
-                );
+        const linhas = progresso.linhas.toLocaleString('pt-BR');
+        const arquivo = progresso.totalArquivos > 1
+            ? `Arquivo ${progresso.indiceArquivo + 1} de ${progresso.totalArquivos} (${progresso.arquivo}): `
+            : '';
+        if (progresso.etapa === 'indexacao') {
+            fileProgressBar.removeAttribute('value');
+            this.showFileStatus(`${arquivo}Verificando e indexando ${linhas} linhas...`, 'loading');
+            return;
+        }
 
-                // Habilitar campo de empresa
-                this.elements.empresaInput.disabled = false;
-                this.elements.empresaInput.focus();
+        const mb = (bytes) => (bytes / (1024 * 1024)).toLocaleString('pt-BR', { minimumFractionDigits: 1, maximumFractionDigits: 1 });
+        const percentual = progresso.total > 0 ? Math.round(progresso.bytes / progresso.total * 100) : 100;
+        fileProgressBar.value = percentual;
+        this.showFileStatus(
+            `${arquivo}Lendo arquivo... ${percentual}% (${mb(progresso.bytes)} de ${mb(progresso.total)} MB · ${linhas} linhas)`,
+            'loading'
+        );
+    }
 
+    /**
+     * Oculta a barra de progresso da leitura
+     */
+    hideFileProgress() {
+        this.elements.fileProgress.hidden = true;
+        this.elements.fileProgressBar.value = 0;
+    }
+
+    /**
+     * Configura a revisão do mapeamento de colunas do arquivo carregado
+     */
+    setupMapeamento() {
+        this.elements.btnRevisarMapeamento.addEventListener('click', async () => {
+            let mapa;
+            try {
+                mapa = await this.mappingController.revisar(
+                    this.model.cabecalhos,
+                    this.model.linhasOriginais.slice(0, 5),
+                    this.model.mapeamento
+                );
             } catch (error) {
-                this.showFileStatus(`Erro ao carregar arquivo: ${error.message}`, 'error');
-                this.resetForm();
+                return; // Revisão cancelada: mapeamento atual continua valendo
             }
+
+            // Empresas, turmas e datas podem mudar com o novo mapeamento
+            this.resetSelecao();
+            this.onDadosCarregados(this.model.remapear(mapa));
+            this.datasetController.salvarConteudo();
         });
     }
 
+    /**
+     * Atualiza a tela após carregar (ou remapear) o arquivo
+     * @param {Object} result - {totalRegistros, empresasAPR, turmas}
+     * @param {string} [titulo] - Início da mensagem de sucesso
+     */
+    onDadosCarregados(result, titulo = 'Arquivo carregado com sucesso!') {
+        const excluidas = result.linhasExcluidas > 0 ? ` (${result.linhasExcluidas} linhas excluídas pelo tratamento de qualidade)` : '';
+        this.showFileStatus(
+            `✓ ${titulo} ${result.totalRegistros} registros${excluidas}, ${result.empresasAPR} empresas encontradas no programa ${this.model.getProgramaAtivo().nome}.`,
+            'success'
+        );
+        this.elements.btnRevisarMapeamento.hidden = false;
+
+        // Problemas encontrados no arquivo (painel fica oculto quando não há nenhum)
+        this.qualityView.render(this.model.qualidade.getResumo(), this.model.qualidade.ACOES, {
+            linhas: this.model.linhasMapeadas.length,
+            excluidas: result.linhasExcluidas
+        });
+        this.originView.render(this.model.arquivos, this.model.getOrigemPorMes(), (mes) => this.model.formatMesChave(mes));
+        this.renderStatusOptions();
+
+        // Habilitar campo de empresa
+        this.elements.empresaInput.disabled = false;
+        this.elements.empresaInput.focus();
+
+        // Habilitar geração em lote com os meses do arquivo
+        this.batchController.atualizarMeses();
+
+        // Habilitar consulta de aluno
+        this.studentController.habilitar();
+    }
+
+    /**
+     * Troca o programa ativo: empresas, turmas, status e alunos passam a ser os do programa
+     * @param {Object} programa - {id, nome}
+     */
+    trocarPrograma(programa) {
+        this.model.selecionarPrograma(programa.id);
+        if (!this.model.isDataLoaded()) return;
+
+        this.resetSelecao();
+        this.onDadosCarregados(this.model.getResumo(), `Programa "${programa.nome}" selecionado!`);
+    }
+
+    /**
+     * Aplica as regras dos programas alteradas no painel "Programas"
+     */
+    atualizarProgramas() {
+        this.model.setProgramas(this.programas.getTodos(), this.programas.ativoId);
+        if (!this.model.isDataLoaded()) return;
+
+        // As turmas de cada programa mudam com as regras: verificar e indexar de novo
+        this.resetSelecao();
+        this.onDadosCarregados(this.model.remapear(this.model.mapeamento), 'Programas atualizados!');
+    }
+
+    /**
+     * Seleciona no formulário a empresa e a turma de um vínculo da consulta de aluno
+     * @param {string} cnpj
+     * @param {string} turma
+     */
+    abrirVinculo(cnpj, turma) {
+        const empresa = this.model.getEmpresasAPR().find(e => e.cnpj === cnpj);
+        if (!empresa) return;
+        this.selectEmpresa(empresa);
+
+        const select = this.elements.turmaSelect;
+        select.value = turma;
+        if (select.value !== turma) return;
+        select.dispatchEvent(new Event('change'));
+        this.elements.form.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+
+    /**
+     * Altera o tratamento de uma categoria do relatório de qualidade e reprocessa o arquivo
+     * @param {string} categoria
+     * @param {string} acao - manter | excluir | deduplicar
+     */
+    alterarTratamento(categoria, acao) {
+        this.model.qualidade.setDecisao(categoria, acao);
+
+        // Empresas, turmas e datas podem mudar com as linhas excluídas
+        this.resetSelecao();
+        this.onDadosCarregados(this.model.aplicarTratamento());
+        this.datasetController.salvarConteudo();
+    }
+
+    /**
+     * Reabre um dataset salvo no navegador e restaura a seleção feita nele
+     * @param {Object} dataset - Resumo salvo ({nome, selecao, ...})
+     * @param {Object} conteudo - Linhas, cabeçalhos, mapeamento e tratamentos
+     */
+    abrirDataset(dataset, conteudo) {
+        this.carregamento++; // Interrompe uma leitura de arquivo em andamento
+        this.hideFileProgress();
+        this.resetSelecao();
+
+        const result = this.model.restaurarDataset(conteudo);
+        this.elements.fileLabel.textContent = dataset.nome;
+        this.arquivoNome = dataset.nome;
+        this.onDadosCarregados(result, `Dataset "${dataset.nome}" reaberto!`);
+        this.restaurarSelecao(dataset.selecao);
+    }
+
+    /**
+     * Seleção atual do formulário (salva junto com o dataset ativo)
+     * @returns {Object} - {cnpj, turma, dataInicio, dataFim, statusList}
+     */
+    getSelecao() {
+        return {
+            cnpj: this.selectedEmpresa ? this.selectedEmpresa.cnpj : null,
+            turma: this.selectedTurma || null,
+            dataInicio: this.dateRange ? this.dateRange.inicio : null,
+            dataFim: this.dateRange ? this.dateRange.fim : null,
+            statusList: this.getSelectedStatuses()
+        };
+    }
+
+    /**
+     * Salva a seleção atual no dataset ativo
+     */
+    salvarSelecao() {
+        if (this.restaurandoSelecao) return;
+        this.datasetController.salvarSelecao(this.getSelecao());
+    }
+
+    /**
+     * Restaura empresa, turma, período e status (itens que não existem mais são ignorados)
+     * @param {Object|null} selecao - Retorno de getSelecao()
+     */
+    restaurarSelecao(selecao) {
+        if (!selecao) return;
+        this.restaurandoSelecao = true;
+
+        try {
+            this.statusLembrados = Array.isArray(selecao.statusList)
+                ? selecao.statusList.map(s => this.model.normalizeStatus(s))
+                : null;
+            this.aplicarStatusLembrados();
+
+            const empresa = this.model.getEmpresasAPR().find(e => e.cnpj === selecao.cnpj);
+            if (!empresa) return;
+            this.selectEmpresa(empresa);
+
+            const select = this.elements.turmaSelect;
+            select.value = selecao.turma || '';
+            if (!selecao.turma || select.value !== selecao.turma) return;
+            select.dispatchEvent(new Event('change'));
+
+            if (selecao.dataInicio && selecao.dataFim && this.flatpickrInstance) {
+                this.flatpickrInstance.setDate([
+                    this.model.parseDate(selecao.dataInicio),
+                    this.model.parseDate(selecao.dataFim)
+                ], true);
+            }
+        } finally {
+            this.restaurandoSelecao = false;
+        }
+    }
+
+    /**
+     * Baixa o relatório completo de qualidade (todas as ocorrências) em CSV
+     */
+    baixarRelatorioQualidade() {
+        const base = FileHelper.nomeSeguro((this.arquivoNome || 'arquivo').replace(/\.csv$/i, ''));
+        FileHelper.baixar(
+            '\uFEFF' + this.model.qualidade.gerarCSV(),
+            `qualidade_${base}.csv`,
+            'text/csv;charset=utf-8'
+        );
+    }
+
     /**
      * Configura o autocomplete do campo empresa
      */
@@ -195,11 +580,13 @@ class FrequencyController {
      */
     selectEmpresa(empresa) {
         this.selectedEmpresa = empresa;
+        this.previewView.hide();
         this.elements.empresaInput.value = `${empresa.nome} - ${this.formatCNPJ(empresa.cnpj)}`;
         this.hideAutocomplete();
 
         // Carregar turmas da empresa
         this.loadTurmas(empresa.cnpj);
+        this.salvarSelecao();
     }
 
     /**
@@ -264,6 +651,7 @@ class FrequencyController {
     setupTurmaSelect() {
         this.elements.turmaSelect.addEventListener('change', (e) => {
             this.selectedTurma = e.target.value;
+            this.previewView.hide();
 
             if (this.selectedTurma || this.selectedTurma === this.ALL_TURMAS) {
                 // Inicializar seletor de datas
@@ -273,6 +661,7 @@ class FrequencyController {
                 this.destroyDatePicker();
                 this.elements.btnProcessar.disabled = true;
             }
+            this.salvarSelecao();
         });
     }
 
@@ -280,8 +669,8 @@ class FrequencyController {
      * Configura checkboxes de Status (Selecionar Tudo + opções)
      */
     setupStatusCheckboxes() {
-        // Capturar opções dinâmicas (todas com classe .status-option)
-        this.elements.statusOptions = Array.from(document.querySelectorAll('.status-option'));
+        // Status escolhidos (null = todos); valem também para os próximos arquivos carregados
+        this.statusLembrados = null;
 
         // Selecionar Tudo
         this.elements.statusSelectAll.addEventListener('change', (e) => {
@@ -289,15 +678,72 @@ class FrequencyController {
             this.elements.statusOptions.forEach(opt => opt.checked = checked);
         });
 
-        // Desmarcar "Selecionar Tudo" quando alguma opção individual for alterada
-        this.elements.statusOptions.forEach(opt => {
-            opt.addEventListener('change', () => {
-                const allChecked = this.elements.statusOptions.every(o => o.checked);
-                this.elements.statusSelectAll.checked = allChecked;
-            });
+        this.elements.statusCheckboxes.addEventListener('change', (e) => {
+            // Desmarcar "Selecionar Tudo" quando alguma opção individual for alterada
+            if (e.target.classList.contains('status-option')) {
+                this.elements.statusSelectAll.checked = this.elements.statusOptions.every(o => o.checked);
+            }
+            this.statusLembrados = this.getSelectedStatuses();
+
+            // Status escolhidos fazem parte da seleção salva do dataset
+            this.salvarSelecao();
         });
     }
 
+    /**
+     * Monta as opções de status com os valores de DESCRICAO do arquivo carregado
+     * A seleção anterior é mantida (status que não estão no arquivo continuam lembrados)
+     */
+    renderStatusOptions() {
+        const container = this.elements.statusOpcoes;
+        container.innerHTML = '';
+
+        const status = this.model.getStatusDisponiveis();
+        this.elements.statusOptions = status.map((s, i) => {
+            const item = document.createElement('div');
+            item.className = 'checkbox-item';
+
+            const input = document.createElement('input');
+            input.type = 'checkbox';
+            input.className = 'status-option';
+            input.id = `status-opcao-${i}`;
+            input.value = s.valor;
+
+            const label = document.createElement('label');
+            label.htmlFor = input.id;
+            label.textContent = s.rotulo;
+            const contagem = document.createElement('span');
+            contagem.className = 'status-contagem';
+            contagem.textContent = ` (${s.linhas.toLocaleString('pt-BR')})`;
+            label.appendChild(contagem);
+
+            item.appendChild(input);
+            item.appendChild(label);
+            container.appendChild(item);
+            return input;
+        });
+
+        if (status.length === 0) {
+            const vazio = document.createElement('p');
+            vazio.className = 'checkbox-vazio';
+            vazio.textContent = 'Nenhum status encontrado no campo DESCRICAO';
+            container.appendChild(vazio);
+        }
+
+        this.aplicarStatusLembrados();
+    }
+
+    /**
+     * Marca as opções de status conforme a seleção lembrada
+     */
+    aplicarStatusLembrados() {
+        const { statusOptions, statusSelectAll } = this.elements;
+        statusOptions.forEach(opt => {
+            opt.checked = this.statusLembrados === null || this.statusLembrados.includes(opt.value);
+        });
+        statusSelectAll.checked = statusOptions.every(opt => opt.checked);
+    }
+
     /**
      * Inicializa o seletor de datas
      */
@@ -315,22 +761,12 @@ class FrequencyController {
             minDate: intervalo.min,
             maxDate: intervalo.max,
             onChange: (selectedDates) => {
+                this.previewView.hide();
                 if (selectedDates.length === 2) {
-                    // Garantir que as duas datas pertençam ao mesmo mês e ano
+                    // Períodos podem abranger vários meses (trimestre, semestre, contrato inteiro)
                     const d1 = selectedDates[0];
                     const d2 = selectedDates[1];
 
-                    if (d1.getMonth() !== d2.getMonth() || d1.getFullYear() !== d2.getFullYear()) {
-                        // Mensagem não bloqueante e limpar seleção
-                        this.showTimedAlert('Por favor selecione um período dentro do mesmo mês (ex: 01/08/2025 a 31/08/2025).', 5000);
-                        // limpar seleção no flatpickr e no input
-                        try { this.flatpickrInstance.clear(); } catch (e) {}
-                        this.elements.dataRangeInput.value = '';
-                        this.dateRange = null;
-                        this.elements.btnProcessar.disabled = true;
-                        return;
-                    }
-
                     this.dateRange = {
                         inicio: this.model.formatDate(d1),
                         fim: this.model.formatDate(d2)
@@ -340,10 +776,36 @@ class FrequencyController {
                     this.dateRange = null;
                     this.elements.btnProcessar.disabled = true;
                 }
+                this.salvarSelecao();
             }
         });
 
         this.elements.dataRangeInput.disabled = false;
+        this.elements.periodoAtalhos.forEach(btn => { btn.disabled = false; });
+    }
+
+    /**
+     * Configura os atalhos de período (último mês, trimestre, semestre, todo o período)
+     * Os atalhos são calculados a partir da última data disponível no arquivo.
+     */
+    setupPeriodoAtalhos() {
+        this.elements.periodoAtalhos.forEach(btn => {
+            btn.addEventListener('click', () => {
+                if (!this.flatpickrInstance) return;
+                const intervalo = this.model.getIntervaloDataset();
+                if (!intervalo.min || !intervalo.max) return;
+
+                const meses = btn.dataset.meses;
+                let inicio = intervalo.min;
+                if (meses !== 'todos') {
+                    // Primeiro dia do mês N-1 meses antes do último mês com dados
+                    const n = parseInt(meses, 10);
+                    inicio = new Date(intervalo.max.getFullYear(), intervalo.max.getMonth() - (n - 1), 1);
+                    if (inicio < intervalo.min) inicio = intervalo.min;
+                }
+                this.flatpickrInstance.setDate([inicio, intervalo.max], true);
+            });
+        });
     }
 
     /**
@@ -356,6 +818,7 @@ class FrequencyController {
         }
         this.elements.dataRangeInput.disabled = true;
         this.elements.dataRangeInput.value = '';
+        this.elements.periodoAtalhos.forEach(btn => { btn.disabled = true; });
         this.dateRange = null;
     }
 
@@ -382,9 +845,6 @@ class FrequencyController {
         this.showStatus('Processando dados...');
 
         try {
-            // Simular delay para UX
-            await new Promise(resolve => setTimeout(resolve, 500));
-
             // Filtrar dados
             const filtros = {
                 cnpj: this.selectedEmpresa.cnpj,
@@ -404,23 +864,72 @@ class FrequencyController {
 
             // Gerar relatório
             this.showStatus('Gerando relatório...');
-            await new Promise(resolve => setTimeout(resolve, 500));
 
-            const resultado = this.model.gerarRelatorio(dadosFiltrados);
+            const resultado = this.model.gerarRelatorio(dadosFiltrados, this.profiles.getAtivo(), this.justificativas, {
+                cursos: this.cursos,
+                calendario: this.calendario,
+                periodo: { inicio: this.dateRange.inicio, fim: this.dateRange.fim }
+            });
+            // Contexto da seleção que gerou o relatório (títulos, abas e nome do arquivo)
+            resultado.contexto = {
+                programa: this.model.getProgramaAtivo(),
+                empresa: { cnpj: this.selectedEmpresa.cnpj, nome: this.selectedEmpresa.nome },
+                turma: filtros.turma,
+                todasTurmas: this.selectedTurma === this.ALL_TURMAS,
+                dataInicio: this.dateRange.inicio,
+                dataFim: this.dateRange.fim
+            };
 
-            // Exportar para CSV
-            this.showStatus('Exportando arquivo...');
-            await new Promise(resolve => setTimeout(resolve, 500));
+            this.hideStatus();
 
-            this.exportarCSV(resultado.relatorio);
+            // Exibir pré-visualização; a exportação é feita pelo botão "Exportar"
+            this.previewView.render(resultado);
 
+        } catch (error) {
             this.hideStatus();
+            alert('Erro ao processar dados: ' + error.message);
+            console.error(error);
+        }
+    }
+
+    /**
+     * Exclui um dia a verificar da turma e gera o relatório novamente
+     * @param {string} turma
+     * @param {string} data - DD/MM/YYYY
+     * @param {string} motivo - Motivo apontado na pré-visualização
+     */
+    excluirDiaTurma(turma, data, motivo) {
+        if (this.scheduleController.excluirDia(turma, data, motivo)) {
+            this.processarDados();
+        }
+    }
+
+    /**
+     * Exporta o relatório exibido na pré-visualização
+     * @param {Object} resultado - Retorno de DataModel.gerarRelatorio()
+     * @param {string} [formato] - xlsx | ods | csv | json | html
+     */
+    exportarRelatorio(resultado, formato = 'xlsx') {
+        try {
+            this.exportarArquivo(resultado, formato);
             // Mostrar mensagem não bloqueante que fecha automaticamente após 5 segundos
-            this.showTimedAlert(`Relatório gerado com sucesso!\n\nTotal de alunos: ${resultado.totalAlunos}\nTotal de registros: ${resultado.totalRegistros}`, 5000);
+            this.showTimedAlert(`Relatório exportado com sucesso!\n\nTotal de alunos: ${resultado.totalAlunos}\nTotal de registros: ${resultado.totalRegistros}`, 5000);
+        } catch (error) {
+            alert('Erro ao exportar relatório: ' + error.message);
+            console.error(error);
+        }
+    }
 
+    /**
+     * Abre a impressão da declaração de frequência do relatório exibido ("Salvar como PDF")
+     * @param {Object} resultado - Retorno de DataModel.gerarRelatorio()
+     * @param {string} [quebra] - 'empresa' | 'turma' (uma página por turma com "Todas as turmas")
+     */
+    imprimirRelatorio(resultado, quebra = 'empresa') {
+        try {
+            this.printView.imprimir([resultado], quebra);
         } catch (error) {
-            this.hideStatus();
-            alert('Erro ao processar dados: ' + error.message);
+            alert('Erro ao imprimir relatório: ' + error.message);
             console.error(error);
         }
     }
@@ -433,178 +942,25 @@ class FrequencyController {
         const list = this.elements.statusOptions
             .filter(opt => opt.checked)
             .map(opt => opt.value);
-        return list; // pode ser [], o Model tratará como conjunto vazio (sem resultados)
+        // Status lembrados que não aparecem no arquivo atual continuam na seleção
+        const ausentes = (this.statusLembrados || []).filter(valor =>
+            !this.elements.statusOptions.some(opt => opt.value === valor)
+        );
+        return list.concat(ausentes); // pode ser [], o Model tratará como conjunto vazio (sem resultados)
     }
 
     /**
-     * Exporta dados para arquivo Excel (.xlsx)
+     * Exporta o relatório no formato escolhido, no modelo de relatório ativo
+     * Com "Todas as turmas", o Excel/ODS traz uma aba de resumo e uma aba por turma;
+     * o JSON e o HTML trazem o resumo por turma junto da tabela de alunos
+     * @param {Object} resultado - Retorno de DataModel.gerarRelatorio() (relatório, perfil, meses e contexto)
+     * @param {string} [formato] - xlsx | ods | csv | json | html
      */
-    exportarCSV(dados) {
-        // Utilitário: converte índice de coluna (1-based) para letra Excel
-        const colToLetter = (colNum) => {
-            let letter = '';
-            while (colNum > 0) {
-                const mod = (colNum - 1) % 26;
-                letter = String.fromCharCode(65 + mod) + letter;
-                colNum = Math.floor((colNum - mod) / 26);
-            }
-            return letter;
-        };
-
-        // Preparar dados para export com a nova estrutura
-        const excelData = dados.map(aluno => ({
-            'TURMA': aluno.TURMA,
-            'ALUNO': aluno.ALUNO,
-            'STATUS': aluno.STATUS,
-            'EMPRESA': aluno.EMPRESA,
-            'CURSO': aluno.CURSO,
-            'FALTAS JUSTIFICADAS (DIAS)': aluno.FALTAS_JUSTIFICADAS_DIAS,
-            'Nº FALTAS JUSTIFICADAS': aluno.NUM_FALTAS_JUSTIFICADAS,
-            'FALTAS NÃO JUSTIFICADAS (DIAS)': aluno.FALTAS_NAO_JUSTIFICADAS_DIAS,
-            'Nº FALTAS NÃO JUSTIFICADAS': aluno.NUM_FALTAS_NAO_JUSTIFICADAS,
-            'ATRASOS (DIAS)': aluno.ATRASOS_DIAS,
-            'Nº HORAS DE ATRASO': aluno.NUM_HORAS_ATRASO,
-            'TOTAL HORAS DE AUSÊNCIA NO CURSO': aluno.TOTAL_HORAS_AUSENCIA
-        }));
-
-        const headers = excelData.length > 0 ? Object.keys(excelData[0]) : [];
-        const lastColLetter = colToLetter(headers.length || 12);
-
-        // Criar workbook e worksheet em branco
-        const wb = XLSX.utils.book_new();
-        const ws = XLSX.utils.aoa_to_sheet([]);
-
-        // Títulos (linhas 1 a 3)
-        const titulo1 = 'SENAI - MARACANÃ';
-        const titulo2 = 'PROGRAMA DE APRENDIZAGEM INDUSTRIAL';
-        // Extrair MÊS/ANO do período selecionado
-        let mesAno = '';
-        if (this.dateRange && this.dateRange.inicio) {
-            const parts = (this.dateRange.inicio || '').split('/'); // DD/MM/YYYY
-            if (parts.length === 3) mesAno = `${parts[1]}/${parts[2]}`;
-        } else {
-            // Fallback: tentar pegar do intervalo do dataset
-            const datas = this.model.getDatasDisponiveis();
-            if (datas && datas.length > 0) {
-                const p = (datas[0] || '').split('/');
-                if (p.length === 3) mesAno = `${p[1]}/${p[2]}`;
-            }
-        }
-        const titulo3 = `Relatório de Frequência - Aprendizes - ${mesAno}`;
-
-        // Escrever títulos
-        XLSX.utils.sheet_add_aoa(ws, [[titulo1]], { origin: 'A1' });
-        XLSX.utils.sheet_add_aoa(ws, [[titulo2]], { origin: 'A2' });
-        XLSX.utils.sheet_add_aoa(ws, [[titulo3]], { origin: 'A3' });
-
-        // Adicionar dados a partir da linha 5 (linha 5 = header)
-        XLSX.utils.sheet_add_json(ws, excelData, { origin: 'A5', skipHeader: false });
-
-        // Ajustar largura das colunas (balanceadas para caber os títulos sem excesso de espaço)
-        ws['!cols'] = [
-            { wch: 18 },  // TURMA
-            { wch: 38 },  // ALUNO
-            { wch: 14 },  // STATUS
-            { wch: 36 },  // EMPRESA
-            { wch: 32 },  // CURSO
-            { wch: 26 },  // FALTAS JUSTIFICADAS (DIAS)
-            { wch: 20 },  // Nº FALTAS JUSTIFICADAS
-            { wch: 28 },  // FALTAS NÃO JUSTIFICADAS (DIAS)
-            { wch: 24 },  // Nº FALTAS NÃO JUSTIFICADAS
-            { wch: 18 },  // ATRASOS (DIAS)
-            { wch: 18 },  // Nº HORAS DE ATRASO
-            { wch: 34 }   // TOTAL HORAS DE AUSÊNCIA NO CURSO
-        ];
-
-        // Mesclar células para os títulos (A1:last, A2:last, A3:last)
-        ws['!merges'] = [
-            { s: { r: 0, c: 0 }, e: { r: 0, c: headers.length - 1 } },
-            { s: { r: 1, c: 0 }, e: { r: 1, c: headers.length - 1 } },
-            { s: { r: 2, c: 0 }, e: { r: 2, c: headers.length - 1 } }
-        ];
-
-        // Estilos (requer xlsx-js-style na página)
-    const centerBold = { alignment: { horizontal: 'center' }, font: { bold: true, sz: 12 } };
-    const centerBoldBig = { alignment: { horizontal: 'center' }, font: { bold: true, sz: 14 } };
-        const headerFill = { fill: { patternType: 'solid', fgColor: { rgb: 'FFE6F2FF' } }, font: { bold: true } };
-        const altFill = { fill: { patternType: 'solid', fgColor: { rgb: 'FFF5FAFF' } } };
-    const whiteFill = { fill: { patternType: 'solid', fgColor: { rgb: 'FFFFFFFF' } } };
-
-        // Aplicar estilos títulos
-        ['A1', 'A2', 'A3'].forEach((addr, idx) => {
-            if (!ws[addr]) return;
-            ws[addr].s = Object.assign({}, idx === 0 ? centerBoldBig : centerBold, whiteFill);
-        });
-
-        // Estilizar header (linha 5)
-        for (let c = 1; c <= headers.length; c++) {
-            const cell = `${colToLetter(c)}5`;
-            if (ws[cell]) {
-                ws[cell].s = Object.assign({ alignment: { horizontal: 'center', vertical: 'center' } }, headerFill);
-            }
-        }
-
-        // Listras alternadas nas linhas de dados (a partir da linha 6)
-        const firstDataRow = 6;
-        const lastDataRow = 5 + excelData.length;
-        for (let r = firstDataRow; r <= lastDataRow; r++) {
-            const isAlt = (r - firstDataRow) % 2 === 0;
-            for (let c = 1; c <= headers.length; c++) {
-                const addr = `${colToLetter(c)}${r}`;
-                if (ws[addr]) {
-                    ws[addr].s = Object.assign({}, ws[addr].s || {}, isAlt ? altFill : whiteFill);
-                }
-            }
-        }
-
-        // Aplicar bordas finas em toda a tabela (header + dados)
-        const thinBorder = {
-            border: {
-                top: { style: 'thin', color: { rgb: 'FFB3B3B3' } },
-                bottom: { style: 'thin', color: { rgb: 'FFB3B3B3' } },
-                left: { style: 'thin', color: { rgb: 'FFB3B3B3' } },
-                right: { style: 'thin', color: { rgb: 'FFB3B3B3' } }
-            }
-        };
-        for (let r = 5; r <= lastDataRow; r++) {
-            for (let c = 1; c <= headers.length; c++) {
-                const addr = `${colToLetter(c)}${r}`;
-                if (ws[addr]) {
-                    ws[addr].s = Object.assign({}, ws[addr].s || {}, thinBorder);
-                }
-            }
-        }
-
-        // Desabilitar gridlines (exibição e impressão)
-        ws['!gridlines'] = false; // alguns apps respeitam esta flag
-        ws['!sheetViews'] = [{ showGridLines: false }]; // tentativa adicional para compatibilidade
-        ws['!printOptions'] = Object.assign({}, ws['!printOptions'] || {}, { gridLines: false });
-
-        // Aplicar preenchimento branco em área estendida para ocultar gridlines também fora da tabela
-        const extendToCol = 13; // até coluna M
-        const extendToRow = Math.max(lastDataRow + 10, 30); // pelo menos 10 linhas após dados
-        for (let r = 1; r <= extendToRow; r++) {
-            for (let c = 1; c <= extendToCol; c++) {
-                const addr = `${colToLetter(c)}${r}`;
-                if (!ws[addr]) {
-                    ws[addr] = { t: 's', v: '' }; // célula vazia com string
-                }
-                if (!ws[addr].s) {
-                    ws[addr].s = {};
-                }
-                // Se não tem fill definido, aplicar branco
-                if (!ws[addr].s.fill) {
-                    ws[addr].s.fill = { patternType: 'solid', fgColor: { rgb: 'FFFFFFFF' } };
-                }
-            }
-        }
-
-        // Adicionar worksheet ao workbook
-        XLSX.utils.book_append_sheet(wb, ws, 'Relatório de Frequência');        // Gerar nome do arquivo
-        const filename = `relatorio_frequencia_${this.selectedEmpresa.nome.replace(/[^a-z0-9]/gi, '_')}_${Date.now()}.xlsx`;
-
-        // Fazer download do arquivo Excel
-        XLSX.writeFile(wb, filename);
+    exportarArquivo(resultado, formato = 'xlsx') {
+        const resumo = resultado.contexto && resultado.contexto.todasTurmas
+            ? this.model.resumirPorTurma(resultado.relatorio)
+            : null;
+        this.exportView.exportar(resultado, resumo, formato);
     }
 
     /**
@@ -747,17 +1103,31 @@ class FrequencyController {
      * Reseta o formulário
      */
     resetForm() {
+        this.resetSelecao();
+        this.elements.empresaInput.disabled = true;
+        this.elements.btnRevisarMapeamento.hidden = true;
+        this.hideFileProgress();
+        this.qualityView.hide();
+        this.originView.hide();
+        this.batchController.desabilitar();
+        this.studentController.desabilitar();
+        
+        this.model.clear();
+    }
+
+    /**
+     * Limpa empresa, turma e período selecionados (mantém o arquivo carregado)
+     */
+    resetSelecao() {
         this.selectedEmpresa = null;
         this.selectedTurma = null;
         this.dateRange = null;
 
         this.elements.empresaInput.value = '';
-        this.elements.empresaInput.disabled = true;
         this.elements.turmaSelect.innerHTML = '<option value="">Selecione uma empresa primeiro</option>';
         this.elements.turmaSelect.disabled = true;
         this.destroyDatePicker();
         this.elements.btnProcessar.disabled = true;
-        
-        this.model.clear();
+        this.previewView.hide();
     }
 }
@@ -0,0 +1,263 @@
+/**
+ * JustificationController - Controller das justificativas manuais
+ * Responsável por: painel para justificar (ou retirar a justificativa de) a falta
+ * de um RA em uma data, com motivo e referência do anexo, lista das justificativas
+ * cadastradas e importação/exportação em JSON
+ */
+class JustificationController {
+    /**
+     * @param {JustificationModel} justificationModel
+     * @param {DataModel} dataModel - Usado para sugerir RAs e exibir o nome do aluno
+     * @param {Object} options
+     * @param {Function} options.onChange - Chamado quando as justificativas mudam
+     */
+    constructor(justificationModel, dataModel, options = {}) {
+        this.justificativas = justificationModel;
+        this.model = dataModel;
+        this.onChange = options.onChange || (() => {});
+        this.alunos = new Map(); // RA -> nome do aluno no dataset carregado
+
+        // Elementos DOM
+        this.elements = {
+            resumo: document.getElementById('justificativasResumo'),
+            btnGerenciar: document.getElementById('btnGerenciarJustificativas'),
+            modal: document.getElementById('justificativaModal'),
+            btnFechar: document.getElementById('btnFecharJustificativas'),
+            form: document.getElementById('justificativaForm'),
+            ra: document.getElementById('justificativaRA'),
+            alunosLista: document.getElementById('justificativaAlunos'),
+            aluno: document.getElementById('justificativaAluno'),
+            data: document.getElementById('justificativaData'),
+            acao: document.getElementById('justificativaAcao'),
+            motivo: document.getElementById('justificativaMotivo'),
+            anexo: document.getElementById('justificativaAnexo'),
+            btnSalvar: document.getElementById('btnSalvarJustificativa'),
+            tbody: document.querySelector('#justificativaTabela tbody'),
+            importFile: document.getElementById('justificativaImportFile'),
+            btnImportar: document.getElementById('btnImportarJustificativas'),
+            btnExportar: document.getElementById('btnExportarJustificativas')
+        };
+
+        this.init();
+    }
+
+    /**
+     * Inicializa os event listeners
+     */
+    init() {
+        this.atualizarResumo();
+
+        this.elements.btnGerenciar.addEventListener('click', () => this.abrir());
+        this.elements.btnFechar.addEventListener('click', () => this.fechar());
+        this.elements.modal.addEventListener('click', (e) => {
+            if (e.target === this.elements.modal) this.fechar();
+        });
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && !this.elements.modal.hidden) this.fechar();
+        });
+
+        if (typeof flatpickr !== 'undefined') {
+            flatpickr(this.elements.data, { dateFormat: 'd/m/Y', locale: 'pt', allowInput: true });
+        }
+
+        this.elements.ra.addEventListener('input', () => this.exibirAluno());
+
+        this.elements.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.salvar();
+        });
+
+        this.elements.tbody.addEventListener('click', (e) => {
+            const btn = e.target.closest('button[data-acao]');
+            if (!btn) return;
+            if (btn.dataset.acao === 'editar') this.editar(btn.dataset.ra, btn.dataset.data);
+            if (btn.dataset.acao === 'excluir') this.excluir(btn.dataset.ra, btn.dataset.data);
+        });
+
+        this.elements.btnExportar.addEventListener('click', () => {
+            FileHelper.baixar(this.justificativas.exportarJSON(), 'justificativas_manuais.json', 'application/json');
+        });
+
+        this.elements.btnImportar.addEventListener('click', () => this.elements.importFile.click());
+        this.elements.importFile.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (!file) return;
+            try {
+                const importados = this.justificativas.importarJSON(await FileHelper.lerTexto(file));
+                this.atualizar();
+                alert(`${importados.length} justificativa(s) importada(s).`);
+            } catch (error) {
+                alert('Erro ao importar justificativas: ' + error.message);
+            }
+        });
+    }
+
+    /**
+     * Abre o painel (RAs do dataset carregado ficam disponíveis como sugestão)
+     */
+    abrir() {
+        this.alunos.clear();
+        this.model.rawData.forEach(row => {
+            const ra = String(row.RA || '').trim();
+            if (ra && !this.alunos.has(ra)) this.alunos.set(ra, row.ALUNO || '');
+        });
+
+        const lista = this.elements.alunosLista;
+        lista.innerHTML = '';
+        this.alunos.forEach((nome, ra) => {
+            const option = document.createElement('option');
+            option.value = ra;
+            option.label = nome;
+            lista.appendChild(option);
+        });
+
+        this.renderTabela();
+        this.elements.modal.hidden = false;
+        this.elements.ra.focus();
+    }
+
+    /**
+     * Fecha o painel
+     */
+    fechar() {
+        this.elements.modal.hidden = true;
+    }
+
+    /**
+     * Exibe o nome do aluno do RA digitado (quando está no dataset carregado)
+     */
+    exibirAluno() {
+        const ra = this.elements.ra.value.trim();
+        const nome = this.alunos.get(ra);
+        this.elements.aluno.textContent = ra && this.alunos.size > 0
+            ? (nome !== undefined ? nome : 'RA não encontrado no arquivo carregado')
+            : '';
+    }
+
+    /**
+     * Atualiza o resumo do formulário principal
+     */
+    atualizarResumo() {
+        const total = this.justificativas.ajustes.size;
+        this.elements.resumo.textContent = total === 0
+            ? 'Nenhuma justificativa manual'
+            : `${total} justificativa(s) manual(is) cadastrada(s)`;
+    }
+
+    /**
+     * Lista as justificativas cadastradas
+     */
+    renderTabela() {
+        const tbody = this.elements.tbody;
+        tbody.innerHTML = '';
+
+        const ajustes = this.justificativas.getAjustes();
+        if (ajustes.length === 0) {
+            const tr = document.createElement('tr');
+            const td = document.createElement('td');
+            td.colSpan = 7;
+            td.className = 'empty';
+            td.textContent = 'Nenhuma justificativa manual cadastrada.';
+            tr.appendChild(td);
+            tbody.appendChild(tr);
+            return;
+        }
+
+        ajustes.forEach(ajuste => {
+            const tr = document.createElement('tr');
+            [
+                ajuste.ra,
+                this.alunos.get(ajuste.ra) || '',
+                ajuste.data,
+                ajuste.justificada ? 'Justificada' : 'Justificativa retirada',
+                ajuste.motivo,
+                ajuste.anexo
+            ].forEach(valor => {
+                const td = document.createElement('td');
+                td.textContent = valor;
+                tr.appendChild(td);
+            });
+
+            const tdAcoes = document.createElement('td');
+            tdAcoes.className = 'justificativa-acoes';
+            [['editar', 'Editar'], ['excluir', 'Excluir']].forEach(([acao, rotulo]) => {
+                const btn = document.createElement('button');
+                btn.type = 'button';
+                btn.className = 'btn btn-secondary btn-inline';
+                btn.dataset.acao = acao;
+                btn.dataset.ra = ajuste.ra;
+                btn.dataset.data = ajuste.data;
+                btn.textContent = rotulo;
+                tdAcoes.appendChild(btn);
+            });
+            tr.appendChild(tdAcoes);
+
+            tbody.appendChild(tr);
+        });
+    }
+
+    /**
+     * Carrega uma justificativa no formulário
+     * @param {string} ra
+     * @param {string} data
+     */
+    editar(ra, data) {
+        const ajuste = this.justificativas.getAjuste(ra, data);
+        if (!ajuste) return;
+        this.elements.ra.value = ajuste.ra;
+        this.elements.data.value = ajuste.data;
+        if (this.elements.data._flatpickr) this.elements.data._flatpickr.setDate(ajuste.data, false, 'd/m/Y');
+        this.elements.acao.value = ajuste.justificada ? 'justificar' : 'retirar';
+        this.elements.motivo.value = ajuste.motivo;
+        this.elements.anexo.value = ajuste.anexo;
+        this.exibirAluno();
+        this.elements.motivo.focus();
+    }
+
+    /**
+     * Salva a justificativa do formulário (substitui a existente no mesmo RA e data)
+     */
+    salvar() {
+        try {
+            this.justificativas.salvarAjuste({
+                ra: this.elements.ra.value,
+                data: this.elements.data.value,
+                justificada: this.elements.acao.value === 'justificar',
+                motivo: this.elements.motivo.value,
+                anexo: this.elements.anexo.value
+            });
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
+
+        this.elements.form.reset();
+        if (this.elements.data._flatpickr) this.elements.data._flatpickr.clear();
+        this.exibirAluno();
+        this.atualizar();
+        this.elements.btnSalvar.textContent = 'Salvo ✓';
+        setTimeout(() => { this.elements.btnSalvar.textContent = 'Salvar justificativa'; }, 1500);
+        this.elements.ra.focus();
+    }
+
+    /**
+     * Exclui uma justificativa (volta a valer o campo JUSTIFICADA do arquivo)
+     * @param {string} ra
+     * @param {string} data
+     */
+    excluir(ra, data) {
+        if (!confirm(`Excluir a justificativa manual do RA ${ra} em ${data}?`)) return;
+        this.justificativas.excluirAjuste(ra, data);
+        this.atualizar();
+    }
+
+    /**
+     * Atualiza lista e resumo e avisa que os relatórios exibidos deixaram de valer
+     */
+    atualizar() {
+        this.renderTabela();
+        this.atualizarResumo();
+        this.onChange();
+    }
+}
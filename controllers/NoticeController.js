@@ -0,0 +1,332 @@
+/**
+ * NoticeController - Controller das notificações de faltas
+ * Responsável por: seleção dos alunos do relatório exibido (pré-selecionados os acima do
+ * limite de ausência), escolha e edição dos modelos de carta (duplicar, excluir,
+ * importar/exportar JSON) e geração das cartas (impressão, HTML ou DOCX)
+ */
+class NoticeController {
+    /**
+     * @param {NoticeTemplateModel} noticeModel
+     * @param {NoticeView} noticeView
+     */
+    constructor(noticeModel, noticeView) {
+        this.modelos = noticeModel;
+        this.view = noticeView;
+        this.resultado = null;
+        this.limite = null;
+        this.alunos = []; // Linhas do relatório em exibição no painel
+        this.selecionados = new Set(); // Índices em this.alunos
+        this.gerando = false;
+
+        // Elementos DOM
+        this.elements = {
+            modal: document.getElementById('notificacaoModal'),
+            btnFechar: document.getElementById('btnFecharNotificacoes'),
+            resumo: document.getElementById('notificacaoResumo'),
+            todos: document.getElementById('notificacaoTodos'),
+            alunosBody: document.querySelector('#notificacaoAlunos tbody'),
+            modeloSelect: document.getElementById('notificacaoModelo'),
+            viaEmpresa: document.getElementById('notificacaoViaEmpresa'),
+            btnDuplicar: document.getElementById('btnDuplicarCarta'),
+            btnExcluir: document.getElementById('btnExcluirCarta'),
+            somenteLeitura: document.getElementById('cartaSomenteLeitura'),
+            form: document.getElementById('cartaForm'),
+            nome: document.getElementById('cartaNome'),
+            titulo: document.getElementById('cartaTitulo'),
+            texto: document.getElementById('cartaTexto'),
+            campos: document.getElementById('cartaCampos'),
+            assinatura: document.getElementById('cartaAssinatura'),
+            btnSalvar: document.getElementById('btnSalvarCarta'),
+            importFile: document.getElementById('cartaImportFile'),
+            btnImportar: document.getElementById('btnImportarCartas'),
+            btnExportar: document.getElementById('btnExportarCartas'),
+            btnImprimir: document.getElementById('btnImprimirNotificacoes'),
+            btnHTML: document.getElementById('btnBaixarNotificacoesHTML'),
+            btnDOCX: document.getElementById('btnBaixarNotificacoesDOCX')
+        };
+
+        this.init();
+    }
+
+    /**
+     * Inicializa os event listeners
+     */
+    init() {
+        this.renderModeloSelect();
+        this.editar(this.modelos.getAtivo().id);
+
+        // Campos aceitos no título e no texto
+        this.elements.campos.textContent = 'Campos: ' + Object.entries(NoticeTemplateModel.camposCarta())
+            .map(([campo, descricao]) => `{${campo}} ${descricao}`)
+            .join(' · ');
+
+        this.elements.btnFechar.addEventListener('click', () => this.fechar());
+        this.elements.modal.addEventListener('click', (e) => {
+            if (e.target === this.elements.modal) this.fechar();
+        });
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && !this.elements.modal.hidden) this.fechar();
+        });
+
+        // Seleção dos alunos
+        this.elements.todos.addEventListener('change', (e) => {
+            this.selecionados = e.target.checked ? new Set(this.alunos.map((aluno, idx) => idx)) : new Set();
+            this.renderAlunos();
+        });
+        this.elements.alunosBody.addEventListener('change', (e) => {
+            if (!e.target.dataset.indice) return;
+            const indice = Number(e.target.dataset.indice);
+            if (e.target.checked) this.selecionados.add(indice);
+            else this.selecionados.delete(indice);
+            this.atualizarResumo();
+        });
+
+        // Modelo de carta (o selecionado é o que se edita)
+        this.elements.modeloSelect.addEventListener('change', (e) => {
+            this.modelos.setAtivo(e.target.value);
+            this.editar(e.target.value);
+        });
+
+        this.elements.btnDuplicar.addEventListener('click', () => {
+            const novo = this.modelos.duplicar(this.modelos.ativoId);
+            this.modelos.setAtivo(novo.id);
+            this.renderModeloSelect();
+            this.editar(novo.id);
+            this.elements.nome.focus();
+            this.elements.nome.select();
+        });
+
+        this.elements.btnExcluir.addEventListener('click', () => {
+            const modelo = this.modelos.getAtivo();
+            if (!this.modelos.isEditavel(modelo.id)) return;
+            if (!confirm(`Excluir o modelo "${modelo.nome}"?`)) return;
+
+            this.modelos.excluir(modelo.id);
+            this.renderModeloSelect();
+            this.editar(this.modelos.ativoId);
+        });
+
+        this.elements.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.salvar();
+        });
+
+        this.elements.btnExportar.addEventListener('click', () => {
+            FileHelper.baixar(
+                this.modelos.exportarJSON([this.modelos.ativoId]),
+                `modelo_notificacao_${FileHelper.nomeSeguro(this.modelos.ativoId)}.json`,
+                'application/json'
+            );
+        });
+
+        this.elements.btnImportar.addEventListener('click', () => this.elements.importFile.click());
+        this.elements.importFile.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (!file) return;
+            try {
+                const importados = this.modelos.importarJSON(await FileHelper.lerTexto(file));
+                if (importados.length > 0) this.modelos.setAtivo(importados[0].id);
+                this.renderModeloSelect();
+                this.editar(this.modelos.ativoId);
+                alert(`${importados.length} modelo(s) importado(s).`);
+            } catch (error) {
+                alert('Erro ao importar modelos: ' + error.message);
+            }
+        });
+
+        // Geração das cartas
+        this.elements.btnImprimir.addEventListener('click', () => this.imprimir());
+        this.elements.btnHTML.addEventListener('click', () => this.baixar('html'));
+        this.elements.btnDOCX.addEventListener('click', () => this.baixar('docx'));
+    }
+
+    /**
+     * Abre o painel com os alunos de um relatório
+     * Alunos acima do limite de horas de ausência vêm selecionados e no topo da lista.
+     * @param {Object} resultado - Retorno de DataModel.gerarRelatorio() com contexto
+     * @param {number|null} limite - Limite de horas de ausência (destaque da pré-visualização)
+     */
+    abrir(resultado, limite) {
+        this.resultado = resultado;
+        this.limite = limite;
+        this.alunos = resultado.relatorio.slice().sort((a, b) =>
+            (Number(b.TOTAL_HORAS_AUSENCIA) || 0) - (Number(a.TOTAL_HORAS_AUSENCIA) || 0) ||
+            a.ALUNO.localeCompare(b.ALUNO)
+        );
+        this.selecionados = new Set();
+        if (limite !== null) {
+            this.alunos.forEach((aluno, idx) => {
+                if ((Number(aluno.TOTAL_HORAS_AUSENCIA) || 0) > limite) this.selecionados.add(idx);
+            });
+        }
+
+        this.renderAlunos();
+        this.elements.modal.hidden = false;
+    }
+
+    /**
+     * Fecha o painel
+     */
+    fechar() {
+        this.elements.modal.hidden = true;
+    }
+
+    /**
+     * Lista os alunos com a caixa de seleção
+     */
+    renderAlunos() {
+        const tbody = this.elements.alunosBody;
+        tbody.innerHTML = '';
+
+        this.alunos.forEach((aluno, idx) => {
+            const tr = document.createElement('tr');
+            if (this.limite !== null && (Number(aluno.TOTAL_HORAS_AUSENCIA) || 0) > this.limite) {
+                tr.classList.add('row-alert');
+            }
+
+            const tdCheck = document.createElement('td');
+            const check = document.createElement('input');
+            check.type = 'checkbox';
+            check.dataset.indice = idx;
+            check.checked = this.selecionados.has(idx);
+            check.setAttribute('aria-label', `Notificar ${aluno.ALUNO}`);
+            tdCheck.appendChild(check);
+            tr.appendChild(tdCheck);
+
+            [aluno.ALUNO, aluno.RA, aluno.TURMA, aluno.NUM_FALTAS_NAO_JUSTIFICADAS, aluno.TOTAL_HORAS_AUSENCIA, aluno.SITUACAO]
+                .forEach((valor, col) => {
+                    const td = document.createElement('td');
+                    td.textContent = valor ?? '';
+                    if (col >= 3 && col <= 4) td.classList.add('num');
+                    tr.appendChild(td);
+                });
+
+            tbody.appendChild(tr);
+        });
+
+        this.atualizarResumo();
+    }
+
+    /**
+     * Atualiza o resumo da seleção e habilita os botões de geração
+     */
+    atualizarResumo() {
+        const total = this.alunos.length;
+        const selecionados = this.selecionados.size;
+        const acima = this.limite !== null
+            ? this.alunos.filter(aluno => (Number(aluno.TOTAL_HORAS_AUSENCIA) || 0) > this.limite).length
+            : null;
+
+        this.elements.resumo.textContent = `${total} aluno(s) no relatório` +
+            (acima !== null ? ` · ${acima} acima de ${this.limite}h de ausência` : '') +
+            ` · ${selecionados} selecionado(s)`;
+        this.elements.todos.checked = total > 0 && selecionados === total;
+        this.elements.todos.indeterminate = selecionados > 0 && selecionados < total;
+        [this.elements.btnImprimir, this.elements.btnHTML, this.elements.btnDOCX].forEach(btn => {
+            btn.disabled = selecionados === 0 || this.gerando;
+        });
+    }
+
+    /**
+     * Alunos selecionados, na ordem da lista
+     * @returns {Array<Object>}
+     */
+    getSelecionados() {
+        return this.alunos.filter((aluno, idx) => this.selecionados.has(idx));
+    }
+
+    /**
+     * Preenche o select com os modelos de carta disponíveis
+     */
+    renderModeloSelect() {
+        const select = this.elements.modeloSelect;
+        select.innerHTML = '';
+        this.modelos.getTodos().forEach(modelo => {
+            const option = document.createElement('option');
+            option.value = modelo.id;
+            option.textContent = modelo.nome;
+            select.appendChild(option);
+        });
+        select.value = this.modelos.getAtivo().id;
+    }
+
+    /**
+     * Carrega um modelo no formulário de edição
+     * @param {string} id
+     */
+    editar(id) {
+        const modelo = this.modelos.getItem(id) || this.modelos.getAtivo();
+        this.elements.nome.value = modelo.nome;
+        this.elements.titulo.value = modelo.titulo;
+        this.elements.texto.value = modelo.texto;
+        this.elements.assinatura.value = modelo.assinatura;
+
+        // Modelo padrão é somente leitura
+        const editavel = this.modelos.isEditavel(modelo.id);
+        Array.from(this.elements.form.elements).forEach(el => { el.disabled = !editavel; });
+        this.elements.btnExcluir.disabled = !editavel;
+        this.elements.somenteLeitura.style.display = editavel ? 'none' : 'block';
+    }
+
+    /**
+     * Salva o modelo em edição
+     */
+    salvar() {
+        try {
+            const modelo = this.modelos.salvar({
+                id: this.modelos.ativoId,
+                nome: this.elements.nome.value,
+                titulo: this.elements.titulo.value,
+                texto: this.elements.texto.value,
+                assinatura: this.elements.assinatura.value
+            });
+            this.renderModeloSelect();
+            this.editar(modelo.id);
+            this.elements.btnSalvar.textContent = 'Salvo ✓';
+            setTimeout(() => { this.elements.btnSalvar.textContent = 'Salvar modelo'; }, 1500);
+        } catch (error) {
+            alert(error.message);
+        }
+    }
+
+    /**
+     * Abre a impressão das cartas dos alunos selecionados
+     */
+    imprimir() {
+        const alunos = this.getSelecionados();
+        if (!this.resultado || alunos.length === 0) return;
+        try {
+            this.view.imprimir(this.modelos.getAtivo(), alunos, this.resultado, this.elements.viaEmpresa.checked);
+        } catch (error) {
+            alert('Erro ao gerar as notificações: ' + error.message);
+            console.error(error);
+        }
+    }
+
+    /**
+     * Baixa as cartas dos alunos selecionados (um arquivo por aluno)
+     * @param {string} formato - html | docx
+     */
+    async baixar(formato) {
+        const alunos = this.getSelecionados();
+        if (!this.resultado || alunos.length === 0 || this.gerando) return;
+
+        if ((formato === 'docx' || alunos.length > 1) && typeof JSZip === 'undefined') {
+            alert('Erro: biblioteca JSZip não foi carregada. Verifique a conexão e recarregue a página.');
+            return;
+        }
+
+        this.gerando = true;
+        this.atualizarResumo();
+        try {
+            await this.view.baixar(this.modelos.getAtivo(), alunos, this.resultado, this.elements.viaEmpresa.checked, formato);
+        } catch (error) {
+            alert('Erro ao gerar as notificações: ' + error.message);
+            console.error(error);
+        } finally {
+            this.gerando = false;
+            this.atualizarResumo();
+        }
+    }
+}
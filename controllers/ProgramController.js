@@ -0,0 +1,237 @@
+/**
+ * ProgramController - Controller dos programas (grupos de turmas)
+ * Responsável por: seleção do programa ativo no formulário e painel de cadastro
+ * das regras de turma (prefixos ou expressão regular) e do título de cada programa
+ */
+class ProgramController {
+    /**
+     * @param {ProgramModel} programModel
+     * @param {DataModel} dataModel - Usado para mostrar quantas turmas do arquivo cada regra identifica
+     * @param {Object} options
+     * @param {Function} options.onSelect - (programa) chamado quando o programa ativo muda
+     * @param {Function} options.onChange - Chamado quando as regras dos programas mudam
+     */
+    constructor(programModel, dataModel, options = {}) {
+        this.programas = programModel;
+        this.model = dataModel;
+        this.onSelect = options.onSelect || (() => {});
+        this.onChange = options.onChange || (() => {});
+        this.editandoId = null; // Programa carregado no formulário (null = novo)
+
+        // Elementos DOM
+        this.elements = {
+            select: document.getElementById('programa'),
+            btnConfigurar: document.getElementById('btnConfigurarProgramas'),
+            modal: document.getElementById('programaModal'),
+            btnFechar: document.getElementById('btnFecharProgramas'),
+            form: document.getElementById('programaForm'),
+            nome: document.getElementById('programaNome'),
+            tipo: document.getElementById('programaTipo'),
+            padrao: document.getElementById('programaPadrao'),
+            titulo: document.getElementById('programaTitulo'),
+            btnSalvar: document.getElementById('btnSalvarPrograma'),
+            btnNovo: document.getElementById('btnNovoPrograma'),
+            tbody: document.querySelector('#programaTabela tbody')
+        };
+
+        this.init();
+    }
+
+    /**
+     * Inicializa os event listeners
+     */
+    init() {
+        this.renderSelect();
+
+        this.elements.select.addEventListener('change', () => {
+            this.programas.setAtivo(this.elements.select.value);
+            this.onSelect(this.programas.getAtivo());
+        });
+
+        this.elements.btnConfigurar.addEventListener('click', () => this.abrir());
+        this.elements.btnFechar.addEventListener('click', () => this.fechar());
+        this.elements.modal.addEventListener('click', (e) => {
+            if (e.target === this.elements.modal) this.fechar();
+        });
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && !this.elements.modal.hidden) this.fechar();
+        });
+
+        this.elements.tipo.addEventListener('change', () => this.atualizarPlaceholder());
+
+        this.elements.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.salvar();
+        });
+        this.elements.btnNovo.addEventListener('click', () => this.limparFormulario());
+
+        this.elements.tbody.addEventListener('click', (e) => {
+            const btn = e.target.closest('button[data-acao]');
+            if (!btn) return;
+            if (btn.dataset.acao === 'editar') this.editar(btn.dataset.id);
+            if (btn.dataset.acao === 'excluir') this.excluir(btn.dataset.id);
+        });
+    }
+
+    /**
+     * Preenche o seletor de programas
+     */
+    renderSelect() {
+        const select = this.elements.select;
+        select.innerHTML = '';
+        this.programas.getTodos().forEach(programa => {
+            const option = document.createElement('option');
+            option.value = programa.id;
+            option.textContent = programa.nome;
+            select.appendChild(option);
+        });
+        select.value = this.programas.getAtivo().id;
+    }
+
+    /**
+     * Abre o painel
+     */
+    abrir() {
+        this.limparFormulario();
+        this.renderTabela();
+        this.elements.modal.hidden = false;
+        this.elements.nome.focus();
+    }
+
+    /**
+     * Fecha o painel
+     */
+    fechar() {
+        this.elements.modal.hidden = true;
+    }
+
+    /**
+     * Exemplo de regra conforme o tipo escolhido
+     */
+    atualizarPlaceholder() {
+        this.elements.padrao.placeholder = this.elements.tipo.value === 'regex'
+            ? 'Ex.: ^(TEC|HT)-\\d+'
+            : 'Ex.: CAI, CAI2';
+    }
+
+    /**
+     * Limpa o formulário para cadastrar um novo programa
+     */
+    limparFormulario() {
+        this.editandoId = null;
+        this.elements.form.reset();
+        this.atualizarPlaceholder();
+        this.elements.btnSalvar.textContent = 'Adicionar programa';
+    }
+
+    /**
+     * Lista os programas com a regra e as turmas do arquivo carregado que ela identifica
+     */
+    renderTabela() {
+        const tbody = this.elements.tbody;
+        tbody.innerHTML = '';
+
+        // Turmas do arquivo carregado (uma vez cada)
+        const turmas = new Set();
+        this.model.rawData.forEach(row => {
+            const turma = this.model.normalizeName(row.TURMA || '');
+            if (turma) turmas.add(turma);
+        });
+
+        this.programas.getTodos().forEach(programa => {
+            const tr = document.createElement('tr');
+            const testar = ProgramModel.criarTeste(programa);
+            const encontradas = Array.from(turmas).filter(turma => testar(turma)).length;
+
+            [
+                programa.nome,
+                `${programa.tipo === 'regex' ? 'Expressão regular' : 'Prefixo(s)'}: ${programa.padrao}`,
+                programa.titulo,
+                this.model.isDataLoaded() ? `${encontradas} turma(s)` : '—'
+            ].forEach(valor => {
+                const td = document.createElement('td');
+                td.textContent = valor;
+                tr.appendChild(td);
+            });
+
+            const tdAcoes = document.createElement('td');
+            tdAcoes.className = 'justificativa-acoes';
+            if (this.programas.isEditavel(programa.id)) {
+                [['editar', 'Editar'], ['excluir', 'Excluir']].forEach(([acao, rotulo]) => {
+                    const btn = document.createElement('button');
+                    btn.type = 'button';
+                    btn.className = 'btn btn-secondary btn-inline';
+                    btn.dataset.acao = acao;
+                    btn.dataset.id = programa.id;
+                    btn.textContent = rotulo;
+                    tdAcoes.appendChild(btn);
+                });
+            } else {
+                tdAcoes.textContent = 'Padrão';
+            }
+            tr.appendChild(tdAcoes);
+
+            tbody.appendChild(tr);
+        });
+    }
+
+    /**
+     * Carrega um programa no formulário
+     * @param {string} id
+     */
+    editar(id) {
+        const programa = this.programas.getItem(id);
+        if (!programa) return;
+        this.editandoId = id;
+        this.elements.nome.value = programa.nome;
+        this.elements.tipo.value = programa.tipo;
+        this.elements.padrao.value = programa.padrao;
+        this.elements.titulo.value = programa.titulo;
+        this.atualizarPlaceholder();
+        this.elements.btnSalvar.textContent = 'Salvar alterações';
+        this.elements.nome.focus();
+    }
+
+    /**
+     * Salva o programa do formulário (novo ou em edição)
+     */
+    salvar() {
+        try {
+            this.programas.salvar({
+                id: this.editandoId || '',
+                nome: this.elements.nome.value,
+                tipo: this.elements.tipo.value,
+                padrao: this.elements.padrao.value,
+                titulo: this.elements.titulo.value
+            });
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
+
+        this.limparFormulario();
+        this.atualizar();
+        this.elements.nome.focus();
+    }
+
+    /**
+     * Exclui um programa (o ativo volta a ser o padrão)
+     * @param {string} id
+     */
+    excluir(id) {
+        const programa = this.programas.getItem(id);
+        if (!programa || !confirm(`Excluir o programa "${programa.nome}"?`)) return;
+        this.programas.excluir(id);
+        if (this.editandoId === id) this.limparFormulario();
+        this.atualizar();
+    }
+
+    /**
+     * Atualiza seletor e tabela e avisa que as regras mudaram
+     */
+    atualizar() {
+        this.renderSelect();
+        this.renderTabela();
+        this.onChange();
+    }
+}
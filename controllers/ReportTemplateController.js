@@ -0,0 +1,327 @@
+/**
+ * ReportTemplateController - Controller dos modelos de relatório Excel
+ * Responsável por: seleção do modelo ativo no formulário principal e
+ * painel de edição (títulos, colunas, cores, duplicar, excluir, importar/exportar JSON)
+ */
+class ReportTemplateController {
+    /**
+     * @param {ReportTemplateModel} templateModel
+     */
+    constructor(templateModel) {
+        this.modelos = templateModel;
+        this.editandoId = null;
+        this.editavel = false;
+        this.colunas = []; // Cópia das colunas do modelo em edição (ordem, rótulo, largura, visível)
+
+        // Quando cada grupo de colunas aparece no relatório
+        this.descricaoGrupos = {
+            transferencias: 'Com transferências no período',
+            cronograma: 'Com cronograma configurado',
+            acumuladoCurso: 'Com carga horária do curso',
+            categorias: 'Uma coluna por categoria (perfis com mais de uma)',
+            meses: 'Quatro colunas por mês (períodos de vários meses)'
+        };
+
+        // Elementos DOM
+        this.elements = {
+            modeloSelect: document.getElementById('modeloRelatorio'),
+            btnConfigurar: document.getElementById('btnConfigurarModelos'),
+            modal: document.getElementById('modeloModal'),
+            btnFechar: document.getElementById('btnFecharModelos'),
+            editorSelect: document.getElementById('modeloEditorSelect'),
+            btnDuplicar: document.getElementById('btnDuplicarModelo'),
+            btnExcluir: document.getElementById('btnExcluirModelo'),
+            somenteLeitura: document.getElementById('modeloSomenteLeitura'),
+            form: document.getElementById('modeloForm'),
+            nome: document.getElementById('modeloNome'),
+            unidade: document.getElementById('modeloUnidade'),
+            titulos: Array.from(document.querySelectorAll('.modelo-titulo')),
+            campos: document.getElementById('modeloCampos'),
+            cores: Array.from(document.querySelectorAll('.modelo-cor')),
+            colunasBody: document.querySelector('#modeloColunas tbody'),
+            btnSalvar: document.getElementById('btnSalvarModelo'),
+            importFile: document.getElementById('modeloImportFile'),
+            btnImportar: document.getElementById('btnImportarModelos'),
+            btnExportar: document.getElementById('btnExportarModelos')
+        };
+
+        this.init();
+    }
+
+    /**
+     * Inicializa os event listeners
+     */
+    init() {
+        this.renderModeloSelect();
+
+        // Campos aceitos nas linhas de título
+        this.elements.campos.textContent = 'Campos: ' + Object.entries(ReportTemplateModel.camposTitulo())
+            .map(([campo, descricao]) => `{${campo}} ${descricao}`)
+            .join(' · ');
+
+        this.elements.modeloSelect.addEventListener('change', (e) => {
+            this.modelos.setAtivo(e.target.value);
+        });
+
+        this.elements.btnConfigurar.addEventListener('click', () => this.abrir());
+        this.elements.btnFechar.addEventListener('click', () => this.fechar());
+        this.elements.modal.addEventListener('click', (e) => {
+            if (e.target === this.elements.modal) this.fechar();
+        });
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && !this.elements.modal.hidden) this.fechar();
+        });
+
+        this.elements.editorSelect.addEventListener('change', (e) => this.editar(e.target.value));
+
+        this.elements.btnDuplicar.addEventListener('click', () => {
+            const novo = this.modelos.duplicar(this.editandoId);
+            this.renderModeloSelect();
+            this.editar(novo.id);
+            this.elements.nome.focus();
+            this.elements.nome.select();
+        });
+
+        this.elements.btnExcluir.addEventListener('click', () => {
+            const modelo = this.modelos.getItem(this.editandoId);
+            if (!modelo || !this.modelos.isEditavel(modelo.id)) return;
+            if (!confirm(`Excluir o modelo "${modelo.nome}"?`)) return;
+
+            this.modelos.excluir(modelo.id);
+            this.renderModeloSelect();
+            this.editar(this.modelos.ativoId);
+        });
+
+        // Edição das colunas (alterações ficam na cópia até salvar)
+        this.elements.colunasBody.addEventListener('input', (e) => this.atualizarColuna(e.target));
+        this.elements.colunasBody.addEventListener('change', (e) => this.atualizarColuna(e.target));
+        this.elements.colunasBody.addEventListener('click', (e) => {
+            const btn = e.target.closest('button[data-acao]');
+            if (!btn) return;
+            this.moverColuna(Number(btn.dataset.indice), btn.dataset.acao === 'subir' ? -1 : 1);
+        });
+
+        this.elements.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.salvar();
+        });
+
+        this.elements.btnExportar.addEventListener('click', () => {
+            FileHelper.baixar(
+                this.modelos.exportarJSON([this.editandoId]),
+                `modelo_relatorio_${FileHelper.nomeSeguro(this.editandoId)}.json`,
+                'application/json'
+            );
+        });
+
+        this.elements.btnImportar.addEventListener('click', () => this.elements.importFile.click());
+        this.elements.importFile.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (!file) return;
+            try {
+                const importados = this.modelos.importarJSON(await FileHelper.lerTexto(file));
+                this.renderModeloSelect();
+                if (importados.length > 0) this.editar(importados[0].id);
+                alert(`${importados.length} modelo(s) importado(s).`);
+            } catch (error) {
+                alert('Erro ao importar modelos: ' + error.message);
+            }
+        });
+    }
+
+    /**
+     * Preenche os selects (formulário principal e editor) com os modelos disponíveis
+     */
+    renderModeloSelect() {
+        const modelos = this.modelos.getTodos();
+        [this.elements.modeloSelect, this.elements.editorSelect].forEach(select => {
+            select.innerHTML = '';
+            modelos.forEach(modelo => {
+                const option = document.createElement('option');
+                option.value = modelo.id;
+                option.textContent = modelo.nome;
+                select.appendChild(option);
+            });
+        });
+        this.elements.modeloSelect.value = this.modelos.getAtivo().id;
+        if (this.editandoId && this.modelos.getItem(this.editandoId)) {
+            this.elements.editorSelect.value = this.editandoId;
+        }
+    }
+
+    /**
+     * Abre o painel de edição no modelo ativo
+     */
+    abrir() {
+        this.elements.modal.hidden = false;
+        this.editar(this.modelos.getAtivo().id);
+    }
+
+    /**
+     * Fecha o painel de edição
+     */
+    fechar() {
+        this.elements.modal.hidden = true;
+    }
+
+    /**
+     * Carrega um modelo no formulário do editor
+     * @param {string} id
+     */
+    editar(id) {
+        const modelo = this.modelos.getItem(id) || this.modelos.getAtivo();
+        this.editandoId = modelo.id;
+        this.elements.editorSelect.value = modelo.id;
+
+        this.elements.nome.value = modelo.nome;
+        this.elements.unidade.value = modelo.unidade;
+        this.elements.titulos.forEach((input, idx) => { input.value = modelo.titulos[idx] || ''; });
+        this.elements.cores.forEach(input => { input.value = `#${modelo.cores[input.dataset.cor]}`; });
+
+        // Modelo padrão é somente leitura
+        const editavel = this.modelos.isEditavel(modelo.id);
+        this.editavel = editavel;
+        this.colunas = modelo.colunas.map(coluna => Object.assign({}, coluna));
+        this.renderColunas();
+        Array.from(this.elements.form.elements)
+            .filter(el => !this.elements.colunasBody.contains(el)) // Tabela de colunas: renderColunas()
+            .forEach(el => { el.disabled = !editavel; });
+        this.elements.btnSalvar.disabled = !editavel;
+        this.elements.btnExcluir.disabled = !editavel;
+        this.elements.somenteLeitura.style.display = editavel ? 'none' : 'block';
+    }
+
+    /**
+     * Lista as colunas do modelo em edição, na ordem da planilha
+     */
+    renderColunas() {
+        const tbody = this.elements.colunasBody;
+        tbody.innerHTML = '';
+        const catalogo = new Map(ReportTemplateModel.colunasRelatorio().map(c => [c.id, c]));
+
+        this.colunas.forEach((coluna, indice) => {
+            const definicao = catalogo.get(coluna.id);
+            const tr = document.createElement('tr');
+            tr.classList.toggle('oculta', !coluna.visivel);
+
+            const tdVisivel = document.createElement('td');
+            const visivel = document.createElement('input');
+            visivel.type = 'checkbox';
+            visivel.checked = coluna.visivel;
+            visivel.dataset.campo = 'visivel';
+            visivel.dataset.indice = indice;
+            visivel.setAttribute('aria-label', `Exibir ${coluna.rotulo}`);
+            tdVisivel.appendChild(visivel);
+            tr.appendChild(tdVisivel);
+
+            // Blocos (categorias, meses) geram os próprios rótulos e larguras
+            const tdRotulo = document.createElement('td');
+            const tdLargura = document.createElement('td');
+            if (definicao.bloco) {
+                tdRotulo.textContent = coluna.rotulo;
+                tdLargura.textContent = '—';
+            } else {
+                const rotulo = document.createElement('input');
+                rotulo.type = 'text';
+                rotulo.className = 'form-input';
+                rotulo.value = coluna.rotulo;
+                rotulo.placeholder = definicao.rotulo;
+                rotulo.dataset.campo = 'rotulo';
+                rotulo.dataset.indice = indice;
+                tdRotulo.appendChild(rotulo);
+
+                const largura = document.createElement('input');
+                largura.type = 'number';
+                largura.className = 'form-input';
+                largura.min = 4;
+                largura.max = 120;
+                largura.step = 1;
+                largura.value = coluna.largura;
+                largura.dataset.campo = 'largura';
+                largura.dataset.indice = indice;
+                tdLargura.appendChild(largura);
+            }
+            tr.appendChild(tdRotulo);
+            tr.appendChild(tdLargura);
+
+            const tdGrupo = document.createElement('td');
+            tdGrupo.className = 'modelo-grupo';
+            tdGrupo.textContent = definicao.grupo ? this.descricaoGrupos[definicao.grupo] : 'Sempre';
+            tr.appendChild(tdGrupo);
+
+            const tdAcoes = document.createElement('td');
+            tdAcoes.className = 'justificativa-acoes';
+            [['subir', '↑', indice === 0], ['descer', '↓', indice === this.colunas.length - 1]].forEach(([acao, rotulo, limite]) => {
+                const btn = document.createElement('button');
+                btn.type = 'button';
+                btn.className = 'btn btn-secondary btn-inline';
+                btn.dataset.acao = acao;
+                btn.dataset.indice = indice;
+                btn.textContent = rotulo;
+                btn.title = acao === 'subir' ? 'Mover para a esquerda' : 'Mover para a direita';
+                btn.disabled = limite || !this.editavel;
+                tdAcoes.appendChild(btn);
+            });
+            tr.appendChild(tdAcoes);
+
+            tbody.appendChild(tr);
+        });
+
+        // Linhas recriadas seguem o modo somente leitura do modelo
+        tbody.querySelectorAll('input').forEach(el => { el.disabled = !this.editavel; });
+    }
+
+    /**
+     * Copia para a coluna em edição o valor alterado na tabela
+     * @param {HTMLElement} el - Campo da tabela de colunas
+     */
+    atualizarColuna(el) {
+        const coluna = this.colunas[Number(el.dataset.indice)];
+        if (!coluna || !el.dataset.campo) return;
+        if (el.dataset.campo === 'visivel') {
+            coluna.visivel = el.checked;
+            el.closest('tr').classList.toggle('oculta', !el.checked);
+        } else {
+            coluna[el.dataset.campo] = el.value;
+        }
+    }
+
+    /**
+     * Troca uma coluna de posição com a vizinha
+     * @param {number} indice
+     * @param {number} direcao - -1 (esquerda) ou 1 (direita)
+     */
+    moverColuna(indice, direcao) {
+        const destino = indice + direcao;
+        if (destino < 0 || destino >= this.colunas.length) return;
+        [this.colunas[indice], this.colunas[destino]] = [this.colunas[destino], this.colunas[indice]];
+        this.renderColunas();
+        const btn = this.elements.colunasBody.querySelector(`button[data-indice="${destino}"][data-acao="${direcao < 0 ? 'subir' : 'descer'}"]`);
+        if (btn && !btn.disabled) btn.focus();
+    }
+
+    /**
+     * Salva o modelo em edição
+     */
+    salvar() {
+        try {
+            const cores = {};
+            this.elements.cores.forEach(input => { cores[input.dataset.cor] = input.value; });
+            const modelo = this.modelos.salvar({
+                id: this.editandoId,
+                nome: this.elements.nome.value,
+                unidade: this.elements.unidade.value,
+                titulos: this.elements.titulos.map(input => input.value),
+                colunas: this.colunas,
+                cores
+            });
+            this.renderModeloSelect();
+            this.editar(modelo.id);
+            this.elements.btnSalvar.textContent = 'Salvo ✓';
+            setTimeout(() => { this.elements.btnSalvar.textContent = 'Salvar modelo'; }, 1500);
+        } catch (error) {
+            alert(error.message);
+        }
+    }
+}
@@ -0,0 +1,240 @@
+/**
+ * RuleProfileController - Controller dos perfis de regras
+ * Responsável por: seleção do perfil ativo no formulário principal e
+ * painel de configuração (editar, duplicar, excluir, importar/exportar JSON)
+ */
+class RuleProfileController {
+    /**
+     * @param {RuleProfileModel} profileModel
+     * @param {Object} options
+     * @param {Function} options.onChange - Chamado quando o perfil ativo ou suas regras mudam
+     */
+    constructor(profileModel, options = {}) {
+        this.profiles = profileModel;
+        this.onChange = options.onChange || (() => {});
+        this.editandoId = null;
+
+        // Elementos DOM
+        this.elements = {
+            perfilSelect: document.getElementById('perfilRegras'),
+            btnConfigurar: document.getElementById('btnConfigurarPerfis'),
+            modal: document.getElementById('perfilModal'),
+            btnFechar: document.getElementById('btnFecharPerfis'),
+            editorSelect: document.getElementById('perfilEditorSelect'),
+            btnDuplicar: document.getElementById('btnDuplicarPerfil'),
+            btnExcluir: document.getElementById('btnExcluirPerfil'),
+            somenteLeitura: document.getElementById('perfilSomenteLeitura'),
+            form: document.getElementById('perfilForm'),
+            nome: document.getElementById('perfilNome'),
+            faltasDia: document.getElementById('perfilFaltasDia'),
+            horasDia: document.getElementById('perfilHorasDia'),
+            justificada: document.getElementById('perfilJustificada'),
+            atrasos: document.getElementById('perfilAtrasos'),
+            frequenciaMinima: document.getElementById('perfilFrequenciaMinima'),
+            margemAtencao: document.getElementById('perfilMargemAtencao'),
+            btnSalvar: document.getElementById('btnSalvarPerfil'),
+            importFile: document.getElementById('perfilImportFile'),
+            btnImportar: document.getElementById('btnImportarPerfis'),
+            btnExportar: document.getElementById('btnExportarPerfis')
+        };
+
+        this.init();
+    }
+
+    /**
+     * Inicializa os event listeners
+     */
+    init() {
+        this.renderPerfilSelect();
+
+        this.elements.perfilSelect.addEventListener('change', (e) => {
+            this.profiles.setAtivo(e.target.value);
+            this.onChange(this.profiles.getAtivo());
+        });
+
+        this.elements.btnConfigurar.addEventListener('click', () => this.abrir());
+        this.elements.btnFechar.addEventListener('click', () => this.fechar());
+        this.elements.modal.addEventListener('click', (e) => {
+            if (e.target === this.elements.modal) this.fechar();
+        });
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && !this.elements.modal.hidden) this.fechar();
+        });
+
+        this.elements.editorSelect.addEventListener('change', (e) => this.editar(e.target.value));
+
+        this.elements.btnDuplicar.addEventListener('click', () => {
+            const novo = this.profiles.duplicar(this.editandoId);
+            this.renderPerfilSelect();
+            this.editar(novo.id);
+            this.elements.nome.focus();
+            this.elements.nome.select();
+        });
+
+        this.elements.btnExcluir.addEventListener('click', () => {
+            const perfil = this.profiles.getItem(this.editandoId);
+            if (!perfil || !this.profiles.isEditavel(perfil.id)) return;
+            if (!confirm(`Excluir o perfil "${perfil.nome}"?`)) return;
+
+            const eraAtivo = this.profiles.ativoId === perfil.id;
+            this.profiles.excluir(perfil.id);
+            this.renderPerfilSelect();
+            this.editar(this.profiles.ativoId);
+            if (eraAtivo) this.onChange(this.profiles.getAtivo());
+        });
+
+        this.elements.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.salvar();
+        });
+
+        this.elements.btnExportar.addEventListener('click', () => {
+            FileHelper.baixar(
+                this.profiles.exportarJSON([this.editandoId]),
+                `perfil_regras_${FileHelper.nomeSeguro(this.editandoId)}.json`,
+                'application/json'
+            );
+        });
+
+        this.elements.btnImportar.addEventListener('click', () => this.elements.importFile.click());
+        this.elements.importFile.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (!file) return;
+            try {
+                const importados = this.profiles.importarJSON(await FileHelper.lerTexto(file));
+                this.renderPerfilSelect();
+                if (importados.length > 0) this.editar(importados[0].id);
+                alert(`${importados.length} perfil(is) importado(s).`);
+            } catch (error) {
+                alert('Erro ao importar perfis: ' + error.message);
+            }
+        });
+    }
+
+    /**
+     * Preenche os selects (formulário principal e editor) com os perfis disponíveis
+     */
+    renderPerfilSelect() {
+        const perfis = this.profiles.getTodos();
+        [this.elements.perfilSelect, this.elements.editorSelect].forEach(select => {
+            select.innerHTML = '';
+            perfis.forEach(perfil => {
+                const option = document.createElement('option');
+                option.value = perfil.id;
+                option.textContent = perfil.nome;
+                select.appendChild(option);
+            });
+        });
+        this.elements.perfilSelect.value = this.profiles.getAtivo().id;
+        if (this.editandoId && this.profiles.getItem(this.editandoId)) {
+            this.elements.editorSelect.value = this.editandoId;
+        }
+    }
+
+    /**
+     * Abre o painel de configuração no perfil ativo
+     */
+    abrir() {
+        this.elements.modal.hidden = false;
+        this.editar(this.profiles.getAtivo().id);
+    }
+
+    /**
+     * Fecha o painel de configuração
+     */
+    fechar() {
+        this.elements.modal.hidden = true;
+    }
+
+    /**
+     * Carrega um perfil no formulário do editor
+     * @param {string} id
+     */
+    editar(id) {
+        const perfil = this.profiles.getItem(id) || this.profiles.getAtivo();
+        this.editandoId = perfil.id;
+        this.elements.editorSelect.value = perfil.id;
+
+        this.elements.nome.value = perfil.nome;
+        this.elements.faltasDia.value = perfil.faltasDiaInteiro;
+        this.elements.horasDia.value = perfil.horasPorDia;
+        this.elements.justificada.value = perfil.categoriasJustificativa
+            .map(cat => `${cat.nome} = ${cat.valores.join('; ')}`)
+            .join('\n');
+        this.elements.atrasos.value = Object.entries(perfil.atrasoHoras)
+            .map(([freq, horas]) => `${freq}=${String(horas).replace('.', ',')}`)
+            .join('; ');
+        this.elements.frequenciaMinima.value = perfil.frequenciaMinima;
+        this.elements.margemAtencao.value = perfil.margemAtencao;
+
+        // Perfil padrão é somente leitura
+        const editavel = this.profiles.isEditavel(perfil.id);
+        Array.from(this.elements.form.elements).forEach(el => { el.disabled = !editavel; });
+        this.elements.btnSalvar.disabled = !editavel;
+        this.elements.btnExcluir.disabled = !editavel;
+        this.elements.somenteLeitura.style.display = editavel ? 'none' : 'block';
+    }
+
+    /**
+     * Converte o texto "1=3; 2=0,5" em objeto {1: '3', 2: '0.5'}
+     * Pares separados por ponto e vírgula ou quebra de linha; a vírgula é o separador decimal.
+     */
+    parseAtrasos(texto) {
+        const atrasos = {};
+        String(texto || '').split(/[;\n]/).forEach(par => {
+            if (!par.trim()) return;
+            const [freq, horas] = par.split('=').map(v => v && v.trim().replace(',', '.'));
+            if (freq === undefined || horas === undefined || freq === '' || horas === '') {
+                throw new Error(`Atraso inválido: "${par.trim()}". Use o formato FREQUENCIA=HORAS.`);
+            }
+            atrasos[freq] = horas;
+        });
+        return atrasos;
+    }
+
+    /**
+     * Converte o texto "Atestado médico = ATESTADO; ATESTADO MEDICO" (uma categoria por linha)
+     * em [{nome, valores}]. Linhas sem "=" são valores da categoria "Falta justificada".
+     */
+    parseCategorias(texto) {
+        const categorias = new Map();
+        String(texto || '').split('\n').forEach(linha => {
+            if (!linha.trim()) return;
+            const separador = linha.indexOf('=');
+            const nome = separador >= 0 ? linha.slice(0, separador).trim() : 'Falta justificada';
+            const valores = (separador >= 0 ? linha.slice(separador + 1) : linha).split(';');
+            if (!nome) {
+                throw new Error(`Categoria sem nome: "${linha.trim()}". Use o formato CATEGORIA = VALOR 1; VALOR 2.`);
+            }
+            if (!categorias.has(nome)) categorias.set(nome, []);
+            categorias.get(nome).push(...valores);
+        });
+        return Array.from(categorias, ([nome, valores]) => ({ nome, valores }));
+    }
+
+    /**
+     * Salva o perfil em edição
+     */
+    salvar() {
+        try {
+            const perfil = this.profiles.salvar({
+                id: this.editandoId,
+                nome: this.elements.nome.value,
+                faltasDiaInteiro: this.elements.faltasDia.value,
+                horasPorDia: this.elements.horasDia.value,
+                categoriasJustificativa: this.parseCategorias(this.elements.justificada.value),
+                atrasoHoras: this.parseAtrasos(this.elements.atrasos.value),
+                frequenciaMinima: this.elements.frequenciaMinima.value,
+                margemAtencao: this.elements.margemAtencao.value
+            });
+            this.renderPerfilSelect();
+            this.editar(perfil.id);
+            if (this.profiles.ativoId === perfil.id) this.onChange(perfil);
+            this.elements.btnSalvar.textContent = 'Salvo ✓';
+            setTimeout(() => { this.elements.btnSalvar.textContent = 'Salvar perfil'; }, 1500);
+        } catch (error) {
+            alert(error.message);
+        }
+    }
+}
@@ -0,0 +1,391 @@
+/**
+ * ScheduleController - Controller dos cronogramas das turmas e do calendário não letivo
+ * Responsável por: painel com os cronogramas de aula (por turma ou curso), os
+ * feriados/recessos (cadastro manual ou importação de .ics/CSV) e os dias
+ * excluídos pelo coordenador em cada turma
+ */
+class ScheduleController {
+    /**
+     * @param {ScheduleModel} scheduleModel
+     * @param {DataModel} dataModel - Usado para sugerir turmas e cursos do arquivo
+     * @param {Object} options
+     * @param {Function} options.onChange - Chamado quando cronogramas, calendário ou exclusões mudam
+     * @param {Function} options.notify - Exibe mensagem temporária
+     */
+    constructor(scheduleModel, dataModel, options = {}) {
+        this.calendario = scheduleModel;
+        this.model = dataModel;
+        this.onChange = options.onChange || (() => {});
+        this.notify = options.notify || (() => {});
+
+        // Elementos DOM
+        this.elements = {
+            resumo: document.getElementById('cronogramasResumo'),
+            btnConfigurar: document.getElementById('btnConfigurarCronogramas'),
+            modal: document.getElementById('cronogramaModal'),
+            btnFechar: document.getElementById('btnFecharCronogramas'),
+            form: document.getElementById('cronogramaForm'),
+            alvo: document.getElementById('cronogramaAlvo'),
+            nome: document.getElementById('cronogramaNome'),
+            nomesLista: document.getElementById('cronogramaNomes'),
+            diasSemana: document.getElementById('cronogramaDiasSemana'),
+            horas: document.getElementById('cronogramaHoras'),
+            inicio: document.getElementById('cronogramaInicio'),
+            fim: document.getElementById('cronogramaFim'),
+            btnSalvar: document.getElementById('btnSalvarCronograma'),
+            tbody: document.querySelector('#cronogramaTabela tbody'),
+            naoLetivoForm: document.getElementById('naoLetivoForm'),
+            naoLetivoData: document.getElementById('naoLetivoData'),
+            naoLetivoDescricao: document.getElementById('naoLetivoDescricao'),
+            naoLetivoTbody: document.querySelector('#naoLetivoTabela tbody'),
+            importFile: document.getElementById('naoLetivoImportFile'),
+            btnImportar: document.getElementById('btnImportarNaoLetivos'),
+            exclusaoTbody: document.querySelector('#exclusaoTabela tbody')
+        };
+
+        this.init();
+    }
+
+    /**
+     * Inicializa os event listeners
+     */
+    init() {
+        this.renderDiasSemana();
+        this.atualizarResumo();
+
+        this.elements.btnConfigurar.addEventListener('click', () => this.abrir());
+        this.elements.btnFechar.addEventListener('click', () => this.fechar());
+        this.elements.modal.addEventListener('click', (e) => {
+            if (e.target === this.elements.modal) this.fechar();
+        });
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && !this.elements.modal.hidden) this.fechar();
+        });
+
+        if (typeof flatpickr !== 'undefined') {
+            [this.elements.inicio, this.elements.fim, this.elements.naoLetivoData].forEach(input => {
+                flatpickr(input, { dateFormat: 'd/m/Y', locale: 'pt', allowInput: true });
+            });
+        }
+
+        this.elements.alvo.addEventListener('change', () => this.renderSugestoes());
+
+        this.elements.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.salvar();
+        });
+
+        this.elements.tbody.addEventListener('click', (e) => {
+            const btn = e.target.closest('button[data-acao]');
+            if (!btn) return;
+            if (btn.dataset.acao === 'editar') this.editar(btn.dataset.alvo, btn.dataset.nome);
+            if (btn.dataset.acao === 'excluir') this.excluir(btn.dataset.alvo, btn.dataset.nome);
+        });
+
+        this.elements.naoLetivoForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.adicionarNaoLetivo();
+        });
+
+        this.elements.naoLetivoTbody.addEventListener('click', (e) => {
+            const btn = e.target.closest('button[data-data]');
+            if (!btn) return;
+            this.calendario.removerNaoLetivo(btn.dataset.data);
+            this.atualizar();
+        });
+
+        this.elements.btnImportar.addEventListener('click', () => this.elements.importFile.click());
+        this.elements.importFile.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (!file) return;
+            try {
+                const { dias, recorrenciasIgnoradas } = this.calendario.importarCalendario(await FileHelper.lerTexto(file), file.name);
+                this.atualizar();
+                alert(`${dias.length} dia(s) não letivo(s) importado(s).` + (recorrenciasIgnoradas.length > 0
+                    ? `\n\nEventos com repetição não suportada (só a primeira data foi importada; cadastre as demais manualmente):\n- ${recorrenciasIgnoradas.join('\n- ')}`
+                    : ''));
+            } catch (error) {
+                alert('Erro ao importar calendário: ' + error.message);
+            }
+        });
+
+        this.elements.exclusaoTbody.addEventListener('click', (e) => {
+            const btn = e.target.closest('button[data-turma]');
+            if (!btn) return;
+            this.calendario.restaurarDia(btn.dataset.turma, btn.dataset.data);
+            this.atualizar();
+        });
+    }
+
+    /**
+     * Monta os checkboxes dos dias da semana (segunda a domingo)
+     */
+    renderDiasSemana() {
+        const container = this.elements.diasSemana;
+        container.innerHTML = '';
+        [1, 2, 3, 4, 5, 6, 0].forEach(dia => {
+            const item = document.createElement('div');
+            item.className = 'checkbox-item';
+
+            const input = document.createElement('input');
+            input.type = 'checkbox';
+            input.id = `cronogramaDia-${dia}`;
+            input.value = String(dia);
+            input.checked = dia >= 1 && dia <= 5;
+
+            const label = document.createElement('label');
+            label.htmlFor = input.id;
+            label.textContent = this.calendario.DIAS_SEMANA[dia];
+
+            item.appendChild(input);
+            item.appendChild(label);
+            container.appendChild(item);
+        });
+    }
+
+    /**
+     * Sugestões de turmas ou cursos do arquivo carregado (turmas do programa ativo)
+     */
+    renderSugestoes() {
+        const campo = this.elements.alvo.value === 'curso' ? 'CURSO' : 'TURMA';
+        const nomes = new Set();
+        this.model.rawData.forEach(row => {
+            const turma = this.model.normalizeName(row.TURMA || '');
+            if (!this.model.isTurmaDoPrograma(turma)) return;
+            const nome = this.model.normalizeName(row[campo] || '');
+            if (nome) nomes.add(nome);
+        });
+
+        const lista = this.elements.nomesLista;
+        lista.innerHTML = '';
+        Array.from(nomes).sort((a, b) => a.localeCompare(b)).forEach(nome => {
+            const option = document.createElement('option');
+            option.value = nome;
+            lista.appendChild(option);
+        });
+    }
+
+    /**
+     * Abre o painel
+     */
+    abrir() {
+        this.renderSugestoes();
+        this.renderTabelas();
+        this.elements.modal.hidden = false;
+        this.elements.nome.focus();
+    }
+
+    /**
+     * Fecha o painel
+     */
+    fechar() {
+        this.elements.modal.hidden = true;
+    }
+
+    /**
+     * Atualiza o resumo do formulário principal
+     */
+    atualizarResumo() {
+        const partes = [];
+        const cronogramas = this.calendario.cronogramas.size;
+        const naoLetivos = this.calendario.naoLetivos.size;
+        const exclusoes = this.calendario.getExclusoes().length;
+        if (cronogramas > 0) partes.push(`${cronogramas} cronograma(s)`);
+        if (naoLetivos > 0) partes.push(`${naoLetivos} feriado(s)/recesso(s)`);
+        if (exclusoes > 0) partes.push(`${exclusoes} dia(s) excluído(s)`);
+        this.elements.resumo.textContent = partes.length === 0
+            ? 'Nenhum cronograma configurado'
+            : partes.join(' · ');
+    }
+
+    /**
+     * Monta uma linha de tabela com os valores e um botão de ação
+     * @param {Array<string>} valores
+     * @param {Array<Array>} botoes - [[rótulo, dataset]]
+     * @returns {HTMLTableRowElement}
+     */
+    criarLinha(valores, botoes) {
+        const tr = document.createElement('tr');
+        valores.forEach(valor => {
+            const td = document.createElement('td');
+            td.textContent = valor;
+            tr.appendChild(td);
+        });
+
+        const tdAcoes = document.createElement('td');
+        tdAcoes.className = 'justificativa-acoes';
+        botoes.forEach(([rotulo, dataset]) => {
+            const btn = document.createElement('button');
+            btn.type = 'button';
+            btn.className = 'btn btn-secondary btn-inline';
+            Object.assign(btn.dataset, dataset);
+            btn.textContent = rotulo;
+            tdAcoes.appendChild(btn);
+        });
+        tr.appendChild(tdAcoes);
+        return tr;
+    }
+
+    /**
+     * Linha de tabela vazia
+     * @param {number} colunas
+     * @param {string} mensagem
+     * @returns {HTMLTableRowElement}
+     */
+    criarLinhaVazia(colunas, mensagem) {
+        const tr = document.createElement('tr');
+        const td = document.createElement('td');
+        td.colSpan = colunas;
+        td.className = 'empty';
+        td.textContent = mensagem;
+        tr.appendChild(td);
+        return tr;
+    }
+
+    /**
+     * Lista cronogramas, dias não letivos e dias excluídos
+     */
+    renderTabelas() {
+        const { tbody, naoLetivoTbody, exclusaoTbody } = this.elements;
+        const DIAS = this.calendario.DIAS_SEMANA;
+
+        tbody.innerHTML = '';
+        const cronogramas = this.calendario.getCronogramas();
+        if (cronogramas.length === 0) tbody.appendChild(this.criarLinhaVazia(6, 'Nenhum cronograma cadastrado.'));
+        cronogramas.forEach(c => {
+            const vigencia = c.inicio || c.fim ? `${c.inicio || '...'} a ${c.fim || '...'}` : 'Sem limite';
+            tbody.appendChild(this.criarLinha(
+                [c.alvo === 'curso' ? 'Curso' : 'Turma', c.nome, c.diasSemana.map(d => DIAS[d]).join(', '), String(c.horasPorDia).replace('.', ','), vigencia],
+                [['Editar', { acao: 'editar', alvo: c.alvo, nome: c.nome }], ['Excluir', { acao: 'excluir', alvo: c.alvo, nome: c.nome }]]
+            ));
+        });
+
+        naoLetivoTbody.innerHTML = '';
+        const naoLetivos = this.calendario.getNaoLetivos();
+        if (naoLetivos.length === 0) naoLetivoTbody.appendChild(this.criarLinhaVazia(3, 'Nenhum feriado ou recesso cadastrado.'));
+        naoLetivos.forEach(dia => {
+            naoLetivoTbody.appendChild(this.criarLinha([dia.data, dia.descricao], [['Remover', { data: dia.data }]]));
+        });
+
+        exclusaoTbody.innerHTML = '';
+        const exclusoes = this.calendario.getExclusoes();
+        if (exclusoes.length === 0) exclusaoTbody.appendChild(this.criarLinhaVazia(4, 'Nenhum dia excluído.'));
+        exclusoes.forEach(ex => {
+            exclusaoTbody.appendChild(this.criarLinha([ex.turma, ex.data, ex.motivo], [['Restaurar', { turma: ex.turma, data: ex.data }]]));
+        });
+    }
+
+    /**
+     * Carrega um cronograma no formulário
+     * @param {string} alvo
+     * @param {string} nome
+     */
+    editar(alvo, nome) {
+        const cronograma = this.calendario.cronogramas.get(this.calendario.chaveCronograma(alvo, nome));
+        if (!cronograma) return;
+        this.elements.alvo.value = cronograma.alvo;
+        this.elements.nome.value = cronograma.nome;
+        this.elements.diasSemana.querySelectorAll('input').forEach(input => {
+            input.checked = cronograma.diasSemana.includes(Number(input.value));
+        });
+        this.elements.horas.value = cronograma.horasPorDia;
+        [['inicio', cronograma.inicio], ['fim', cronograma.fim]].forEach(([campo, valor]) => {
+            const input = this.elements[campo];
+            if (input._flatpickr) input._flatpickr.setDate(valor || null, false, 'd/m/Y');
+            input.value = valor;
+        });
+        this.renderSugestoes();
+        this.elements.horas.focus();
+    }
+
+    /**
+     * Salva o cronograma do formulário (substitui o existente para a mesma turma/curso)
+     */
+    salvar() {
+        try {
+            this.calendario.salvarCronograma({
+                alvo: this.elements.alvo.value,
+                nome: this.elements.nome.value,
+                diasSemana: Array.from(this.elements.diasSemana.querySelectorAll('input:checked')).map(input => Number(input.value)),
+                horasPorDia: this.elements.horas.value,
+                inicio: this.elements.inicio.value,
+                fim: this.elements.fim.value
+            });
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
+
+        this.elements.nome.value = '';
+        this.elements.horas.value = '';
+        [this.elements.inicio, this.elements.fim].forEach(input => {
+            if (input._flatpickr) input._flatpickr.clear();
+            input.value = '';
+        });
+        this.atualizar();
+        this.elements.btnSalvar.textContent = 'Salvo ✓';
+        setTimeout(() => { this.elements.btnSalvar.textContent = 'Salvar cronograma'; }, 1500);
+        this.elements.nome.focus();
+    }
+
+    /**
+     * Exclui um cronograma
+     * @param {string} alvo
+     * @param {string} nome
+     */
+    excluir(alvo, nome) {
+        if (!confirm(`Excluir o cronograma ${alvo === 'curso' ? 'do curso' : 'da turma'} ${nome}?`)) return;
+        this.calendario.excluirCronograma(alvo, nome);
+        this.atualizar();
+    }
+
+    /**
+     * Adiciona o dia não letivo do formulário
+     */
+    adicionarNaoLetivo() {
+        try {
+            this.calendario.adicionarNaoLetivos([{
+                data: this.elements.naoLetivoData.value,
+                descricao: this.elements.naoLetivoDescricao.value
+            }]);
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
+
+        if (this.elements.naoLetivoData._flatpickr) this.elements.naoLetivoData._flatpickr.clear();
+        this.elements.naoLetivoData.value = '';
+        this.elements.naoLetivoDescricao.value = '';
+        this.atualizar();
+    }
+
+    /**
+     * Exclui um dia de uma turma dos relatórios (ação da pré-visualização)
+     * @param {string} turma
+     * @param {string} data - DD/MM/YYYY
+     * @param {string} motivo
+     * @returns {boolean} - true quando o dia foi excluído
+     */
+    excluirDia(turma, data, motivo) {
+        if (!confirm(`Excluir ${data} da turma ${turma} de todos os relatórios?\n\nO dia pode ser restaurado em "Cronogramas e Calendário".`)) return false;
+        try {
+            this.calendario.excluirDia(turma, data, motivo);
+        } catch (error) {
+            alert(error.message);
+            return false;
+        }
+        this.atualizarResumo();
+        this.notify(`${data} excluído da turma ${turma}.`);
+        return true;
+    }
+
+    /**
+     * Atualiza listas e resumo e avisa que os relatórios exibidos deixaram de valer
+     */
+    atualizar() {
+        this.renderTabelas();
+        this.atualizarResumo();
+        this.onChange();
+    }
+}
@@ -0,0 +1,303 @@
+/**
+ * StudentLookupController - Controller da consulta de aluno
+ * Responsável por: busca de aprendizes por RA ou nome em todas as empresas e turmas
+ * do programa ativo no arquivo carregado, exibição dos vínculos e do histórico de frequência do aluno
+ * e exportação do relatório individual
+ */
+class StudentLookupController {
+    /**
+     * @param {DataModel} dataModel
+     * @param {RuleProfileModel} profileModel
+     * @param {ExcelReportView} excelView
+     * @param {Object} options
+     * @param {Function} options.onAbrir - (cnpj, turma) seleciona a empresa e a turma no formulário
+     * @param {Function} options.notify - Exibe mensagem temporária
+     * @param {JustificationModel} [options.justificativas] - Justificativas manuais aplicadas aos relatórios
+     * @param {CourseConfigModel} [options.cursos] - Carga horária dos cursos (ausência acumulada no curso)
+     * @param {ScheduleModel} [options.calendario] - Cronogramas das turmas e calendário não letivo
+     */
+    constructor(dataModel, profileModel, excelView, options = {}) {
+        this.model = dataModel;
+        this.profiles = profileModel;
+        this.excelView = excelView;
+        this.onAbrir = options.onAbrir || (() => {});
+        this.notify = options.notify || (() => {});
+        this.justificativas = options.justificativas || null;
+        this.cursos = options.cursos || null;
+        this.calendario = options.calendario || null;
+        this.aluno = null; // Aluno exibido (retorno de DataModel.getAluno())
+
+        // Elementos DOM
+        this.elements = {
+            busca: document.getElementById('alunoBusca'),
+            resultados: document.getElementById('alunoResultados'),
+            detalhe: document.getElementById('alunoDetalhe'),
+            nome: document.getElementById('alunoNome'),
+            vinculosTbody: document.querySelector('#alunoVinculos tbody'),
+            historicoResumo: document.getElementById('alunoHistoricoResumo'),
+            historicoTbody: document.querySelector('#alunoHistorico tbody')
+        };
+
+        this.init();
+    }
+
+    /**
+     * Inicializa os event listeners
+     */
+    init() {
+        this.elements.busca.addEventListener('input', () => this.buscar());
+        this.elements.busca.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                const primeiro = this.elements.resultados.querySelector('button[data-ra]');
+                if (primeiro) primeiro.click();
+            } else if (e.key === 'Escape') {
+                this.elements.resultados.hidden = true;
+            }
+        });
+
+        this.elements.resultados.addEventListener('click', (e) => {
+            const btn = e.target.closest('button[data-ra]');
+            if (btn) this.exibirAluno(btn.dataset.ra);
+        });
+
+        this.elements.vinculosTbody.addEventListener('click', (e) => {
+            const btn = e.target.closest('button[data-acao]');
+            if (!btn) return;
+            if (btn.dataset.acao === 'abrir') this.onAbrir(btn.dataset.cnpj, btn.dataset.turma);
+            if (btn.dataset.acao === 'exportar') this.exportar(btn.dataset.cnpj, btn.dataset.turma);
+        });
+    }
+
+    /**
+     * Habilita a busca (arquivo carregado) e atualiza o aluno exibido
+     */
+    habilitar() {
+        this.elements.busca.disabled = false;
+        this.elements.busca.placeholder = 'RA ou nome do aluno';
+        if (this.elements.busca.value) this.buscar();
+        if (this.aluno) this.exibirAluno(this.aluno.ra);
+    }
+
+    /**
+     * Desabilita a busca (sem arquivo carregado)
+     */
+    desabilitar() {
+        this.elements.busca.value = '';
+        this.elements.busca.disabled = true;
+        this.elements.busca.placeholder = 'Carregue um arquivo CSV primeiro';
+        this.elements.resultados.hidden = true;
+        this.elements.detalhe.hidden = true;
+        this.aluno = null;
+    }
+
+    /**
+     * Lista os alunos encontrados para o termo digitado
+     */
+    buscar() {
+        const termo = this.elements.busca.value;
+        const lista = this.elements.resultados;
+        lista.innerHTML = '';
+
+        if (this.model.normalizarBusca(termo).length < 2) {
+            lista.hidden = true;
+            return;
+        }
+
+        const alunos = this.model.buscarAlunos(termo);
+        if (alunos.length === 0) {
+            const li = document.createElement('li');
+            li.className = 'empty';
+            li.textContent = 'Nenhum aluno encontrado';
+            lista.appendChild(li);
+        }
+
+        alunos.forEach(aluno => {
+            const li = document.createElement('li');
+            const btn = document.createElement('button');
+            btn.type = 'button';
+            btn.dataset.ra = aluno.ra;
+
+            const nome = document.createElement('span');
+            nome.className = 'autocomplete-item-name';
+            nome.textContent = `${aluno.nome || '(sem nome)'} · RA ${aluno.ra}`;
+            const vinculos = document.createElement('span');
+            vinculos.className = 'aluno-vinculos';
+            vinculos.textContent = aluno.vinculos.map(v => `${v.empresa || v.cnpj} / ${v.turma}`).join(' · ');
+
+            btn.appendChild(nome);
+            btn.appendChild(vinculos);
+            li.appendChild(btn);
+            lista.appendChild(li);
+        });
+
+        lista.hidden = false;
+    }
+
+    /**
+     * Período do vínculo (primeira e última data com registro)
+     * @param {Object} vinculo
+     * @returns {Object} - {inicio, fim} (DD/MM/YYYY, vazio quando sem data)
+     */
+    getPeriodo(vinculo) {
+        return { inicio: DateHelper.formatarNumero(vinculo.inicio), fim: DateHelper.formatarNumero(vinculo.fim) };
+    }
+
+    /**
+     * Gera o relatório do aluno em um vínculo (todas as datas carregadas)
+     * @param {string} ra
+     * @param {Object} vinculo - {cnpj, empresa, turma}
+     * @returns {Object|null} - Retorno de DataModel.gerarRelatorio() com contexto (null sem registros)
+     */
+    gerarRelatorio(ra, vinculo) {
+        const linhas = this.model.getLinhasAluno(ra, vinculo.cnpj, vinculo.turma);
+        if (linhas.length === 0) return null;
+
+        const periodo = this.getPeriodo(vinculo);
+        const resultado = this.model.gerarRelatorio(linhas, this.profiles.getAtivo(), this.justificativas, {
+            cursos: this.cursos,
+            calendario: this.calendario,
+            periodo: periodo.inicio ? periodo : null
+        });
+        resultado.contexto = {
+            programa: this.model.getProgramaAtivo(),
+            empresa: { cnpj: vinculo.cnpj, nome: vinculo.empresa },
+            turma: vinculo.turma,
+            todasTurmas: false,
+            dataInicio: periodo.inicio || null,
+            dataFim: periodo.fim || null,
+            aluno: { ra, nome: this.aluno ? this.aluno.nome : '' }
+        };
+        return resultado;
+    }
+
+    /**
+     * Exibe os vínculos e o histórico de frequência de um aluno
+     * @param {string} ra
+     */
+    exibirAluno(ra) {
+        const aluno = this.model.getAluno(ra);
+        this.aluno = aluno;
+        this.elements.resultados.hidden = true;
+        if (!aluno) {
+            this.elements.detalhe.hidden = true;
+            return;
+        }
+
+        this.elements.nome.textContent = `${aluno.nome || '(sem nome)'} · RA ${aluno.ra}`;
+        this.renderVinculos(aluno);
+        this.renderHistorico(aluno);
+        this.elements.detalhe.hidden = false;
+    }
+
+    /**
+     * Lista as empresas e turmas do aluno com o resumo de frequência de cada uma
+     * @param {Object} aluno - Retorno de DataModel.getAluno()
+     */
+    renderVinculos(aluno) {
+        const tbody = this.elements.vinculosTbody;
+        tbody.innerHTML = '';
+
+        aluno.vinculos.forEach(vinculo => {
+            const resultado = this.gerarRelatorio(aluno.ra, vinculo);
+            const linha = resultado && resultado.relatorio[0];
+            const periodo = this.getPeriodo(vinculo);
+            const tr = document.createElement('tr');
+
+            [
+                [`${vinculo.empresa || '(sem nome)'} · ${vinculo.cnpj}`],
+                [vinculo.turma],
+                [vinculo.curso],
+                [periodo.inicio ? `${periodo.inicio} a ${periodo.fim}` : ''],
+                [linha ? linha.STATUS : ''],
+                [linha ? linha.TOTAL_AULAS : 0, 'num'],
+                [linha ? linha.TOTAL_HORAS_AUSENCIA : 0, 'num'],
+                [linha && linha.PERCENTUAL_FREQUENCIA !== null ? `${String(linha.PERCENTUAL_FREQUENCIA).replace('.', ',')}%` : '', 'num'],
+                [linha ? linha.SITUACAO : '', linha ? `situacao situacao-${this.model.normalizarBusca(linha.SITUACAO).replace(/\s+/g, '-')}` : '']
+            ].forEach(([valor, classe]) => {
+                const td = document.createElement('td');
+                td.textContent = valor;
+                if (classe) td.className = classe;
+                tr.appendChild(td);
+            });
+
+            const tdAcoes = document.createElement('td');
+            tdAcoes.className = 'justificativa-acoes';
+            [['abrir', 'Abrir no formulário'], ['exportar', 'Exportar Excel']].forEach(([acao, rotulo]) => {
+                const btn = document.createElement('button');
+                btn.type = 'button';
+                btn.className = 'btn btn-secondary btn-inline';
+                btn.dataset.acao = acao;
+                btn.dataset.cnpj = vinculo.cnpj;
+                btn.dataset.turma = vinculo.turma;
+                btn.textContent = rotulo;
+                btn.disabled = acao === 'exportar' && !linha;
+                tdAcoes.appendChild(btn);
+            });
+            tr.appendChild(tdAcoes);
+
+            tbody.appendChild(tr);
+        });
+    }
+
+    /**
+     * Lista os registros do aluno (todas as empresas e turmas) em ordem de data
+     * @param {Object} aluno - Retorno de DataModel.getAluno()
+     */
+    renderHistorico(aluno) {
+        const tbody = this.elements.historicoTbody;
+        tbody.innerHTML = '';
+
+        const registros = aluno.vinculos
+            .flatMap(vinculo => this.model.getLinhasAluno(aluno.ra, vinculo.cnpj, vinculo.turma)
+                .map(row => ({ row, vinculo })))
+            .sort((a, b) => (this.model.getDataNumero(a.row.DATA) || 0) - (this.model.getDataNumero(b.row.DATA) || 0));
+
+        this.elements.historicoResumo.textContent = `Histórico de frequência (${registros.length} registro(s))`;
+
+        const fragmento = document.createDocumentFragment();
+        registros.forEach(({ row, vinculo }) => {
+            const tr = document.createElement('tr');
+            [
+                [row.DATA || ''],
+                [vinculo.empresa || vinculo.cnpj],
+                [vinculo.turma],
+                [row.DESCRICAO || ''],
+                [row.FALTAS !== undefined ? row.FALTAS : '', 'num'],
+                [row.FREQUENCIA !== undefined ? row.FREQUENCIA : '', 'num'],
+                [row.JUSTIFICADA || '']
+            ].forEach(([valor, classe]) => {
+                const td = document.createElement('td');
+                td.textContent = valor;
+                if (classe) td.className = classe;
+                tr.appendChild(td);
+            });
+            fragmento.appendChild(tr);
+        });
+        tbody.appendChild(fragmento);
+    }
+
+    /**
+     * Exporta o relatório individual do aluno em uma empresa e turma
+     * @param {string} cnpj
+     * @param {string} turma
+     */
+    exportar(cnpj, turma) {
+        if (!this.aluno) return;
+        const vinculo = this.aluno.vinculos.find(v => v.cnpj === cnpj && v.turma === turma);
+        if (!vinculo) return;
+
+        try {
+            const resultado = this.gerarRelatorio(this.aluno.ra, vinculo);
+            if (!resultado) {
+                alert('Nenhum registro do aluno nesta empresa e turma.');
+                return;
+            }
+            this.excelView.exportar(resultado);
+            this.notify(`Relatório de ${this.aluno.nome || 'RA ' + this.aluno.ra} exportado com sucesso!`);
+        } catch (error) {
+            alert('Erro ao exportar relatório do aluno: ' + error.message);
+            console.error(error);
+        }
+    }
+}
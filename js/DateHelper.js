@@ -0,0 +1,29 @@
+/**
+ * DateHelper - Conversão de datas compartilhada pelos models e controllers
+ * Responsável por: converter datas DD/MM/YYYY no número ordenável AAAAMMDD e de volta
+ */
+class DateHelper {
+    /**
+     * Converte DD/MM/YYYY em AAAAMMDD
+     * @param {string} dataStr
+     * @returns {number|null} - null quando a data não está no formato ou não existe no calendário
+     */
+    static dataNumero(dataStr) {
+        const m = String(dataStr || '').trim().match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+        if (!m) return null;
+        const [dia, mes, ano] = [Number(m[1]), Number(m[2]), Number(m[3])];
+        const data = new Date(ano, mes - 1, dia);
+        if (data.getFullYear() !== ano || data.getMonth() !== mes - 1 || data.getDate() !== dia) return null;
+        return ano * 10000 + mes * 100 + dia;
+    }
+
+    /**
+     * Converte AAAAMMDD em DD/MM/YYYY
+     * @param {number|null} numero
+     * @returns {string} - Vazio quando não há data
+     */
+    static formatarNumero(numero) {
+        if (numero === null || numero === undefined) return '';
+        return `${String(numero % 100).padStart(2, '0')}/${String(Math.floor(numero / 100) % 100).padStart(2, '0')}/${Math.floor(numero / 10000)}`;
+    }
+}
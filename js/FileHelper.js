@@ -0,0 +1,48 @@
+/**
+ * FileHelper - Utilitários de arquivo compartilhados pelos controllers
+ * Responsável por: disparar downloads gerados no navegador e ler arquivos de texto
+ */
+class FileHelper {
+    /**
+     * Faz o download de um conteúdo gerado localmente
+     * @param {string|Blob|ArrayBuffer|Uint8Array} conteudo - Conteúdo do arquivo
+     * @param {string} nomeArquivo - Nome sugerido para o download
+     * @param {string} [tipo] - MIME type (ignorado quando conteudo já é Blob)
+     */
+    static baixar(conteudo, nomeArquivo, tipo = 'application/octet-stream') {
+        const blob = conteudo instanceof Blob ? conteudo : new Blob([conteudo], { type: tipo });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = nomeArquivo;
+        link.style.display = 'none';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        // Liberar a URL depois que o navegador iniciar o download
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * Lê um arquivo como texto (UTF-8)
+     * @param {File} file
+     * @returns {Promise<string>}
+     */
+    static lerTexto(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error || new Error('Falha ao ler arquivo'));
+            reader.readAsText(file, 'utf-8');
+        });
+    }
+
+    /**
+     * Gera um trecho seguro para nomes de arquivo
+     * @param {string} texto
+     * @returns {string}
+     */
+    static nomeSeguro(texto) {
+        return String(texto || '').replace(/[^a-z0-9]/gi, '_');
+    }
+}
@@ -0,0 +1,27 @@
+/**
+ * HtmlHelper - Utilitários dos documentos HTML gerados (exportação, impressão e cartas)
+ * Responsável por: escapar texto e mapear a situação do aluno na classe CSS do destaque
+ */
+class HtmlHelper {
+    /**
+     * Escapa texto para HTML
+     * @param {*} valor
+     * @returns {string}
+     */
+    static escapar(valor) {
+        return String(valor === null || valor === undefined ? '' : valor)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Classe CSS do destaque da situação (REGULAR / ATENÇÃO / CRÍTICO)
+     * @param {string} situacao
+     * @returns {string} - Vazio quando a situação não tem destaque
+     */
+    static classeSituacao(situacao) {
+        return { 'CRÍTICO': 'critico', 'ATENÇÃO': 'atencao', 'REGULAR': 'regular' }[situacao] || '';
+    }
+}
@@ -27,12 +27,204 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 
     // Verificar se as classes Model e Controller estão disponíveis
+    if (typeof FileHelper === 'undefined') {
+        console.error('❌ FileHelper não está definido!');
+        alert('Erro: Arquivo FileHelper.js não foi carregado corretamente.');
+        return;
+    }
+
+    if (typeof DateHelper === 'undefined') {
+        console.error('❌ DateHelper não está definido!');
+        alert('Erro: Arquivo DateHelper.js não foi carregado corretamente.');
+        return;
+    }
+
+    if (typeof HtmlHelper === 'undefined') {
+        console.error('❌ HtmlHelper não está definido!');
+        alert('Erro: Arquivo HtmlHelper.js não foi carregado corretamente.');
+        return;
+    }
+
+    if (typeof NamedCollectionModel === 'undefined') {
+        console.error('❌ NamedCollectionModel não está definido!');
+        alert('Erro: Arquivo NamedCollectionModel.js não foi carregado corretamente.');
+        return;
+    }
+
+    if (typeof RuleProfileModel === 'undefined') {
+        console.error('❌ RuleProfileModel não está definido!');
+        alert('Erro: Arquivo RuleProfileModel.js não foi carregado corretamente.');
+        return;
+    }
+
+    if (typeof ProgramModel === 'undefined') {
+        console.error('❌ ProgramModel não está definido!');
+        alert('Erro: Arquivo ProgramModel.js não foi carregado corretamente.');
+        return;
+    }
+
+    if (typeof ReportTemplateModel === 'undefined') {
+        console.error('❌ ReportTemplateModel não está definido!');
+        alert('Erro: Arquivo ReportTemplateModel.js não foi carregado corretamente.');
+        return;
+    }
+
+    if (typeof NoticeTemplateModel === 'undefined') {
+        console.error('❌ NoticeTemplateModel não está definido!');
+        alert('Erro: Arquivo NoticeTemplateModel.js não foi carregado corretamente.');
+        return;
+    }
+
+    if (typeof ColumnMappingModel === 'undefined') {
+        console.error('❌ ColumnMappingModel não está definido!');
+        alert('Erro: Arquivo ColumnMappingModel.js não foi carregado corretamente.');
+        return;
+    }
+
+    if (typeof DataQualityModel === 'undefined') {
+        console.error('❌ DataQualityModel não está definido!');
+        alert('Erro: Arquivo DataQualityModel.js não foi carregado corretamente.');
+        return;
+    }
+
+    if (typeof DatasetStoreModel === 'undefined') {
+        console.error('❌ DatasetStoreModel não está definido!');
+        alert('Erro: Arquivo DatasetStoreModel.js não foi carregado corretamente.');
+        return;
+    }
+
+    if (typeof JustificationModel === 'undefined') {
+        console.error('❌ JustificationModel não está definido!');
+        alert('Erro: Arquivo JustificationModel.js não foi carregado corretamente.');
+        return;
+    }
+
+    if (typeof CourseConfigModel === 'undefined') {
+        console.error('❌ CourseConfigModel não está definido!');
+        alert('Erro: Arquivo CourseConfigModel.js não foi carregado corretamente.');
+        return;
+    }
+
+    if (typeof ScheduleModel === 'undefined') {
+        console.error('❌ ScheduleModel não está definido!');
+        alert('Erro: Arquivo ScheduleModel.js não foi carregado corretamente.');
+        return;
+    }
+
     if (typeof DataModel === 'undefined') {
         console.error('❌ DataModel não está definido!');
         alert('Erro: Arquivo DataModel.js não foi carregado corretamente.');
         return;
     }
 
+    if (typeof ReportPreviewView === 'undefined') {
+        console.error('❌ ReportPreviewView não está definido!');
+        alert('Erro: Arquivo ReportPreviewView.js não foi carregado corretamente.');
+        return;
+    }
+
+    if (typeof ExcelReportView === 'undefined') {
+        console.error('❌ ExcelReportView não está definido!');
+        alert('Erro: Arquivo ExcelReportView.js não foi carregado corretamente.');
+        return;
+    }
+
+    if (typeof ReportExportView === 'undefined') {
+        console.error('❌ ReportExportView não está definido!');
+        alert('Erro: Arquivo ReportExportView.js não foi carregado corretamente.');
+        return;
+    }
+
+    if (typeof PrintReportView === 'undefined') {
+        console.error('❌ PrintReportView não está definido!');
+        alert('Erro: Arquivo PrintReportView.js não foi carregado corretamente.');
+        return;
+    }
+
+    if (typeof NoticeView === 'undefined') {
+        console.error('❌ NoticeView não está definido!');
+        alert('Erro: Arquivo NoticeView.js não foi carregado corretamente.');
+        return;
+    }
+
+    if (typeof DataQualityView === 'undefined') {
+        console.error('❌ DataQualityView não está definido!');
+        alert('Erro: Arquivo DataQualityView.js não foi carregado corretamente.');
+        return;
+    }
+
+    if (typeof DatasetOriginView === 'undefined') {
+        console.error('❌ DatasetOriginView não está definido!');
+        alert('Erro: Arquivo DatasetOriginView.js não foi carregado corretamente.');
+        return;
+    }
+
+    if (typeof RuleProfileController === 'undefined') {
+        console.error('❌ RuleProfileController não está definido!');
+        alert('Erro: Arquivo RuleProfileController.js não foi carregado corretamente.');
+        return;
+    }
+
+    if (typeof ProgramController === 'undefined') {
+        console.error('❌ ProgramController não está definido!');
+        alert('Erro: Arquivo ProgramController.js não foi carregado corretamente.');
+        return;
+    }
+
+    if (typeof ReportTemplateController === 'undefined') {
+        console.error('❌ ReportTemplateController não está definido!');
+        alert('Erro: Arquivo ReportTemplateController.js não foi carregado corretamente.');
+        return;
+    }
+
+    if (typeof NoticeController === 'undefined') {
+        console.error('❌ NoticeController não está definido!');
+        alert('Erro: Arquivo NoticeController.js não foi carregado corretamente.');
+        return;
+    }
+
+    if (typeof ColumnMappingController === 'undefined') {
+        console.error('❌ ColumnMappingController não está definido!');
+        alert('Erro: Arquivo ColumnMappingController.js não foi carregado corretamente.');
+        return;
+    }
+
+    if (typeof BatchReportController === 'undefined') {
+        console.error('❌ BatchReportController não está definido!');
+        alert('Erro: Arquivo BatchReportController.js não foi carregado corretamente.');
+        return;
+    }
+
+    if (typeof DatasetController === 'undefined') {
+        console.error('❌ DatasetController não está definido!');
+        alert('Erro: Arquivo DatasetController.js não foi carregado corretamente.');
+        return;
+    }
+
+    if (typeof JustificationController === 'undefined') {
+        console.error('❌ JustificationController não está definido!');
+        alert('Erro: Arquivo JustificationController.js não foi carregado corretamente.');
+        return;
+    }
+
+    if (typeof CourseConfigController === 'undefined') {
+        console.error('❌ CourseConfigController não está definido!');
+        alert('Erro: Arquivo CourseConfigController.js não foi carregado corretamente.');
+        return;
+    }
+
+    if (typeof ScheduleController === 'undefined') {
+        console.error('❌ ScheduleController não está definido!');
+        alert('Erro: Arquivo ScheduleController.js não foi carregado corretamente.');
+        return;
+    }
+
+    if (typeof StudentLookupController === 'undefined') {
+        console.error('❌ StudentLookupController não está definido!');
+        alert('Erro: Arquivo StudentLookupController.js não foi carregado corretamente.');
+        return;
+    }
+
     if (typeof FrequencyController === 'undefined') {
         console.error('❌ FrequencyController não está definido!');
         alert('Erro: Arquivo FrequencyController.js não foi carregado corretamente.');
@@ -44,14 +236,50 @@ document.addEventListener('DOMContentLoaded', () => {
         const dataModel = new DataModel();
         console.log('✓ DataModel inicializado');
 
-        // Instanciar o Controller passando o Model
-        const controller = new FrequencyController(dataModel);
+        const ruleProfileModel = new RuleProfileModel();
+        console.log('✓ RuleProfileModel inicializado');
+
+        const columnMappingModel = new ColumnMappingModel();
+        console.log('✓ ColumnMappingModel inicializado');
+
+        const datasetStoreModel = new DatasetStoreModel();
+        console.log('✓ DatasetStoreModel inicializado');
+
+        const justificationModel = new JustificationModel();
+        console.log('✓ JustificationModel inicializado');
+
+        const courseConfigModel = new CourseConfigModel();
+        console.log('✓ CourseConfigModel inicializado');
+
+        const scheduleModel = new ScheduleModel();
+        console.log('✓ ScheduleModel inicializado');
+
+        const programModel = new ProgramModel();
+        console.log('✓ ProgramModel inicializado');
+
+        const reportTemplateModel = new ReportTemplateModel();
+        console.log('✓ ReportTemplateModel inicializado');
+
+        const noticeTemplateModel = new NoticeTemplateModel();
+        console.log('✓ NoticeTemplateModel inicializado');
+
+        // Instanciar o Controller passando os Models
+        const controller = new FrequencyController(dataModel, ruleProfileModel, columnMappingModel, datasetStoreModel, justificationModel, courseConfigModel, scheduleModel, programModel, reportTemplateModel, noticeTemplateModel);
         console.log('✓ FrequencyController inicializado');
 
         // Disponibilizar globalmente para debugging (apenas em desenvolvimento)
         if (window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1') {
             window.app = {
                 model: dataModel,
+                profiles: ruleProfileModel,
+                mapping: columnMappingModel,
+                datasets: datasetStoreModel,
+                justificativas: justificationModel,
+                cursos: courseConfigModel,
+                calendario: scheduleModel,
+                programas: programModel,
+                modelosRelatorio: reportTemplateModel,
+                modelosNotificacao: noticeTemplateModel,
                 controller: controller
             };
             console.log('ℹ️ App disponível globalmente via window.app (modo desenvolvimento)');
@@ -0,0 +1,169 @@
+/**
+ * csvWorker - Leitura do arquivo CSV em segundo plano (Web Worker)
+ * Responsável por: decodificar e interpretar o arquivo em blocos, informando o
+ * progresso real (bytes e linhas), e, depois do mapeamento de colunas, verificar
+ * a qualidade e indexar empresas, turmas e datas com o próprio DataModel
+ *
+ * Mensagens recebidas:
+ * - {tipo: 'ler', file}
+ * - {tipo: 'processar', mapa, decisoes, programas}
+ *
+ * Mensagens enviadas:
+ * - {tipo: 'linhas', linhas, progresso: {bytes, total, linhas}} a cada bloco lido
+ * - {tipo: 'lido', cabecalhos, errosParse}
+ * - {tipo: 'processado', qualidade, indices}
+ * - {tipo: 'erro', mensagem}
+ */
+importScripts(
+    'https://cdnjs.cloudflare.com/ajax/libs/PapaParse/5.4.1/papaparse.min.js',
+    'DateHelper.js',
+    '../models/ProgramModel.js',
+    '../models/DataQualityModel.js',
+    '../models/DataModel.js'
+);
+
+const TAMANHO_BLOCO = 1024 * 1024; // Bytes lidos por vez
+const TAMANHO_AMOSTRA_ENCODING = 256 * 1024; // Bytes usados para detectar o encoding
+
+const model = new DataModel();
+
+self.onmessage = (e) => {
+    const msg = e.data;
+    try {
+        if (msg.tipo === 'ler') {
+            ler(msg.file);
+        } else if (msg.tipo === 'processar') {
+            processar(msg.mapa, msg.decisoes, msg.programas);
+        }
+    } catch (error) {
+        self.postMessage({ tipo: 'erro', mensagem: error.message });
+    }
+};
+
+/**
+ * Escolhe o encoding do arquivo: UTF-8, ou Windows-1252 quando o início do arquivo
+ * apresenta acentos quebrados em UTF-8 (mesma heurística do DataModel)
+ */
+function detectarEncoding(leitor, file) {
+    const amostra = leitor.readAsArrayBuffer(file.slice(0, TAMANHO_AMOSTRA_ENCODING));
+    // stream: true evita acusar um caractere cortado no fim da amostra
+    const texto = new TextDecoder('utf-8').decode(amostra, { stream: true });
+    return model.looksMojibaked(texto) ? 'windows-1252' : 'utf-8';
+}
+
+/**
+ * Posição logo após a última quebra de linha que não está dentro de um campo entre aspas
+ * @param {string} texto - Começa sempre no início de um registro
+ * @returns {number} - 0 quando não há quebra de linha utilizável
+ */
+function ultimoFimDeLinha(texto) {
+    let aspas = 0;
+    for (let i = 0; i < texto.length; i++) {
+        if (texto.charCodeAt(i) === 34) aspas++;
+    }
+    for (let i = texto.length - 1; i >= 0; i--) {
+        const c = texto.charCodeAt(i);
+        if (c === 34) {
+            aspas--;
+        } else if (c === 10 && aspas % 2 === 0) {
+            return i + 1;
+        }
+    }
+    return 0;
+}
+
+/**
+ * Lê o arquivo em blocos e envia as linhas de cada bloco para a página
+ * Cada bloco termina em um fim de registro e é interpretado com a linha de cabeçalho
+ * @param {File} file
+ */
+function ler(file) {
+    const leitor = new FileReaderSync();
+    const decoder = new TextDecoder(detectarEncoding(leitor, file));
+
+    const linhas = [];
+    const erros = [];
+    let cabecalho = null;
+    let cabecalhos = [];
+    let delimitador = '';
+    let resto = '';
+
+    for (let inicio = 0; inicio < file.size; inicio += TAMANHO_BLOCO) {
+        const fim = Math.min(file.size, inicio + TAMANHO_BLOCO);
+        const ultimo = fim >= file.size;
+        const bytes = leitor.readAsArrayBuffer(file.slice(inicio, fim));
+
+        let texto = resto + decoder.decode(bytes, { stream: !ultimo });
+        resto = '';
+        if (!ultimo) {
+            // Registro incompleto segue para o próximo bloco
+            const corte = ultimoFimDeLinha(texto);
+            resto = texto.slice(corte);
+            texto = texto.slice(0, corte);
+        }
+
+        if (cabecalho === null) {
+            const fimCabecalho = texto.indexOf('\n');
+            if (fimCabecalho === -1 && !ultimo) {
+                resto = texto + resto;
+                continue;
+            }
+            cabecalho = (fimCabecalho === -1 ? texto : texto.slice(0, fimCabecalho)).replace(/\r$/, '');
+            texto = fimCabecalho === -1 ? '' : texto.slice(fimCabecalho + 1);
+        }
+
+        const results = Papa.parse(`${cabecalho}\n${texto}`, {
+            header: true,
+            skipEmptyLines: true,
+            delimiter: delimitador
+        });
+
+        // Delimitador detectado no primeiro bloco vale para o arquivo inteiro
+        if (!delimitador) {
+            delimitador = results.meta.delimiter;
+            cabecalhos = results.meta.fields || [];
+        }
+
+        // Linhas e erros numerados em relação ao arquivo inteiro
+        const deslocamento = linhas.length;
+        results.data.forEach((row, indice) => {
+            row.__linha = deslocamento + indice + 2;
+            linhas.push(row);
+        });
+        results.errors.forEach(erro => {
+            if (typeof erro.row !== 'number') return; // Ex.: delimitador não detectado em um bloco
+            erros.push({ type: erro.type, code: erro.code, message: erro.message, row: erro.row + deslocamento });
+        });
+
+        self.postMessage({
+            tipo: 'linhas',
+            linhas: results.data,
+            progresso: { bytes: fim, total: file.size, linhas: linhas.length }
+        });
+    }
+
+    model.linhasOriginais = linhas;
+    model.cabecalhos = cabecalhos;
+    model.errosParse = erros;
+
+    self.postMessage({ tipo: 'lido', cabecalhos, errosParse: erros });
+}
+
+/**
+ * Aplica o mapeamento, verifica a qualidade e indexa os dados
+ * Só o resultado (ocorrências e índices) volta para a página; as linhas ela já tem
+ * @param {Object|null} mapa - {campo: coluna|null}
+ * @param {Object} decisoes - Tratamentos escolhidos no relatório de qualidade
+ * @param {Array<Object>} [programas] - Programas indexados (regras de turma da página)
+ */
+function processar(mapa, decisoes, programas) {
+    if (programas && programas.length > 0) model.setProgramas(programas);
+    model.qualidade.decisoes = decisoes || {};
+    model.remapear(mapa);
+
+    self.postMessage({
+        tipo: 'processado',
+        qualidade: model.qualidade.getEstado(),
+        indices: model.getIndices()
+    });
+}
@@ -0,0 +1,219 @@
+/**
+ * ColumnMappingModel - Model do mapeamento de colunas do CSV
+ * Responsável por: sugerir a coluna do arquivo para cada campo esperado
+ * (exata, sem acentos, truncada ou aproximada) e lembrar os mapeamentos
+ * confirmados por assinatura de cabeçalho
+ */
+class ColumnMappingModel {
+    constructor() {
+        this.STORAGE_KEY = 'mapeamentosColunas';
+        this.SCORE_MINIMO = 0.6; // Similaridade mínima para sugerir uma coluna
+
+        // Campos utilizados pelo sistema (nomes canônicos do layout esperado)
+        this.CAMPOS = [
+            { campo: 'TURMA', rotulo: 'Turma', obrigatorio: true, aliases: ['COD_TURMA', 'CODIGO_TURMA', 'CLASSE'] },
+            { campo: 'CNPJ_EMPRESA', rotulo: 'CNPJ da empresa', obrigatorio: true, aliases: ['CNPJ', 'CNPJ_EMP'] },
+            { campo: 'EMPRESA', rotulo: 'Empresa', obrigatorio: true, aliases: ['RAZAO_SOCIAL', 'NOME_EMPRESA'] },
+            { campo: 'DATA', rotulo: 'Data da aula', obrigatorio: true, aliases: ['DATA_AULA', 'DT_AULA', 'DIA'] },
+            { campo: 'RA', rotulo: 'RA do aluno', obrigatorio: true, aliases: ['MATRICULA', 'REGISTRO_ACADEMICO'] },
+            { campo: 'ALUNO', rotulo: 'Nome do aluno', obrigatorio: true, aliases: ['NOME_ALUNO', 'NOME', 'ESTUDANTE'] },
+            { campo: 'FALTAS', rotulo: 'Faltas na aula', obrigatorio: true, aliases: ['FALTA', 'FALT', 'QTD_FALTAS'] },
+            { campo: 'FREQUENCIA', rotulo: 'Frequência (atrasos)', obrigatorio: false, aliases: ['FREQUENC', 'FREQ', 'PRESENCA'] },
+            { campo: 'JUSTIFICADA', rotulo: 'Justificativa', obrigatorio: false, aliases: ['JUSTIF', 'JUSTIFIC', 'JUSTIFICATIVA'] },
+            { campo: 'DESCRICAO', rotulo: 'Status do aluno', obrigatorio: false, aliases: ['STATUS', 'SITUACAO', 'STATUS_ALUNO'] },
+            { campo: 'CURSO', rotulo: 'Curso', obrigatorio: false, aliases: ['NOME_CURSO'] },
+            { campo: 'DTINICIO_TURMA', rotulo: 'Início da turma', obrigatorio: false, aliases: ['DATA_INICIO_TURMA', 'INICIO_TURMA', 'DT_INICIO'] }
+        ];
+    }
+
+    /**
+     * Normaliza um cabeçalho para comparação (sem acentos, maiúsculas, apenas letras e dígitos)
+     * @param {string} texto
+     * @returns {string}
+     */
+    normalizar(texto) {
+        return String(texto || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toUpperCase()
+            .replace(/[^A-Z0-9]/g, '');
+    }
+
+    /**
+     * Distância de edição (Levenshtein) entre dois textos
+     */
+    distancia(a, b) {
+        const anterior = Array.from({ length: b.length + 1 }, (_, j) => j);
+        for (let i = 1; i <= a.length; i++) {
+            let diagonal = anterior[0];
+            anterior[0] = i;
+            for (let j = 1; j <= b.length; j++) {
+                const atual = anterior[j];
+                anterior[j] = Math.min(
+                    anterior[j] + 1,
+                    anterior[j - 1] + 1,
+                    diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+                );
+                diagonal = atual;
+            }
+        }
+        return anterior[b.length];
+    }
+
+    /**
+     * Similaridade (0 a 1) entre um cabeçalho do arquivo e um campo esperado
+     * - 1: igual ao campo ou a um alias (ignorando acentos, espaços e pontuação)
+     * - 0.9: cabeçalho truncado (prefixo do campo/alias)
+     * - 0.8: cabeçalho contém o campo/alias (ex.: "FALTAS_AULA")
+     * - demais: proporção de caracteres iguais (Levenshtein), reduzida
+     * @param {string} cabecalho
+     * @param {Object} definicao - Item de CAMPOS
+     * @returns {number}
+     */
+    similaridade(cabecalho, definicao) {
+        const h = this.normalizar(cabecalho);
+        if (!h) return 0;
+
+        let melhor = 0;
+        [definicao.campo].concat(definicao.aliases).forEach(nome => {
+            const n = this.normalizar(nome);
+            let score;
+            if (h === n) {
+                score = 1;
+            } else if (h.length >= 3 && n.startsWith(h)) {
+                score = 0.9;
+            } else if (n.length >= 3 && h.includes(n)) {
+                score = 0.8;
+            } else {
+                score = (1 - this.distancia(h, n) / Math.max(h.length, n.length)) * 0.85;
+            }
+            melhor = Math.max(melhor, score);
+        });
+        return melhor;
+    }
+
+    /**
+     * Sugere a coluna do arquivo para cada campo (cada coluna é usada uma única vez)
+     * @param {Array<string>} cabecalhos - Cabeçalhos do arquivo
+     * @returns {Object} - {campo: {coluna, score}} (coluna null quando não há sugestão)
+     */
+    sugerirMapeamento(cabecalhos) {
+        const pares = [];
+        this.CAMPOS.forEach(def => {
+            cabecalhos.forEach(coluna => {
+                const score = this.similaridade(coluna, def);
+                if (score >= this.SCORE_MINIMO) pares.push({ campo: def.campo, coluna, score });
+            });
+        });
+
+        // Atribuição gulosa: melhores pares primeiro
+        pares.sort((a, b) => b.score - a.score);
+        const sugestao = {};
+        const usadas = new Set();
+        this.CAMPOS.forEach(def => { sugestao[def.campo] = { coluna: null, score: 0 }; });
+        pares.forEach(({ campo, coluna, score }) => {
+            if (sugestao[campo].coluna !== null || usadas.has(coluna)) return;
+            sugestao[campo] = { coluna, score };
+            usadas.add(coluna);
+        });
+        return sugestao;
+    }
+
+    /**
+     * Converte uma sugestão em mapeamento simples {campo: coluna|null}
+     */
+    paraMapa(sugestao) {
+        const mapa = {};
+        Object.entries(sugestao).forEach(([campo, { coluna }]) => { mapa[campo] = coluna; });
+        return mapa;
+    }
+
+    /**
+     * Indica se a coluna tem o nome esperado do campo (ignorando acentos, espaços e pontuação)
+     */
+    isNomeEsperado(coluna, campo) {
+        return this.normalizar(coluna) === this.normalizar(campo);
+    }
+
+    /**
+     * Indica se todos os campos foram encontrados com o nome esperado (dispensa confirmação)
+     * @param {Object} sugestao - Retorno de sugerirMapeamento()
+     * @returns {boolean}
+     */
+    isExato(sugestao) {
+        return this.CAMPOS.every(def => {
+            const { coluna } = sugestao[def.campo];
+            return coluna === null ? !def.obrigatorio : this.isNomeEsperado(coluna, def.campo);
+        });
+    }
+
+    /**
+     * Retorna os campos obrigatórios sem coluna no mapeamento
+     * @param {Object} mapa - {campo: coluna|null}
+     * @returns {Array<Object>} - Itens de CAMPOS
+     */
+    camposPendentes(mapa) {
+        return this.CAMPOS.filter(def => def.obrigatorio && !mapa[def.campo]);
+    }
+
+    /**
+     * Assinatura do cabeçalho (independente da ordem das colunas)
+     * @param {Array<string>} cabecalhos
+     * @returns {string}
+     */
+    assinatura(cabecalhos) {
+        return cabecalhos.map(c => String(c).trim()).sort().join('|');
+    }
+
+    /**
+     * Lê os mapeamentos salvos
+     * @returns {Object} - {assinatura: mapa}
+     */
+    getSalvos() {
+        try {
+            const salvos = JSON.parse(localStorage.getItem(this.STORAGE_KEY) || '{}');
+            return salvos && typeof salvos === 'object' ? salvos : {};
+        } catch (e) {
+            console.warn('Não foi possível ler os mapeamentos de colunas salvos:', e);
+            return {};
+        }
+    }
+
+    /**
+     * Retorna o mapeamento salvo para o cabeçalho, se ainda for válido
+     * @param {Array<string>} cabecalhos
+     * @returns {Object|null} - {campo: coluna|null}
+     */
+    getMapeamentoSalvo(cabecalhos) {
+        const mapa = this.getSalvos()[this.assinatura(cabecalhos)];
+        if (!mapa) return null;
+
+        const colunas = new Set(cabecalhos);
+        const valido = this.CAMPOS.every(def => {
+            const coluna = mapa[def.campo];
+            return coluna ? colunas.has(coluna) : !def.obrigatorio;
+        });
+        return valido ? Object.assign({}, mapa) : null;
+    }
+
+    /**
+     * Salva o mapeamento confirmado para o cabeçalho
+     * @param {Array<string>} cabecalhos
+     * @param {Object} mapa - {campo: coluna|null}
+     */
+    salvarMapeamento(cabecalhos, mapa) {
+        const salvos = this.getSalvos();
+        salvos[this.assinatura(cabecalhos)] = mapa;
+        localStorage.setItem(this.STORAGE_KEY, JSON.stringify(salvos));
+    }
+
+    /**
+     * Remove o mapeamento salvo para o cabeçalho
+     * @param {Array<string>} cabecalhos
+     */
+    esquecerMapeamento(cabecalhos) {
+        const salvos = this.getSalvos();
+        delete salvos[this.assinatura(cabecalhos)];
+        localStorage.setItem(this.STORAGE_KEY, JSON.stringify(salvos));
+    }
+}
@@ -0,0 +1,111 @@
+/**
+ * CourseConfigModel - Model da carga horária total dos cursos
+ * Responsável por: guardar, por CURSO, a carga horária total prevista no contrato de
+ * aprendizagem (base do limite de ausência no curso) e persistir no navegador
+ */
+class CourseConfigModel {
+    constructor() {
+        this.STORAGE_KEY = 'cargaHorariaCursos';
+
+        // Map curso normalizado -> {curso, cargaHoraria}
+        this.cursos = new Map();
+
+        this.load();
+    }
+
+    /**
+     * Carrega as cargas horárias salvas no localStorage
+     */
+    load() {
+        this.cursos.clear();
+        try {
+            const salvos = JSON.parse(localStorage.getItem(this.STORAGE_KEY) || '[]');
+            (Array.isArray(salvos) ? salvos : []).forEach(c => {
+                try {
+                    const config = this.validarCurso(c);
+                    this.cursos.set(this.chave(config.curso), config);
+                } catch (e) {
+                    console.warn('Carga horária de curso ignorada:', e.message);
+                }
+            });
+        } catch (e) {
+            console.warn('Não foi possível ler as cargas horárias dos cursos salvas:', e);
+        }
+    }
+
+    /**
+     * Persiste as cargas horárias no localStorage
+     */
+    persist() {
+        localStorage.setItem(this.STORAGE_KEY, JSON.stringify(this.getCursos()));
+    }
+
+    /**
+     * Chave do curso (sem acentos, maiúsculas e espaços extras)
+     * @param {string} curso
+     * @returns {string}
+     */
+    chave(curso) {
+        return String(curso || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/\s+/g, ' ')
+            .trim()
+            .toUpperCase();
+    }
+
+    /**
+     * Valida e normaliza a configuração de um curso
+     * @param {Object} obj - {curso, cargaHoraria}
+     * @returns {Object} - {curso, cargaHoraria}
+     */
+    validarCurso(obj) {
+        if (!obj || typeof obj !== 'object') {
+            throw new Error('Configuração de curso inválida.');
+        }
+
+        const curso = String(obj.curso || '').replace(/\s+/g, ' ').trim();
+        if (!curso) throw new Error('Informe o nome do curso.');
+
+        const cargaHoraria = Number(obj.cargaHoraria);
+        if (!Number.isFinite(cargaHoraria) || cargaHoraria <= 0 || cargaHoraria > 20000) {
+            throw new Error(`Carga horária inválida para o curso "${curso}".`);
+        }
+        return { curso, cargaHoraria };
+    }
+
+    /**
+     * Retorna os cursos configurados (por nome)
+     * @returns {Array}
+     */
+    getCursos() {
+        return Array.from(this.cursos.values()).sort((a, b) => a.curso.localeCompare(b.curso));
+    }
+
+    /**
+     * Carga horária total de um curso
+     * @param {string} curso
+     * @returns {number|null} - null quando o curso não foi configurado
+     */
+    getCargaHoraria(curso) {
+        const config = this.cursos.get(this.chave(curso));
+        return config ? config.cargaHoraria : null;
+    }
+
+    /**
+     * Salva as cargas horárias informadas (vazio remove a configuração do curso)
+     * @param {Array<Object>} lista - [{curso, cargaHoraria}]
+     */
+    salvarCursos(lista) {
+        const validados = lista.map(c => {
+            const vazio = c.cargaHoraria === null || c.cargaHoraria === undefined || String(c.cargaHoraria).trim() === '';
+            return vazio ? { curso: c.curso, remover: true } : this.validarCurso(c);
+        });
+
+        validados.forEach(c => {
+            if (c.remover) this.cursos.delete(this.chave(c.curso));
+            else this.cursos.set(this.chave(c.curso), c);
+        });
+        this.persist();
+    }
+}
@@ -5,10 +5,106 @@
 class DataModel {
     constructor() {
         this.rawData = [];
+        // Índices do programa ativo (ver indicesPorPrograma)
         // Map por CNPJ normalizado -> { cnpj, nome (escolhido), aliases: Set<string> }
         this.empresasAPR = new Map();
         this.turmasPorEmpresa = new Map(); // Map para armazenar turmas por empresa
         this.datasDisponiveis = new Set(); // Set para armazenar datas únicas
+        this.statusDisponiveis = new Map(); // Status normalizado (DESCRICAO) -> {valor, rotulo, linhas}
+        // Alunos das turmas do programa: RA -> { ra, nome, vinculos: Map "CNPJ|TURMA" -> {cnpj, turma, curso, linhas, inicio, fim} }
+        this.alunosAPR = new Map();
+        // Índices de cada programa: id -> {empresasAPR, turmasPorEmpresa, datasDisponiveis, statusDisponiveis, alunosAPR}
+        this.indicesPorPrograma = new Map();
+        // Índice de filtragem: CNPJ normalizado -> turma -> grupo de datas (posições em rawData)
+        this.indice = new Map();
+        this.linhasOriginais = []; // Linhas como vieram do arquivo (antes do mapeamento de colunas)
+        this.cabecalhos = []; // Cabeçalhos do arquivo
+        this.mapeamento = null; // {campo: coluna|null} aplicado em rawData
+        this.linhasMapeadas = []; // Linhas com os campos mapeados (antes do tratamento de qualidade)
+        this.errosParse = []; // Erros de estrutura apontados pelo PapaParse
+        this.qualidade = new DataQualityModel(); // Verificação de qualidade e tratamento das linhas
+        this.arquivos = []; // Arquivos que compõem o dataset [{nome, linhas, mantidas, substituidas}]
+        this.statusSaida = ['CANCELADO', 'DESISTENTE']; // Status (normalizados) que encerram a frequência do aluno
+        this.worker = null; // Web Worker da leitura em andamento
+        this.cancelarLeitura = null; // Interrompe a leitura em andamento
+
+        // Programas (regras que identificam as turmas) e programa ativo
+        this.setProgramas([ProgramModel.programaPadrao()]);
+    }
+
+    /**
+     * Define os programas indexados e o programa ativo
+     * Os índices dos programas só mudam no próximo processData().
+     * @param {Array<Object>} programas - [{id, nome, tipo, padrao, titulo}] (ProgramModel.getTodos())
+     * @param {string} [ativoId] - Programa ativo (padrão: o primeiro da lista)
+     */
+    setProgramas(programas, ativoId) {
+        this.programas = programas.map(p => ({ id: p.id, nome: p.nome, tipo: p.tipo, padrao: p.padrao, titulo: p.titulo }));
+        this.testesPrograma = new Map(this.programas.map(p => [p.id, ProgramModel.criarTeste(p)]));
+        this.qualidade.isTurmaDePrograma = (turma) => this.getProgramasDaTurma(turma).length > 0;
+        this.selecionarPrograma(this.testesPrograma.has(ativoId) ? ativoId : this.programas[0].id);
+    }
+
+    /**
+     * Troca o programa ativo (empresas, turmas, datas, status e alunos passam a ser os dele)
+     * @param {string} id
+     */
+    selecionarPrograma(id) {
+        if (!this.testesPrograma.has(id)) return;
+        this.programaAtivoId = id;
+        if (!this.indicesPorPrograma.has(id)) this.indicesPorPrograma.set(id, this.criarIndicesPrograma());
+        const indices = this.indicesPorPrograma.get(id);
+        this.empresasAPR = indices.empresasAPR;
+        this.turmasPorEmpresa = indices.turmasPorEmpresa;
+        this.datasDisponiveis = indices.datasDisponiveis;
+        this.statusDisponiveis = indices.statusDisponiveis;
+        this.alunosAPR = indices.alunosAPR;
+    }
+
+    /**
+     * Programa ativo
+     * @returns {Object} - {id, nome, tipo, padrao, titulo}
+     */
+    getProgramaAtivo() {
+        return this.programas.find(p => p.id === this.programaAtivoId) || this.programas[0];
+    }
+
+    /**
+     * Programas a que uma turma pertence (uma turma pode atender às regras de mais de um)
+     * @param {string} turma
+     * @returns {Array<string>} - Ids dos programas
+     */
+    getProgramasDaTurma(turma) {
+        const ids = [];
+        this.testesPrograma.forEach((testar, id) => {
+            if (testar(turma)) ids.push(id);
+        });
+        return ids;
+    }
+
+    /**
+     * Indica se a turma pertence a um programa
+     * @param {string} turma
+     * @param {string} [id] - Programa (padrão: o ativo)
+     * @returns {boolean}
+     */
+    isTurmaDoPrograma(turma, id = this.programaAtivoId) {
+        const testar = this.testesPrograma.get(id);
+        return !!testar && testar(this.normalizeName(turma));
+    }
+
+    /**
+     * Estruturas vazias dos índices de um programa
+     * @returns {Object} - {empresasAPR, turmasPorEmpresa, datasDisponiveis, statusDisponiveis, alunosAPR}
+     */
+    criarIndicesPrograma() {
+        return {
+            empresasAPR: new Map(),
+            turmasPorEmpresa: new Map(),
+            datasDisponiveis: new Set(),
+            statusDisponiveis: new Map(),
+            alunosAPR: new Map()
+        };
     }
 
     /**
@@ -40,37 +136,435 @@ class DataModel {
         return best;
     }
 
+    /**
+     * Carrega um ou mais arquivos CSV em um único dataset
+     * Cada arquivo é lido e mapeado separadamente; com mais de um arquivo, as linhas são
+     * mescladas por mesclarArquivos() (o arquivo mais recente vence nas sobreposições)
+     * @param {Array<File>} files - Arquivos selecionados
+     * @param {Function} [resolverMapeamento] - (cabecalhos, amostra, arquivo) => Promise<{campo: coluna|null}>
+     * @param {Function} [onProgresso] - Como em loadCSV(), com {arquivo, indiceArquivo, totalArquivos}
+     * @returns {Promise<Object>} - Retorno de aplicarTratamento()
+     */
+    async carregarArquivos(files, resolverMapeamento = null, onProgresso = null) {
+        // Mais antigo primeiro (data de modificação; empate mantém a ordem de seleção)
+        const ordenados = files
+            .map((file, ordem) => ({ file, ordem }))
+            .sort((a, b) => (a.file.lastModified || 0) - (b.file.lastModified || 0) || a.ordem - b.ordem)
+            .map(({ file }) => file);
+
+        const partes = [];
+        for (let i = 0; i < ordenados.length; i++) {
+            const file = ordenados[i];
+            const result = await this.loadCSV(
+                file,
+                resolverMapeamento ? (cabecalhos, amostra) => resolverMapeamento(cabecalhos, amostra, file.name) : null,
+                onProgresso ? (progresso) => onProgresso(Object.assign({ arquivo: file.name, indiceArquivo: i, totalArquivos: ordenados.length }, progresso)) : null
+            );
+
+            if (ordenados.length === 1) {
+                this.arquivos = [{ nome: file.name, linhas: this.linhasOriginais.length, mantidas: this.linhasOriginais.length, substituidas: 0 }];
+                return result;
+            }
+            partes.push({ nome: file.name, linhas: this.linhasMapeadas, errosParse: this.errosParse });
+        }
+
+        return this.mesclarArquivos(partes);
+    }
+
+    /**
+     * Mescla as linhas (já mapeadas) de vários arquivos em um único dataset
+     * Política de sobreposição: a mesma chave RA + TURMA + DATA em arquivos diferentes
+     * fica apenas com as linhas do arquivo mais recente (o último da lista).
+     * Repetições dentro de um mesmo arquivo seguem para o relatório de qualidade.
+     * @param {Array<Object>} partes - [{nome, linhas, errosParse}] do mais antigo para o mais recente
+     * @returns {Object} - Retorno de aplicarTratamento()
+     */
+    mesclarArquivos(partes) {
+        const mescladas = [];
+        const chaves = new Map(); // chave -> {arquivo, posicoes}
+        const errosPorLinha = new Map();
+        const substituidas = partes.map(() => 0);
+
+        partes.forEach((parte, arquivo) => {
+            const erros = new Map();
+            parte.errosParse.forEach(erro => {
+                if (typeof erro.row === 'number' && !erros.has(erro.row)) erros.set(erro.row, erro);
+            });
+
+            parte.linhas.forEach((row, indice) => {
+                row.__arquivo = parte.nome;
+                if (erros.has(indice)) errosPorLinha.set(row, erros.get(indice));
+
+                const posicao = mescladas.length;
+                mescladas.push(row);
+
+                const chave = this.getChaveSobreposicao(row);
+                if (!chave) return;
+                const anterior = chaves.get(chave);
+                if (anterior && anterior.arquivo === arquivo) {
+                    anterior.posicoes.push(posicao);
+                    return;
+                }
+                if (anterior) {
+                    // Arquivo mais recente vence: remover as linhas do arquivo anterior
+                    anterior.posicoes.forEach(p => { mescladas[p] = null; });
+                    substituidas[anterior.arquivo] += anterior.posicoes.length;
+                }
+                chaves.set(chave, { arquivo, posicoes: [posicao] });
+            });
+        });
+
+        this.linhasOriginais = mescladas.filter(row => row !== null);
+        this.errosParse = [];
+        this.linhasOriginais.forEach((row, indice) => {
+            const erro = errosPorLinha.get(row);
+            if (erro) this.errosParse.push(Object.assign({}, erro, { row: indice }));
+        });
+
+        // Colunas já estão com os nomes esperados
+        const cabecalhos = new Set();
+        partes.forEach(parte => {
+            Object.keys(parte.linhas[0] || {}).forEach(c => { if (!c.startsWith('__')) cabecalhos.add(c); });
+        });
+        this.cabecalhos = Array.from(cabecalhos);
+
+        const mantidas = new Map();
+        this.linhasOriginais.forEach(row => mantidas.set(row.__arquivo, (mantidas.get(row.__arquivo) || 0) + 1));
+        this.arquivos = partes.map((parte, arquivo) => ({
+            nome: parte.nome,
+            linhas: parte.linhas.length,
+            mantidas: mantidas.get(parte.nome) || 0,
+            substituidas: substituidas[arquivo]
+        }));
+
+        return this.remapear(null);
+    }
+
+    /**
+     * Chave usada para detectar linhas sobrepostas entre arquivos (RA + TURMA + DATA)
+     * @param {Object} row - Linha com os campos mapeados
+     * @returns {string} - '' quando falta RA, TURMA ou DATA
+     */
+    getChaveSobreposicao(row) {
+        const ra = String(row.RA || '').trim();
+        const turma = this.normalizeName(row.TURMA || '').toUpperCase();
+        const dataStr = String(row.DATA || '').trim();
+        if (!ra || !turma || !dataStr) return '';
+        return `${ra}|${turma}|${this.getDataNumero(dataStr) || dataStr}`;
+    }
+
+    /**
+     * Arquivo de origem das linhas de cada mês (datasets com mais de um arquivo)
+     * @returns {Array<Object>} - [{mes, arquivos: [{nome, linhas}]}] em ordem cronológica
+     */
+    getOrigemPorMes() {
+        const meses = new Map();
+        this.rawData.forEach(row => {
+            const mes = this.getMesChave(row.DATA);
+            if (!mes) return;
+            if (!meses.has(mes)) meses.set(mes, new Map());
+            const arquivos = meses.get(mes);
+            const nome = row.__arquivo || (this.arquivos[0] && this.arquivos[0].nome) || '';
+            arquivos.set(nome, (arquivos.get(nome) || 0) + 1);
+        });
+
+        return Array.from(meses.keys()).sort().map(mes => ({
+            mes,
+            arquivos: Array.from(meses.get(mes), ([nome, linhas]) => ({ nome, linhas }))
+        }));
+    }
+
+    /**
+     * Indica se a leitura pode ser feita em um Web Worker
+     * (navegadores não iniciam workers a partir de páginas abertas via file://)
+     */
+    isWorkerDisponivel() {
+        return typeof Worker !== 'undefined' &&
+            typeof location !== 'undefined' && location.protocol !== 'file:';
+    }
+
     /**
      * Carrega e processa o arquivo CSV
+     * A leitura, a verificação de qualidade e a indexação acontecem no Web Worker
+     * (js/csvWorker.js); sem worker disponível, o arquivo é lido na própria página
      * @param {File} file - Arquivo CSV selecionado
+     * @param {Function} [resolverMapeamento] - (cabecalhos, amostra) => Promise<{campo: coluna|null}>
+     * @param {Function} [onProgresso] - ({etapa, bytes, total, linhas}) durante o carregamento
      * @returns {Promise} - Promise com os dados processados
      */
-    async loadCSV(file) {
+    async loadCSV(file, resolverMapeamento = null, onProgresso = null) {
+        this.cancelarCarregamento();
+
         try {
+            if (this.isWorkerDisponivel()) {
+                try {
+                    return await this.loadCSVWorker(file, resolverMapeamento, onProgresso);
+                } catch (error) {
+                    if (!error.semWorker) throw error;
+                    console.warn('Leitura em segundo plano indisponível, lendo o arquivo na página:', error.message);
+                }
+            }
+
+            // Na página, a leitura não pode ser interrompida no meio: um novo carregamento
+            // (ou o botão cancelar) é verificado entre as etapas, antes de alterar os dados
+            let cancelado = false;
+            const cancelarNaPagina = () => { cancelado = true; };
+            const verificarCancelamento = () => {
+                if (!cancelado) return;
+                const error = new Error('Carregamento cancelado.');
+                error.cancelado = true;
+                throw error;
+            };
+            this.cancelarLeitura = cancelarNaPagina;
+
             // Decodificar com fallback de encoding para evitar problemas de acentuação (�)
             const csvText = await this.decodeCSVFile(file);
+            verificarCancelamento();
 
             const results = Papa.parse(csvText, {
                 header: true,
                 skipEmptyLines: true
             });
 
-            if (results.errors && results.errors.length > 0) {
-                throw new Error('Erro ao processar o arquivo CSV: ' + results.errors[0].message);
+            // Erros de estrutura não interrompem a leitura: entram no relatório de qualidade
+            if (results.data.length === 0) {
+                throw new Error('O arquivo não contém registros.');
             }
 
-            this.rawData = results.data;
-            this.processData();
-            return {
-                totalRegistros: this.rawData.length,
-                empresasAPR: this.empresasAPR.size,
-                turmas: this.turmasPorEmpresa.size
-            };
+            // Número da linha no arquivo (linha 1 = cabeçalho) para o relatório de qualidade
+            results.data.forEach((row, indice) => { row.__linha = indice + 2; });
+
+            this.linhasOriginais = results.data;
+            this.errosParse = results.errors || [];
+            this.cabecalhos = (results.meta && results.meta.fields) || [];
+            if (onProgresso) onProgresso({ etapa: 'leitura', bytes: file.size, total: file.size, linhas: results.data.length });
+
+            // Associar colunas do arquivo aos campos esperados (assistente de mapeamento)
+            const mapa = resolverMapeamento
+                ? await resolverMapeamento(this.cabecalhos, this.linhasOriginais.slice(0, 5))
+                : null;
+            verificarCancelamento();
+            if (this.cancelarLeitura === cancelarNaPagina) this.cancelarLeitura = null;
+
+            return this.remapear(mapa);
         } catch (error) {
+            if (error.cancelado) throw error;
             throw new Error('Erro ao ler o arquivo: ' + error.message);
         }
     }
 
+    /**
+     * Carrega o arquivo pelo Web Worker
+     * As linhas chegam por bloco (progresso real); depois do mapeamento, o worker verifica
+     * a qualidade e devolve os índices, que são adotados sem reprocessar as linhas aqui
+     * @returns {Promise<Object>} - Retorno de aplicarTratamento(); erros com semWorker = true
+     * indicam que o worker não pôde ser iniciado
+     */
+    loadCSVWorker(file, resolverMapeamento, onProgresso) {
+        return new Promise((resolve, reject) => {
+            let worker;
+            try {
+                worker = new Worker('js/csvWorker.js');
+            } catch (error) {
+                error.semWorker = true;
+                reject(error);
+                return;
+            }
+
+            const linhas = [];
+            let iniciado = false;
+
+            const encerrar = () => {
+                worker.terminate();
+                if (this.worker === worker) {
+                    this.worker = null;
+                    this.cancelarLeitura = null;
+                }
+            };
+            const falhar = (error) => {
+                encerrar();
+                reject(error);
+            };
+
+            this.worker = worker;
+            this.cancelarLeitura = () => {
+                const error = new Error('Carregamento cancelado.');
+                error.cancelado = true;
+                falhar(error);
+            };
+
+            worker.onerror = (e) => {
+                e.preventDefault();
+                const error = new Error(e.message || 'Falha na leitura em segundo plano.');
+                // Falha antes da primeira mensagem (ex.: script não carregado): ler na página
+                error.semWorker = !iniciado;
+                falhar(error);
+            };
+
+            worker.onmessage = async (e) => {
+                if (this.worker !== worker) return; // Mensagens que chegam após o cancelamento
+                const msg = e.data;
+                iniciado = true;
+
+                if (msg.tipo === 'linhas') {
+                    msg.linhas.forEach(row => linhas.push(row));
+                    if (onProgresso) onProgresso(Object.assign({ etapa: 'leitura' }, msg.progresso));
+
+                } else if (msg.tipo === 'lido') {
+                    if (linhas.length === 0) {
+                        falhar(new Error('O arquivo não contém registros.'));
+                        return;
+                    }
+
+                    this.linhasOriginais = linhas;
+                    this.errosParse = msg.errosParse;
+                    this.cabecalhos = msg.cabecalhos;
+
+                    let mapa = null;
+                    try {
+                        mapa = resolverMapeamento
+                            ? await resolverMapeamento(this.cabecalhos, linhas.slice(0, 5))
+                            : null;
+                    } catch (error) {
+                        falhar(error);
+                        return;
+                    }
+                    if (this.worker !== worker) return; // Cancelado durante o mapeamento
+
+                    this.mapearLinhas(mapa);
+                    if (onProgresso) onProgresso({ etapa: 'indexacao', bytes: file.size, total: file.size, linhas: linhas.length });
+                    worker.postMessage({ tipo: 'processar', mapa, decisoes: this.qualidade.decisoes, programas: this.programas });
+
+                } else if (msg.tipo === 'processado') {
+                    encerrar();
+                    this.qualidade.restaurar(msg.qualidade, this.linhasMapeadas);
+                    this.setIndices(msg.indices);
+                    resolve(this.aplicarTratamento(false));
+
+                } else if (msg.tipo === 'erro') {
+                    falhar(new Error(msg.mensagem));
+                }
+            };
+
+            worker.postMessage({ tipo: 'ler', file });
+        });
+    }
+
+    /**
+     * Interrompe o carregamento em andamento (a Promise de loadCSV é rejeitada)
+     */
+    cancelarCarregamento() {
+        if (this.cancelarLeitura) this.cancelarLeitura();
+    }
+
+    /**
+     * Aplica um mapeamento de colunas às linhas do arquivo, verifica a qualidade e reprocessa os dados
+     * Os campos mapeados passam a ser lidos pelo nome esperado (TURMA, DATA, RA...)
+     * @param {Object|null} mapa - {campo: coluna|null}; null mantém os nomes do arquivo
+     * @returns {Object} - Retorno de aplicarTratamento()
+     */
+    remapear(mapa) {
+        this.mapearLinhas(mapa);
+        this.qualidade.validar(this.linhasMapeadas, this.errosParse);
+        return this.aplicarTratamento();
+    }
+
+    /**
+     * Conteúdo do arquivo carregado para ser salvo no navegador
+     * @returns {Object} - {linhasOriginais, cabecalhos, errosParse, mapeamento, decisoes, arquivos}
+     */
+    exportarDataset() {
+        return {
+            linhasOriginais: this.linhasOriginais,
+            cabecalhos: this.cabecalhos,
+            errosParse: this.errosParse,
+            mapeamento: this.mapeamento,
+            decisoes: Object.assign({}, this.qualidade.decisoes),
+            arquivos: this.arquivos
+        };
+    }
+
+    /**
+     * Reabre um dataset salvo (mesmo mapeamento e tratamentos de qualidade)
+     * @param {Object} conteudo - Retorno de exportarDataset()
+     * @returns {Object} - Retorno de aplicarTratamento()
+     */
+    restaurarDataset(conteudo) {
+        this.cancelarCarregamento();
+        this.linhasOriginais = conteudo.linhasOriginais || [];
+        this.cabecalhos = conteudo.cabecalhos || [];
+        this.errosParse = conteudo.errosParse || [];
+        this.arquivos = conteudo.arquivos || [];
+        this.qualidade.decisoes = Object.assign({}, conteudo.decisoes);
+        return this.remapear(conteudo.mapeamento || null);
+    }
+
+    /**
+     * Monta linhasMapeadas a partir das linhas do arquivo
+     * @param {Object|null} mapa - {campo: coluna|null}
+     */
+    mapearLinhas(mapa) {
+        this.mapeamento = mapa;
+
+        // Campos cuja coluna tem outro nome (ou que foram deixados sem coluna)
+        const colunas = new Set(this.cabecalhos);
+        const pares = Object.entries(mapa || {})
+            .filter(([campo, coluna]) => coluna !== campo && (coluna || colunas.has(campo)));
+
+        this.linhasMapeadas = pares.length === 0
+            ? this.linhasOriginais
+            : this.linhasOriginais.map(row => {
+                const linha = Object.assign({}, row);
+                pares.forEach(([campo, coluna]) => { linha[campo] = coluna ? row[coluna] : undefined; });
+                return linha;
+            });
+    }
+
+    /**
+     * Aplica os tratamentos escolhidos no relatório de qualidade e reprocessa os dados
+     * @param {boolean} [reindexar] - false quando os índices já vieram do worker
+     * @returns {Object} - {totalRegistros, empresasAPR, turmas, linhasExcluidas}
+     */
+    aplicarTratamento(reindexar = true) {
+        this.rawData = this.qualidade.filtrar(this.linhasMapeadas);
+        if (reindexar) this.processData();
+        return this.getResumo();
+    }
+
+    /**
+     * Resumo dos dados carregados no programa ativo
+     * @returns {Object} - {totalRegistros, empresasAPR, turmas, linhasExcluidas}
+     */
+    getResumo() {
+        return {
+            totalRegistros: this.rawData.length,
+            empresasAPR: this.empresasAPR.size,
+            turmas: this.turmasPorEmpresa.size,
+            linhasExcluidas: this.linhasMapeadas.length - this.rawData.length
+        };
+    }
+
+    /**
+     * Índices montados por processData()
+     * @returns {Object} - {indicesPorPrograma, indice}
+     */
+    getIndices() {
+        return {
+            indicesPorPrograma: this.indicesPorPrograma,
+            indice: this.indice
+        };
+    }
+
+    /**
+     * Adota índices montados em outro contexto (ex.: no Web Worker)
+     * @param {Object} indices - Retorno de getIndices()
+     */
+    setIndices(indices) {
+        this.indicesPorPrograma = indices.indicesPorPrograma;
+        this.indice = indices.indice;
+        this.selecionarPrograma(this.programaAtivoId);
+    }
+
     /**
      * Lê arquivo como ArrayBuffer
      */
@@ -125,50 +619,156 @@ class DataModel {
      * Processa os dados brutos e organiza em estruturas otimizadas
      */
     processData() {
-        this.empresasAPR.clear();
-        this.turmasPorEmpresa.clear();
-        this.datasDisponiveis.clear();
+        this.indicesPorPrograma = new Map(this.programas.map(p => [p.id, this.criarIndicesPrograma()]));
+        this.indice.clear();
 
-        this.rawData.forEach(row => {
+        // Índices dos programas de cada turma (as regras são avaliadas uma vez por turma)
+        const indicesDaTurma = new Map();
+
+        this.rawData.forEach((row, posicao) => {
             const turma = this.normalizeName(row.TURMA || '');
             const cnpjRaw = row.CNPJ_EMPRESA || '';
             const cnpj = this.normalizeCNPJ(cnpjRaw);
             const empresa = this.normalizeName(row.EMPRESA || '');
-            const data = this.normalizeName(row.DATA || '');
-
-            // Filtrar apenas empresas do Projeto Jovem Aprendiz (turma começa com APR)
-            if (turma.toUpperCase().startsWith('APR') && cnpj && empresa) {
-                // Registrar empresa por CNPJ com aliases de nomes
-                if (!this.empresasAPR.has(cnpj)) {
-                    this.empresasAPR.set(cnpj, {
-                        cnpj,
-                        nome: empresa,
-                        aliases: new Set([empresa])
-                    });
-                } else {
-                    const entry = this.empresasAPR.get(cnpj);
-                    entry.aliases.add(empresa);
-                    // Escolher melhor nome (o mais completo/mais longo)
-                    const best = this.chooseBestName(entry.aliases);
-                    entry.nome = best || entry.nome;
-                }
 
-                // Organizar turmas por CNPJ da empresa (agrupadas por CNPJ normalizado)
-                if (!this.turmasPorEmpresa.has(cnpj)) {
-                    this.turmasPorEmpresa.set(cnpj, new Set());
-                }
-                this.turmasPorEmpresa.get(cnpj).add(turma);
+            // Índice de filtragem (todas as linhas, inclusive de turmas fora dos programas)
+            this.indexarLinha(posicao, cnpj, turma, row.DATA);
 
-                // Adicionar data ao conjunto de datas disponíveis
-                if (data) {
-                    this.datasDisponiveis.add(data);
-                }
+            if (!cnpj || !empresa) return;
+            if (!indicesDaTurma.has(turma)) {
+                indicesDaTurma.set(turma, this.getProgramasDaTurma(turma).map(id => this.indicesPorPrograma.get(id)));
             }
+            indicesDaTurma.get(turma).forEach(indices => this.registrarLinhaPrograma(indices, row, cnpj, empresa, turma));
         });
+
+        // Chaves de data em ordem para a busca por período
+        this.indice.forEach(turmas => turmas.forEach(grupo => {
+            grupo.chaves = Array.from(grupo.datas.keys()).sort((a, b) => a - b);
+        }));
+
+        this.selecionarPrograma(this.programaAtivoId);
     }
 
     /**
-     * Retorna array de empresas do Projeto Jovem Aprendiz
+     * Registra uma linha nos índices de um programa (empresa, turma, data, status e aluno)
+     * @param {Object} indices - Retorno de criarIndicesPrograma()
+     * @param {Object} row - Linha do arquivo
+     * @param {string} cnpj - CNPJ normalizado
+     * @param {string} empresa - Nome da empresa normalizado
+     * @param {string} turma - Turma normalizada
+     */
+    registrarLinhaPrograma(indices, row, cnpj, empresa, turma) {
+        const { empresasAPR, turmasPorEmpresa, datasDisponiveis, statusDisponiveis } = indices;
+
+        // Registrar empresa por CNPJ com aliases de nomes
+        if (!empresasAPR.has(cnpj)) {
+            empresasAPR.set(cnpj, {
+                cnpj,
+                nome: empresa,
+                aliases: new Set([empresa])
+            });
+        } else {
+            const entry = empresasAPR.get(cnpj);
+            entry.aliases.add(empresa);
+            // Escolher melhor nome (o mais completo/mais longo)
+            const best = this.chooseBestName(entry.aliases);
+            entry.nome = best || entry.nome;
+        }
+
+        // Organizar turmas por CNPJ da empresa (agrupadas por CNPJ normalizado)
+        if (!turmasPorEmpresa.has(cnpj)) {
+            turmasPorEmpresa.set(cnpj, new Set());
+        }
+        turmasPorEmpresa.get(cnpj).add(turma);
+
+        // Adicionar data ao conjunto de datas disponíveis
+        const data = this.normalizeName(row.DATA || '');
+        if (data) {
+            datasDisponiveis.add(data);
+        }
+
+        // Contar linhas por status (opções do filtro "Status do Aluno")
+        const status = this.normalizeName(row.DESCRICAO || '');
+        if (status) {
+            const valor = this.normalizeStatus(status);
+            if (!statusDisponiveis.has(valor)) {
+                statusDisponiveis.set(valor, { valor, rotulo: status, linhas: 0 });
+            }
+            statusDisponiveis.get(valor).linhas++;
+        }
+
+        // Vínculos do aluno (consulta por RA ou nome em todas as empresas e turmas)
+        const ra = String(row.RA || '').trim();
+        if (ra) this.registrarAluno(indices.alunosAPR, ra, row, cnpj, turma);
+    }
+
+    /**
+     * Registra o aluno e o vínculo (empresa e turma) de uma linha do programa
+     * @param {Map} alunos - Alunos do programa (RA -> aluno)
+     * @param {string} ra
+     * @param {Object} row - Linha do arquivo
+     * @param {string} cnpj - CNPJ normalizado
+     * @param {string} turma - Turma normalizada
+     */
+    registrarAluno(alunos, ra, row, cnpj, turma) {
+        if (!alunos.has(ra)) alunos.set(ra, { ra, nome: '', vinculos: new Map() });
+        const aluno = alunos.get(ra);
+        const nome = this.normalizeName(row.ALUNO || '');
+        if (nome.length > aluno.nome.length) aluno.nome = nome;
+
+        const chave = `${cnpj}|${turma}`;
+        if (!aluno.vinculos.has(chave)) {
+            aluno.vinculos.set(chave, { cnpj, turma, curso: this.normalizeName(row.CURSO || ''), linhas: 0, inicio: null, fim: null });
+        }
+        const vinculo = aluno.vinculos.get(chave);
+        vinculo.linhas++;
+        const numero = this.getDataNumero(row.DATA);
+        if (numero !== null) {
+            if (vinculo.inicio === null || numero < vinculo.inicio) vinculo.inicio = numero;
+            if (vinculo.fim === null || numero > vinculo.fim) vinculo.fim = numero;
+        }
+    }
+
+    /**
+     * Registra a posição de uma linha no índice de filtragem
+     * @param {number} posicao - Posição da linha em rawData
+     * @param {string} cnpj - CNPJ normalizado
+     * @param {string} turma - Turma normalizada
+     * @param {string} dataStr - DATA da linha
+     */
+    indexarLinha(posicao, cnpj, turma, dataStr) {
+        if (!this.indice.has(cnpj)) this.indice.set(cnpj, new Map());
+        const turmas = this.indice.get(cnpj);
+        if (!turmas.has(turma)) {
+            turmas.set(turma, { datas: new Map(), chaves: [], semData: [], invalidas: [] });
+        }
+        const grupo = turmas.get(turma);
+
+        if (!dataStr) {
+            grupo.semData.push(posicao); // Sem DATA: não é excluída pelo período
+            return;
+        }
+        const chave = this.getDataNumero(dataStr);
+        if (chave === null) {
+            grupo.invalidas.push(posicao); // DATA inválida: só entra quando não há período
+            return;
+        }
+        if (!grupo.datas.has(chave)) grupo.datas.set(chave, []);
+        grupo.datas.get(chave).push(posicao);
+    }
+
+    /**
+     * Converte uma data DD/MM/YYYY em número ordenável AAAAMMDD
+     * @param {string} dataStr
+     * @returns {number|null} - null quando a data é inválida (mesma regra da verificação de qualidade)
+     */
+    getDataNumero(dataStr) {
+        return DateHelper.dataNumero(dataStr);
+    }
+
+
+    /**
+     * Retorna array de empresas do programa ativo
      * @returns {Array} - Array de objetos com cnpj e nome
      */
     getEmpresasAPR() {
@@ -205,6 +805,88 @@ class DataModel {
         });
     }
 
+    /**
+     * Texto para busca sem acentos e sem diferença de maiúsculas/minúsculas
+     * @param {string} texto
+     * @returns {string}
+     */
+    normalizarBusca(texto) {
+        return String(texto || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/\s+/g, ' ')
+            .trim()
+            .toLowerCase();
+    }
+
+    /**
+     * Busca alunos das turmas do programa ativo por RA (parcial) ou nome (parcial, sem acentos;
+     * cada palavra do termo precisa aparecer no nome, em qualquer ordem)
+     * @param {string} termo
+     * @param {number} [limite=50] - Quantidade máxima de alunos retornados
+     * @returns {Array<Object>} - [{ra, nome, vinculos: [{cnpj, empresa, turma, curso, linhas, inicio, fim}]}]
+     */
+    buscarAlunos(termo, limite = 50) {
+        const termoBusca = this.normalizarBusca(termo);
+        if (termoBusca.length < 2) return [];
+
+        const palavras = termoBusca.split(' ');
+        const encontrados = [];
+        this.alunosAPR.forEach(aluno => {
+            const nome = this.normalizarBusca(aluno.nome);
+            const raMatch = aluno.ra.toLowerCase().includes(termoBusca);
+            const nomeMatch = palavras.every(p => nome.includes(p));
+            if (!raMatch && !nomeMatch) return;
+            // RA exato primeiro, depois nomes que começam pelo termo, depois ordem alfabética
+            const relevancia = aluno.ra.toLowerCase() === termoBusca ? 0 : nome.startsWith(termoBusca) ? 1 : 2;
+            encontrados.push({ aluno, relevancia });
+        });
+
+        return encontrados
+            .sort((a, b) => a.relevancia - b.relevancia || a.aluno.nome.localeCompare(b.aluno.nome, 'pt-BR'))
+            .slice(0, limite)
+            .map(({ aluno }) => this.getAluno(aluno.ra));
+    }
+
+    /**
+     * Retorna um aluno das turmas do programa ativo com os vínculos (empresas e turmas) em que aparece
+     * @param {string} ra
+     * @returns {Object|null} - {ra, nome, vinculos: [{cnpj, empresa, turma, curso, linhas, inicio, fim}]}
+     */
+    getAluno(ra) {
+        const aluno = this.alunosAPR.get(String(ra || '').trim());
+        if (!aluno) return null;
+
+        const vinculos = Array.from(aluno.vinculos.values()).map(v => {
+            const empresa = this.empresasAPR.get(v.cnpj);
+            return {
+                cnpj: v.cnpj,
+                empresa: empresa ? empresa.nome : '',
+                turma: v.turma,
+                curso: v.curso,
+                linhas: v.linhas,
+                inicio: v.inicio,
+                fim: v.fim
+            };
+        }).sort((a, b) => (a.inicio || 0) - (b.inicio || 0) || a.turma.localeCompare(b.turma));
+
+        return { ra: aluno.ra, nome: aluno.nome, vinculos };
+    }
+
+    /**
+     * Linhas de um aluno em uma empresa e turma (todas as datas carregadas), na ordem das datas
+     * @param {string} ra
+     * @param {string} cnpj
+     * @param {string} turma
+     * @returns {Array} - Linhas do arquivo
+     */
+    getLinhasAluno(ra, cnpj, turma) {
+        const chave = String(ra || '').trim();
+        return this.filtrarDados({ cnpj, turma })
+            .filter(row => String(row.RA || '').trim() === chave)
+            .sort((a, b) => (this.getDataNumero(a.DATA) || 0) - (this.getDataNumero(b.DATA) || 0));
+    }
+
     /**
      * Retorna as turmas de uma empresa específica
      * @param {string} cnpj - CNPJ da empresa
@@ -217,6 +899,15 @@ class DataModel {
         return Array.from(turmas).sort();
     }
 
+    /**
+     * Retorna os status (DESCRICAO) encontrados nas turmas do programa ativo, com o número de linhas de cada um
+     * @returns {Array<Object>} - [{valor (normalizado), rotulo, linhas}] em ordem alfabética
+     */
+    getStatusDisponiveis() {
+        return Array.from(this.statusDisponiveis.values())
+            .sort((a, b) => a.rotulo.localeCompare(b.rotulo, 'pt-BR'));
+    }
+
     /**
      * Retorna as datas disponíveis no dataset
      * @returns {Array} - Array de datas ordenadas
@@ -255,6 +946,62 @@ class DataModel {
         return `${day}/${month}/${year}`;
     }
 
+    /**
+     * Retorna a chave de mês (YYYY-MM) de uma data DD/MM/YYYY
+     * @param {string} dataStr - Data no formato DD/MM/YYYY
+     * @returns {string} - Chave ordenável ou '' se inválida
+     */
+    getMesChave(dataStr) {
+        const parts = String(dataStr || '').split('/');
+        if (parts.length !== 3) return '';
+        return `${parts[2]}-${parts[1].padStart(2, '0')}`;
+    }
+
+    /**
+     * Formata chave de mês YYYY-MM como MM/YYYY
+     */
+    formatMesChave(chave) {
+        const [ano, mes] = String(chave).split('-');
+        return mes && ano ? `${mes}/${ano}` : '';
+    }
+
+    /**
+     * Retorna os meses presentes no dataset
+     * @returns {Array<string>} - Chaves YYYY-MM em ordem cronológica
+     */
+    getMesesDisponiveis() {
+        const meses = new Set(this.getDatasDisponiveis().map(d => this.getMesChave(d)).filter(m => m));
+        return Array.from(meses).sort();
+    }
+
+    /**
+     * Retorna o primeiro e o último dia de um mês
+     * @param {string} chave - Mês YYYY-MM
+     * @returns {Object} - {inicio, fim} no formato DD/MM/YYYY
+     */
+    getPeriodoMes(chave) {
+        const [ano, mes] = String(chave).split('-').map(n => parseInt(n, 10));
+        return {
+            inicio: this.formatDate(new Date(ano, mes - 1, 1)),
+            fim: this.formatDate(new Date(ano, mes, 0))
+        };
+    }
+
+    /**
+     * Formata lista de datas para as colunas "(DIAS)" em ordem cronológica
+     * @param {Array<string>} datas - Datas DD/MM/YYYY
+     * @param {boolean} completa - true: DD/MM/YYYY; false: apenas o dia (período de um único mês)
+     * @returns {string} - Datas separadas por vírgula e espaço
+     */
+    formatarListaDatas(datas, completa) {
+        return datas
+            .filter(d => d) // Remover datas vazias
+            .slice()
+            .sort((a, b) => (this.parseDate(a) || 0) - (this.parseDate(b) || 0))
+            .map(d => completa ? d : (d.split('/')[0] || ''))
+            .join(', ');
+    }
+
     /**
      * Obtém o primeiro valor definido entre várias possíveis chaves de coluna
      * Útil para lidar com variações como FALTAS/FALTA/FALT e FREQUENCIA/FREQUENC
@@ -273,8 +1020,10 @@ class DataModel {
 
     /**
      * Filtra dados com base nos critérios selecionados
+     * Usa o índice montado em processData(): apenas os grupos da empresa/turma e as
+     * datas do período são percorridos. Sem turma, entram as turmas da empresa no programa ativo.
      * @param {Object} filtros - Objeto com filtros {cnpj, turma, dataInicio, dataFim, statusList}
-     * @returns {Array} - Array de registros filtrados
+     * @returns {Array} - Array de registros filtrados (na ordem do arquivo)
      */
     filtrarDados(filtros) {
         const { cnpj, turma, dataInicio, dataFim, statusList } = filtros;
@@ -289,44 +1038,109 @@ class DataModel {
             }
         }
 
-        return this.rawData.filter(row => {
-            // Filtro por CNPJ
-            if (cnpj) {
-                const rowCnpj = this.normalizeCNPJ(row.CNPJ_EMPRESA || '');
-                const filtroCnpj = this.normalizeCNPJ(cnpj);
-                if (rowCnpj !== filtroCnpj) {
-                    return false;
-                }
-            }
+        // Período como números AAAAMMDD (null = sem filtro de período)
+        const periodo = dataInicio && dataFim
+            ? { inicio: this.getDataNumero(dataInicio), fim: this.getDataNumero(dataFim) }
+            : null;
 
-            // Filtro por Turma
-            if (turma && row.TURMA !== turma) {
-                return false;
-            }
+        const empresas = cnpj
+            ? [this.indice.get(this.normalizeCNPJ(cnpj))]
+            : Array.from(this.indice.values());
 
-            // Filtro por período de datas
-            if (dataInicio && dataFim && row.DATA) {
-                const dataRegistro = this.parseDate(row.DATA);
-                if (!dataRegistro) return false;
+        const posicoes = [];
+        empresas.forEach(turmas => {
+            if (!turmas) return;
+            const grupos = turma
+                ? [turmas.get(this.normalizeName(turma))]
+                : Array.from(turmas).filter(([codigo]) => this.isTurmaDoPrograma(codigo)).map(([, grupo]) => grupo);
+            grupos.forEach(grupo => {
+                if (grupo) this.coletarPosicoes(grupo, periodo, posicoes);
+            });
+        });
 
-                const inicio = this.parseDate(dataInicio);
-                const fim = this.parseDate(dataFim);
+        // Manter a ordem do arquivo (mesmo resultado da varredura completa)
+        posicoes.sort((a, b) => a - b);
+        const dados = posicoes.map(posicao => this.rawData[posicao]);
+        if (!statusSet) return dados;
 
-                if (dataRegistro < inicio || dataRegistro > fim) {
-                    return false;
-                }
-            }
+        // Filtro por Status: vale o status resolvido de cada aluno (todas as linhas do aluno
+        // entram ou saem juntas), e não a DESCRICAO de cada linha
+        const statusPorRA = this.resolverStatus(dados);
+        return dados.filter(row => {
+            const status = statusPorRA.get(row.RA);
+            return status !== undefined && statusSet.has(this.normalizeStatus(status.status));
+        });
+    }
 
-            // Filtro por Status (DESCRICAO)
-            if (statusSet) {
-                const rowStatus = this.normalizeStatus(row.DESCRICAO || '');
-                if (!statusSet.has(rowStatus)) {
-                    return false;
-                }
-            }
+    /**
+     * Resolve o status de cada aluno pela linha do tempo da DESCRICAO (data a data)
+     * O status do aluno é o da data mais recente; "desde" é a data em que ele passou a valer.
+     * Quando é um status de saída (cancelamento, desistência), "saida" guarda essa data:
+     * as faltas posteriores não contam no relatório.
+     * @param {Array} dados - Linhas (qualquer ordem)
+     * @returns {Map<string, Object>} - RA -> {status, desde, saida, historico: [{status, desde}]}
+     */
+    resolverStatus(dados) {
+        const linhasPorRA = new Map(); // RA -> [{numero, status}]
+        dados.forEach(row => {
+            const status = (row.DESCRICAO || '').toString().trim();
+            if (!row.RA || !status) return;
+            if (!linhasPorRA.has(row.RA)) linhasPorRA.set(row.RA, []);
+            linhasPorRA.get(row.RA).push({ numero: this.getDataNumero(row.DATA), data: row.DATA || '', status });
+        });
+
+        const resolvidos = new Map();
+        linhasPorRA.forEach((linhas, ra) => {
+            // Linhas sem data válida ficam no início (não definem o status mais recente)
+            linhas.sort((a, b) => (a.numero || 0) - (b.numero || 0));
 
-            return true;
+            const historico = [];
+            linhas.forEach(({ numero, data, status }) => {
+                const ultimo = historico[historico.length - 1];
+                if (ultimo && this.normalizeStatus(ultimo.status) === this.normalizeStatus(status)) return;
+                historico.push({ status, desde: numero ? data : '', numero });
+            });
+
+            const atual = historico[historico.length - 1];
+            resolvidos.set(ra, {
+                status: atual.status,
+                desde: atual.desde,
+                saida: this.statusSaida.includes(this.normalizeStatus(atual.status)) ? atual.numero : null,
+                historico: historico.map(({ status, desde }) => ({ status, desde }))
+            });
         });
+        return resolvidos;
+    }
+
+    /**
+     * Adiciona as posições de um grupo (empresa + turma) que estão no período
+     * @param {Object} grupo - {datas, chaves, semData, invalidas}
+     * @param {Object|null} periodo - {inicio, fim} em AAAAMMDD
+     * @param {Array<number>} posicoes - Lista que recebe as posições
+     */
+    coletarPosicoes(grupo, periodo, posicoes) {
+        const adicionar = (lista) => { for (let i = 0; i < lista.length; i++) posicoes.push(lista[i]); };
+
+        adicionar(grupo.semData);
+        if (!periodo) {
+            adicionar(grupo.invalidas);
+            grupo.chaves.forEach(chave => adicionar(grupo.datas.get(chave)));
+            return;
+        }
+        if (periodo.inicio === null || periodo.fim === null) return;
+
+        // Primeira data >= início (busca binária nas chaves ordenadas)
+        const chaves = grupo.chaves;
+        let baixo = 0;
+        let alto = chaves.length;
+        while (baixo < alto) {
+            const meio = (baixo + alto) >> 1;
+            if (chaves[meio] < periodo.inicio) baixo = meio + 1;
+            else alto = meio;
+        }
+        for (let i = baixo; i < chaves.length && chaves[i] <= periodo.fim; i++) {
+            adicionar(grupo.datas.get(chaves[i]));
+        }
     }
 
     /**
@@ -340,36 +1154,104 @@ class DataModel {
             .trim();
     }
 
+    /**
+     * Classifica o percentual de frequência em REGULAR / ATENÇÃO / CRÍTICO
+     * Sem carga horária prevista (ex.: nenhuma DATA válida) não há percentual: "SEM DADOS".
+     * @param {number|null} percentual - Percentual de frequência (0-100)
+     * @param {number} minimo - Percentual mínimo exigido
+     * @param {number} margem - Faixa (em pontos percentuais) acima do mínimo considerada "ATENÇÃO"
+     * @returns {string}
+     */
+    classificarFrequencia(percentual, minimo, margem) {
+        if (percentual === null) return 'SEM DADOS';
+        if (percentual < minimo) return 'CRÍTICO';
+        if (percentual < minimo + margem) return 'ATENÇÃO';
+        return 'REGULAR';
+    }
+
     /**
      * Gera relatório consolidado dos dados filtrados
      * @param {Array} dadosFiltrados - Array de dados já filtrados
+     * @param {Object} [perfil] - Perfil de regras (RuleProfileModel); padrão quando omitido
+     * @param {JustificationModel} [justificativas] - Justificativas manuais aplicadas sobre o campo JUSTIFICADA
+     * @param {Object} [opcoes]
+     * @param {CourseConfigModel} [opcoes.cursos] - Carga horária dos cursos; quando informado, o relatório traz
+     *   também a ausência acumulada desde DTINICIO_TURMA e o saldo de ausência no curso
+     * @param {ScheduleModel} [opcoes.calendario] - Cronogramas das turmas (horas por dia e dias previstos),
+     *   feriados/recessos e dias excluídos pelo coordenador
+     * @param {Object} [opcoes.periodo] - {inicio, fim} (DD/MM/YYYY) selecionados; base dos dias previstos
      * @returns {Object} - Objeto com estatísticas e relatório
      */
-    gerarRelatorio(dadosFiltrados) {
-        const alunosPorRA = new Map();
+    gerarRelatorio(dadosFiltrados, perfil = RuleProfileModel.perfilPadrao(), justificativas = null, opcoes = {}) {
+        const { cursos = null, calendario = null, periodo = null } = opcoes;
+        // Valor de JUSTIFICADA -> categoria (perfis sem categorias: uma categoria com todos os valores)
+        const categoriasPerfil = perfil.categoriasJustificativa || [{ nome: 'Falta justificada', valores: perfil.valoresJustificada }];
+        const categoriaPorValor = new Map();
+        categoriasPerfil.forEach(cat => cat.valores.forEach(v => categoriaPorValor.set(String(v).trim().toUpperCase(), cat.nome)));
+        const categoriaManual = 'Justificativa manual'; // Justificativas manuais sem valor classificado no arquivo
+        const categoriasUsadas = new Set(categoriasPerfil.map(cat => cat.nome));
+        const naoClassificados = new Map(); // Valor de JUSTIFICADA fora das categorias -> ocorrências
+        const faltasDiaInteiro = perfil.faltasDiaInteiro;
+        // Um registro por aluno em cada empresa e turma: transferidos têm um registro por vínculo
+        const alunosPorVinculo = new Map();
+        const mesesPeriodo = new Set(); // Chaves YYYY-MM presentes nos dados
+        const statusPorRA = this.resolverStatus(dadosFiltrados);
+        let registrosAposSaida = 0; // Linhas ignoradas por serem posteriores ao cancelamento/desistência
+        let registrosDiasExcluidos = 0; // Linhas em dias excluídos pelo coordenador
+        const diasTurma = new Map(); // "TURMA|AAAAMMDD" -> {turma, numero, data, alunos, ausentes}
 
         // Consolidar dados por aluno
         dadosFiltrados.forEach(row => {
             const ra = row.RA;
             if (!ra) return;
+            const numeroData = this.getDataNumero(row.DATA);
+
+            // Depois da data de cancelamento/desistência o aluno não tem mais aulas nem faltas
+            const statusAluno = statusPorRA.get(ra);
+            if (statusAluno && statusAluno.saida && numeroData && numeroData > statusAluno.saida) {
+                registrosAposSaida++;
+                return;
+            }
 
-            if (!alunosPorRA.has(ra)) {
-                alunosPorRA.set(ra, {
+            // Dias excluídos da turma pelo coordenador (ex.: dia sem aula registrado com falta para todos)
+            if (calendario && numeroData && calendario.isExcluido(row.TURMA, numeroData)) {
+                registrosDiasExcluidos++;
+                return;
+            }
+
+            const chave = this.chaveVinculo(ra, row.CNPJ_EMPRESA, row.TURMA);
+            if (!alunosPorVinculo.has(chave)) {
+                // Cronograma da turma (ou do curso): horas por dia e dias de aula previstos
+                const cronograma = calendario ? calendario.getCronograma(row.TURMA, row.CURSO) : null;
+                alunosPorVinculo.set(chave, {
+                    chave,
                     RA: ra,
                     ALUNO: row.ALUNO,
+                    CNPJ: this.normalizeCNPJ(row.CNPJ_EMPRESA),
+                    inicioTurma: null, // DTINICIO_TURMA (AAAAMMDD)
+                    inicioTurmaTexto: '', // DTINICIO_TURMA como veio no arquivo
                     EMPRESA: row.EMPRESA,
                     CURSO: row.CURSO,
                     TURMA: row.TURMA,
-                    faltasJustificadas: [], // Array de objetos {dia, valor}
-                    faltasNaoJustificadas: [], // Array de objetos {dia, valor}
-                    atrasosDias: [], // Array de dias (string) com atraso
+                    faltasJustificadas: [], // Array de objetos {data, valor}
+                    faltasNaoJustificadas: [], // Array de objetos {data, valor}
+                    atrasosDias: [], // Array de datas (DD/MM/YYYY) com atraso
+                    datasAula: new Set(), // Datas distintas com registro de aula
+                    meses: new Map(), // YYYY-MM -> {justificadas, naoJustificadas, horasAtraso, datasAula}
                     horasAtraso: 0, // Total de horas de atraso
-                    totalHorasAusencia: 0, // Total de horas de ausência (implementação futura)
-                    statusCounts: new Map() // contagem por DESCRICAO
+                    ajustes: new Map(), // data -> justificativa manual aplicada
+                    categorias: new Map(), // categoria -> datas das faltas justificadas
+                    cronograma,
+                    horasPorDia: cronograma ? cronograma.horasPorDia : perfil.horasPorDia,
+                    datasNumero: new Set() // Datas com registro (AAAAMMDD)
                 });
             }
 
-            const aluno = alunosPorRA.get(ra);
+            const aluno = alunosPorVinculo.get(chave);
+            if (aluno.inicioTurma === null && row.DTINICIO_TURMA) {
+                aluno.inicioTurma = this.getDataNumero(row.DTINICIO_TURMA);
+                if (aluno.inicioTurma) aluno.inicioTurmaTexto = String(row.DTINICIO_TURMA).trim();
+            }
             // Aceitar variações de nomes de colunas (algumas planilhas vêm truncadas)
             const faltasRaw = this.getFirstField(row, ['FALTAS', 'FALTA', 'FALT', 'FALT.']);
             const frequenciaRaw = this.getFirstField(row, ['FREQUENCIA', 'FREQUENC', 'FREQ']);
@@ -379,101 +1261,191 @@ class DataModel {
             const frequenciaValor = parseInt(frequenciaRaw) || 0;
             const justificadaStr = (justificadaRaw || '').toString().trim().toUpperCase();
             const dataStr = row.DATA || '';
-            const statusRowRaw = (row.DESCRICAO || '').toString().trim();
-            const statusKey = this.normalizeStatus(statusRowRaw);
 
-            // Contabilizar status
-            if (statusKey) {
-                const prev = aluno.statusCounts.get(statusRowRaw) || 0;
-                aluno.statusCounts.set(statusRowRaw, prev + 1);
+            // Contabilizar dia de aula (uma vez por data)
+            if (dataStr) aluno.datasAula.add(dataStr);
+            if (numeroData) aluno.datasNumero.add(numeroData);
+
+            // Presença da turma no dia (dias com falta para todos os alunos são prováveis dias sem aula)
+            if (numeroData) {
+                const chaveDia = `${this.normalizeName(row.TURMA)}|${numeroData}`;
+                if (!diasTurma.has(chaveDia)) {
+                    diasTurma.set(chaveDia, { turma: this.normalizeName(row.TURMA), numero: numeroData, data: dataStr, alunos: new Set(), ausentes: new Set() });
+                }
+                const dia = diasTurma.get(chaveDia);
+                dia.alunos.add(ra);
+                if (faltasValor === faltasDiaInteiro) dia.ausentes.add(ra);
+            }
+
+            // Acumulador do mês da aula (quebra mensal do relatório)
+            const mesChave = this.getMesChave(dataStr);
+            if (mesChave && !aluno.meses.has(mesChave)) {
+                aluno.meses.set(mesChave, { justificadas: 0, naoJustificadas: 0, horasAtraso: 0, datasAula: new Set() });
+            }
+            const mes = mesChave ? aluno.meses.get(mesChave) : null;
+            if (mes) {
+                mesesPeriodo.add(mesChave);
+                mes.datasAula.add(dataStr);
+            }
+
+            // Justificativa manual do RA na data substitui o campo JUSTIFICADA do arquivo
+            const ajuste = justificativas && dataStr ? justificativas.getAjuste(ra, dataStr) : null;
+            const categoriaArquivo = categoriaPorValor.get(justificadaStr) || null;
+            const categoria = ajuste
+                ? (ajuste.justificada ? categoriaArquivo || categoriaManual : null)
+                : categoriaArquivo;
+            const justificada = categoria !== null;
+            const semJustificativa = ajuste ? !ajuste.justificada : justificadaStr === '';
+            if (ajuste && faltasValor === faltasDiaInteiro) aluno.ajustes.set(dataStr, ajuste);
+
+            // Valores de JUSTIFICADA que o perfil não classifica (não contam; aparecem como aviso)
+            if (!ajuste && justificadaStr && !categoriaArquivo) {
+                naoClassificados.set(justificadaStr, (naoClassificados.get(justificadaStr) || 0) + 1);
             }
 
-            // Extrair apenas o dia da data (DD/MM/YYYY -> DD)
-            const dia = dataStr.split('/')[0] || '';
-
-            // Verificar se FALTAS está entre 1 e 4
-            if (faltasValor >= 1 && faltasValor <= 4) {
-                // Verificar se é FALTA JUSTIFICADA
-                if (justificadaStr === 'FALTA JUSTIFICADA') {
-                    // Regra atualizada:
-                    // - "Nº FALTAS JUSTIFICADAS": somar 1 SOMENTE quando FALTAS == 4 e JUSTIFICADA == 'FALTA JUSTIFICADA'.
-                    // - "FALTAS JUSTIFICADAS (DIAS)": listar apenas os dias que atendem a FALTAS == 4 e JUSTIFICADA.
-                    if (faltasValor === 4) {
+            // Verificar se FALTAS está entre 1 e o valor de falta no dia (perfil; padrão 4)
+            if (faltasValor >= 1 && faltasValor <= faltasDiaInteiro) {
+                // Verificar se é falta justificada (valor de JUSTIFICADA em uma categoria do perfil
+                // ou justificativa manual)
+                if (justificada) {
+                    // - "Nº FALTAS JUSTIFICADAS": somar 1 somente quando FALTAS == faltasDiaInteiro do perfil.
+                    // - "FALTAS JUSTIFICADAS (DIAS)" e a coluna da categoria: listar apenas esses dias.
+                    if (faltasValor === faltasDiaInteiro) {
                         aluno.faltasJustificadas.push({
-                            dia: dia,
+                            data: dataStr,
                             valor: 1
                         });
+                        if (mes) mes.justificadas += 1;
+
+                        if (!aluno.categorias.has(categoria)) aluno.categorias.set(categoria, []);
+                        aluno.categorias.get(categoria).push(dataStr);
+                        categoriasUsadas.add(categoria);
                     }
-                    // Se JUSTIFICADA mas FALTAS != 4, não contamos e não listamos o dia
+                    // Justificada com FALTAS abaixo do dia inteiro: não contamos e não listamos o dia
                 } else {
                     // FALTAS NÃO JUSTIFICADAS
-                    // Nova regra:
-                    // - Contabilizar e listar SOMENTE quando FALTAS == 4 E o campo JUSTIFICADA estiver vazio (sem informação).
+                    // - Contabilizar e listar somente quando FALTAS == faltasDiaInteiro do perfil e não há
+                    //   justificativa (JUSTIFICADA vazio ou justificativa manual "não justificada").
                     // - Nesse caso, somar valor 1 por dia e listar o dia em "FALTAS NÃO JUSTIFICADAS (DIAS)".
-                    // - Caso haja qualquer informação diferente de vazio em JUSTIFICADA, não contar como não justificada aqui.
-                    if (faltasValor === 4 && justificadaStr === '') {
+                    // - Valores de JUSTIFICADA fora das categorias do perfil não contam (aviso de não classificados).
+                    if (faltasValor === faltasDiaInteiro && semJustificativa) {
                         aluno.faltasNaoJustificadas.push({
-                            dia: dia,
+                            data: dataStr,
                             valor: 1
                         });
+                        if (mes) mes.naoJustificadas += 1;
                     }
                 }
             }
 
-            // Lógica de atrasos: FREQUENCIA = 1, 2 ou 3
-            if (frequenciaValor === 1 || frequenciaValor === 2 || frequenciaValor === 3) {
-                if (dia) aluno.atrasosDias.push(dia);
-                if (frequenciaValor === 1) aluno.horasAtraso += 3;
-                else if (frequenciaValor === 2) aluno.horasAtraso += 2;
-                else if (frequenciaValor === 3) aluno.horasAtraso += 1;
+            // Lógica de atrasos: FREQUENCIA -> horas de atraso conforme o perfil (padrão 1/2/3 -> 3/2/1)
+            const horasAtrasoDia = perfil.atrasoHoras[frequenciaValor];
+            if (horasAtrasoDia !== undefined) {
+                if (dataStr) aluno.atrasosDias.push(dataStr);
+                aluno.horasAtraso += horasAtrasoDia;
+                if (mes) mes.horasAtraso += horasAtrasoDia;
             }
         });
 
+        // Períodos com mais de um mês exibem datas completas (DD/MM/YYYY) nas colunas "(DIAS)"
+        const meses = Array.from(mesesPeriodo).sort();
+        const datasCompletas = meses.length > 1;
+        const categorias = Array.from(categoriasUsadas);
+
+        // Ausência acumulada desde o início da turma (mesmas regras, do DTINICIO_TURMA ao fim do período)
+        const acumulado = cursos ? this.calcularAcumuladoCurso(alunosPorVinculo, dadosFiltrados, perfil, justificativas, calendario) : null;
+
+        // Dias previstos pelo cronograma: do início ao fim do período selecionado (ou dos dados)
+        const limitesPeriodo = this.getLimitesPeriodo(dadosFiltrados, periodo);
+        const diasVerificar = calendario ? this.getDiasVerificar(diasTurma, calendario) : [];
+        const transferidos = new Set(); // RAs que mudaram de empresa ou turma no período
+
         // Processar e formatar os dados consolidados
-        const relatorio = Array.from(alunosPorRA.values()).map(aluno => {
+        const relatorio = Array.from(alunosPorVinculo.values()).map(aluno => {
             // Formatar FALTAS JUSTIFICADAS (DIAS) - dias separados por vírgula e espaço
-            const diasFaltasJustificadas = aluno.faltasJustificadas
-                .map(f => f.dia)
-                .filter(dia => dia) // Remover dias vazios
-                .join(', ');
+            const diasFaltasJustificadas = this.formatarListaDatas(aluno.faltasJustificadas.map(f => f.data), datasCompletas);
 
             // Calcular Nº FALTAS JUSTIFICADAS - soma dos valores
             const numFaltasJustificadas = aluno.faltasJustificadas
                 .reduce((sum, f) => sum + f.valor, 0);
 
             // Formatar FALTAS NÃO JUSTIFICADAS (DIAS) - dias separados por vírgula e espaço
-            const diasFaltasNaoJustificadas = aluno.faltasNaoJustificadas
-                .map(f => f.dia)
-                .filter(dia => dia) // Remover dias vazios
-                .join(', ');
+            const diasFaltasNaoJustificadas = this.formatarListaDatas(aluno.faltasNaoJustificadas.map(f => f.data), datasCompletas);
 
             // Calcular Nº FALTAS NÃO JUSTIFICADAS - soma dos valores
             const numFaltasNaoJustificadas = aluno.faltasNaoJustificadas
                 .reduce((sum, f) => sum + f.valor, 0);
 
-            // Determinar STATUS mais frequente (modo). Se empate, pega o primeiro inserido.
-            let statusFinal = '';
-            let maxCount = -1;
-            aluno.statusCounts.forEach((count, label) => {
-                if (count > maxCount) {
-                    maxCount = count;
-                    statusFinal = label;
-                }
-            });
+            // STATUS mais recente da linha do tempo do aluno (com a data em que passou a valer)
+            const status = statusPorRA.get(aluno.RA) || { status: '', desde: '', historico: [] };
 
             // Formatar ATRASOS (DIAS) - dias separados por vírgula e espaço
-            const atrasosDiasStr = aluno.atrasosDias.filter(d => d).join(', ');
+            const atrasosDiasStr = this.formatarListaDatas(aluno.atrasosDias, datasCompletas);
 
             // Nº HORAS DE ATRASO - soma total
             const numHorasAtraso = aluno.horasAtraso;
 
-            // TOTAL HORAS DE AUSÊNCIA NO CURSO = (Nº FALTAS JUSTIFICADAS x 4) + (Nº FALTAS NÃO JUSTIFICADAS x 4) + (Nº HORAS DE ATRASO)
-            const totalHorasAusencia = (numFaltasJustificadas * 4) + (numFaltasNaoJustificadas * 4) + (numHorasAtraso || 0);
+            // TOTAL HORAS DE AUSÊNCIA NO PERÍODO = (Nº FALTAS JUSTIFICADAS + Nº FALTAS NÃO JUSTIFICADAS) x horas por dia
+            // + Nº HORAS DE ATRASO (horas por dia do cronograma da turma ou, sem cronograma, do perfil)
+            const horasPorDia = aluno.horasPorDia;
+            const totalHorasAusencia = (numFaltasJustificadas * horasPorDia) + (numFaltasNaoJustificadas * horasPorDia) + (numHorasAtraso || 0);
+
+            // Carga horária prevista x frequentada no período
+            const totalAulas = aluno.datasAula.size;
+            const horasPrevistas = totalAulas * horasPorDia;
+            const horasFrequentadas = Math.max(0, horasPrevistas - totalHorasAusencia);
+            const percentualFrequencia = horasPrevistas > 0
+                ? Math.round((horasFrequentadas / horasPrevistas) * 1000) / 10
+                : null;
+
+            // Quebra mensal (mesma regra do total, restrita a cada mês)
+            const porMes = {};
+            meses.forEach(chave => {
+                const m = aluno.meses.get(chave);
+                porMes[chave] = {
+                    NUM_FALTAS_JUSTIFICADAS: m ? m.justificadas : 0,
+                    NUM_FALTAS_NAO_JUSTIFICADAS: m ? m.naoJustificadas : 0,
+                    NUM_HORAS_ATRASO: m ? m.horasAtraso : 0,
+                    TOTAL_HORAS_AUSENCIA: m ? (m.justificadas * horasPorDia) + (m.naoJustificadas * horasPorDia) + m.horasAtraso : 0,
+                    TOTAL_AULAS: m ? m.datasAula.size : 0
+                };
+            });
+
+            // Transferência de empresa ou turma dentro do período (vínculos do aluno no arquivo)
+            const transferencia = limitesPeriodo ? this.getTransferencia(aluno, limitesPeriodo) : null;
+            if (transferencia) transferidos.add(aluno.RA);
+
+            // Dias previstos no cronograma (a partir do início da turma e até a saída, para
+            // cancelados/desistentes; transferidos só nos dias do próprio vínculo) sem registro do aluno
+            let diasPrevistos = null;
+            let diasSemRegistro = [];
+            if (aluno.cronograma && limitesPeriodo) {
+                const saida = Math.min(status.saida || 99999999, transferencia && transferencia.saida ? transferencia.saida : 99999999);
+                const previstos = calendario.diasPrevistos(
+                    aluno.cronograma,
+                    aluno.TURMA,
+                    Math.max(limitesPeriodo.inicio, aluno.inicioTurma || 0, transferencia && transferencia.entrada ? transferencia.entrada : 0),
+                    Math.min(saida, limitesPeriodo.fim)
+                );
+                diasPrevistos = previstos.length;
+                diasSemRegistro = previstos.filter(numero => !aluno.datasNumero.has(numero)).map(numero => DateHelper.formatarNumero(numero));
+            }
+
+            // Limite de ausência no curso = carga horária total × (100% − frequência mínima do perfil)
+            const cargaHorariaCurso = cursos ? cursos.getCargaHoraria(aluno.CURSO) : null;
+            const horasAusenciaCurso = acumulado && acumulado.has(aluno.chave) ? acumulado.get(aluno.chave) : null;
+            const limiteAusenciaCurso = cargaHorariaCurso !== null
+                ? Math.round(cargaHorariaCurso * (100 - perfil.frequenciaMinima) / 10) / 10
+                : null;
 
             return {
+                RA: aluno.RA,
+                CNPJ: aluno.CNPJ,
                 TURMA: aluno.TURMA,
                 ALUNO: aluno.ALUNO,
-                STATUS: statusFinal,
+                STATUS: status.status,
+                STATUS_DESDE: status.desde,
+                HISTORICO_STATUS: status.historico, // [{status, desde}] em ordem cronológica
                 EMPRESA: aluno.EMPRESA,
                 CURSO: aluno.CURSO,
                 FALTAS_JUSTIFICADAS_DIAS: diasFaltasJustificadas,
@@ -482,17 +1454,244 @@ class DataModel {
                 NUM_FALTAS_NAO_JUSTIFICADAS: numFaltasNaoJustificadas,
                 ATRASOS_DIAS: atrasosDiasStr,
                 NUM_HORAS_ATRASO: numHorasAtraso,
-                TOTAL_HORAS_AUSENCIA: totalHorasAusencia
+                TOTAL_HORAS_AUSENCIA: totalHorasAusencia,
+                TOTAL_AULAS: totalAulas,
+                HORAS_PREVISTAS: horasPrevistas,
+                HORAS_FREQUENTADAS: horasFrequentadas,
+                PERCENTUAL_FREQUENCIA: percentualFrequencia,
+                SITUACAO: this.classificarFrequencia(percentualFrequencia, perfil.frequenciaMinima, perfil.margemAtencao),
+                TRANSFERIDO: transferencia !== null,
+                TRANSFERENCIA: transferencia ? transferencia.descricao : '',
+                INICIO_TURMA: aluno.inicioTurmaTexto,
+                HORAS_AUSENCIA_CURSO: horasAusenciaCurso,
+                CARGA_HORARIA_CURSO: cargaHorariaCurso,
+                LIMITE_AUSENCIA_CURSO: limiteAusenciaCurso,
+                SALDO_AUSENCIA_CURSO: limiteAusenciaCurso !== null && horasAusenciaCurso !== null
+                    ? Math.round((limiteAusenciaCurso - horasAusenciaCurso) * 10) / 10
+                    : null,
+                HORAS_POR_DIA: horasPorDia,
+                DIAS_PREVISTOS: diasPrevistos, // null quando a turma não tem cronograma
+                DIAS_SEM_REGISTRO_DIAS: this.formatarListaDatas(diasSemRegistro, datasCompletas),
+                NUM_DIAS_SEM_REGISTRO: diasSemRegistro.length,
+                MESES: porMes,
+                AJUSTES: Array.from(aluno.ajustes.values()), // Justificativas manuais aplicadas às faltas do aluno
+                CATEGORIAS: Object.fromEntries(categorias.map(nome => {
+                    const datas = aluno.categorias.get(nome) || [];
+                    return [nome, { NUM: datas.length, DIAS: this.formatarListaDatas(datas, datasCompletas) }];
+                }))
             };
         });
 
         return {
-            totalAlunos: relatorio.length,
+            totalAlunos: new Set(relatorio.map(aluno => aluno.RA)).size,
             totalRegistros: dadosFiltrados.length,
-            relatorio: relatorio.sort((a, b) => a.ALUNO.localeCompare(b.ALUNO))
+            registrosAposSaida,
+            transferencias: transferidos.size, // Alunos que mudaram de empresa ou turma no período (um registro por vínculo)
+            perfil: JSON.parse(JSON.stringify(perfil)), // Cópia do perfil de regras utilizado
+            meses: meses.map(chave => ({ chave, rotulo: this.formatMesChave(chave) })),
+            totalAjustes: relatorio.reduce((sum, aluno) => sum + aluno.AJUSTES.length, 0),
+            categorias, // Categorias de justificativa do perfil (e "Justificativa manual", se usada)
+            acumuladoCurso: acumulado !== null, // Colunas de ausência acumulada no curso
+            cronograma: relatorio.some(aluno => aluno.DIAS_PREVISTOS !== null), // Colunas de dias previstos
+            diasVerificar, // Dias prováveis sem aula e feriados/recessos com registro
+            registrosDiasExcluidos,
+            valoresNaoClassificados: Array.from(naoClassificados, ([valor, ocorrencias]) => ({ valor, ocorrencias }))
+                .sort((a, b) => b.ocorrencias - a.ocorrencias || a.valor.localeCompare(b.valor)),
+            relatorio: relatorio.sort((a, b) => a.ALUNO.localeCompare(b.ALUNO) || a.TURMA.localeCompare(b.TURMA))
         };
     }
 
+    /**
+     * Chave do vínculo do aluno (RA + empresa + turma)
+     * @param {string} ra
+     * @param {string} cnpj
+     * @param {string} turma
+     * @returns {string}
+     */
+    chaveVinculo(ra, cnpj, turma) {
+        return `${String(ra || '').trim()}|${this.normalizeCNPJ(cnpj)}|${this.normalizeName(turma)}`;
+    }
+
+    /**
+     * Transferência do aluno de/para outra empresa ou turma dentro do período do relatório
+     * Usa os vínculos do aluno em todo o arquivo (alunosAPR): o vínculo anterior mais próximo
+     * que terminou antes deste começar (entrada) e o seguinte que começou depois deste terminar (saída).
+     * Outras empresas não são identificadas (cada empresa é informada apenas dos próprios dias).
+     * @param {Object} aluno - Aluno consolidado em gerarRelatorio() (RA, CNPJ, TURMA)
+     * @param {Object} limites - {inicio, fim} do período em AAAAMMDD
+     * @returns {Object|null} - {entrada, saida (AAAAMMDD|null), descricao}
+     */
+    getTransferencia(aluno, limites) {
+        const registro = this.alunosAPR.get(String(aluno.RA).trim());
+        if (!registro || registro.vinculos.size < 2) return null;
+        const vinculo = registro.vinculos.get(`${aluno.CNPJ}|${this.normalizeName(aluno.TURMA)}`);
+        if (!vinculo || vinculo.inicio === null) return null;
+
+        let anterior = null;
+        let seguinte = null;
+        registro.vinculos.forEach(outro => {
+            if (outro === vinculo || outro.inicio === null) return;
+            if (outro.fim < vinculo.inicio && (!anterior || outro.fim > anterior.fim)) anterior = outro;
+            if (outro.inicio > vinculo.fim && (!seguinte || outro.inicio < seguinte.inicio)) seguinte = outro;
+        });
+
+        const dentro = (numero) => numero >= limites.inicio && numero <= limites.fim;
+        const outroVinculo = (outro, de) => outro.cnpj === vinculo.cnpj
+            ? `${de ? 'da' : 'a'} turma ${outro.turma}`
+            : `${de ? 'de ' : ''}outra empresa`;
+        const formatar = (numero) => this.formatDate(new Date(Math.floor(numero / 10000), Math.floor(numero / 100) % 100 - 1, numero % 100));
+
+        const partes = [];
+        const transferencia = { entrada: null, saida: null, descricao: '' };
+        if (anterior && dentro(vinculo.inicio)) {
+            transferencia.entrada = vinculo.inicio;
+            partes.push(`entrou em ${formatar(vinculo.inicio)} vindo ${outroVinculo(anterior, true)}`);
+        }
+        if (seguinte && dentro(vinculo.fim)) {
+            transferencia.saida = vinculo.fim;
+            partes.push(`último dia ${formatar(vinculo.fim)}, seguiu para ${outroVinculo(seguinte, false)}`);
+        }
+        if (partes.length === 0) return null;
+
+        transferencia.descricao = `TRANSFERIDO: ${partes.join('; ')}`;
+        return transferencia;
+    }
+
+    /**
+     * Início e fim do período do relatório em AAAAMMDD
+     * @param {Array} dadosFiltrados - Usadas quando o período não foi informado
+     * @param {Object|null} periodo - {inicio, fim} (DD/MM/YYYY)
+     * @returns {Object|null} - {inicio, fim}
+     */
+    getLimitesPeriodo(dadosFiltrados, periodo) {
+        if (periodo && this.getDataNumero(periodo.inicio) && this.getDataNumero(periodo.fim)) {
+            return { inicio: this.getDataNumero(periodo.inicio), fim: this.getDataNumero(periodo.fim) };
+        }
+        let limites = null;
+        dadosFiltrados.forEach(row => {
+            const numero = this.getDataNumero(row.DATA);
+            if (!numero) return;
+            if (!limites) limites = { inicio: numero, fim: numero };
+            limites.inicio = Math.min(limites.inicio, numero);
+            limites.fim = Math.max(limites.fim, numero);
+        });
+        return limites;
+    }
+
+    /**
+     * Dias de cada turma que o coordenador deve conferir: dias com falta no dia inteiro
+     * para todos os alunos (prováveis dias sem aula) e feriados/recessos com registro
+     * @param {Map} diasTurma - "TURMA|AAAAMMDD" -> {turma, numero, data, alunos, ausentes}
+     * @param {ScheduleModel} calendario
+     * @returns {Array<Object>} - [{turma, data, motivo, alunos}] por turma e data
+     */
+    getDiasVerificar(diasTurma, calendario) {
+        const dias = [];
+        diasTurma.forEach(dia => {
+            if (calendario.isNaoLetivo(dia.numero)) {
+                const feriado = calendario.naoLetivos.get(dia.numero);
+                dias.push({ turma: dia.turma, data: dia.data, numero: dia.numero, alunos: dia.alunos.size,
+                    motivo: `Registro em dia não letivo${feriado.descricao ? ` (${feriado.descricao})` : ''}` });
+            } else if (dia.alunos.size > 1 && dia.ausentes.size === dia.alunos.size) {
+                dias.push({ turma: dia.turma, data: dia.data, numero: dia.numero, alunos: dia.alunos.size,
+                    motivo: 'Falta no dia inteiro para todos os alunos (provável dia sem aula)' });
+            }
+        });
+        return dias
+            .sort((a, b) => a.turma.localeCompare(b.turma) || a.numero - b.numero)
+            .map(({ numero, ...dia }) => dia);
+    }
+
+    /**
+     * Horas de ausência de cada aluno desde o início da turma até o fim do período do relatório
+     * Usa o índice para buscar as linhas anteriores ao período (mesma empresa e turma) e aplica
+     * as mesmas regras de gerarRelatorio(). Alunos sem DTINICIO_TURMA válido ficam de fora.
+     * @param {Map} alunosPorVinculo - Alunos consolidados em gerarRelatorio() (vínculo -> {RA, CNPJ, TURMA, inicioTurma})
+     * @param {Array} dadosFiltrados - Linhas do período
+     * @param {Object} perfil - Perfil de regras
+     * @param {JustificationModel|null} justificativas
+     * @param {ScheduleModel|null} calendario - Horas por dia e dias excluídos
+     * @returns {Map<string, number>} - Vínculo (chaveVinculo) -> horas de ausência acumuladas
+     */
+    calcularAcumuladoCurso(alunosPorVinculo, dadosFiltrados, perfil, justificativas, calendario) {
+        let fim = null;
+        dadosFiltrados.forEach(row => {
+            const numero = this.getDataNumero(row.DATA);
+            if (numero && (fim === null || numero > fim)) fim = numero;
+        });
+
+        // Alunos agrupados por empresa + turma (grupos do índice)
+        const grupos = new Map();
+        alunosPorVinculo.forEach(aluno => {
+            if (!aluno.inicioTurma || fim === null || aluno.inicioTurma > fim) return;
+            const chave = `${aluno.CNPJ}|${this.normalizeName(aluno.TURMA)}`;
+            if (!grupos.has(chave)) grupos.set(chave, { cnpj: aluno.CNPJ, turma: this.normalizeName(aluno.TURMA), alunos: new Map() });
+            grupos.get(chave).alunos.set(aluno.RA, aluno.inicioTurma);
+        });
+
+        const linhas = [];
+        grupos.forEach(({ cnpj, turma, alunos }) => {
+            const turmas = this.indice.get(cnpj);
+            const grupo = turmas ? turmas.get(turma) : null;
+            if (!grupo) return;
+
+            const posicoes = [];
+            this.coletarPosicoes(grupo, { inicio: Math.min(...alunos.values()), fim }, posicoes);
+            posicoes.sort((a, b) => a - b).forEach(posicao => {
+                const row = this.rawData[posicao];
+                const inicio = alunos.get(row.RA);
+                if (inicio === undefined) return;
+                const numero = this.getDataNumero(row.DATA);
+                if (numero === null || numero >= inicio) linhas.push(row);
+            });
+        });
+
+        const acumulado = new Map();
+        this.gerarRelatorio(linhas, perfil, justificativas, { calendario }).relatorio.forEach(aluno => {
+            acumulado.set(this.chaveVinculo(aluno.RA, aluno.CNPJ, aluno.TURMA), aluno.TOTAL_HORAS_AUSENCIA);
+        });
+        return acumulado;
+    }
+
+    /**
+     * Consolida o relatório por turma (usado no resumo de "Todas as turmas")
+     * @param {Array} relatorio - Linhas retornadas em gerarRelatorio().relatorio
+     * @returns {Array} - [{TURMA, CURSO, NUM_ALUNOS, TOTAL_HORAS_AUSENCIA, FREQUENCIA_MEDIA, ALUNOS_ATENCAO, ALUNOS_CRITICOS}]
+     */
+    resumirPorTurma(relatorio) {
+        const turmas = new Map();
+
+        relatorio.forEach(aluno => {
+            if (!turmas.has(aluno.TURMA)) {
+                turmas.set(aluno.TURMA, {
+                    TURMA: aluno.TURMA,
+                    CURSO: aluno.CURSO,
+                    NUM_ALUNOS: 0,
+                    TOTAL_HORAS_AUSENCIA: 0,
+                    somaFrequencia: 0,
+                    comFrequencia: 0, // Alunos com % de frequência (fora os "SEM DADOS")
+                    ALUNOS_ATENCAO: 0,
+                    ALUNOS_CRITICOS: 0
+                });
+            }
+            const t = turmas.get(aluno.TURMA);
+            t.NUM_ALUNOS++;
+            t.TOTAL_HORAS_AUSENCIA += aluno.TOTAL_HORAS_AUSENCIA;
+            if (aluno.PERCENTUAL_FREQUENCIA !== null) {
+                t.somaFrequencia += aluno.PERCENTUAL_FREQUENCIA;
+                t.comFrequencia++;
+            }
+            if (aluno.SITUACAO === 'ATENÇÃO') t.ALUNOS_ATENCAO++;
+            if (aluno.SITUACAO === 'CRÍTICO') t.ALUNOS_CRITICOS++;
+        });
+
+        return Array.from(turmas.values())
+            .map(({ somaFrequencia, comFrequencia, ...t }) => Object.assign(t, {
+                FREQUENCIA_MEDIA: comFrequencia > 0 ? Math.round((somaFrequencia / comFrequencia) * 10) / 10 : null
+            }))
+            .sort((a, b) => a.TURMA.localeCompare(b.TURMA));
+    }
+
     /**
      * Retorna intervalo de datas min e max do dataset
      * @returns {Object} - {min: Date, max: Date}
@@ -519,9 +1718,17 @@ class DataModel {
      * Limpa todos os dados do model
      */
     clear() {
+        this.cancelarCarregamento();
         this.rawData = [];
-        this.empresasAPR.clear();
-        this.turmasPorEmpresa.clear();
-        this.datasDisponiveis.clear();
+        this.linhasOriginais = [];
+        this.cabecalhos = [];
+        this.mapeamento = null;
+        this.linhasMapeadas = [];
+        this.errosParse = [];
+        this.arquivos = [];
+        this.qualidade.clear();
+        this.indicesPorPrograma = new Map();
+        this.selecionarPrograma(this.programaAtivoId);
+        this.indice.clear();
     }
 }
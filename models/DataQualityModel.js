@@ -0,0 +1,268 @@
+/**
+ * DataQualityModel - Model da verificação de qualidade do arquivo CSV
+ * Responsável por: identificar linhas problemáticas (estrutura, DATA inválida,
+ * RA+DATA duplicados, FALTAS não numérica, CNPJ inválido, turma de programa sem empresa),
+ * aplicar o tratamento escolhido (manter, excluir ou remover duplicatas)
+ * e gerar o relatório completo das ocorrências
+ */
+class DataQualityModel {
+    constructor() {
+        // Categorias verificadas (acoes: tratamentos permitidos; o primeiro é o padrão)
+        this.CATEGORIAS = [
+            { id: 'estrutura', rotulo: 'Erro de estrutura', descricao: 'Linha com colunas a mais/a menos ou aspas inválidas', acoes: ['manter', 'excluir'] },
+            { id: 'data', rotulo: 'DATA inválida', descricao: 'DATA vazia ou fora do formato DD/MM/AAAA', acoes: ['manter', 'excluir'] },
+            { id: 'duplicado', rotulo: 'RA + DATA duplicados', descricao: 'Mais de uma linha para o mesmo aluno na mesma data', acoes: ['manter', 'excluir', 'deduplicar'] },
+            { id: 'faltas', rotulo: 'FALTAS não numérica', descricao: 'Valor de FALTAS que não é um número inteiro', acoes: ['manter', 'excluir'] },
+            { id: 'cnpj', rotulo: 'CNPJ inválido', descricao: 'CNPJ_EMPRESA sem 14 dígitos ou com dígito verificador incorreto', acoes: ['manter', 'excluir'] },
+            { id: 'semEmpresa', rotulo: 'Turma de programa sem empresa', descricao: 'Linha de turma de um programa (ex.: APR) sem CNPJ_EMPRESA ou EMPRESA', acoes: ['manter', 'excluir'] }
+        ];
+
+        this.ACOES = {
+            manter: 'Manter',
+            excluir: 'Excluir linhas',
+            deduplicar: 'Manter só a primeira'
+        };
+
+        this.ocorrencias = null; // {categoria: [{indice, detalhe}]}
+        this.repetidos = new Set(); // Índices das ocorrências de duplicidade após a primeira
+        this.decisoes = {};
+
+        // Indica se a turma pertence a algum programa (definida pelo DataModel com as regras dos programas)
+        this.isTurmaDePrograma = (turma) => turma.startsWith('APR');
+    }
+
+    /**
+     * Valida o dígito verificador do CNPJ
+     * @param {string} cnpj - Apenas dígitos
+     * @returns {boolean}
+     */
+    validarCNPJ(cnpj) {
+        if (!/^\d{14}$/.test(cnpj) || /^(\d)\1{13}$/.test(cnpj)) return false;
+
+        const digito = (base) => {
+            const pesos = base.length === 12 ? [5, 4, 3, 2, 9, 8, 7, 6, 5, 4, 3, 2] : [6, 5, 4, 3, 2, 9, 8, 7, 6, 5, 4, 3, 2];
+            const soma = base.split('').reduce((acc, n, i) => acc + Number(n) * pesos[i], 0);
+            const resto = soma % 11;
+            return resto < 2 ? 0 : 11 - resto;
+        };
+
+        const d1 = digito(cnpj.slice(0, 12));
+        const d2 = digito(cnpj.slice(0, 12) + d1);
+        return cnpj.endsWith(`${d1}${d2}`);
+    }
+
+    /**
+     * Indica se a data está no formato DD/MM/AAAA e existe no calendário
+     * @param {string} dataStr
+     * @returns {boolean}
+     */
+    isDataValida(dataStr) {
+        return DateHelper.dataNumero(dataStr) !== null;
+    }
+
+    /**
+     * Verifica as linhas do arquivo (já com os campos mapeados)
+     * @param {Array<Object>} linhas - Linhas com __linha (número da linha no arquivo)
+     * @param {Array<Object>} errosParse - Erros retornados pelo PapaParse ({row, message})
+     * @returns {Object} - {categoria: [{indice, detalhe}]}
+     */
+    validar(linhas, errosParse = []) {
+        const ocorrencias = {};
+        this.CATEGORIAS.forEach(cat => { ocorrencias[cat.id] = []; });
+        this.repetidos = new Set();
+
+        // Erros de estrutura apontados pelo PapaParse (um registro por linha)
+        const linhasComErro = new Map();
+        errosParse.forEach(erro => {
+            if (typeof erro.row !== 'number' || erro.row < 0 || erro.row >= linhas.length) return;
+            if (!linhasComErro.has(erro.row)) linhasComErro.set(erro.row, erro.message);
+        });
+        linhasComErro.forEach((detalhe, indice) => ocorrencias.estrutura.push({ indice, detalhe }));
+
+        const vistos = new Map(); // RA|DATA -> índice da primeira ocorrência
+        const primeiras = new Set(); // Primeiras ocorrências já registradas como duplicidade
+
+        linhas.forEach((row, indice) => {
+            const data = String(row.DATA || '').trim();
+            const ra = String(row.RA || '').trim();
+            const faltas = String(row.FALTAS ?? '').trim();
+            const cnpj = String(row.CNPJ_EMPRESA || '').replace(/\D/g, '');
+            const turma = String(row.TURMA || '').trim().toUpperCase();
+
+            if (!this.isDataValida(data)) {
+                ocorrencias.data.push({ indice, detalhe: data ? `DATA "${data}"` : 'DATA vazia' });
+            }
+
+            if (ra && data) {
+                const chave = `${ra}|${data}`;
+                if (vistos.has(chave)) {
+                    const primeira = vistos.get(chave);
+                    // Registrar a primeira ocorrência junto com as repetidas
+                    if (!primeiras.has(primeira)) {
+                        ocorrencias.duplicado.push({ indice: primeira, detalhe: `RA ${ra} em ${data} (primeira ocorrência)` });
+                        primeiras.add(primeira);
+                    }
+                    const origem = linhas[primeira].__arquivo && linhas[primeira].__arquivo !== row.__arquivo
+                        ? ` de ${linhas[primeira].__arquivo}`
+                        : '';
+                    ocorrencias.duplicado.push({ indice, detalhe: `RA ${ra} em ${data} (repetida da linha ${linhas[primeira].__linha}${origem})` });
+                    this.repetidos.add(indice);
+                } else {
+                    vistos.set(chave, indice);
+                }
+            }
+
+            if (faltas !== '' && !/^\d+$/.test(faltas)) {
+                ocorrencias.faltas.push({ indice, detalhe: `FALTAS "${faltas}"` });
+            }
+
+            if (cnpj && !this.validarCNPJ(cnpj)) {
+                ocorrencias.cnpj.push({ indice, detalhe: `CNPJ "${row.CNPJ_EMPRESA}"` });
+            }
+
+            if (this.isTurmaDePrograma(turma) && (!cnpj || !String(row.EMPRESA || '').trim())) {
+                ocorrencias.semEmpresa.push({ indice, detalhe: !cnpj ? 'CNPJ_EMPRESA vazio' : 'EMPRESA vazia' });
+            }
+        });
+
+        // Duplicidades em ordem de linha (primeira ocorrência antes das repetidas)
+        ocorrencias.duplicado.sort((a, b) => a.indice - b.indice);
+
+        this.ocorrencias = ocorrencias;
+        this.linhas = linhas;
+
+        // Manter decisões anteriores apenas quando ainda são válidas
+        const decisoes = {};
+        this.CATEGORIAS.forEach(cat => {
+            decisoes[cat.id] = cat.acoes.includes(this.decisoes[cat.id]) ? this.decisoes[cat.id] : cat.acoes[0];
+        });
+        this.decisoes = decisoes;
+
+        return ocorrencias;
+    }
+
+    /**
+     * Resumo por categoria para exibição
+     * @param {number} [limiteAmostra] - Quantidade de números de linha de exemplo
+     * @returns {Array<Object>} - [{id, rotulo, descricao, acoes, decisao, total, amostra}]
+     */
+    getResumo(limiteAmostra = 10) {
+        if (!this.ocorrencias) return [];
+        return this.CATEGORIAS.map(cat => {
+            const lista = this.ocorrencias[cat.id];
+            return Object.assign({}, cat, {
+                decisao: this.decisoes[cat.id],
+                total: lista.length,
+                amostra: lista.slice(0, limiteAmostra).map(o => this.linhas[o.indice].__linha)
+            });
+        });
+    }
+
+    /**
+     * Total de ocorrências encontradas
+     * @returns {number}
+     */
+    getTotalOcorrencias() {
+        if (!this.ocorrencias) return 0;
+        return Object.values(this.ocorrencias).reduce((sum, lista) => sum + lista.length, 0);
+    }
+
+    /**
+     * Define o tratamento de uma categoria
+     * @param {string} categoria
+     * @param {string} acao - manter | excluir | deduplicar
+     */
+    setDecisao(categoria, acao) {
+        const cat = this.CATEGORIAS.find(c => c.id === categoria);
+        if (!cat || !cat.acoes.includes(acao)) return;
+        this.decisoes[categoria] = acao;
+    }
+
+    /**
+     * Aplica os tratamentos escolhidos às linhas verificadas
+     * @param {Array<Object>} linhas - As mesmas linhas passadas a validar()
+     * @returns {Array<Object>} - Linhas que seguem para o processamento
+     */
+    filtrar(linhas) {
+        if (!this.ocorrencias) return linhas;
+
+        const excluir = new Set();
+        this.CATEGORIAS.forEach(cat => {
+            const acao = this.decisoes[cat.id];
+            this.ocorrencias[cat.id].forEach(({ indice }) => {
+                if (acao === 'excluir' || (acao === 'deduplicar' && this.repetidos.has(indice))) {
+                    excluir.add(indice);
+                }
+            });
+        });
+
+        return excluir.size === 0 ? linhas : linhas.filter((_, indice) => !excluir.has(indice));
+    }
+
+    /**
+     * Gera o relatório completo das ocorrências em CSV (separador ";")
+     * Datasets com mais de um arquivo ganham a coluna ARQUIVO (a LINHA é relativa a ele)
+     * @returns {string}
+     */
+    gerarCSV() {
+        const registros = [];
+        const comArquivo = this.linhas.some(row => row.__arquivo);
+        this.CATEGORIAS.forEach(cat => {
+            (this.ocorrencias ? this.ocorrencias[cat.id] : []).forEach(({ indice, detalhe }) => {
+                const row = this.linhas[indice];
+                registros.push({
+                    indice,
+                    'ARQUIVO': row.__arquivo || '',
+                    'LINHA': row.__linha,
+                    'CATEGORIA': cat.rotulo,
+                    'DETALHE': detalhe,
+                    'TRATAMENTO': this.decisoes[cat.id] === 'deduplicar' && !this.repetidos.has(indice)
+                        ? this.ACOES.manter
+                        : this.ACOES[this.decisoes[cat.id]],
+                    'RA': row.RA || '',
+                    'ALUNO': row.ALUNO || '',
+                    'TURMA': row.TURMA || '',
+                    'DATA': row.DATA || '',
+                    'CNPJ_EMPRESA': row.CNPJ_EMPRESA || '',
+                    'EMPRESA': row.EMPRESA || ''
+                });
+            });
+        });
+        registros.sort((a, b) => a.indice - b.indice);
+        const colunas = ['LINHA', 'CATEGORIA', 'DETALHE', 'TRATAMENTO', 'RA', 'ALUNO', 'TURMA', 'DATA', 'CNPJ_EMPRESA', 'EMPRESA'];
+        return Papa.unparse(registros, { delimiter: ';', columns: comArquivo ? ['ARQUIVO'].concat(colunas) : colunas });
+    }
+
+    /**
+     * Estado da verificação (usado para devolver o resultado da leitura em segundo plano)
+     * @returns {Object} - {ocorrencias, repetidos, decisoes}
+     */
+    getEstado() {
+        return {
+            ocorrencias: this.ocorrencias,
+            repetidos: this.repetidos,
+            decisoes: this.decisoes
+        };
+    }
+
+    /**
+     * Restaura uma verificação feita em outro contexto sobre as mesmas linhas
+     * @param {Object} estado - Retorno de getEstado()
+     * @param {Array<Object>} linhas - Linhas verificadas
+     */
+    restaurar(estado, linhas) {
+        this.ocorrencias = estado.ocorrencias;
+        this.repetidos = new Set(estado.repetidos);
+        this.decisoes = Object.assign({}, estado.decisoes);
+        this.linhas = linhas;
+    }
+
+    /**
+     * Limpa as ocorrências (mantém as decisões para o próximo arquivo)
+     */
+    clear() {
+        this.ocorrencias = null;
+        this.linhas = null;
+        this.repetidos = new Set();
+    }
+}
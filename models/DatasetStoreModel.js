@@ -0,0 +1,192 @@
+/**
+ * DatasetStoreModel - Model dos datasets salvos no navegador (IndexedDB)
+ * Responsável por: guardar as linhas lidas de cada arquivo com nome, data de envio,
+ * quantidade de linhas e meses cobertos, listar os datasets recentes, reabrir,
+ * excluir e lembrar o dataset ativo e a seleção feita nele
+ */
+class DatasetStoreModel {
+    constructor() {
+        this.DB_NOME = 'processadorFrequencia';
+        this.DB_VERSAO = 1;
+        this.STORE_DATASETS = 'datasets'; // Resumo exibido na lista (leve)
+        this.STORE_CONTEUDOS = 'conteudos'; // Linhas, cabeçalhos, mapeamento e tratamentos
+        this.ACTIVE_KEY = 'datasetAtivo';
+        this.LIMITE = 8; // Datasets mantidos; os mais antigos são removidos
+
+        this.dbPromise = null;
+        this.datasetAtivoId = this.lerAtivo();
+    }
+
+    /**
+     * Indica se o navegador oferece IndexedDB
+     */
+    isDisponivel() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Abre (e cria na primeira vez) o banco de dados
+     * @returns {Promise<IDBDatabase>}
+     */
+    abrirBanco() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const req = indexedDB.open(this.DB_NOME, this.DB_VERSAO);
+                req.onupgradeneeded = () => {
+                    const db = req.result;
+                    if (!db.objectStoreNames.contains(this.STORE_DATASETS)) {
+                        db.createObjectStore(this.STORE_DATASETS, { keyPath: 'id' });
+                    }
+                    if (!db.objectStoreNames.contains(this.STORE_CONTEUDOS)) {
+                        db.createObjectStore(this.STORE_CONTEUDOS, { keyPath: 'id' });
+                    }
+                };
+                req.onsuccess = () => resolve(req.result);
+                req.onerror = () => reject(req.error || new Error('Não foi possível abrir o banco de dados local.'));
+            });
+            // Permitir nova tentativa se a abertura falhar
+            this.dbPromise.catch(() => { this.dbPromise = null; });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Executa operações em uma transação e aguarda a conclusão
+     * @param {Array<string>} stores - Object stores envolvidos
+     * @param {string} modo - 'readonly' | 'readwrite'
+     * @param {Function} operacao - (stores: {nome: IDBObjectStore}) => IDBRequest|void
+     * @returns {Promise<*>} - Resultado da requisição retornada por operacao
+     */
+    async transacao(stores, modo, operacao) {
+        const db = await this.abrirBanco();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(stores, modo);
+            const objetos = {};
+            stores.forEach(nome => { objetos[nome] = tx.objectStore(nome); });
+
+            const req = operacao(objetos);
+            tx.oncomplete = () => resolve(req ? req.result : undefined);
+            tx.onerror = () => reject(tx.error || new Error('Falha ao acessar o banco de dados local.'));
+            tx.onabort = () => reject(tx.error || new Error('Operação no banco de dados local cancelada.'));
+        });
+    }
+
+    /**
+     * Lista os datasets salvos (mais recentes primeiro)
+     * @returns {Promise<Array<Object>>} - [{id, nome, dataUpload, linhas, mesInicio, mesFim, selecao}]
+     */
+    async listar() {
+        const datasets = await this.transacao([this.STORE_DATASETS], 'readonly',
+            (s) => s[this.STORE_DATASETS].getAll());
+        return (datasets || []).sort((a, b) => b.dataUpload.localeCompare(a.dataUpload));
+    }
+
+    /**
+     * Salva um novo dataset e o torna ativo
+     * @param {Object} resumo - {nome, linhas, mesInicio, mesFim}
+     * @param {Object} conteudo - Retorno de DataModel.exportarDataset()
+     * @returns {Promise<Object>} - Resumo salvo (com id)
+     */
+    async salvar(resumo, conteudo) {
+        const id = `ds_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+        const dataset = Object.assign({ id, dataUpload: new Date().toISOString(), selecao: null }, resumo);
+
+        await this.transacao([this.STORE_DATASETS, this.STORE_CONTEUDOS], 'readwrite', (s) => {
+            s[this.STORE_DATASETS].put(dataset);
+            s[this.STORE_CONTEUDOS].put(Object.assign({ id }, conteudo));
+        });
+        this.setAtivo(id);
+
+        // Manter apenas os mais recentes
+        const excedentes = (await this.listar()).slice(this.LIMITE);
+        for (const antigo of excedentes) {
+            await this.excluir(antigo.id);
+        }
+        return dataset;
+    }
+
+    /**
+     * Carrega um dataset salvo
+     * @param {string} id
+     * @returns {Promise<Object|null>} - {dataset, conteudo} ou null se não existir
+     */
+    async carregar(id) {
+        let dataset = null;
+        let conteudo = null;
+        await this.transacao([this.STORE_DATASETS, this.STORE_CONTEUDOS], 'readonly', (s) => {
+            s[this.STORE_DATASETS].get(id).onsuccess = (e) => { dataset = e.target.result || null; };
+            s[this.STORE_CONTEUDOS].get(id).onsuccess = (e) => { conteudo = e.target.result || null; };
+        });
+        return dataset && conteudo ? { dataset, conteudo } : null;
+    }
+
+    /**
+     * Atualiza campos do resumo de um dataset (ex.: seleção)
+     * @param {string} id
+     * @param {Object} alteracoes
+     */
+    async atualizar(id, alteracoes) {
+        await this.atualizarRegistro(this.STORE_DATASETS, id, alteracoes);
+    }
+
+    /**
+     * Atualiza campos do conteúdo de um dataset (ex.: mapeamento, tratamentos)
+     * @param {string} id
+     * @param {Object} alteracoes
+     */
+    async atualizarConteudo(id, alteracoes) {
+        await this.atualizarRegistro(this.STORE_CONTEUDOS, id, alteracoes);
+    }
+
+    /**
+     * Lê, altera e grava um registro na mesma transação
+     */
+    async atualizarRegistro(store, id, alteracoes) {
+        await this.transacao([store], 'readwrite', (s) => {
+            const req = s[store].get(id);
+            req.onsuccess = () => {
+                if (req.result) s[store].put(Object.assign(req.result, alteracoes));
+            };
+        });
+    }
+
+    /**
+     * Exclui um dataset
+     * @param {string} id
+     */
+    async excluir(id) {
+        await this.transacao([this.STORE_DATASETS, this.STORE_CONTEUDOS], 'readwrite', (s) => {
+            s[this.STORE_DATASETS].delete(id);
+            s[this.STORE_CONTEUDOS].delete(id);
+        });
+        if (this.datasetAtivoId === id) this.setAtivo(null);
+    }
+
+    /**
+     * Lê o id do dataset ativo salvo no navegador
+     */
+    lerAtivo() {
+        try {
+            return localStorage.getItem(this.ACTIVE_KEY) || null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Define o dataset ativo (reaberto automaticamente ao recarregar a página)
+     * @param {string|null} id
+     */
+    setAtivo(id) {
+        this.datasetAtivoId = id;
+        try {
+            if (id) {
+                localStorage.setItem(this.ACTIVE_KEY, id);
+            } else {
+                localStorage.removeItem(this.ACTIVE_KEY);
+            }
+        } catch (e) {
+            console.warn('Não foi possível salvar o dataset ativo:', e);
+        }
+    }
+}
@@ -0,0 +1,153 @@
+/**
+ * JustificationModel - Model das justificativas manuais (camada sobre o CSV)
+ * Responsável por: guardar, por RA e data, a marcação de falta justificada (ou a
+ * retirada da justificativa) com motivo e referência do anexo, persistir no
+ * navegador e importar/exportar em JSON. O CSV carregado nunca é alterado.
+ */
+class JustificationModel {
+    constructor() {
+        this.STORAGE_KEY = 'justificativasManuais';
+
+        // Map "RA|AAAAMMDD" -> ajuste
+        this.ajustes = new Map();
+
+        this.load();
+    }
+
+    /**
+     * Carrega as justificativas salvas no localStorage
+     */
+    load() {
+        this.ajustes.clear();
+        try {
+            const salvos = JSON.parse(localStorage.getItem(this.STORAGE_KEY) || '[]');
+            (Array.isArray(salvos) ? salvos : []).forEach(a => {
+                try {
+                    const ajuste = this.validarAjuste(a);
+                    this.ajustes.set(this.chave(ajuste.ra, ajuste.data), ajuste);
+                } catch (e) {
+                    console.warn('Justificativa manual ignorada:', e.message);
+                }
+            });
+        } catch (e) {
+            console.warn('Não foi possível ler as justificativas manuais salvas:', e);
+        }
+    }
+
+    /**
+     * Persiste as justificativas no localStorage
+     */
+    persist() {
+        localStorage.setItem(this.STORAGE_KEY, JSON.stringify(this.getAjustes()));
+    }
+
+    /**
+     * Chave do ajuste (RA + data)
+     * @param {string} ra
+     * @param {string} dataStr - DD/MM/YYYY
+     * @returns {string}
+     */
+    chave(ra, dataStr) {
+        return `${String(ra || '').trim()}|${DateHelper.dataNumero(dataStr)}`;
+    }
+
+    /**
+     * Valida e normaliza um ajuste vindo do formulário ou de um JSON
+     * @param {Object} obj - {ra, data, justificada, motivo, anexo, atualizadoEm}
+     * @returns {Object} - Ajuste normalizado
+     */
+    validarAjuste(obj) {
+        if (!obj || typeof obj !== 'object') {
+            throw new Error('Justificativa inválida.');
+        }
+
+        const ra = String(obj.ra || '').trim();
+        if (!ra) throw new Error('Informe o RA do aluno.');
+
+        const numero = DateHelper.dataNumero(obj.data);
+        if (!numero) throw new Error(`Data inválida para o RA ${ra}: "${obj.data || ''}". Use DD/MM/AAAA.`);
+        const data = DateHelper.formatarNumero(numero);
+
+        return {
+            ra,
+            data,
+            justificada: obj.justificada !== false,
+            motivo: String(obj.motivo || '').replace(/\s+/g, ' ').trim(),
+            anexo: String(obj.anexo || '').replace(/\s+/g, ' ').trim(),
+            atualizadoEm: obj.atualizadoEm || new Date().toISOString()
+        };
+    }
+
+    /**
+     * Retorna todas as justificativas (por RA e data)
+     * @returns {Array}
+     */
+    getAjustes() {
+        return Array.from(this.ajustes.values()).sort((a, b) =>
+            a.ra.localeCompare(b.ra, undefined, { numeric: true }) || DateHelper.dataNumero(a.data) - DateHelper.dataNumero(b.data)
+        );
+    }
+
+    /**
+     * Retorna o ajuste de um RA em uma data
+     * @param {string} ra
+     * @param {string} dataStr - DD/MM/YYYY
+     * @returns {Object|null}
+     */
+    getAjuste(ra, dataStr) {
+        if (this.ajustes.size === 0) return null;
+        return this.ajustes.get(this.chave(ra, dataStr)) || null;
+    }
+
+    /**
+     * Salva (cria ou substitui) a justificativa de um RA em uma data
+     * @param {Object} dados - {ra, data, justificada, motivo, anexo}
+     * @returns {Object} - Ajuste salvo
+     */
+    salvarAjuste(dados) {
+        const ajuste = this.validarAjuste(Object.assign({}, dados, { atualizadoEm: null }));
+        this.ajustes.set(this.chave(ajuste.ra, ajuste.data), ajuste);
+        this.persist();
+        return ajuste;
+    }
+
+    /**
+     * Exclui a justificativa de um RA em uma data (volta a valer o CSV)
+     * @param {string} ra
+     * @param {string} dataStr
+     */
+    excluirAjuste(ra, dataStr) {
+        this.ajustes.delete(this.chave(ra, dataStr));
+        this.persist();
+    }
+
+    /**
+     * Exporta as justificativas em JSON
+     * @returns {string}
+     */
+    exportarJSON() {
+        return JSON.stringify({ tipo: 'justificativas-frequencia', versao: 1, ajustes: this.getAjustes() }, null, 2);
+    }
+
+    /**
+     * Importa justificativas de um JSON (objeto exportado ou lista)
+     * Ajustes do mesmo RA e data são substituídos pelos importados.
+     * @param {string} texto - Conteúdo JSON
+     * @returns {Array} - Ajustes importados
+     */
+    importarJSON(texto) {
+        let dados;
+        try {
+            dados = JSON.parse(texto);
+        } catch (e) {
+            throw new Error('Arquivo JSON inválido.');
+        }
+
+        const lista = Array.isArray(dados) ? dados : (Array.isArray(dados && dados.ajustes) ? dados.ajustes : [dados]);
+        const validados = lista.map(a => this.validarAjuste(a));
+
+        validados.forEach(ajuste => this.ajustes.set(this.chave(ajuste.ra, ajuste.data), ajuste));
+        this.persist();
+        return validados;
+    }
+}
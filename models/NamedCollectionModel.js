@@ -0,0 +1,240 @@
+/**
+ * NamedCollectionModel - Base das coleções nomeadas salvas no navegador
+ * (perfis de regras, programas, modelos de relatório e de notificação)
+ * Responsável por: manter o item padrão (somente leitura) e os itens do usuário,
+ * o item ativo, persistir no localStorage e importar/exportar em JSON
+ * As subclasses definem criarPadrao() e validar(obj).
+ */
+class NamedCollectionModel {
+    /**
+     * @param {Object} opcoes
+     * @param {string} opcoes.storageKey - Chave dos itens no localStorage
+     * @param {string} opcoes.activeKey - Chave do item ativo no localStorage
+     * @param {string} [opcoes.idPadrao] - Id do item padrão
+     * @param {string} opcoes.tipoJSON - Campo "tipo" do arquivo exportado
+     * @param {string} opcoes.chaveJSON - Campo com a lista no arquivo exportado (ex.: "perfis")
+     * @param {string} opcoes.rotulo - Nome do item nas mensagens (ex.: "Perfil de regras")
+     * @param {string} opcoes.rotuloPlural - Nome da coleção nas mensagens (ex.: "perfis de regras")
+     * @param {string} opcoes.prefixoId - Id usado quando o nome não tem letras nem números
+     * @param {string} opcoes.erroPadrao - Mensagem ao tentar alterar o item padrão
+     */
+    constructor({ storageKey, activeKey, idPadrao = 'padrao', tipoJSON, chaveJSON, rotulo, rotuloPlural, prefixoId, erroPadrao }) {
+        this.STORAGE_KEY = storageKey;
+        this.ACTIVE_KEY = activeKey;
+        this.ID_PADRAO = idPadrao;
+        this.TIPO_JSON = tipoJSON;
+        this.CHAVE_JSON = chaveJSON;
+        this.ROTULO = rotulo;
+        this.ROTULO_PLURAL = rotuloPlural;
+        this.PREFIXO_ID = prefixoId;
+        this.ERRO_PADRAO = erroPadrao;
+
+        // Map id -> item (o item padrão nunca é persistido, é sempre recriado)
+        this.itens = new Map();
+        this.ativoId = this.ID_PADRAO;
+
+        this.load();
+    }
+
+    /**
+     * Gera um identificador a partir do nome, sem repetir os já usados
+     * @param {string} nome
+     * @param {Map|Set} existentes - Ids em uso
+     * @param {string} [padrao] - Id usado quando o nome não tem letras nem números
+     * @returns {string}
+     */
+    static idUnico(nome, existentes, padrao = 'modelo') {
+        const slug = String(nome)
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-|-$/g, '') || padrao;
+        let id = slug;
+        let n = 2;
+        while (existentes.has(id)) {
+            id = `${slug}-${n++}`;
+        }
+        return id;
+    }
+
+    /**
+     * Substitui os campos {nome} de um texto
+     * Campos desconhecidos são mantidos como estão.
+     * @param {string} texto
+     * @param {Object} valores - {campo: valor}
+     * @returns {string}
+     */
+    static preencherCampos(texto, valores) {
+        return String(texto || '').replace(/\{(\w+)\}/g, (trecho, campo) =>
+            Object.prototype.hasOwnProperty.call(valores, campo) ? String(valores[campo] ?? '') : trecho
+        );
+    }
+
+    /**
+     * Carrega os itens salvos no localStorage
+     */
+    load() {
+        this.itens.clear();
+        this.itens.set(this.ID_PADRAO, this.criarPadrao());
+
+        try {
+            const salvos = JSON.parse(localStorage.getItem(this.STORAGE_KEY) || '[]');
+            (Array.isArray(salvos) ? salvos : []).forEach(obj => {
+                try {
+                    const item = this.validar(obj);
+                    if (item.id !== this.ID_PADRAO) this.itens.set(item.id, item);
+                } catch (e) {
+                    console.warn(`${this.ROTULO} ignorado:`, e.message);
+                }
+            });
+        } catch (e) {
+            console.warn(`Não foi possível ler os ${this.ROTULO_PLURAL} salvos:`, e);
+        }
+
+        const ativo = localStorage.getItem(this.ACTIVE_KEY);
+        this.ativoId = ativo && this.itens.has(ativo) ? ativo : this.ID_PADRAO;
+    }
+
+    /**
+     * Persiste os itens (exceto o padrão) no localStorage
+     */
+    persist() {
+        const lista = this.getTodos().filter(item => item.id !== this.ID_PADRAO);
+        localStorage.setItem(this.STORAGE_KEY, JSON.stringify(lista));
+        localStorage.setItem(this.ACTIVE_KEY, this.ativoId);
+    }
+
+    /**
+     * Gera um identificador único a partir do nome
+     */
+    gerarId(nome) {
+        return NamedCollectionModel.idUnico(nome, this.itens, this.PREFIXO_ID);
+    }
+
+    /**
+     * Retorna todos os itens (padrão primeiro, demais por nome)
+     * @returns {Array}
+     */
+    getTodos() {
+        return Array.from(this.itens.values()).sort((a, b) => {
+            if (a.id === this.ID_PADRAO) return -1;
+            if (b.id === this.ID_PADRAO) return 1;
+            return a.nome.localeCompare(b.nome);
+        });
+    }
+
+    /**
+     * Retorna um item pelo id
+     * @param {string} id
+     * @returns {Object|null}
+     */
+    getItem(id) {
+        return this.itens.get(id) || null;
+    }
+
+    /**
+     * Retorna o item ativo
+     * @returns {Object}
+     */
+    getAtivo() {
+        return this.itens.get(this.ativoId) || this.itens.get(this.ID_PADRAO);
+    }
+
+    /**
+     * Define o item ativo
+     * @param {string} id
+     */
+    setAtivo(id) {
+        if (!this.itens.has(id)) return;
+        this.ativoId = id;
+        this.persist();
+    }
+
+    /**
+     * Indica se o item pode ser alterado/excluído
+     */
+    isEditavel(id) {
+        return id !== this.ID_PADRAO && this.itens.has(id);
+    }
+
+    /**
+     * Salva (cria ou atualiza) um item
+     * @param {Object} dados
+     * @returns {Object} - Item salvo
+     */
+    salvar(dados) {
+        if (dados.id === this.ID_PADRAO) {
+            throw new Error(this.ERRO_PADRAO);
+        }
+        const item = this.validar(dados);
+        this.itens.set(item.id, item);
+        this.persist();
+        return item;
+    }
+
+    /**
+     * Cria uma cópia editável de um item
+     * @param {string} id - Item de origem
+     * @returns {Object} - Novo item
+     */
+    duplicar(id) {
+        const origem = this.getItem(id) || this.getAtivo();
+        const copia = JSON.parse(JSON.stringify(origem));
+        copia.nome = `${origem.nome} (cópia)`;
+        copia.id = this.gerarId(copia.nome);
+        return this.salvar(copia);
+    }
+
+    /**
+     * Exclui um item (o padrão não pode ser excluído)
+     * @param {string} id
+     */
+    excluir(id) {
+        if (!this.isEditavel(id)) return;
+        this.itens.delete(id);
+        if (this.ativoId === id) this.ativoId = this.ID_PADRAO;
+        this.persist();
+    }
+
+    /**
+     * Exporta itens em JSON
+     * @param {Array<string>} [ids] - Itens a exportar (padrão: todos os editáveis)
+     * @returns {string}
+     */
+    exportarJSON(ids) {
+        const lista = this.getTodos().filter(item =>
+            ids ? ids.includes(item.id) : item.id !== this.ID_PADRAO
+        );
+        return JSON.stringify({ tipo: this.TIPO_JSON, versao: 1, [this.CHAVE_JSON]: lista }, null, 2);
+    }
+
+    /**
+     * Importa itens de um JSON (um item, lista ou arquivo exportado)
+     * Itens com o id de um existente o substituem; o padrão nunca é sobrescrito.
+     * @param {string} texto
+     * @returns {Array<Object>} - Itens importados
+     */
+    importarJSON(texto) {
+        let dados;
+        try {
+            dados = JSON.parse(texto);
+        } catch (e) {
+            throw new Error('Arquivo JSON inválido.');
+        }
+
+        const lista = Array.isArray(dados)
+            ? dados
+            : (Array.isArray(dados && dados[this.CHAVE_JSON]) ? dados[this.CHAVE_JSON] : [dados]);
+        const validados = lista.map(obj => this.validar(obj));
+
+        const importados = validados.map(item => {
+            if (item.id === this.ID_PADRAO) item.id = this.gerarId(item.nome);
+            this.itens.set(item.id, item);
+            return item;
+        });
+
+        this.persist();
+        return importados;
+    }
+}
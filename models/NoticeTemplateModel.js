@@ -0,0 +1,103 @@
+/**
+ * NoticeTemplateModel - Model dos modelos de carta de notificação de faltas
+ * Responsável por: manter os modelos nomeados (título, texto com campos
+ * substituíveis e assinatura), persistir no navegador e importar/exportar em JSON (NamedCollectionModel)
+ */
+class NoticeTemplateModel extends NamedCollectionModel {
+    constructor() {
+        super({
+            storageKey: 'modelosNotificacao',
+            activeKey: 'modeloNotificacaoAtivo',
+            tipoJSON: 'modelos-notificacao-faltas',
+            chaveJSON: 'modelos',
+            rotulo: 'Modelo de notificação',
+            rotuloPlural: 'modelos de notificação',
+            prefixoId: 'modelo',
+            erroPadrao: 'O modelo padrão não pode ser alterado. Duplique-o para criar um modelo editável.'
+        });
+    }
+
+    /**
+     * Campos aceitos no título e no texto da carta
+     * @returns {Object} - {campo: descrição}
+     */
+    static camposCarta() {
+        return {
+            ALUNO: 'Nome do aprendiz',
+            RA: 'RA',
+            TURMA: 'Turma',
+            CURSO: 'Curso',
+            EMPRESA: 'Nome da empresa',
+            CNPJ: 'CNPJ da empresa',
+            PERIODO: 'Período do relatório',
+            DATAS_FALTAS: 'Datas das faltas não justificadas',
+            NUM_FALTAS: 'Nº de faltas não justificadas',
+            HORAS_AUSENCIA: 'Total de horas de ausência no período',
+            PERCENTUAL_FREQUENCIA: '% de frequência no período',
+            FREQUENCIA_MINIMA: 'Frequência mínima do perfil (%)',
+            UNIDADE: 'Unidade do modelo de relatório',
+            PROGRAMA: 'Título do programa',
+            DATA: 'Data de emissão por extenso'
+        };
+    }
+
+    /**
+     * Modelo original do sistema (somente leitura)
+     * @returns {Object}
+     */
+    static modeloPadrao() {
+        return {
+            id: 'padrao',
+            nome: 'Padrão (Notificação de faltas)',
+            titulo: 'NOTIFICAÇÃO DE FALTAS',
+            texto: [
+                '{UNIDADE}, {DATA}.',
+                '',
+                'Ao(À) aprendiz {ALUNO} (RA {RA})',
+                'Turma {TURMA} - {CURSO}',
+                'Empresa: {EMPRESA} (CNPJ {CNPJ})',
+                '',
+                'Notificamos que, no período de {PERIODO}, foram registradas {NUM_FALTAS} falta(s) sem justificativa, nos dias {DATAS_FALTAS}, totalizando {HORAS_AUSENCIA} hora(s) de ausência. A sua frequência no período é de {PERCENTUAL_FREQUENCIA}%, e a frequência mínima exigida é de {FREQUENCIA_MINIMA}%.',
+                '',
+                'As faltas sem justificativa prejudicam a sua formação e podem levar ao desligamento do programa de aprendizagem. Caso alguma dessas faltas tenha justificativa, apresente o documento à coordenação em até 5 (cinco) dias úteis.',
+                '',
+                'Uma via desta notificação é encaminhada à empresa.'
+            ].join('\n'),
+            assinatura: 'Coordenação do Programa de Aprendizagem'
+        };
+    }
+
+    /**
+     * Modelo padrão da coleção
+     * @returns {Object}
+     */
+    criarPadrao() {
+        return NoticeTemplateModel.modeloPadrao();
+    }
+
+    /**
+     * Valida e normaliza um modelo vindo do formulário, do localStorage ou de um JSON
+     * @param {Object} obj - Modelo bruto
+     * @returns {Object} - Modelo normalizado
+     */
+    validar(obj) {
+        if (!obj || typeof obj !== 'object') {
+            throw new Error('Modelo de notificação inválido.');
+        }
+
+        const nome = String(obj.nome || '').replace(/\s+/g, ' ').trim();
+        if (!nome) throw new Error('Informe o nome do modelo.');
+
+        // Texto: quebras de linha são mantidas (parágrafos da carta)
+        const texto = String(obj.texto || '').replace(/\r\n?/g, '\n').replace(/[ \t]+$/gm, '').trim();
+        if (!texto) throw new Error(`Informe o texto da carta no modelo "${nome}".`);
+
+        return {
+            id: String(obj.id || '').trim() || this.gerarId(nome),
+            nome,
+            titulo: String(obj.titulo || '').replace(/\s+/g, ' ').trim(),
+            texto,
+            assinatura: String(obj.assinatura || '').replace(/\s+/g, ' ').trim()
+        };
+    }
+}
@@ -0,0 +1,103 @@
+/**
+ * ProgramModel - Model dos programas (grupos de turmas) atendidos pelo sistema
+ * Responsável por: manter as regras que identificam as turmas de cada programa
+ * (prefixos do código da turma ou expressão regular), o título usado nos relatórios
+ * e o programa ativo, e persistir no navegador (NamedCollectionModel)
+ */
+class ProgramModel extends NamedCollectionModel {
+    constructor() {
+        super({
+            storageKey: 'programas',
+            activeKey: 'programaAtivo',
+            idPadrao: 'apr',
+            tipoJSON: 'programas-frequencia',
+            chaveJSON: 'programas',
+            rotulo: 'Programa',
+            rotuloPlural: 'programas',
+            prefixoId: 'programa',
+            erroPadrao: 'O programa padrão (APR) não pode ser alterado.'
+        });
+    }
+
+    /**
+     * Programa original do sistema (turmas que começam com APR, somente leitura)
+     * @returns {Object}
+     */
+    static programaPadrao() {
+        return {
+            id: 'apr',
+            nome: 'Aprendizagem Industrial (APR)',
+            tipo: 'prefixo', // prefixo | regex
+            padrao: 'APR', // Prefixos separados por vírgula ou expressão regular
+            titulo: 'PROGRAMA DE APRENDIZAGEM INDUSTRIAL' // Linha 2 do relatório Excel
+        };
+    }
+
+    /**
+     * Cria a função que indica se uma turma pertence ao programa
+     * Prefixos e expressão regular não diferenciam maiúsculas de minúsculas.
+     * @param {Object} programa - {tipo, padrao}
+     * @returns {Function} - (turma) => boolean
+     */
+    static criarTeste(programa) {
+        if (programa.tipo === 'regex') {
+            const regex = new RegExp(programa.padrao, 'i');
+            return (turma) => regex.test(turma);
+        }
+        const prefixos = String(programa.padrao || '').split(',')
+            .map(p => p.trim().toUpperCase())
+            .filter(p => p);
+        return (turma) => {
+            const codigo = String(turma || '').toUpperCase();
+            return prefixos.some(prefixo => codigo.startsWith(prefixo));
+        };
+    }
+
+    /**
+     * Programa padrão da coleção
+     * @returns {Object}
+     */
+    criarPadrao() {
+        return ProgramModel.programaPadrao();
+    }
+
+    /**
+     * Valida e normaliza um programa vindo do formulário ou do localStorage
+     * @param {Object} obj - {id, nome, tipo, padrao, titulo}
+     * @returns {Object} - Programa normalizado
+     */
+    validar(obj) {
+        if (!obj || typeof obj !== 'object') {
+            throw new Error('Programa inválido.');
+        }
+
+        const nome = String(obj.nome || '').replace(/\s+/g, ' ').trim();
+        if (!nome) throw new Error('Informe o nome do programa.');
+
+        const tipo = obj.tipo === 'regex' ? 'regex' : 'prefixo';
+        let padrao = String(obj.padrao || '').trim();
+        if (tipo === 'prefixo') {
+            padrao = Array.from(new Set(padrao.split(',')
+                .map(p => p.replace(/\s+/g, '').toUpperCase())
+                .filter(p => p))).join(', ');
+            if (!padrao) throw new Error(`Informe ao menos um prefixo de turma para o programa "${nome}".`);
+        } else {
+            if (!padrao) throw new Error(`Informe a expressão regular das turmas do programa "${nome}".`);
+            try {
+                new RegExp(padrao, 'i');
+            } catch (e) {
+                throw new Error(`Expressão regular inválida no programa "${nome}": ${e.message}`);
+            }
+        }
+
+        const titulo = String(obj.titulo || '').replace(/\s+/g, ' ').trim() || `PROGRAMA ${nome.toUpperCase()}`;
+
+        return {
+            id: String(obj.id || '').trim() || this.gerarId(nome),
+            nome,
+            tipo,
+            padrao,
+            titulo
+        };
+    }
+}
@@ -0,0 +1,200 @@
+/**
+ * ReportTemplateModel - Model dos modelos de relatório Excel
+ * Responsável por: manter os modelos nomeados (linhas de título com campos
+ * substituíveis, colunas visíveis, ordem, rótulos e larguras, cores da tabela),
+ * persistir no navegador e importar/exportar em JSON (NamedCollectionModel)
+ */
+class ReportTemplateModel extends NamedCollectionModel {
+    constructor() {
+        super({
+            storageKey: 'modelosRelatorio',
+            activeKey: 'modeloRelatorioAtivo',
+            tipoJSON: 'modelos-relatorio-frequencia',
+            chaveJSON: 'modelos',
+            rotulo: 'Modelo de relatório',
+            rotuloPlural: 'modelos de relatório',
+            prefixoId: 'modelo',
+            erroPadrao: 'O modelo padrão não pode ser alterado. Duplique-o para criar um modelo editável.'
+        });
+    }
+
+    /**
+     * Colunas disponíveis na planilha por aluno, na ordem original
+     * - id: campo da linha do relatório (DataModel.gerarRelatorio)
+     * - grupo: colunas que só aparecem quando o relatório tem o dado
+     *   (transferencias, cronograma, acumuladoCurso, categorias, meses)
+     * - dias: coluna com as datas das ocorrências (mais larga em períodos de vários meses)
+     * - bloco: grupo de colunas geradas (uma por categoria ou por mês), sem rótulo nem largura próprios
+     * @returns {Array<Object>}
+     */
+    static colunasRelatorio() {
+        return [
+            { id: 'TURMA', rotulo: 'TURMA', largura: 18 },
+            { id: 'ALUNO', rotulo: 'ALUNO', largura: 38 },
+            { id: 'STATUS', rotulo: 'STATUS', largura: 14 },
+            { id: 'STATUS_DESDE', rotulo: 'DATA DO STATUS', largura: 16 },
+            { id: 'EMPRESA', rotulo: 'EMPRESA', largura: 36 },
+            { id: 'CURSO', rotulo: 'CURSO', largura: 32 },
+            { id: 'FALTAS_JUSTIFICADAS_DIAS', rotulo: 'FALTAS JUSTIFICADAS (DIAS)', largura: 26, dias: true },
+            { id: 'NUM_FALTAS_JUSTIFICADAS', rotulo: 'Nº FALTAS JUSTIFICADAS', largura: 20 },
+            { id: 'FALTAS_NAO_JUSTIFICADAS_DIAS', rotulo: 'FALTAS NÃO JUSTIFICADAS (DIAS)', largura: 28, dias: true },
+            { id: 'NUM_FALTAS_NAO_JUSTIFICADAS', rotulo: 'Nº FALTAS NÃO JUSTIFICADAS', largura: 24 },
+            { id: 'ATRASOS_DIAS', rotulo: 'ATRASOS (DIAS)', largura: 18, dias: true },
+            { id: 'NUM_HORAS_ATRASO', rotulo: 'Nº HORAS DE ATRASO', largura: 18 },
+            { id: 'TOTAL_HORAS_AUSENCIA', rotulo: 'TOTAL HORAS DE AUSÊNCIA NO PERÍODO', largura: 34 },
+            { id: 'TOTAL_AULAS', rotulo: 'TOTAL DE AULAS NO PERÍODO', largura: 26 },
+            { id: 'HORAS_PREVISTAS', rotulo: 'CARGA HORÁRIA PREVISTA (H)', largura: 26 },
+            { id: 'HORAS_FREQUENTADAS', rotulo: 'HORAS FREQUENTADAS (H)', largura: 22 },
+            { id: 'PERCENTUAL_FREQUENCIA', rotulo: '% FREQUÊNCIA', largura: 14 },
+            { id: 'SITUACAO', rotulo: 'SITUAÇÃO', largura: 14 },
+            { id: 'TRANSFERENCIA', rotulo: 'TRANSFERÊNCIA', largura: 56, grupo: 'transferencias' },
+            { id: 'DIAS_PREVISTOS', rotulo: 'DIAS PREVISTOS NO CRONOGRAMA', largura: 28, grupo: 'cronograma' },
+            { id: 'DIAS_SEM_REGISTRO_DIAS', rotulo: 'DIAS SEM REGISTRO (DIAS)', largura: 26, grupo: 'cronograma', dias: true },
+            { id: 'NUM_DIAS_SEM_REGISTRO', rotulo: 'Nº DIAS SEM REGISTRO', largura: 22, grupo: 'cronograma' },
+            { id: 'INICIO_TURMA', rotulo: 'INÍCIO DA TURMA', largura: 16, grupo: 'acumuladoCurso' },
+            { id: 'HORAS_AUSENCIA_CURSO', rotulo: 'AUSÊNCIA ACUMULADA NO CURSO (H)', largura: 32, grupo: 'acumuladoCurso' },
+            { id: 'CARGA_HORARIA_CURSO', rotulo: 'CARGA HORÁRIA DO CURSO (H)', largura: 28, grupo: 'acumuladoCurso' },
+            { id: 'LIMITE_AUSENCIA_CURSO', rotulo: 'LIMITE DE AUSÊNCIA NO CURSO (H)', largura: 32, grupo: 'acumuladoCurso' },
+            { id: 'SALDO_AUSENCIA_CURSO', rotulo: 'SALDO DE AUSÊNCIA (H)', largura: 22, grupo: 'acumuladoCurso' },
+            { id: 'CATEGORIAS', rotulo: 'Categorias de justificativa', grupo: 'categorias', bloco: true },
+            { id: 'MESES', rotulo: 'Grupos mensais', grupo: 'meses', bloco: true }
+        ];
+    }
+
+    /**
+     * Campos aceitos nas linhas de título
+     * @returns {Object} - {campo: descrição}
+     */
+    static camposTitulo() {
+        return {
+            unidade: 'Unidade do modelo',
+            programa: 'Título do programa',
+            mes: 'Mês/ano do período',
+            empresa: 'Nome da empresa',
+            cnpj: 'CNPJ da empresa',
+            turma: 'Turma da aba',
+            aprendizes: '"Aprendizes" ou "Aprendiz NOME (RA ...)"'
+        };
+    }
+
+    /**
+     * Modelo original do sistema (somente leitura)
+     * @returns {Object}
+     */
+    static modeloPadrao() {
+        return {
+            id: 'padrao',
+            nome: 'Padrão (SENAI - Maracanã)',
+            unidade: 'SENAI - MARACANÃ',
+            titulos: [ // Linhas 1 a 3; a linha 4 traz sempre o perfil de regras
+                '{unidade}',
+                '{programa}',
+                'Relatório de Frequência - {aprendizes} - {mes}'
+            ],
+            colunas: ReportTemplateModel.colunasRelatorio().map(({ id, rotulo, largura }) => ({
+                id, rotulo, largura: largura || null, visivel: true
+            })),
+            cores: {
+                cabecalho: 'E6F2FF', // Fundo do cabeçalho da tabela
+                textoCabecalho: '000000',
+                listra: 'F5FAFF', // Linhas alternadas
+                borda: 'B3B3B3',
+                total: 'F1F5F9' // Linha de total do resumo por turma
+            }
+        };
+    }
+
+    /**
+     * Modelo padrão da coleção
+     * @returns {Object}
+     */
+    criarPadrao() {
+        return ReportTemplateModel.modeloPadrao();
+    }
+
+    /**
+     * Valida e normaliza um modelo vindo do formulário, do localStorage ou de um JSON
+     * @param {Object} obj - Modelo bruto
+     * @returns {Object} - Modelo normalizado
+     */
+    validar(obj) {
+        if (!obj || typeof obj !== 'object') {
+            throw new Error('Modelo de relatório inválido.');
+        }
+
+        const base = ReportTemplateModel.modeloPadrao();
+        const nome = String(obj.nome || '').replace(/\s+/g, ' ').trim();
+        if (!nome) throw new Error('Informe o nome do modelo.');
+
+        const titulos = Array.isArray(obj.titulos) ? obj.titulos : base.titulos;
+        if (titulos.length > 3) {
+            throw new Error(`O modelo "${nome}" tem mais de 3 linhas de título.`);
+        }
+
+        const cores = {};
+        Object.entries(base.cores).forEach(([chave, padrao]) => {
+            const valor = String((obj.cores && obj.cores[chave]) || padrao).replace(/^#/, '').toUpperCase();
+            if (!/^[0-9A-F]{6}$/.test(valor)) {
+                throw new Error(`Cor inválida em "${chave}" no modelo "${nome}". Use o formato RRGGBB.`);
+            }
+            cores[chave] = valor;
+        });
+
+        return {
+            id: String(obj.id || '').trim() || this.gerarId(nome),
+            nome,
+            unidade: String(obj.unidade ?? base.unidade).replace(/\s+/g, ' ').trim(),
+            titulos: [0, 1, 2].map(i => String(titulos[i] || '').replace(/\s+/g, ' ').trim()),
+            colunas: this.validarColunas(obj.colunas, nome),
+            cores
+        };
+    }
+
+    /**
+     * Valida as colunas de um modelo
+     * Colunas desconhecidas são descartadas; colunas que faltam (ex.: modelo salvo antes de
+     * uma coluna nova existir) entram visíveis no fim, com rótulo e largura originais.
+     * @param {Array} lista - [{id, rotulo, largura, visivel}]
+     * @param {string} nome - Nome do modelo (mensagens de erro)
+     * @returns {Array<Object>}
+     */
+    validarColunas(lista, nome) {
+        const catalogo = new Map(ReportTemplateModel.colunasRelatorio().map(c => [c.id, c]));
+        const colunas = [];
+        const usadas = new Set();
+
+        (Array.isArray(lista) ? lista : []).forEach(col => {
+            const original = col && catalogo.get(col.id);
+            if (!original || usadas.has(col.id)) return;
+            usadas.add(col.id);
+
+            let largura = null;
+            if (!original.bloco) {
+                largura = Number(col.largura ?? original.largura);
+                if (!Number.isFinite(largura) || largura < 4 || largura > 120) {
+                    throw new Error(`Largura inválida para a coluna "${original.rotulo}" no modelo "${nome}" (use de 4 a 120).`);
+                }
+                largura = Math.round(largura);
+            }
+
+            colunas.push({
+                id: original.id,
+                rotulo: original.bloco
+                    ? original.rotulo
+                    : (String(col.rotulo || '').replace(/\s+/g, ' ').trim() || original.rotulo),
+                largura,
+                visivel: col.visivel !== false
+            });
+        });
+
+        catalogo.forEach(original => {
+            if (usadas.has(original.id)) return;
+            colunas.push({ id: original.id, rotulo: original.rotulo, largura: original.largura || null, visivel: true });
+        });
+
+        if (!colunas.some(c => c.visivel && !catalogo.get(c.id).grupo)) {
+            throw new Error(`O modelo "${nome}" precisa de ao menos uma coluna visível que apareça em todos os relatórios.`);
+        }
+        return colunas;
+    }
+}
@@ -0,0 +1,140 @@
+/**
+ * RuleProfileModel - Model para os perfis de regras de frequência
+ * Responsável por: manter os perfis nomeados (faltas, justificativas, atrasos,
+ * frequência mínima), persistir no navegador e importar/exportar em JSON (NamedCollectionModel)
+ */
+class RuleProfileModel extends NamedCollectionModel {
+    constructor() {
+        super({
+            storageKey: 'perfisRegras',
+            activeKey: 'perfilRegrasAtivo',
+            tipoJSON: 'perfis-regras-frequencia',
+            chaveJSON: 'perfis',
+            rotulo: 'Perfil de regras',
+            rotuloPlural: 'perfis de regras',
+            prefixoId: 'perfil',
+            erroPadrao: 'O perfil padrão não pode ser alterado. Duplique-o para criar um perfil editável.'
+        });
+    }
+
+    /**
+     * Regras originais do sistema (perfil padrão, somente leitura)
+     * @returns {Object}
+     */
+    static perfilPadrao() {
+        return {
+            id: 'padrao',
+            nome: 'Padrão (Secretaria)',
+            faltasDiaInteiro: 4, // Valor de FALTAS que caracteriza falta no dia
+            valoresJustificada: ['FALTA JUSTIFICADA'], // Valores de JUSTIFICADA aceitos como justificativa (todas as categorias)
+            categoriasJustificativa: [ // Valores de JUSTIFICADA agrupados por categoria
+                { nome: 'Falta justificada', valores: ['FALTA JUSTIFICADA'] }
+            ],
+            horasPorDia: 4, // Horas de aula por dia (multiplicador das faltas e carga prevista)
+            atrasoHoras: { 1: 3, 2: 2, 3: 1 }, // FREQUENCIA -> horas de atraso
+            frequenciaMinima: 75, // Percentual mínimo exigido
+            margemAtencao: 10 // Pontos percentuais acima do mínimo considerados "ATENÇÃO"
+        };
+    }
+
+    /**
+     * Perfil padrão da coleção
+     * @returns {Object}
+     */
+    criarPadrao() {
+        return RuleProfileModel.perfilPadrao();
+    }
+
+    /**
+     * Valida e normaliza um perfil vindo do formulário ou de um JSON
+     * @param {Object} obj - Perfil bruto
+     * @returns {Object} - Perfil normalizado
+     */
+    validar(obj) {
+        if (!obj || typeof obj !== 'object') {
+            throw new Error('Perfil inválido.');
+        }
+
+        const base = RuleProfileModel.perfilPadrao();
+        const nome = String(obj.nome || '').replace(/\s+/g, ' ').trim();
+        if (!nome) throw new Error('Informe o nome do perfil.');
+
+        const numero = (valor, campo, min, max) => {
+            const n = Number(valor);
+            if (!Number.isFinite(n) || n < min || n > max) {
+                throw new Error(`Valor inválido para "${campo}" no perfil "${nome}".`);
+            }
+            return n;
+        };
+
+        const categoriasJustificativa = this.validarCategorias(obj, nome);
+
+        const atrasoHoras = {};
+        Object.entries(obj.atrasoHoras ?? base.atrasoHoras).forEach(([freq, horas]) => {
+            const f = Number(freq);
+            if (!Number.isInteger(f) || f < 1 || f > 24) {
+                throw new Error(`FREQUENCIA de atraso inválida ("${freq}") no perfil "${nome}". Use um número inteiro a partir de 1.`);
+            }
+            atrasoHoras[f] = numero(horas, 'horas de atraso', 0, 24);
+        });
+
+        return {
+            id: String(obj.id || '').trim() || this.gerarId(nome),
+            nome,
+            faltasDiaInteiro: numero(obj.faltasDiaInteiro ?? base.faltasDiaInteiro, 'FALTAS que caracteriza falta', 1, 24),
+            valoresJustificada: categoriasJustificativa.flatMap(cat => cat.valores),
+            categoriasJustificativa,
+            horasPorDia: numero(obj.horasPorDia ?? base.horasPorDia, 'horas por dia', 0.5, 24),
+            atrasoHoras,
+            frequenciaMinima: numero(obj.frequenciaMinima ?? base.frequenciaMinima, 'frequência mínima', 0, 100),
+            margemAtencao: numero(obj.margemAtencao ?? base.margemAtencao, 'margem de atenção', 0, 100)
+        };
+    }
+
+    /**
+     * Valida as categorias de justificativa de um perfil
+     * Perfis anteriores às categorias (só valoresJustificada) viram a categoria "Falta justificada";
+     * sem nenhum dos dois, valem as categorias do perfil padrão.
+     * @param {Object} obj - Perfil bruto
+     * @param {string} nome - Nome do perfil (mensagens de erro)
+     * @returns {Array<Object>} - [{nome, valores}]
+     */
+    validarCategorias(obj, nome) {
+        let lista = RuleProfileModel.perfilPadrao().categoriasJustificativa;
+        if (Array.isArray(obj.categoriasJustificativa)) {
+            lista = obj.categoriasJustificativa;
+        } else if (obj.valoresJustificada !== undefined && obj.valoresJustificada !== null) {
+            lista = [{ nome: 'Falta justificada', valores: obj.valoresJustificada }];
+        }
+
+        const categoriaDoValor = new Map();
+        const nomes = new Set();
+        const categorias = lista.map(cat => {
+            const nomeCategoria = String((cat && cat.nome) || '').replace(/\s+/g, ' ').trim();
+            if (!nomeCategoria) throw new Error(`Informe o nome de cada categoria de justificativa no perfil "${nome}".`);
+            if (nomes.has(nomeCategoria.toUpperCase())) {
+                throw new Error(`A categoria "${nomeCategoria}" aparece mais de uma vez no perfil "${nome}".`);
+            }
+            nomes.add(nomeCategoria.toUpperCase());
+
+            const valores = Array.from(new Set((Array.isArray(cat.valores) ? cat.valores : [])
+                .map(v => String(v).replace(/\s+/g, ' ').trim().toUpperCase())
+                .filter(v => v)));
+            if (valores.length === 0) {
+                throw new Error(`Informe ao menos um valor de JUSTIFICADA para a categoria "${nomeCategoria}" no perfil "${nome}".`);
+            }
+            valores.forEach(valor => {
+                if (categoriaDoValor.has(valor)) {
+                    throw new Error(`O valor "${valor}" está nas categorias "${categoriaDoValor.get(valor)}" e "${nomeCategoria}" do perfil "${nome}".`);
+                }
+                categoriaDoValor.set(valor, nomeCategoria);
+            });
+            return { nome: nomeCategoria, valores };
+        });
+
+        if (categorias.length === 0) {
+            throw new Error(`Informe ao menos uma categoria de justificativa no perfil "${nome}".`);
+        }
+        return categorias;
+    }
+}
@@ -0,0 +1,436 @@
+/**
+ * ScheduleModel - Model dos cronogramas das turmas e do calendário não letivo
+ * Responsável por: guardar o cronograma de aulas de cada turma ou curso (dias da
+ * semana, horas por dia, início e fim), os feriados/recessos (importados de .ics ou
+ * CSV) e os dias excluídos pelo coordenador em cada turma, e calcular os dias
+ * de aula previstos em um período
+ */
+class ScheduleModel {
+    constructor() {
+        this.STORAGE_KEY = 'cronogramasTurmas';
+        this.CALENDARIO_KEY = 'calendarioNaoLetivo';
+        this.EXCLUSOES_KEY = 'diasExcluidosTurmas';
+        this.DIAS_SEMANA = ['Dom', 'Seg', 'Ter', 'Qua', 'Qui', 'Sex', 'Sáb'];
+
+        this.cronogramas = new Map(); // "TURMA|nome" ou "CURSO|nome" (normalizado) -> cronograma
+        this.naoLetivos = new Map(); // AAAAMMDD -> {data, descricao}
+        this.exclusoes = new Map(); // turma normalizada -> Map AAAAMMDD -> {turma, data, motivo}
+
+        this.load();
+    }
+
+    /**
+     * Carrega cronogramas, calendário e exclusões salvos no localStorage
+     */
+    load() {
+        this.cronogramas.clear();
+        this.naoLetivos.clear();
+        this.exclusoes.clear();
+
+        const ler = (chave, descricao, lista, aplicar) => {
+            try {
+                const salvos = JSON.parse(localStorage.getItem(chave) || '[]');
+                (Array.isArray(salvos) ? salvos : []).forEach(item => {
+                    try {
+                        aplicar(item);
+                    } catch (e) {
+                        console.warn(`${descricao} ignorado:`, e.message);
+                    }
+                });
+            } catch (e) {
+                console.warn(`Não foi possível ler ${lista}:`, e);
+            }
+        };
+
+        ler(this.STORAGE_KEY, 'Cronograma', 'os cronogramas salvos', (c) => {
+            const cronograma = this.validarCronograma(c);
+            this.cronogramas.set(this.chaveCronograma(cronograma.alvo, cronograma.nome), cronograma);
+        });
+        ler(this.CALENDARIO_KEY, 'Dia não letivo', 'o calendário não letivo salvo', (d) => {
+            const dia = this.validarDia(d);
+            this.naoLetivos.set(DateHelper.dataNumero(dia.data), dia);
+        });
+        ler(this.EXCLUSOES_KEY, 'Dia excluído', 'os dias excluídos salvos', (d) => this.adicionarExclusao(d));
+    }
+
+    /**
+     * Persiste cronogramas, calendário e exclusões no localStorage
+     */
+    persist() {
+        localStorage.setItem(this.STORAGE_KEY, JSON.stringify(this.getCronogramas()));
+        localStorage.setItem(this.CALENDARIO_KEY, JSON.stringify(this.getNaoLetivos()));
+        localStorage.setItem(this.EXCLUSOES_KEY, JSON.stringify(this.getExclusoes()));
+    }
+
+    /**
+     * Normaliza nome de turma/curso para comparação
+     */
+    normalizar(nome) {
+        return String(nome || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/\s+/g, ' ')
+            .trim()
+            .toUpperCase();
+    }
+
+    /**
+     * Chave do cronograma
+     * @param {string} alvo - 'turma' | 'curso'
+     * @param {string} nome
+     */
+    chaveCronograma(alvo, nome) {
+        return `${alvo === 'curso' ? 'CURSO' : 'TURMA'}|${this.normalizar(nome)}`;
+    }
+
+    /**
+     * Valida e normaliza um cronograma vindo do formulário ou do armazenamento
+     * @param {Object} obj - {alvo, nome, diasSemana, horasPorDia, inicio, fim}
+     * @returns {Object} - Cronograma normalizado
+     */
+    validarCronograma(obj) {
+        if (!obj || typeof obj !== 'object') {
+            throw new Error('Cronograma inválido.');
+        }
+
+        const alvo = obj.alvo === 'curso' ? 'curso' : 'turma';
+        const nome = String(obj.nome || '').replace(/\s+/g, ' ').trim();
+        if (!nome) throw new Error(`Informe ${alvo === 'curso' ? 'o curso' : 'a turma'} do cronograma.`);
+
+        const diasSemana = Array.from(new Set((Array.isArray(obj.diasSemana) ? obj.diasSemana : [])
+            .map(Number)
+            .filter(d => Number.isInteger(d) && d >= 0 && d <= 6)))
+            .sort((a, b) => a - b);
+        if (diasSemana.length === 0) throw new Error(`Selecione ao menos um dia da semana no cronograma de "${nome}".`);
+
+        const horasPorDia = Number(obj.horasPorDia);
+        if (!Number.isFinite(horasPorDia) || horasPorDia < 0.5 || horasPorDia > 24) {
+            throw new Error(`Horas por dia inválidas no cronograma de "${nome}".`);
+        }
+
+        const data = (valor, campo) => {
+            if (!valor) return '';
+            const numero = DateHelper.dataNumero(valor);
+            if (!numero) throw new Error(`Data de ${campo} inválida no cronograma de "${nome}". Use DD/MM/AAAA.`);
+            return DateHelper.formatarNumero(numero);
+        };
+        const inicio = data(obj.inicio, 'início');
+        const fim = data(obj.fim, 'fim');
+        if (inicio && fim && DateHelper.dataNumero(inicio) > DateHelper.dataNumero(fim)) {
+            throw new Error(`O início do cronograma de "${nome}" é posterior ao fim.`);
+        }
+
+        return { alvo, nome, diasSemana, horasPorDia, inicio, fim };
+    }
+
+    /**
+     * Retorna todos os cronogramas (turmas primeiro, por nome)
+     * @returns {Array}
+     */
+    getCronogramas() {
+        return Array.from(this.cronogramas.values()).sort((a, b) =>
+            (a.alvo === b.alvo ? 0 : a.alvo === 'turma' ? -1 : 1) || a.nome.localeCompare(b.nome)
+        );
+    }
+
+    /**
+     * Cronograma que vale para uma turma (o da turma tem prioridade sobre o do curso)
+     * @param {string} turma
+     * @param {string} curso
+     * @returns {Object|null}
+     */
+    getCronograma(turma, curso) {
+        return this.cronogramas.get(this.chaveCronograma('turma', turma))
+            || this.cronogramas.get(this.chaveCronograma('curso', curso))
+            || null;
+    }
+
+    /**
+     * Salva (cria ou substitui) um cronograma
+     * @param {Object} dados
+     * @returns {Object} - Cronograma salvo
+     */
+    salvarCronograma(dados) {
+        const cronograma = this.validarCronograma(dados);
+        this.cronogramas.set(this.chaveCronograma(cronograma.alvo, cronograma.nome), cronograma);
+        this.persist();
+        return cronograma;
+    }
+
+    /**
+     * Exclui um cronograma
+     * @param {string} alvo
+     * @param {string} nome
+     */
+    excluirCronograma(alvo, nome) {
+        this.cronogramas.delete(this.chaveCronograma(alvo, nome));
+        this.persist();
+    }
+
+    /**
+     * Valida um dia não letivo
+     * @param {Object} obj - {data, descricao}
+     * @returns {Object}
+     */
+    validarDia(obj) {
+        const numero = DateHelper.dataNumero(obj && obj.data);
+        if (!numero) throw new Error(`Data inválida: "${(obj && obj.data) || ''}". Use DD/MM/AAAA.`);
+        return {
+            data: DateHelper.formatarNumero(numero),
+            descricao: String((obj && obj.descricao) || '').replace(/\s+/g, ' ').trim()
+        };
+    }
+
+    /**
+     * Retorna os dias não letivos em ordem cronológica
+     * @returns {Array}
+     */
+    getNaoLetivos() {
+        return Array.from(this.naoLetivos.entries())
+            .sort((a, b) => a[0] - b[0])
+            .map(([, dia]) => dia);
+    }
+
+    /**
+     * Indica se a data (AAAAMMDD) é feriado ou recesso
+     * @param {number} numero
+     * @returns {boolean}
+     */
+    isNaoLetivo(numero) {
+        return this.naoLetivos.has(numero);
+    }
+
+    /**
+     * Adiciona dias não letivos (substitui a descrição de datas já cadastradas)
+     * @param {Array<Object>} dias - [{data, descricao}]
+     * @returns {Array} - Dias adicionados
+     */
+    adicionarNaoLetivos(dias) {
+        const validados = dias.map(d => this.validarDia(d));
+        validados.forEach(dia => this.naoLetivos.set(DateHelper.dataNumero(dia.data), dia));
+        this.persist();
+        return validados;
+    }
+
+    /**
+     * Remove um dia não letivo
+     * @param {string} dataStr - DD/MM/YYYY
+     */
+    removerNaoLetivo(dataStr) {
+        this.naoLetivos.delete(DateHelper.dataNumero(dataStr));
+        this.persist();
+    }
+
+    /**
+     * Importa feriados/recessos de um arquivo .ics ou CSV
+     * @param {string} texto - Conteúdo do arquivo
+     * @param {string} nomeArquivo - Usado para identificar o formato
+     * @returns {Object} - {dias: dias importados, recorrenciasIgnoradas: eventos .ics com
+     *   repetição não suportada (só a primeira data foi importada)}
+     */
+    importarCalendario(texto, nomeArquivo) {
+        const ics = /\.ics$/i.test(nomeArquivo || '') || /BEGIN:VCALENDAR/i.test(texto);
+        const lido = ics ? this.lerICS(texto) : { dias: this.lerCSV(texto), recorrenciasIgnoradas: [] };
+        if (lido.dias.length === 0) throw new Error('Nenhuma data encontrada no arquivo.');
+        return { dias: this.adicionarNaoLetivos(lido.dias), recorrenciasIgnoradas: lido.recorrenciasIgnoradas };
+    }
+
+    /**
+     * Lê os eventos de um arquivo iCalendar (.ics); eventos de vários dias viram um dia por data
+     * Eventos anuais (RRULE:FREQ=YEARLY, comum em feriados de data fixa) são repetidos nos anos
+     * de ANOS_ANTES antes a ANOS_DEPOIS depois do ano atual, respeitando INTERVAL, COUNT e UNTIL.
+     * Outras repetições (semanal, mensal, "quarta quinta-feira"...) entram só na primeira data
+     * e são devolvidas em recorrenciasIgnoradas.
+     * @param {string} texto
+     * @returns {Object} - {dias: [{data, descricao}], recorrenciasIgnoradas: [descrição do evento]}
+     */
+    lerICS(texto) {
+        const ANOS_ANTES = 5;
+        const ANOS_DEPOIS = 2;
+        const anoAtual = new Date().getFullYear();
+
+        // Linhas longas são continuadas na linha seguinte iniciada por espaço ou tab
+        const linhas = String(texto).replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+        const dias = [];
+        const recorrenciasIgnoradas = [];
+        let evento = null;
+
+        const lerData = (linha) => {
+            const m = linha.match(/:(\d{4})(\d{2})(\d{2})/);
+            return m ? new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3])) : null;
+        };
+        const adicionarDias = (inicio, duracao, descricao) => {
+            for (let i = 0; i < duracao; i++) {
+                const d = new Date(inicio.getFullYear(), inicio.getMonth(), inicio.getDate() + i);
+                dias.push({
+                    data: `${String(d.getDate()).padStart(2, '0')}/${String(d.getMonth() + 1).padStart(2, '0')}/${d.getFullYear()}`,
+                    descricao
+                });
+            }
+        };
+
+        // Datas de início das ocorrências de um evento anual (null = repetição não suportada)
+        const ocorrenciasAnuais = (inicio, rrule) => {
+            const regra = {};
+            rrule.split(';').forEach(parte => {
+                const [chave, valor] = parte.split('=');
+                if (chave) regra[chave.trim().toUpperCase()] = String(valor || '').trim().toUpperCase();
+            });
+            if (regra.FREQ !== 'YEARLY') return null;
+            const mesmaData = (chave, valor) => !regra[chave] || regra[chave] === String(valor);
+            const outrasRegras = Object.keys(regra).some(chave => chave.startsWith('BY') && chave !== 'BYMONTH' && chave !== 'BYMONTHDAY');
+            if (outrasRegras || !mesmaData('BYMONTH', inicio.getMonth() + 1) || !mesmaData('BYMONTHDAY', inicio.getDate())) return null;
+
+            const intervalo = Math.max(1, parseInt(regra.INTERVAL, 10) || 1);
+            const contagem = regra.COUNT ? parseInt(regra.COUNT, 10) : Infinity;
+            const ate = regra.UNTIL ? lerData(`:${regra.UNTIL}`) : null;
+            const primeiroAno = Math.max(inicio.getFullYear(), anoAtual - ANOS_ANTES);
+            const ultimoAno = Math.max(anoAtual + ANOS_DEPOIS, inicio.getFullYear());
+
+            const datas = [];
+            for (let n = 0; n < contagem; n++) {
+                const ano = inicio.getFullYear() + n * intervalo;
+                if (ano > ultimoAno) break;
+                const data = new Date(ano, inicio.getMonth(), inicio.getDate());
+                if (ate && data > ate) break;
+                // 29/02 só nos anos bissextos
+                if (ano >= primeiroAno && data.getMonth() === inicio.getMonth()) datas.push(data);
+            }
+            return datas;
+        };
+
+        linhas.forEach(linha => {
+            if (/^BEGIN:VEVENT/i.test(linha)) evento = { inicio: null, fim: null, descricao: '', rrule: '' };
+            else if (!evento) return;
+            else if (/^DTSTART/i.test(linha)) evento.inicio = lerData(linha);
+            else if (/^DTEND/i.test(linha)) evento.fim = lerData(linha);
+            else if (/^RRULE/i.test(linha)) evento.rrule = linha.slice(linha.indexOf(':') + 1);
+            else if (/^SUMMARY/i.test(linha)) evento.descricao = linha.slice(linha.indexOf(':') + 1).replace(/\\([,;\\])/g, '$1').trim();
+            else if (/^END:VEVENT/i.test(linha)) {
+                if (evento.inicio) {
+                    // DTEND de eventos de dia inteiro é exclusivo
+                    const duracao = evento.fim && evento.fim > evento.inicio
+                        ? Math.round((evento.fim - evento.inicio) / 86400000)
+                        : 1;
+                    const ocorrencias = evento.rrule ? ocorrenciasAnuais(evento.inicio, evento.rrule) : [evento.inicio];
+                    if (ocorrencias === null) {
+                        recorrenciasIgnoradas.push(evento.descricao || '(sem descrição)');
+                        adicionarDias(evento.inicio, duracao, evento.descricao);
+                    } else {
+                        ocorrencias.forEach(inicio => adicionarDias(inicio, duracao, evento.descricao));
+                    }
+                }
+                evento = null;
+            }
+        });
+        return { dias, recorrenciasIgnoradas };
+    }
+
+    /**
+     * Lê um CSV com a data (DD/MM/AAAA ou AAAA-MM-DD) na primeira coluna e a descrição na segunda
+     * Linhas cuja primeira coluna não é data (ex.: cabeçalho) são ignoradas.
+     * @param {string} texto
+     * @returns {Array<Object>} - [{data, descricao}]
+     */
+    lerCSV(texto) {
+        const resultado = Papa.parse(String(texto).trim(), { skipEmptyLines: true });
+        const dias = [];
+        resultado.data.forEach(colunas => {
+            const bruto = String(colunas[0] || '').trim();
+            const iso = bruto.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+            const data = iso ? `${iso[3]}/${iso[2]}/${iso[1]}` : bruto;
+            if (!DateHelper.dataNumero(data)) return;
+            dias.push({ data, descricao: String(colunas[1] || '').trim() });
+        });
+        return dias;
+    }
+
+    /**
+     * Registra um dia excluído pelo coordenador em uma turma
+     * @param {Object} obj - {turma, data, motivo}
+     * @returns {Object}
+     */
+    adicionarExclusao(obj) {
+        const turma = String((obj && obj.turma) || '').replace(/\s+/g, ' ').trim();
+        if (!turma) throw new Error('Informe a turma do dia excluído.');
+        const dia = this.validarDia({ data: obj.data });
+        const exclusao = { turma, data: dia.data, motivo: String(obj.motivo || '').trim() };
+
+        const chave = this.normalizar(turma);
+        if (!this.exclusoes.has(chave)) this.exclusoes.set(chave, new Map());
+        this.exclusoes.get(chave).set(DateHelper.dataNumero(dia.data), exclusao);
+        return exclusao;
+    }
+
+    /**
+     * Exclui um dia de uma turma dos relatórios (ex.: provável dia sem aula)
+     * @param {string} turma
+     * @param {string} dataStr - DD/MM/YYYY
+     * @param {string} [motivo]
+     * @returns {Object}
+     */
+    excluirDia(turma, dataStr, motivo = '') {
+        const exclusao = this.adicionarExclusao({ turma, data: dataStr, motivo });
+        this.persist();
+        return exclusao;
+    }
+
+    /**
+     * Volta a considerar um dia excluído
+     * @param {string} turma
+     * @param {string} dataStr
+     */
+    restaurarDia(turma, dataStr) {
+        const dias = this.exclusoes.get(this.normalizar(turma));
+        if (!dias) return;
+        dias.delete(DateHelper.dataNumero(dataStr));
+        if (dias.size === 0) this.exclusoes.delete(this.normalizar(turma));
+        this.persist();
+    }
+
+    /**
+     * Indica se a data (AAAAMMDD) foi excluída na turma
+     * @param {string} turma
+     * @param {number} numero
+     * @returns {boolean}
+     */
+    isExcluido(turma, numero) {
+        const dias = this.exclusoes.get(this.normalizar(turma));
+        return Boolean(dias && dias.has(numero));
+    }
+
+    /**
+     * Retorna os dias excluídos (por turma e data)
+     * @returns {Array}
+     */
+    getExclusoes() {
+        return Array.from(this.exclusoes.values())
+            .flatMap(dias => Array.from(dias.values()))
+            .sort((a, b) => a.turma.localeCompare(b.turma) || DateHelper.dataNumero(a.data) - DateHelper.dataNumero(b.data));
+    }
+
+    /**
+     * Dias de aula previstos pelo cronograma entre duas datas (sem feriados/recessos e dias excluídos)
+     * @param {Object} cronograma
+     * @param {string} turma - Turma (dias excluídos pelo coordenador)
+     * @param {number} inicio - AAAAMMDD
+     * @param {number} fim - AAAAMMDD
+     * @returns {Array<number>} - Datas AAAAMMDD
+     */
+    diasPrevistos(cronograma, turma, inicio, fim) {
+        const de = Math.max(inicio, DateHelper.dataNumero(cronograma.inicio) || 0);
+        const ate = Math.min(fim, DateHelper.dataNumero(cronograma.fim) || 99999999);
+        const dias = [];
+        if (de > ate) return dias;
+
+        const data = new Date(Math.floor(de / 10000), Math.floor(de / 100) % 100 - 1, de % 100);
+        for (let numero = de; numero <= ate;) {
+            if (cronograma.diasSemana.includes(data.getDay()) && !this.isNaoLetivo(numero) && !this.isExcluido(turma, numero)) {
+                dias.push(numero);
+            }
+            data.setDate(data.getDate() + 1);
+            numero = data.getFullYear() * 10000 + (data.getMonth() + 1) * 100 + data.getDate();
+        }
+        return dias;
+    }
+}
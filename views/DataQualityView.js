@@ -0,0 +1,102 @@
+/**
+ * DataQualityView - Painel de qualidade do arquivo carregado
+ * Responsável por: listar as categorias de problemas com contagem e linhas de
+ * exemplo, oferecer o tratamento de cada categoria e o download do relatório completo
+ */
+class DataQualityView {
+    /**
+     * @param {Object} options
+     * @param {Function} options.onTratamentoChange - (categoria, acao) ao trocar o tratamento
+     * @param {Function} options.onDownload - Callback do botão "Baixar relatório completo"
+     */
+    constructor(options = {}) {
+        this.onTratamentoChange = options.onTratamentoChange || (() => {});
+        this.onDownload = options.onDownload || (() => {});
+
+        // Elementos DOM
+        this.elements = {
+            container: document.getElementById('qualidadePanel'),
+            resumo: document.getElementById('qualidadeResumo'),
+            tbody: document.querySelector('#qualidadeTabela tbody'),
+            btnBaixar: document.getElementById('btnBaixarQualidade')
+        };
+
+        this.init();
+    }
+
+    /**
+     * Configura os event listeners
+     */
+    init() {
+        this.elements.tbody.addEventListener('change', (e) => {
+            const select = e.target.closest('select[data-categoria]');
+            if (select) this.onTratamentoChange(select.dataset.categoria, select.value);
+        });
+
+        this.elements.btnBaixar.addEventListener('click', () => this.onDownload());
+    }
+
+    /**
+     * Exibe o resultado da verificação (painel fica oculto quando não há problemas)
+     * @param {Array<Object>} resumo - Retorno de DataQualityModel.getResumo()
+     * @param {Object} acoes - Rótulos dos tratamentos {manter, excluir, deduplicar}
+     * @param {Object} totais - {linhas, excluidas}
+     */
+    render(resumo, acoes, totais) {
+        const comProblemas = resumo.filter(cat => cat.total > 0);
+        if (comProblemas.length === 0) {
+            this.hide();
+            return;
+        }
+
+        const ocorrencias = comProblemas.reduce((sum, cat) => sum + cat.total, 0);
+        this.elements.resumo.textContent =
+            `${ocorrencias} ocorrência(s) em ${comProblemas.length} categoria(s) · ` +
+            `${totais.linhas - totais.excluidas} de ${totais.linhas} linhas consideradas no processamento`;
+
+        const tbody = this.elements.tbody;
+        tbody.innerHTML = '';
+        comProblemas.forEach(cat => {
+            const tr = document.createElement('tr');
+
+            const tdCategoria = document.createElement('td');
+            const nome = document.createElement('strong');
+            nome.textContent = cat.rotulo;
+            const descricao = document.createElement('small');
+            descricao.textContent = cat.descricao;
+            tdCategoria.append(nome, document.createElement('br'), descricao);
+            tr.appendChild(tdCategoria);
+
+            const tdTotal = document.createElement('td');
+            tdTotal.className = 'num';
+            tdTotal.textContent = cat.total;
+            tr.appendChild(tdTotal);
+
+            const tdLinhas = document.createElement('td');
+            tdLinhas.className = 'qualidade-linhas';
+            tdLinhas.textContent = cat.amostra.join(', ') + (cat.total > cat.amostra.length ? ', …' : '');
+            tr.appendChild(tdLinhas);
+
+            const tdAcao = document.createElement('td');
+            const select = document.createElement('select');
+            select.className = 'form-select';
+            select.dataset.categoria = cat.id;
+            cat.acoes.forEach(acao => select.appendChild(new Option(acoes[acao], acao)));
+            select.value = cat.decisao;
+            tdAcao.appendChild(select);
+            tr.appendChild(tdAcao);
+
+            tbody.appendChild(tr);
+        });
+
+        this.elements.container.hidden = false;
+    }
+
+    /**
+     * Oculta o painel
+     */
+    hide() {
+        this.elements.container.hidden = true;
+        this.elements.tbody.innerHTML = '';
+    }
+}
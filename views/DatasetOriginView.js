@@ -0,0 +1,73 @@
+/**
+ * DatasetOriginView - Painel "Arquivos do dataset"
+ * Responsável por: listar os arquivos mesclados (linhas lidas, mantidas e substituídas
+ * por um arquivo mais recente) e mostrar de qual arquivo vieram os registros de cada mês
+ */
+class DatasetOriginView {
+    constructor() {
+        // Elementos DOM
+        this.elements = {
+            container: document.getElementById('origemArquivos'),
+            lista: document.getElementById('origemLista'),
+            tbody: document.querySelector('#origemTabela tbody')
+        };
+    }
+
+    /**
+     * Exibe a origem dos registros (painel fica oculto quando o dataset tem um só arquivo)
+     * @param {Array<Object>} arquivos - [{nome, linhas, mantidas, substituidas}]
+     * @param {Array<Object>} origemPorMes - Retorno de DataModel.getOrigemPorMes()
+     * @param {Function} formatMes - Formata a chave AAAA-MM para exibição
+     */
+    render(arquivos, origemPorMes, formatMes) {
+        if (!arquivos || arquivos.length < 2) {
+            this.hide();
+            return;
+        }
+
+        const lista = this.elements.lista;
+        lista.innerHTML = '';
+        arquivos.forEach(arquivo => {
+            const li = document.createElement('li');
+            const nome = document.createElement('strong');
+            nome.textContent = arquivo.nome;
+            const detalhes = document.createElement('small');
+            let texto = `${arquivo.linhas.toLocaleString('pt-BR')} linhas lidas, ${arquivo.mantidas.toLocaleString('pt-BR')} mantidas`;
+            if (arquivo.substituidas > 0) {
+                texto += ` · ${arquivo.substituidas.toLocaleString('pt-BR')} sobreposta(s) substituída(s) por arquivo mais recente`;
+            }
+            detalhes.textContent = texto;
+            li.append(nome, detalhes);
+            lista.appendChild(li);
+        });
+
+        const tbody = this.elements.tbody;
+        tbody.innerHTML = '';
+        origemPorMes.forEach(({ mes, arquivos: origens }) => {
+            const tr = document.createElement('tr');
+            const total = origens.reduce((sum, o) => sum + o.linhas, 0);
+            [
+                formatMes(mes),
+                origens.map(o => origens.length > 1 ? `${o.nome} (${o.linhas.toLocaleString('pt-BR')})` : o.nome).join(', '),
+                total.toLocaleString('pt-BR')
+            ].forEach((valor, i) => {
+                const td = document.createElement('td');
+                if (i === 2) td.className = 'num';
+                td.textContent = valor;
+                tr.appendChild(td);
+            });
+            tbody.appendChild(tr);
+        });
+
+        this.elements.container.hidden = false;
+    }
+
+    /**
+     * Oculta o painel
+     */
+    hide() {
+        this.elements.container.hidden = true;
+        this.elements.lista.innerHTML = '';
+        this.elements.tbody.innerHTML = '';
+    }
+}
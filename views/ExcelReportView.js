@@ -0,0 +1,696 @@
+/**
+ * ExcelReportView - Geração do relatório em Excel (.xlsx) com estilos
+ * Responsável por: montar as planilhas do relatório (títulos, cabeçalho, listras,
+ * bordas, situação de frequência), o resumo por turma e o workbook final
+ * conforme o modelo de relatório ativo (ReportTemplateModel)
+ * Requer xlsx-js-style carregado na página (global XLSX)
+ */
+class ExcelReportView {
+    /**
+     * @param {Object} [options]
+     * @param {Function} [options.getModelo] - Retorna o modelo de relatório a usar (padrão: modelo original)
+     */
+    constructor(options = {}) {
+        this.getModelo = options.getModelo || (() => ReportTemplateModel.modeloPadrao());
+        this.aplicarModelo(this.getModelo());
+
+        // Formatação condicional da situação de frequência (% FREQUÊNCIA e SITUAÇÃO)
+        this.situacaoFills = {
+            'CRÍTICO': { fill: { patternType: 'solid', fgColor: { rgb: 'FFFECACA' } }, font: { bold: true, color: { rgb: 'FF991B1B' } } },
+            'ATENÇÃO': { fill: { patternType: 'solid', fgColor: { rgb: 'FFFEF3C7' } }, font: { bold: true, color: { rgb: 'FF92400E' } } },
+            'REGULAR': { fill: { patternType: 'solid', fgColor: { rgb: 'FFD1FAE5' } }, font: { color: { rgb: 'FF065F46' } } }
+        };
+
+        // Células alteradas por justificativas manuais
+        this.ajusteFill = { fill: { patternType: 'solid', fgColor: { rgb: 'FFEDE9FE' } }, font: { bold: true, color: { rgb: 'FF5B21B6' } } };
+        // Colunas de faltas alteradas por elas (true: justificadas; false: não justificadas)
+        this.colunasAjuste = {
+            FALTAS_JUSTIFICADAS_DIAS: true,
+            NUM_FALTAS_JUSTIFICADAS: true,
+            FALTAS_NAO_JUSTIFICADAS_DIAS: false,
+            NUM_FALTAS_NAO_JUSTIFICADAS: false
+        };
+
+        this.HEADER_ROW = 5; // Linhas 1 a 4: títulos; linha 5: cabeçalho da tabela
+    }
+
+    /**
+     * Adota um modelo de relatório e monta os estilos com as cores dele
+     * @param {Object} modelo - Ver ReportTemplateModel.modeloPadrao()
+     */
+    aplicarModelo(modelo) {
+        this.modelo = modelo;
+        const cor = (hex) => ({ rgb: `FF${hex}` });
+        const cores = modelo.cores;
+
+        // Estilos (requer xlsx-js-style na página)
+        this.estilos = {
+            centerBold: { alignment: { horizontal: 'center' }, font: { bold: true, sz: 12 } },
+            centerBoldBig: { alignment: { horizontal: 'center' }, font: { bold: true, sz: 14 } },
+            subtitulo: { alignment: { horizontal: 'center' }, font: { italic: true, sz: 10, color: { rgb: 'FF64748B' } } },
+            headerFill: {
+                fill: { patternType: 'solid', fgColor: cor(cores.cabecalho) },
+                font: cores.textoCabecalho === '000000' ? { bold: true } : { bold: true, color: cor(cores.textoCabecalho) }
+            },
+            altFill: { fill: { patternType: 'solid', fgColor: cor(cores.listra) } },
+            whiteFill: { fill: { patternType: 'solid', fgColor: { rgb: 'FFFFFFFF' } } },
+            totalFill: { fill: { patternType: 'solid', fgColor: cor(cores.total) }, font: { bold: true } },
+            thinBorder: {
+                border: {
+                    top: { style: 'thin', color: cor(cores.borda) },
+                    bottom: { style: 'thin', color: cor(cores.borda) },
+                    left: { style: 'thin', color: cor(cores.borda) },
+                    right: { style: 'thin', color: cor(cores.borda) }
+                }
+            }
+        };
+    }
+
+    /**
+     * Converte índice de coluna (1-based) para letra Excel
+     */
+    colToLetter(colNum) {
+        let letter = '';
+        while (colNum > 0) {
+            const mod = (colNum - 1) % 26;
+            letter = String.fromCharCode(65 + mod) + letter;
+            colNum = Math.floor((colNum - mod) / 26);
+        }
+        return letter;
+    }
+
+    /**
+     * Extrai MÊS/ANO do período do relatório ("MM/YYYY" ou "MM/YYYY a MM/YYYY")
+     * @param {Object} resultado
+     * @returns {string}
+     */
+    getMesAno(resultado) {
+        const contexto = resultado.contexto || {};
+        let mesAno = '';
+        if (contexto.dataInicio) {
+            const parts = (contexto.dataInicio || '').split('/'); // DD/MM/YYYY
+            if (parts.length === 3) mesAno = `${parts[1]}/${parts[2]}`;
+            // Período com vários meses: "MM/YYYY a MM/YYYY"
+            const partsFim = (contexto.dataFim || '').split('/');
+            if (partsFim.length === 3 && `${partsFim[1]}/${partsFim[2]}` !== mesAno) {
+                mesAno = `${mesAno} a ${partsFim[1]}/${partsFim[2]}`;
+            }
+        } else if (resultado.meses && resultado.meses.length > 0) {
+            // Fallback: meses presentes nos dados do relatório
+            mesAno = resultado.meses[0].rotulo;
+            const ultimo = resultado.meses[resultado.meses.length - 1].rotulo;
+            if (ultimo !== mesAno) mesAno = `${mesAno} a ${ultimo}`;
+        }
+        return mesAno;
+    }
+
+    /**
+     * Valores dos campos das linhas de título ({unidade}, {programa}, {mes}...)
+     * @param {Object} resultado
+     * @param {string|null} [turma] - Turma da aba (padrão: turma da seleção)
+     * @returns {Object}
+     */
+    camposTitulo(resultado, turma = null) {
+        const contexto = resultado.contexto || {};
+        const programa = contexto.programa && contexto.programa.titulo ? contexto.programa : ProgramModel.programaPadrao();
+        const empresa = contexto.empresa || {};
+        const aluno = contexto.aluno;
+        return {
+            unidade: this.modelo.unidade,
+            programa: programa.titulo,
+            mes: this.getMesAno(resultado),
+            empresa: empresa.nome || '',
+            cnpj: empresa.cnpj || '',
+            turma: turma || contexto.turma || (contexto.todasTurmas ? 'Todas as turmas' : ''),
+            aprendizes: aluno ? `Aprendiz ${aluno.nome} (RA ${aluno.ra})` : 'Aprendizes'
+        };
+    }
+
+    /**
+     * Textos das linhas de título (1 a 4)
+     * Linhas 1 a 3 vêm do modelo de relatório; a linha 4 traz o perfil de regras.
+     * @param {Object} resultado
+     * @param {string|null} [turma] - Turma da aba (campo {turma})
+     * @returns {Array<string>} - Linhas vazias do modelo (ou sem perfil) vêm como ''
+     */
+    linhasTitulo(resultado, turma = null) {
+        const campos = this.camposTitulo(resultado, turma);
+        const linhas = this.modelo.titulos.map(linha => ReportTemplateModel.preencherCampos(linha, campos).trim());
+
+        const perfil = resultado.perfil || null;
+        if (perfil) {
+            const ajustes = resultado.totalAjustes > 0
+                ? ` · Em destaque: ${resultado.totalAjustes} falta(s) com justificativa manual`
+                : '';
+            linhas.push(`Perfil de regras: ${perfil.nome} · Frequência mínima: ${perfil.frequenciaMinima}%${ajustes}`);
+        } else {
+            linhas.push('');
+        }
+        return linhas;
+    }
+
+    /**
+     * Escreve e estiliza as linhas de título (1 a 4) mescladas até a última coluna
+     * @param {Object} ws - Worksheet
+     * @param {Object} resultado
+     * @param {number} numColunas - Quantidade de colunas da tabela
+     * @param {string|null} [turma] - Turma da aba (campo {turma})
+     */
+    escreverTitulos(ws, resultado, numColunas, turma = null) {
+        // Linhas vazias ficam em branco
+        this.linhasTitulo(resultado, turma).forEach((titulo, idx) => {
+            if (titulo) XLSX.utils.sheet_add_aoa(ws, [[titulo]], { origin: `A${idx + 1}` });
+        });
+
+        // Mesclar células para os títulos (A1:last, A2:last, A3:last, A4:last)
+        ws['!merges'] = [0, 1, 2, 3].map(r => ({ s: { r, c: 0 }, e: { r, c: Math.max(numColunas - 1, 0) } }));
+
+        // Aplicar estilos títulos
+        ['A1', 'A2', 'A3'].forEach((addr, idx) => {
+            if (!ws[addr]) return;
+            ws[addr].s = Object.assign({}, idx === 0 ? this.estilos.centerBoldBig : this.estilos.centerBold, this.estilos.whiteFill);
+        });
+        if (ws.A4) {
+            ws.A4.s = Object.assign({}, this.estilos.subtitulo, this.estilos.whiteFill);
+        }
+    }
+
+    /**
+     * Aplica cabeçalho destacado, listras alternadas e bordas finas à tabela
+     * @param {Object} ws - Worksheet
+     * @param {number} numColunas
+     * @param {number} lastDataRow - Última linha com dados (1-based)
+     */
+    estilizarTabela(ws, numColunas, lastDataRow) {
+        const headerRow = this.HEADER_ROW;
+
+        // Estilizar header
+        for (let c = 1; c <= numColunas; c++) {
+            const cell = `${this.colToLetter(c)}${headerRow}`;
+            if (ws[cell]) {
+                ws[cell].s = Object.assign({ alignment: { horizontal: 'center', vertical: 'center' } }, this.estilos.headerFill);
+            }
+        }
+
+        // Listras alternadas nas linhas de dados
+        const firstDataRow = headerRow + 1;
+        for (let r = firstDataRow; r <= lastDataRow; r++) {
+            const isAlt = (r - firstDataRow) % 2 === 0;
+            for (let c = 1; c <= numColunas; c++) {
+                const addr = `${this.colToLetter(c)}${r}`;
+                if (ws[addr]) {
+                    ws[addr].s = Object.assign({}, ws[addr].s || {}, isAlt ? this.estilos.altFill : this.estilos.whiteFill);
+                }
+            }
+        }
+
+        // Aplicar bordas finas em toda a tabela (header + dados)
+        for (let r = headerRow; r <= lastDataRow; r++) {
+            for (let c = 1; c <= numColunas; c++) {
+                const addr = `${this.colToLetter(c)}${r}`;
+                if (ws[addr]) {
+                    ws[addr].s = Object.assign({}, ws[addr].s || {}, this.estilos.thinBorder);
+                }
+            }
+        }
+    }
+
+    /**
+     * Colore as colunas indicadas conforme a SITUAÇÃO de cada linha
+     * @param {Object} ws - Worksheet
+     * @param {Array<string>} situacoes - SITUAÇÃO de cada linha de dados, na ordem
+     * @param {Array<number>} colunas - Colunas (1-based) a colorir
+     */
+    aplicarSituacao(ws, situacoes, colunas) {
+        const firstDataRow = this.HEADER_ROW + 1;
+        situacoes.forEach((situacao, idx) => {
+            const estilo = this.situacaoFills[situacao];
+            if (!estilo) return;
+            const r = firstDataRow + idx;
+            colunas.filter(c => c > 0).forEach(c => {
+                const addr = `${this.colToLetter(c)}${r}`;
+                if (ws[addr]) {
+                    ws[addr].s = Object.assign({}, ws[addr].s || {}, estilo, { alignment: { horizontal: 'center' } });
+                }
+            });
+        });
+    }
+
+    /**
+     * Descrição das justificativas manuais que alteraram uma coluna de faltas do aluno
+     * Usada no comentário do Excel e nas notas da exportação HTML e da declaração impressa.
+     * @param {Object} aluno - Linha do relatório
+     * @param {boolean} justificada - true: faltas justificadas; false: não justificadas
+     * @returns {string} - Uma linha por data; '' quando não há ajuste
+     */
+    notaAjustes(aluno, justificada) {
+        return (aluno.AJUSTES || [])
+            .filter(a => a.justificada === justificada)
+            .map(a => `${a.data}: ${a.justificada ? 'justificada manualmente' : 'justificativa retirada'}` +
+                (a.motivo ? ` - ${a.motivo}` : '') + (a.anexo ? ` (anexo: ${a.anexo})` : ''))
+            .join('\n');
+    }
+
+    /**
+     * Destaca as colunas de faltas alteradas por justificativas manuais e anota
+     * em comentário a data, o motivo e o anexo de cada ajuste
+     * @param {Object} ws - Worksheet
+     * @param {Array} dados - Linhas do relatório, na ordem da planilha
+     * @param {Array<string>} ids - Colunas da tabela (ids do modelo de relatório)
+     */
+    destacarAjustes(ws, dados, ids) {
+        const firstDataRow = this.HEADER_ROW + 1;
+
+        dados.forEach((aluno, idx) => {
+            const comentadas = new Set(); // Comentário só na primeira coluna de cada grupo
+            ids.forEach((id, i) => {
+                const justificada = this.colunasAjuste[id];
+                if (justificada === undefined) return;
+                const nota = this.notaAjustes(aluno, justificada);
+                const addr = `${this.colToLetter(i + 1)}${firstDataRow + idx}`;
+                if (!nota || !ws[addr]) return;
+
+                ws[addr].s = Object.assign({}, ws[addr].s || {}, this.ajusteFill);
+                if (!comentadas.has(justificada)) {
+                    comentadas.add(justificada);
+                    ws[addr].c = [{ a: 'Justificativas manuais', t: nota }];
+                    ws[addr].c.hidden = true;
+                }
+            });
+        });
+    }
+
+    /**
+     * Anota em comentário no STATUS o histórico dos alunos que mudaram de status no período
+     * @param {Object} ws - Worksheet
+     * @param {Array} dados - Linhas do relatório, na ordem da planilha
+     * @param {Array<string>} ids - Colunas da tabela (ids do modelo de relatório)
+     */
+    anotarHistoricoStatus(ws, dados, ids) {
+        const c = ids.indexOf('STATUS') + 1;
+        if (c <= 0) return;
+
+        dados.forEach((aluno, idx) => {
+            const historico = aluno.HISTORICO_STATUS || [];
+            const addr = `${this.colToLetter(c)}${this.HEADER_ROW + 1 + idx}`;
+            if (historico.length < 2 || !ws[addr]) return;
+            ws[addr].c = [{ a: 'Histórico de status', t: historico.map(h => `${h.desde || 'sem data'}: ${h.status}`).join('\n') }];
+            ws[addr].c.hidden = true;
+        });
+    }
+
+    /**
+     * Destaca o saldo de ausência no curso dos alunos que atingiram o limite
+     * @param {Object} ws - Worksheet
+     * @param {Array} dados - Linhas do relatório, na ordem da planilha
+     * @param {Array<string>} ids - Colunas da tabela (ids do modelo de relatório)
+     */
+    destacarSaldoEsgotado(ws, dados, ids) {
+        const c = ids.indexOf('SALDO_AUSENCIA_CURSO') + 1;
+        if (c <= 0) return;
+        this.aplicarSituacao(ws, dados.map(aluno =>
+            aluno.SALDO_AUSENCIA_CURSO !== null && aluno.SALDO_AUSENCIA_CURSO <= 0 ? 'CRÍTICO' : null
+        ), [c]);
+    }
+
+    /**
+     * Destaca a TRANSFERÊNCIA dos alunos que mudaram de empresa ou turma no período
+     * @param {Object} ws - Worksheet
+     * @param {Array} dados - Linhas do relatório, na ordem da planilha
+     * @param {Array<string>} ids - Colunas da tabela (ids do modelo de relatório)
+     */
+    destacarTransferencias(ws, dados, ids) {
+        const c = ids.indexOf('TRANSFERENCIA') + 1;
+        if (c <= 0) return;
+        this.aplicarSituacao(ws, dados.map(aluno => aluno.TRANSFERIDO ? 'ATENÇÃO' : null), [c]);
+    }
+
+    /**
+     * Aplica formato numérico a uma coluna nas linhas de dados
+     */
+    formatarColuna(ws, coluna, lastDataRow, formato) {
+        if (coluna <= 0) return;
+        for (let r = this.HEADER_ROW + 1; r <= lastDataRow; r++) {
+            const addr = `${this.colToLetter(coluna)}${r}`;
+            if (ws[addr]) ws[addr].z = formato;
+        }
+    }
+
+    /**
+     * Desabilita gridlines e preenche de branco a área ao redor da tabela
+     * @param {Object} ws - Worksheet
+     * @param {number} numColunas
+     * @param {number} lastDataRow
+     */
+    ocultarGridlines(ws, numColunas, lastDataRow) {
+        // Desabilitar gridlines (exibição e impressão)
+        ws['!gridlines'] = false; // alguns apps respeitam esta flag
+        ws['!sheetViews'] = [{ showGridLines: false }]; // tentativa adicional para compatibilidade
+        ws['!printOptions'] = Object.assign({}, ws['!printOptions'] || {}, { gridLines: false });
+
+        // Aplicar preenchimento branco em área estendida para ocultar gridlines também fora da tabela
+        const extendToCol = numColunas + 1; // uma coluna além da tabela
+        const extendToRow = Math.max(lastDataRow + 10, 30); // pelo menos 10 linhas após dados
+        for (let r = 1; r <= extendToRow; r++) {
+            for (let c = 1; c <= extendToCol; c++) {
+                const addr = `${this.colToLetter(c)}${r}`;
+                if (!ws[addr]) {
+                    ws[addr] = { t: 's', v: '' }; // célula vazia com string
+                }
+                if (!ws[addr].s) {
+                    ws[addr].s = {};
+                }
+                // Se não tem fill definido, aplicar branco
+                if (!ws[addr].s.fill) {
+                    ws[addr].s.fill = { patternType: 'solid', fgColor: { rgb: 'FFFFFFFF' } };
+                }
+            }
+        }
+    }
+
+    /**
+     * Colunas de cada mês do período (grupo "Grupos mensais" do modelo)
+     * @param {Array} meses - [{chave, rotulo}] dos meses do período
+     * @returns {Array<Object>} - [{id, rotulo, largura, valor(aluno)}] na ordem dos meses
+     */
+    colunasPorMes(meses) {
+        return meses.flatMap(({ chave, rotulo }) => {
+            const mes = (aluno) => (aluno.MESES && aluno.MESES[chave]) || {};
+            return [
+                { id: `MES:${chave}:NUM_FALTAS_JUSTIFICADAS`, rotulo: `${rotulo} - Nº FALTAS JUSTIFICADAS`, largura: 22, valor: a => mes(a).NUM_FALTAS_JUSTIFICADAS || 0 },
+                { id: `MES:${chave}:NUM_FALTAS_NAO_JUSTIFICADAS`, rotulo: `${rotulo} - Nº FALTAS NÃO JUSTIFICADAS`, largura: 24, valor: a => mes(a).NUM_FALTAS_NAO_JUSTIFICADAS || 0 },
+                { id: `MES:${chave}:NUM_HORAS_ATRASO`, rotulo: `${rotulo} - Nº HORAS DE ATRASO`, largura: 22, valor: a => mes(a).NUM_HORAS_ATRASO || 0 },
+                { id: `MES:${chave}:TOTAL_HORAS_AUSENCIA`, rotulo: `${rotulo} - TOTAL HORAS DE AUSÊNCIA`, largura: 26, valor: a => mes(a).TOTAL_HORAS_AUSENCIA || 0 }
+            ];
+        });
+    }
+
+    /**
+     * Colunas de cada categoria de justificativa (grupo "Categorias de justificativa" do modelo)
+     * @param {Array<string>} categorias - Categorias do relatório
+     * @param {number} larguraDias - Largura mínima das colunas "(DIAS)"
+     * @returns {Array<Object>} - Colunas "CATEGORIA (DIAS)" e "Nº CATEGORIA" na ordem das categorias
+     */
+    colunasPorCategoria(categorias, larguraDias) {
+        return categorias.flatMap(nome => {
+            const categoria = (aluno) => (aluno.CATEGORIAS && aluno.CATEGORIAS[nome]) || {};
+            return [
+                { id: `CATEGORIA:${nome}:DIAS`, rotulo: `${nome.toUpperCase()} (DIAS)`, largura: Math.max(26, larguraDias), valor: a => categoria(a).DIAS || '' },
+                { id: `CATEGORIA:${nome}:NUM`, rotulo: `Nº ${nome.toUpperCase()}`, largura: 22, valor: a => categoria(a).NUM || 0 }
+            ];
+        });
+    }
+
+    /**
+     * Valor de uma coluna do modelo para um aluno
+     * Dados que não se aplicam ao aluno (ex.: turma sem cronograma) ficam em branco.
+     * @param {Object} aluno - Linha do relatório
+     * @param {string} id - Coluna do modelo (campo da linha do relatório)
+     * @returns {*}
+     */
+    valorColuna(aluno, id) {
+        const valor = (v) => (v === null || v === undefined ? '' : v);
+        switch (id) {
+            case 'DIAS_PREVISTOS':
+                return valor(aluno.DIAS_PREVISTOS);
+            case 'NUM_DIAS_SEM_REGISTRO':
+                return aluno.DIAS_PREVISTOS === null ? '' : aluno.NUM_DIAS_SEM_REGISTRO;
+            case 'HORAS_AUSENCIA_CURSO':
+            case 'CARGA_HORARIA_CURSO':
+            case 'LIMITE_AUSENCIA_CURSO':
+            case 'SALDO_AUSENCIA_CURSO':
+                return valor(aluno[id]);
+            default:
+                return aluno[id];
+        }
+    }
+
+    /**
+     * Colunas da planilha por aluno conforme o modelo ativo: visíveis, na ordem do modelo,
+     * e só as dos grupos que o relatório tem (transferências, cronograma, curso, categorias, meses)
+     * @param {Object} resultado - Retorno de DataModel.gerarRelatorio()
+     * @returns {Array<Object>} - [{id, rotulo, largura, valor(aluno)}]
+     */
+    colunasRelatorio(resultado) {
+        // Períodos com mais de um mês ganham um grupo de colunas por mês
+        const meses = resultado.meses && resultado.meses.length > 1 ? resultado.meses : [];
+        // Perfis com mais de uma categoria de justificativa ganham as colunas de cada categoria
+        const categorias = resultado.categorias && resultado.categorias.length > 1 ? resultado.categorias : [];
+        // Colunas "(DIAS)" ficam mais largas quando as datas são completas (vários meses)
+        const larguraDias = meses.length > 0 ? 40 : 0;
+
+        const grupos = {
+            transferencias: resultado.transferencias > 0,
+            cronograma: !!resultado.cronograma,
+            acumuladoCurso: !!resultado.acumuladoCurso,
+            categorias: categorias.length > 0,
+            meses: meses.length > 0
+        };
+        const catalogo = new Map(ReportTemplateModel.colunasRelatorio().map(c => [c.id, c]));
+
+        return this.modelo.colunas.flatMap(coluna => {
+            const definicao = catalogo.get(coluna.id);
+            if (!definicao || !coluna.visivel || (definicao.grupo && !grupos[definicao.grupo])) return [];
+            if (coluna.id === 'CATEGORIAS') return this.colunasPorCategoria(categorias, larguraDias);
+            if (coluna.id === 'MESES') return this.colunasPorMes(meses);
+            return [{
+                id: coluna.id,
+                rotulo: coluna.rotulo,
+                largura: definicao.dias ? Math.max(coluna.largura, larguraDias) : coluna.largura,
+                valor: (aluno) => this.valorColuna(aluno, coluna.id)
+            }];
+        });
+    }
+
+    /**
+     * Monta a planilha do relatório por aluno
+     * @param {Object} resultado - Retorno de DataModel.gerarRelatorio() (perfil, meses, contexto)
+     * @param {Array} dados - Linhas do relatório a incluir
+     * @param {string|null} [turma] - Turma da aba (campo {turma} dos títulos)
+     * @returns {Object} - Worksheet
+     */
+    montarPlanilhaRelatorio(resultado, dados, turma = null) {
+        const colunas = this.colunasRelatorio(resultado);
+        const ids = colunas.map(c => c.id);
+        const ws = XLSX.utils.aoa_to_sheet([]);
+
+        this.escreverTitulos(ws, resultado, colunas.length, turma);
+
+        // Adicionar dados a partir da linha 5 (linha 5 = header)
+        XLSX.utils.sheet_add_aoa(ws, [colunas.map(c => c.rotulo)].concat(
+            dados.map(aluno => colunas.map(c => c.valor(aluno)))
+        ), { origin: `A${this.HEADER_ROW}` });
+
+        // Larguras do modelo
+        ws['!cols'] = colunas.map(c => ({ wch: c.largura }));
+
+        const lastDataRow = this.HEADER_ROW + dados.length;
+        this.estilizarTabela(ws, colunas.length, lastDataRow);
+
+        const colPercentual = ids.indexOf('PERCENTUAL_FREQUENCIA') + 1;
+        const colSituacao = ids.indexOf('SITUACAO') + 1;
+        this.aplicarSituacao(ws, dados.map(aluno => aluno.SITUACAO), [colPercentual, colSituacao]);
+        this.destacarAjustes(ws, dados, ids);
+        this.anotarHistoricoStatus(ws, dados, ids);
+        this.destacarSaldoEsgotado(ws, dados, ids);
+        this.destacarTransferencias(ws, dados, ids);
+        this.formatarColuna(ws, colPercentual, lastDataRow, '0.0"%"');
+
+        this.ocultarGridlines(ws, colunas.length, lastDataRow);
+        return ws;
+    }
+
+    /**
+     * Monta a planilha de resumo por turma (primeira aba quando "Todas as turmas")
+     * @param {Object} resultado - Retorno de DataModel.gerarRelatorio()
+     * @param {Array} resumo - Retorno de DataModel.resumirPorTurma()
+     * @returns {Object} - Worksheet
+     */
+    montarPlanilhaResumo(resultado, resumo) {
+        const linhas = resumo.map(t => ({
+            'TURMA': t.TURMA,
+            'CURSO': t.CURSO,
+            'Nº ALUNOS': t.NUM_ALUNOS,
+            'TOTAL HORAS DE AUSÊNCIA': t.TOTAL_HORAS_AUSENCIA,
+            'FREQUÊNCIA MÉDIA (%)': t.FREQUENCIA_MEDIA,
+            'ALUNOS EM ATENÇÃO': t.ALUNOS_ATENCAO,
+            'ALUNOS CRÍTICOS': t.ALUNOS_CRITICOS,
+            'TOTAL EM RISCO': t.ALUNOS_ATENCAO + t.ALUNOS_CRITICOS
+        }));
+
+        // Linha de total geral
+        const numAlunos = resumo.reduce((sum, t) => sum + t.NUM_ALUNOS, 0);
+        const somaFrequencias = resumo.reduce((sum, t) => sum + t.FREQUENCIA_MEDIA * t.NUM_ALUNOS, 0);
+        linhas.push({
+            'TURMA': 'TOTAL',
+            'CURSO': '',
+            'Nº ALUNOS': numAlunos,
+            'TOTAL HORAS DE AUSÊNCIA': resumo.reduce((sum, t) => sum + t.TOTAL_HORAS_AUSENCIA, 0),
+            'FREQUÊNCIA MÉDIA (%)': numAlunos > 0 ? Math.round((somaFrequencias / numAlunos) * 10) / 10 : 0,
+            'ALUNOS EM ATENÇÃO': resumo.reduce((sum, t) => sum + t.ALUNOS_ATENCAO, 0),
+            'ALUNOS CRÍTICOS': resumo.reduce((sum, t) => sum + t.ALUNOS_CRITICOS, 0),
+            'TOTAL EM RISCO': resumo.reduce((sum, t) => sum + t.ALUNOS_ATENCAO + t.ALUNOS_CRITICOS, 0)
+        });
+
+        const headers = Object.keys(linhas[0]);
+        const ws = XLSX.utils.aoa_to_sheet([]);
+
+        this.escreverTitulos(ws, resultado, headers.length);
+        XLSX.utils.sheet_add_json(ws, linhas, { origin: `A${this.HEADER_ROW}`, skipHeader: false });
+
+        ws['!cols'] = [
+            { wch: 20 },  // TURMA
+            { wch: 36 },  // CURSO
+            { wch: 12 },  // Nº ALUNOS
+            { wch: 26 },  // TOTAL HORAS DE AUSÊNCIA
+            { wch: 22 },  // FREQUÊNCIA MÉDIA (%)
+            { wch: 20 },  // ALUNOS EM ATENÇÃO
+            { wch: 18 },  // ALUNOS CRÍTICOS
+            { wch: 16 }   // TOTAL EM RISCO
+        ];
+
+        const lastDataRow = this.HEADER_ROW + linhas.length;
+        this.estilizarTabela(ws, headers.length, lastDataRow);
+        this.formatarColuna(ws, headers.indexOf('FREQUÊNCIA MÉDIA (%)') + 1, lastDataRow, '0.0"%"');
+
+        // Destacar turmas com alunos críticos e a linha de total
+        const colCriticos = headers.indexOf('ALUNOS CRÍTICOS') + 1;
+        this.aplicarSituacao(ws, resumo.map(t => (t.ALUNOS_CRITICOS > 0 ? 'CRÍTICO' : '')), [colCriticos]);
+        for (let c = 1; c <= headers.length; c++) {
+            const addr = `${this.colToLetter(c)}${lastDataRow}`;
+            if (ws[addr]) ws[addr].s = Object.assign({}, ws[addr].s || {}, this.estilos.totalFill);
+        }
+
+        this.ocultarGridlines(ws, headers.length, lastDataRow);
+        return ws;
+    }
+
+    /**
+     * Gera nome de aba válido e único (máx. 31 caracteres, sem []:*?/\)
+     * @param {string} nome
+     * @param {Set<string>} usados - Nomes já utilizados no workbook
+     * @returns {string}
+     */
+    nomeAba(nome, usados) {
+        const base = String(nome || 'Sem turma').replace(/[\[\]:*?\/\\]/g, '-').trim().slice(0, 31) || 'Planilha';
+        let candidato = base;
+        let n = 2;
+        while (usados.has(candidato.toUpperCase())) {
+            const sufixo = ` (${n++})`;
+            candidato = base.slice(0, 31 - sufixo.length) + sufixo;
+        }
+        usados.add(candidato.toUpperCase());
+        return candidato;
+    }
+
+    /**
+     * Monta a planilha de aviso dos valores de JUSTIFICADA sem categoria no perfil
+     * @param {Object} resultado - Retorno de DataModel.gerarRelatorio() (valoresNaoClassificados)
+     * @returns {Object} - Worksheet
+     */
+    montarPlanilhaNaoClassificados(resultado) {
+        const linhas = resultado.valoresNaoClassificados.map(v => ({
+            'VALOR DE JUSTIFICADA (SEM CATEGORIA)': v.valor,
+            'OCORRÊNCIAS': v.ocorrencias
+        }));
+
+        const ws = XLSX.utils.aoa_to_sheet([]);
+        this.escreverTitulos(ws, resultado, 2);
+        XLSX.utils.sheet_add_json(ws, linhas, { origin: `A${this.HEADER_ROW}`, skipHeader: false });
+        ws['!cols'] = [{ wch: 48 }, { wch: 16 }];
+
+        const lastDataRow = this.HEADER_ROW + linhas.length;
+        this.estilizarTabela(ws, 2, lastDataRow);
+        this.ocultarGridlines(ws, 2, lastDataRow);
+        return ws;
+    }
+
+    /**
+     * Monta a planilha dos dias a conferir (prováveis dias sem aula e registros em dias não letivos)
+     * @param {Object} resultado - Retorno de DataModel.gerarRelatorio() (diasVerificar)
+     * @returns {Object} - Worksheet
+     */
+    montarPlanilhaDiasVerificar(resultado) {
+        const linhas = resultado.diasVerificar.map(d => ({
+            'TURMA': d.turma,
+            'DATA': d.data,
+            'ALUNOS COM REGISTRO': d.alunos,
+            'MOTIVO': d.motivo
+        }));
+
+        const ws = XLSX.utils.aoa_to_sheet([]);
+        this.escreverTitulos(ws, resultado, 4);
+        XLSX.utils.sheet_add_json(ws, linhas, { origin: `A${this.HEADER_ROW}`, skipHeader: false });
+        ws['!cols'] = [{ wch: 18 }, { wch: 14 }, { wch: 22 }, { wch: 60 }];
+
+        const lastDataRow = this.HEADER_ROW + linhas.length;
+        this.estilizarTabela(ws, 4, lastDataRow);
+        this.ocultarGridlines(ws, 4, lastDataRow);
+        return ws;
+    }
+
+    /**
+     * Monta o workbook do relatório
+     * - Uma turma: aba única "Relatório de Frequência"
+     * - Todas as turmas: aba "Resumo por Turma" seguida de uma aba por turma
+     * - Valores de JUSTIFICADA sem categoria no perfil: aba final de aviso
+     * - Dias a conferir (prováveis dias sem aula): aba "Dias a verificar"
+     * @param {Object} resultado - Retorno de DataModel.gerarRelatorio() com contexto
+     * @param {Array} [resumo] - Retorno de DataModel.resumirPorTurma() (obrigatório para várias abas)
+     * @returns {Object} - Workbook
+     */
+    montarWorkbook(resultado, resumo = null) {
+        this.aplicarModelo(this.getModelo());
+        const wb = XLSX.utils.book_new();
+        const contexto = resultado.contexto || {};
+
+        const usados = new Set();
+
+        if (!contexto.todasTurmas || !resumo) {
+            XLSX.utils.book_append_sheet(wb, this.montarPlanilhaRelatorio(resultado, resultado.relatorio), this.nomeAba('Relatório de Frequência', usados));
+        } else {
+            XLSX.utils.book_append_sheet(wb, this.montarPlanilhaResumo(resultado, resumo), this.nomeAba('Resumo por Turma', usados));
+
+            resumo.forEach(({ TURMA }) => {
+                const dadosTurma = resultado.relatorio.filter(aluno => aluno.TURMA === TURMA);
+                XLSX.utils.book_append_sheet(wb, this.montarPlanilhaRelatorio(resultado, dadosTurma, TURMA), this.nomeAba(TURMA, usados));
+            });
+        }
+
+        if (resultado.valoresNaoClassificados && resultado.valoresNaoClassificados.length > 0) {
+            XLSX.utils.book_append_sheet(wb, this.montarPlanilhaNaoClassificados(resultado), this.nomeAba('Justificativas sem categoria', usados));
+        }
+
+        if (resultado.diasVerificar && resultado.diasVerificar.length > 0) {
+            XLSX.utils.book_append_sheet(wb, this.montarPlanilhaDiasVerificar(resultado), this.nomeAba('Dias a verificar', usados));
+        }
+
+        return wb;
+    }
+
+    /**
+     * Nome do arquivo do relatório
+     * @param {Object} resultado
+     * @param {string} [extensao] - xlsx, ods, csv, json, html
+     * @returns {string}
+     */
+    nomeArquivo(resultado, extensao = 'xlsx') {
+        const empresa = (resultado.contexto && resultado.contexto.empresa) || {};
+        const aluno = resultado.contexto && resultado.contexto.aluno;
+        if (aluno) {
+            return `relatorio_frequencia_aluno_${FileHelper.nomeSeguro(aluno.ra)}_${FileHelper.nomeSeguro(aluno.nome)}_${Date.now()}.${extensao}`;
+        }
+        return `relatorio_frequencia_${FileHelper.nomeSeguro(empresa.nome)}_${Date.now()}.${extensao}`;
+    }
+
+    /**
+     * Gera o workbook e faz o download do arquivo
+     * O .ods leva as mesmas abas e valores; estilos e comentários são exclusivos do .xlsx.
+     * @param {Object} resultado
+     * @param {Array} [resumo]
+     * @param {string} [formato] - xlsx | ods
+     */
+    exportar(resultado, resumo = null, formato = 'xlsx') {
+        XLSX.writeFile(this.montarWorkbook(resultado, resumo), this.nomeArquivo(resultado, formato), { bookType: formato });
+    }
+}
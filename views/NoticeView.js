@@ -0,0 +1,263 @@
+/**
+ * NoticeView - Cartas de notificação de faltas por aluno
+ * Responsável por: preencher o modelo de carta com os dados de cada aluno do relatório
+ * (faltas não justificadas, horas de ausência, frequência) e gerar as cartas para impressão,
+ * em HTML ou em DOCX, com a via do aprendiz e, opcionalmente, a via da empresa
+ * Requer ExcelReportView (unidade e programa do modelo de relatório ativo),
+ * PrintReportView (impressão e período) e JSZip (DOCX e ZIP de várias cartas)
+ */
+class NoticeView {
+    /**
+     * @param {ExcelReportView} excelView
+     * @param {PrintReportView} printView
+     */
+    constructor(excelView, printView) {
+        this.excelView = excelView;
+        this.printView = printView;
+
+        this.TIPO_DOCX = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+        // Vias de cada carta e a linha de ciência de cada uma
+        this.VIAS = {
+            aprendiz: { rotulo: 'Via do aprendiz', ciente: 'Ciente do(a) aprendiz ou responsável legal' },
+            empresa: { rotulo: 'Via da empresa', ciente: 'Ciente da empresa (nome, assinatura e carimbo)' }
+        };
+    }
+
+    /**
+     * Datas das faltas não justificadas sempre completas (DD/MM/YYYY)
+     * Relatórios de um único mês trazem só o dia na coluna "(DIAS)".
+     * @param {Object} aluno - Linha do relatório
+     * @param {Object} resultado
+     * @returns {string}
+     */
+    datasFaltas(aluno, resultado) {
+        const dias = aluno.FALTAS_NAO_JUSTIFICADAS_DIAS || '';
+        if (!dias || !resultado.meses || resultado.meses.length !== 1) return dias;
+        const mes = resultado.meses[0].rotulo;
+        return dias.split(', ').map(dia => (dia.includes('/') ? dia : `${dia.padStart(2, '0')}/${mes}`)).join(', ');
+    }
+
+    /**
+     * Valores dos campos da carta para um aluno
+     * @param {Object} aluno - Linha do relatório
+     * @param {Object} resultado
+     * @returns {Object} - {CAMPO: valor}
+     */
+    valoresCarta(aluno, resultado) {
+        const campos = this.excelView.camposTitulo(resultado, aluno.TURMA);
+        const numero = valor => this.printView.formatarNumero(Number(valor) || 0);
+        return {
+            ALUNO: aluno.ALUNO,
+            RA: aluno.RA,
+            TURMA: aluno.TURMA,
+            CURSO: aluno.CURSO,
+            EMPRESA: aluno.EMPRESA || campos.empresa,
+            CNPJ: this.printView.formatCNPJ(aluno.CNPJ || campos.cnpj),
+            PERIODO: this.printView.textoPeriodo(resultado),
+            DATAS_FALTAS: this.datasFaltas(aluno, resultado) || 'nenhuma',
+            NUM_FALTAS: numero(aluno.NUM_FALTAS_NAO_JUSTIFICADAS),
+            HORAS_AUSENCIA: numero(aluno.TOTAL_HORAS_AUSENCIA),
+            PERCENTUAL_FREQUENCIA: aluno.PERCENTUAL_FREQUENCIA === null ? '' : numero(aluno.PERCENTUAL_FREQUENCIA),
+            FREQUENCIA_MINIMA: resultado.perfil ? numero(resultado.perfil.frequenciaMinima) : '',
+            UNIDADE: campos.unidade,
+            PROGRAMA: campos.programa,
+            DATA: new Date().toLocaleDateString('pt-BR', { day: 'numeric', month: 'long', year: 'numeric' })
+        };
+    }
+
+    /**
+     * Monta as cartas (uma por via) de um aluno
+     * @param {Object} modelo - Modelo de carta (NoticeTemplateModel)
+     * @param {Object} aluno - Linha do relatório
+     * @param {Object} resultado
+     * @param {boolean} viaEmpresa - Incluir a via da empresa
+     * @returns {Array<Object>} - [{via, cabecalho, titulo, linhas, assinatura, ciente}]
+     */
+    montarCartas(modelo, aluno, resultado, viaEmpresa) {
+        const valores = this.valoresCarta(aluno, resultado);
+        const carta = {
+            cabecalho: [valores.UNIDADE, valores.PROGRAMA].filter(linha => linha),
+            titulo: NoticeTemplateModel.preencherCampos(modelo.titulo, valores),
+            linhas: NoticeTemplateModel.preencherCampos(modelo.texto, valores).split('\n'),
+            assinatura: NoticeTemplateModel.preencherCampos(modelo.assinatura, valores)
+        };
+        return (viaEmpresa ? ['aprendiz', 'empresa'] : ['aprendiz']).map(via =>
+            Object.assign({ via: this.VIAS[via].rotulo, ciente: this.VIAS[via].ciente }, carta)
+        );
+    }
+
+    /**
+     * Documento HTML das cartas (uma por página, A4 retrato)
+     * @param {Array<Object>} cartas - Retorno de montarCartas()
+     * @param {string} titulo - Título do documento
+     * @returns {string}
+     */
+    montarHTML(cartas, titulo) {
+        const esc = HtmlHelper.escapar;
+        const paginas = cartas.map(carta => '<section class="carta">\n'
+            + `<p class="via">${esc(carta.via)}</p>\n`
+            + `<header>${carta.cabecalho.map(linha => `<p>${esc(linha)}</p>`).join('')}</header>\n`
+            + (carta.titulo ? `<h1>${esc(carta.titulo)}</h1>\n` : '')
+            + `<div class="texto">${carta.linhas.map(linha => (linha.trim() ? `<p>${esc(linha)}</p>` : '<p class="vazia"></p>')).join('\n')}</div>\n`
+            + '<div class="assinaturas">\n'
+            + `<div class="assinatura"><span class="linha"></span><p>${esc(carta.assinatura)}</p></div>\n`
+            + `<div class="assinatura"><span class="linha"></span><p>${esc(carta.ciente)}</p><p class="obs">Data: ____/____/________</p></div>\n`
+            + '</div>\n</section>\n').join('');
+
+        const estilo = `
+@page { size: A4 portrait; margin: 20mm; }
+body { font-family: Arial, Helvetica, sans-serif; font-size: 11pt; line-height: 1.5; color: #000; margin: 0; }
+.carta + .carta { break-before: page; page-break-before: always; }
+.via { text-align: right; font-size: 8pt; color: #475569; margin: 0; text-transform: uppercase; }
+header { text-align: center; margin-bottom: 18pt; }
+header p { margin: 0; font-weight: bold; }
+h1 { text-align: center; font-size: 14pt; margin: 0 0 18pt; }
+.texto p { margin: 0; text-align: justify; }
+.texto p.vazia { height: 11pt; }
+.assinaturas { display: flex; justify-content: space-between; gap: 24pt; margin-top: 48pt; break-inside: avoid; page-break-inside: avoid; }
+.assinatura { flex: 1; text-align: center; }
+.assinatura .linha { display: block; border-top: 1px solid #000; }
+.assinatura p { margin: 3pt 0 0; font-size: 10pt; }
+.assinatura .obs { font-size: 9pt; color: #475569; }`;
+
+        return '<!DOCTYPE html>\n<html lang="pt-BR">\n<head>\n<meta charset="UTF-8">\n'
+            + `<title>${esc(titulo)}</title>\n<style>${estilo}\n</style>\n</head>\n<body>\n`
+            + paginas
+            + '</body>\n</html>\n';
+    }
+
+    /**
+     * Escapa texto para XML (DOCX)
+     * @param {*} valor
+     * @returns {string}
+     */
+    escaparXML(valor) {
+        return String(valor === null || valor === undefined ? '' : valor)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+    }
+
+    /**
+     * Parágrafo WordprocessingML
+     * @param {string} texto
+     * @param {Object} [opcoes] - {alinhamento, negrito, tamanho (pt), cor, espacoAntes (pt)}
+     * @returns {string}
+     */
+    paragrafoDOCX(texto, opcoes = {}) {
+        const pPr = (opcoes.alinhamento ? `<w:jc w:val="${opcoes.alinhamento}"/>` : '')
+            + `<w:spacing w:before="${(opcoes.espacoAntes || 0) * 20}" w:after="0"/>`;
+        const rPr = '<w:rFonts w:ascii="Arial" w:hAnsi="Arial" w:cs="Arial"/>'
+            + (opcoes.negrito ? '<w:b/>' : '')
+            + (opcoes.cor ? `<w:color w:val="${opcoes.cor}"/>` : '')
+            + `<w:sz w:val="${(opcoes.tamanho || 11) * 2}"/>`;
+        const run = texto ? `<w:r><w:rPr>${rPr}</w:rPr><w:t xml:space="preserve">${this.escaparXML(texto)}</w:t></w:r>` : '';
+        return `<w:p><w:pPr>${pPr}</w:pPr>${run}</w:p>`;
+    }
+
+    /**
+     * Arquivo DOCX das cartas (uma por página), montado com JSZip
+     * @param {Array<Object>} cartas - Retorno de montarCartas()
+     * @returns {Promise<Blob>}
+     */
+    async montarDOCX(cartas) {
+        const quebra = '<w:p><w:r><w:br w:type="page"/></w:r></w:p>';
+        const corpo = cartas.map(carta => [
+            this.paragrafoDOCX(carta.via.toUpperCase(), { alinhamento: 'right', tamanho: 8, cor: '475569' }),
+            ...carta.cabecalho.map(linha => this.paragrafoDOCX(linha, { alinhamento: 'center', negrito: true })),
+            carta.titulo ? this.paragrafoDOCX(carta.titulo, { alinhamento: 'center', negrito: true, tamanho: 14, espacoAntes: 18 }) : '',
+            this.paragrafoDOCX(''),
+            ...carta.linhas.map(linha => this.paragrafoDOCX(linha, { alinhamento: 'both' })),
+            this.paragrafoDOCX('_'.repeat(45), { alinhamento: 'center', espacoAntes: 48 }),
+            this.paragrafoDOCX(carta.assinatura, { alinhamento: 'center', tamanho: 10 }),
+            this.paragrafoDOCX('_'.repeat(45), { alinhamento: 'center', espacoAntes: 36 }),
+            this.paragrafoDOCX(carta.ciente, { alinhamento: 'center', tamanho: 10 }),
+            this.paragrafoDOCX('Data: ____/____/________', { alinhamento: 'center', tamanho: 9, cor: '475569' })
+        ].join('')).join(quebra);
+
+        // Pacote OOXML mínimo (sem entradas de pasta, como os arquivos gravados pelo Word)
+        const zip = new JSZip();
+        const semPastas = { createFolders: false };
+        zip.file('[Content_Types].xml', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+            + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+            + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+            + '<Default Extension="xml" ContentType="application/xml"/>'
+            + '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>'
+            + '</Types>');
+        zip.file('_rels/.rels', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+            + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+            + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>'
+            + '</Relationships>', semPastas);
+        // A4 retrato com margens de 2 cm (medidas em twips)
+        zip.file('word/document.xml', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+            + '<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body>'
+            + corpo
+            + '<w:sectPr><w:pgSz w:w="11906" w:h="16838"/><w:pgMar w:top="1134" w:right="1134" w:bottom="1134" w:left="1134" w:header="708" w:footer="708" w:gutter="0"/></w:sectPr>'
+            + '</w:body></w:document>', semPastas);
+        return zip.generateAsync({ type: 'blob', mimeType: this.TIPO_DOCX, compression: 'DEFLATE' });
+    }
+
+    /**
+     * Abre a impressão das cartas dos alunos selecionados (uma carta por página)
+     * @param {Object} modelo - Modelo de carta
+     * @param {Array<Object>} alunos - Linhas do relatório
+     * @param {Object} resultado
+     * @param {boolean} viaEmpresa
+     */
+    imprimir(modelo, alunos, resultado, viaEmpresa) {
+        this.excelView.aplicarModelo(this.excelView.getModelo());
+        const cartas = alunos.flatMap(aluno => this.montarCartas(modelo, aluno, resultado, viaEmpresa));
+        const empresa = (resultado.contexto && resultado.contexto.empresa) || {};
+        this.printView.abrirImpressao(this.montarHTML(cartas, `Notificações de faltas - ${empresa.nome || ''}`));
+    }
+
+    /**
+     * Nome do arquivo da carta de um aluno
+     * O relatório tem uma linha por RA, empresa e turma (o mesmo aluno pode aparecer em
+     * mais de uma turma), então a turma - e o CNPJ, quando há várias empresas - entram no nome.
+     * @param {Object} aluno - Linha do relatório
+     * @param {boolean} variasEmpresas
+     * @param {string} formato - html | docx
+     * @returns {string}
+     */
+    nomeArquivoCarta(aluno, variasEmpresas, formato) {
+        const partes = [aluno.RA, aluno.ALUNO, aluno.TURMA];
+        if (variasEmpresas) partes.push(aluno.CNPJ);
+        return `notificacao_${partes.filter(parte => parte).map(parte => FileHelper.nomeSeguro(parte)).join('_')}.${formato}`;
+    }
+
+    /**
+     * Baixa um arquivo por aluno (HTML ou DOCX); com mais de um aluno, em um único ZIP
+     * @param {Object} modelo - Modelo de carta
+     * @param {Array<Object>} alunos - Linhas do relatório
+     * @param {Object} resultado
+     * @param {boolean} viaEmpresa
+     * @param {string} formato - html | docx
+     */
+    async baixar(modelo, alunos, resultado, viaEmpresa, formato) {
+        this.excelView.aplicarModelo(this.excelView.getModelo());
+        const variasEmpresas = new Set(alunos.map(aluno => aluno.CNPJ || '')).size > 1;
+        const arquivos = [];
+        for (const aluno of alunos) {
+            const cartas = this.montarCartas(modelo, aluno, resultado, viaEmpresa);
+            arquivos.push({
+                nome: this.nomeArquivoCarta(aluno, variasEmpresas, formato),
+                conteudo: formato === 'docx'
+                    ? await this.montarDOCX(cartas)
+                    : this.montarHTML(cartas, `Notificação de faltas - ${aluno.ALUNO}`)
+            });
+        }
+
+        if (arquivos.length === 1) {
+            FileHelper.baixar(arquivos[0].conteudo, arquivos[0].nome, formato === 'docx' ? this.TIPO_DOCX : 'text/html;charset=utf-8');
+            return;
+        }
+
+        const zip = new JSZip();
+        arquivos.forEach(arquivo => zip.file(arquivo.nome, arquivo.conteudo));
+        const empresa = (resultado.contexto && resultado.contexto.empresa) || {};
+        const blob = await zip.generateAsync({ type: 'blob', compression: 'DEFLATE' });
+        FileHelper.baixar(blob, `notificacoes_faltas_${FileHelper.nomeSeguro(empresa.nome)}_${formato}.zip`);
+    }
+}
@@ -0,0 +1,242 @@
+/**
+ * PrintReportView - Declaração de frequência para impressão / PDF
+ * Responsável por: montar o documento de impressão (cabeçalho da instituição, empresa com CNPJ,
+ * período, tabela por aluno, totais e linhas de assinatura do coordenador) a partir do retorno de
+ * DataModel.gerarRelatorio() e abrir a impressão do navegador ("Salvar como PDF")
+ * Cada empresa começa em uma nova página; com quebra "turma", cada turma também.
+ * Requer ExcelReportView (linhas de título e cores do modelo de relatório ativo)
+ */
+class PrintReportView {
+    /**
+     * @param {ExcelReportView} excelView
+     * @param {Object} options
+     * @param {Function} [options.formatCNPJ] - Formata o CNPJ (00.000.000/0000-00)
+     */
+    constructor(excelView, options = {}) {
+        this.excelView = excelView;
+        this.formatCNPJ = options.formatCNPJ || (cnpj => cnpj);
+        this.frame = null;
+
+        // Colunas da tabela impressa (resumo por aluno, sem listas de dias)
+        this.colunas = [
+            { key: 'RA', label: 'RA', type: 'text' },
+            { key: 'ALUNO', label: 'ALUNO', type: 'text' },
+            { key: 'STATUS', label: 'STATUS', type: 'text' },
+            { key: 'NUM_FALTAS_JUSTIFICADAS', label: 'FALTAS JUSTIFICADAS', type: 'number' },
+            { key: 'NUM_FALTAS_NAO_JUSTIFICADAS', label: 'FALTAS NÃO JUSTIFICADAS', type: 'number' },
+            { key: 'NUM_HORAS_ATRASO', label: 'HORAS DE ATRASO', type: 'number' },
+            { key: 'TOTAL_HORAS_AUSENCIA', label: 'TOTAL HORAS DE AUSÊNCIA', type: 'number' },
+            { key: 'HORAS_PREVISTAS', label: 'CARGA HORÁRIA PREVISTA (H)', type: 'number' },
+            { key: 'HORAS_FREQUENTADAS', label: 'HORAS FREQUENTADAS (H)', type: 'number' },
+            { key: 'PERCENTUAL_FREQUENCIA', label: '% FREQUÊNCIA', type: 'number', agregado: 'media' },
+            { key: 'SITUACAO', label: 'SITUAÇÃO', type: 'text' }
+        ];
+    }
+
+    /**
+     * Abre a impressão do navegador com a declaração das empresas
+     * @param {Array<Object>} resultados - Um retorno de gerarRelatorio() com contexto por empresa
+     * @param {string} [quebra] - 'empresa' (uma seção por empresa) | 'turma' (uma seção por turma)
+     */
+    imprimir(resultados, quebra = 'empresa') {
+        this.excelView.aplicarModelo(this.excelView.getModelo());
+        this.abrirImpressao(this.montarDocumento(resultados, quebra));
+    }
+
+    /**
+     * Abre a impressão do navegador para um documento HTML completo
+     * O documento é montado em um iframe oculto (sem janela pop-up).
+     * @param {string} html
+     */
+    abrirImpressao(html) {
+        // Reaproveitar um único iframe (o anterior pode ainda estar na impressão)
+        if (this.frame) this.frame.remove();
+        const frame = document.createElement('iframe');
+        frame.setAttribute('aria-hidden', 'true');
+        frame.tabIndex = -1;
+        Object.assign(frame.style, { position: 'fixed', right: '0', bottom: '0', width: '0', height: '0', border: '0' });
+        document.body.appendChild(frame);
+        this.frame = frame;
+
+        const doc = frame.contentDocument;
+        doc.open();
+        doc.write(html);
+        doc.close();
+        frame.contentWindow.focus();
+        frame.contentWindow.print();
+    }
+
+    /**
+     * Formata número para exibição (até 2 casas, vírgula decimal)
+     * @param {*} valor
+     * @returns {string}
+     */
+    formatarNumero(valor) {
+        return typeof valor === 'number' ? valor.toLocaleString('pt-BR', { maximumFractionDigits: 2 }) : (valor || '');
+    }
+
+    /**
+     * Período do relatório por extenso ("01/08/2025 a 31/08/2025"; sem datas, os meses do arquivo)
+     * @param {Object} resultado
+     * @returns {string}
+     */
+    textoPeriodo(resultado) {
+        const contexto = resultado.contexto || {};
+        if (contexto.dataInicio && contexto.dataFim) return `${contexto.dataInicio} a ${contexto.dataFim}`;
+        return this.excelView.getMesAno(resultado);
+    }
+
+    /**
+     * Divide o relatório de uma empresa em seções conforme a quebra de página
+     * @param {Object} resultado
+     * @param {string} quebra - 'empresa' | 'turma'
+     * @returns {Array<Object>} - [{turma, alunos}] (turma null = todas as turmas juntas)
+     */
+    secoesEmpresa(resultado, quebra) {
+        const contexto = resultado.contexto || {};
+        if (quebra !== 'turma' || !contexto.todasTurmas) {
+            return [{ turma: contexto.turma || null, alunos: resultado.relatorio }];
+        }
+
+        const porTurma = new Map();
+        resultado.relatorio.forEach(aluno => {
+            if (!porTurma.has(aluno.TURMA)) porTurma.set(aluno.TURMA, []);
+            porTurma.get(aluno.TURMA).push(aluno);
+        });
+        return Array.from(porTurma.entries())
+            .sort(([a], [b]) => String(a).localeCompare(String(b), 'pt-BR', { numeric: true }))
+            .map(([turma, alunos]) => ({ turma, alunos }));
+    }
+
+    /**
+     * Monta uma seção (página) da declaração
+     * @param {Object} resultado
+     * @param {Object} secao - {turma, alunos}
+     * @returns {string}
+     */
+    montarSecao(resultado, secao) {
+        const contexto = resultado.contexto || {};
+        const empresa = contexto.empresa || {};
+        const titulos = this.excelView.linhasTitulo(resultado, secao.turma);
+        const perfil = titulos.pop();
+
+        // Turma da seção; "Todas as turmas" mantém a coluna TURMA na tabela
+        const mostrarTurma = !secao.turma && new Set(secao.alunos.map(a => a.TURMA)).size > 1;
+        const colunas = mostrarTurma
+            ? [{ key: 'TURMA', label: 'TURMA', type: 'text' }].concat(this.colunas)
+            : this.colunas;
+        const turmaTexto = secao.turma || (mostrarTurma ? 'Todas as turmas' : (secao.alunos[0] && secao.alunos[0].TURMA) || '');
+
+        const linhas = secao.alunos.map(aluno => '<tr>' + colunas.map(col => {
+            const valor = aluno[col.key];
+            // Faltas alteradas por justificativa manual: destaque e nota abaixo da tabela
+            const ajuste = this.excelView.colunasAjuste[col.key];
+            const nota = ajuste === undefined ? '' : this.excelView.notaAjustes(aluno, ajuste);
+            const classes = [col.type === 'number' ? 'num' : '', col.key === 'SITUACAO' ? HtmlHelper.classeSituacao(valor) : '', nota ? 'ajustado' : '']
+                .filter(c => c).join(' ');
+            return `<td${classes ? ` class="${classes}"` : ''}${nota ? ` title="${HtmlHelper.escapar(nota)}"` : ''}>`
+                + `${HtmlHelper.escapar(col.type === 'number' ? this.formatarNumero(valor) : valor)}${nota ? '*' : ''}</td>`;
+        }).join('') + '</tr>').join('');
+
+        const ajustes = secao.alunos.flatMap(aluno => [true, false]
+            .map(justificada => this.excelView.notaAjustes(aluno, justificada))
+            .filter(nota => nota)
+            .map(nota => `<li>${HtmlHelper.escapar(`${aluno.ALUNO} (RA ${aluno.RA})`)}: ${HtmlHelper.escapar(nota).replace(/\n/g, '; ')}</li>`));
+
+        // Totais: soma das colunas numéricas; % de frequência pela média dos alunos que a têm
+        const totais = colunas.map((col, idx) => {
+            if (col.type !== 'number') return `<td>${idx === 0 ? 'TOTAL' : ''}</td>`;
+            const soma = secao.alunos.reduce((sum, aluno) => sum + (Number(aluno[col.key]) || 0), 0);
+            const comValor = secao.alunos.filter(aluno => aluno[col.key] !== null && aluno[col.key] !== undefined).length;
+            const valor = col.agregado === 'media'
+                ? (comValor > 0 ? Math.round((soma / comValor) * 10) / 10 : '')
+                : Math.round(soma * 100) / 100;
+            return `<td class="num">${HtmlHelper.escapar(this.formatarNumero(valor))}</td>`;
+        }).join('');
+
+        const emRisco = secao.alunos.filter(a => a.SITUACAO === 'ATENÇÃO' || a.SITUACAO === 'CRÍTICO').length;
+
+        return '<section class="pagina">\n<header class="cabecalho">\n'
+            + titulos.map(linha => (linha ? `<p>${HtmlHelper.escapar(linha)}</p>\n` : '')).join('')
+            + '</header>\n<dl class="dados">\n'
+            + `<div><dt>Empresa</dt><dd>${HtmlHelper.escapar(empresa.nome)}</dd></div>\n`
+            + `<div><dt>CNPJ</dt><dd>${HtmlHelper.escapar(this.formatCNPJ(empresa.cnpj))}</dd></div>\n`
+            + `<div><dt>Turma</dt><dd>${HtmlHelper.escapar(turmaTexto)}</dd></div>\n`
+            + `<div><dt>Período</dt><dd>${HtmlHelper.escapar(this.textoPeriodo(resultado))}</dd></div>\n`
+            + `<div><dt>Aprendizes</dt><dd>${secao.alunos.length}${emRisco > 0 ? ` (${emRisco} em atenção ou crítico)` : ''}</dd></div>\n`
+            + '</dl>\n'
+            + (perfil ? `<p class="perfil">${HtmlHelper.escapar(perfil)}</p>\n` : '')
+            + '<table>\n'
+            + `<thead><tr>${colunas.map(col => `<th${col.type === 'number' ? ' class="num"' : ''}>${HtmlHelper.escapar(col.label)}</th>`).join('')}</tr></thead>\n`
+            + `<tbody>${linhas}</tbody>\n`
+            + `<tfoot><tr>${totais}</tr></tfoot>\n`
+            + '</table>\n'
+            + (ajustes.length > 0
+                ? `<div class="ajustes"><p>* Faltas alteradas por justificativas manuais:</p><ul>${ajustes.join('')}</ul></div>\n`
+                : '')
+            + '<div class="assinaturas">\n'
+            + `<p class="local-data">${HtmlHelper.escapar(this.excelView.modelo.unidade)}, ______ de ____________________ de ________.</p>\n`
+            + '<div class="assinatura"><span class="linha"></span><p>Coordenador(a) do Programa</p><p class="obs">Nome, assinatura e carimbo</p></div>\n'
+            + '</div>\n'
+            + '</section>\n';
+    }
+
+    /**
+     * Monta o documento HTML de impressão (estilos embutidos, A4 paisagem)
+     * @param {Array<Object>} resultados
+     * @param {string} [quebra] - 'empresa' | 'turma'
+     * @returns {string}
+     */
+    montarDocumento(resultados, quebra = 'empresa') {
+        const cores = this.excelView.modelo.cores;
+        const secoes = resultados.flatMap(resultado =>
+            this.secoesEmpresa(resultado, quebra).map(secao => this.montarSecao(resultado, secao))
+        );
+
+        // Título do documento = nome sugerido pelo "Salvar como PDF"
+        const primeiro = resultados[0];
+        const empresa = resultados.length === 1 && primeiro.contexto && primeiro.contexto.empresa;
+        const titulo = `Declaração de Frequência - ${empresa ? empresa.nome : `${resultados.length} empresas`} - ${primeiro ? this.excelView.getMesAno(primeiro) : ''}`;
+
+        const estilo = `
+@page { size: A4 landscape; margin: 12mm; }
+* { box-sizing: border-box; }
+body { font-family: Arial, Helvetica, sans-serif; font-size: 10pt; color: #000; margin: 0; -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+.pagina + .pagina { break-before: page; page-break-before: always; }
+.cabecalho { text-align: center; margin-bottom: 10pt; }
+.cabecalho p { margin: 0 0 2pt; font-weight: bold; font-size: 12pt; }
+.cabecalho p:first-child { font-size: 14pt; }
+.dados { display: flex; flex-wrap: wrap; gap: 4pt 18pt; margin: 0 0 6pt; }
+.dados div { display: flex; gap: 4pt; }
+.dados dt { font-weight: bold; }
+.dados dt::after { content: ":"; }
+.dados dd { margin: 0; }
+.perfil { font-style: italic; font-size: 9pt; margin: 0 0 8pt; }
+table { width: 100%; border-collapse: collapse; }
+thead { display: table-header-group; }
+tfoot { display: table-row-group; }
+tr { break-inside: avoid; page-break-inside: avoid; }
+th, td { border: 1px solid #${cores.borda}; padding: 3pt 5pt; }
+th { background: #${cores.cabecalho}; color: #${cores.textoCabecalho}; font-size: 8.5pt; }
+tbody tr:nth-child(even) { background: #${cores.listra}; }
+tfoot td { background: #${cores.total}; font-weight: bold; }
+.num { text-align: center; }
+td.critico { color: #991B1B; font-weight: bold; }
+td.atencao { color: #92400E; font-weight: bold; }
+td.ajustado { background: #EDE9FE; color: #5B21B6; font-weight: bold; }
+.ajustes { font-size: 8.5pt; margin-top: 6pt; break-inside: avoid; page-break-inside: avoid; }
+.ajustes p { margin: 0; }
+.ajustes ul { margin: 2pt 0 0; padding-left: 14pt; }
+.assinaturas { break-inside: avoid; page-break-inside: avoid; margin-top: 28pt; }
+.local-data { margin: 0 0 40pt; }
+.assinatura { width: 45%; text-align: center; }
+.assinatura .linha { display: block; border-top: 1px solid #000; }
+.assinatura p { margin: 3pt 0 0; }
+.assinatura .obs { font-size: 8pt; color: #475569; }`;
+
+        return '<!DOCTYPE html>\n<html lang="pt-BR">\n<head>\n<meta charset="UTF-8">\n'
+            + `<title>${HtmlHelper.escapar(titulo)}</title>\n<style>${estilo}\n</style>\n</head>\n<body>\n`
+            + secoes.join('')
+            + '</body>\n</html>\n';
+    }
+}
@@ -0,0 +1,271 @@
+/**
+ * ReportExportView - Exportação do relatório nos formatos de arquivo
+ * Responsável por: gerar o relatório em Excel (.xlsx), OpenDocument (.ods),
+ * CSV (UTF-8 com BOM, separador ";"), JSON e HTML autocontido (abre offline,
+ * com cabeçalho do relatório e tabela ordenável), seguindo o modelo de relatório ativo
+ * Requer ExcelReportView (colunas, títulos e workbook) e PapaParse (CSV)
+ */
+class ReportExportView {
+    /**
+     * @param {ExcelReportView} excelView
+     */
+    constructor(excelView) {
+        this.excelView = excelView;
+
+        // Formatos disponíveis: extensão e tipo (MIME) do download
+        this.FORMATOS = {
+            xlsx: { extensao: 'xlsx' },
+            ods: { extensao: 'ods' },
+            csv: { extensao: 'csv', tipo: 'text/csv;charset=utf-8' },
+            json: { extensao: 'json', tipo: 'application/json' },
+            html: { extensao: 'html', tipo: 'text/html;charset=utf-8' }
+        };
+    }
+
+    /**
+     * Gera o arquivo no formato escolhido e faz o download
+     * @param {Object} resultado - Retorno de DataModel.gerarRelatorio() com contexto
+     * @param {Array} [resumo] - Retorno de DataModel.resumirPorTurma() ("Todas as turmas")
+     * @param {string} [formato] - xlsx | ods | csv | json | html
+     */
+    exportar(resultado, resumo = null, formato = 'xlsx') {
+        const definicao = this.FORMATOS[formato];
+        if (!definicao) throw new Error(`Formato de exportação desconhecido: ${formato}`);
+
+        if (formato === 'xlsx' || formato === 'ods') {
+            this.excelView.exportar(resultado, resumo, formato);
+            return;
+        }
+
+        // Colunas e títulos do modelo ativo
+        this.excelView.aplicarModelo(this.excelView.getModelo());
+        const conteudo = formato === 'csv'
+            ? this.montarCSV(resultado)
+            : (formato === 'json' ? this.montarJSON(resultado, resumo) : this.montarHTML(resultado, resumo));
+        FileHelper.baixar(conteudo, this.excelView.nomeArquivo(resultado, definicao.extensao), definicao.tipo);
+    }
+
+    /**
+     * Valor de célula para o CSV: decimais com vírgula (Excel em português)
+     * @param {*} valor
+     * @returns {*}
+     */
+    valorCSV(valor) {
+        if (typeof valor === 'number' && !Number.isInteger(valor)) return String(valor).replace('.', ',');
+        return valor === null || valor === undefined ? '' : valor;
+    }
+
+    /**
+     * Tabela por aluno em CSV (colunas e rótulos do modelo, sem linhas de título)
+     * @param {Object} resultado
+     * @returns {string} - Com BOM para o Excel reconhecer o UTF-8
+     */
+    montarCSV(resultado) {
+        const colunas = this.excelView.colunasRelatorio(resultado);
+        return '\uFEFF' + Papa.unparse({
+            fields: colunas.map(c => c.rotulo),
+            data: resultado.relatorio.map(aluno => colunas.map(c => this.valorCSV(c.valor(aluno))))
+        }, { delimiter: ';' });
+    }
+
+    /**
+     * Relatório completo em JSON (campos do DataModel, para scripts)
+     * @param {Object} resultado
+     * @param {Array} [resumo]
+     * @returns {string}
+     */
+    montarJSON(resultado, resumo = null) {
+        const contexto = resultado.contexto || {};
+        return JSON.stringify({
+            tipo: 'relatorio-frequencia',
+            versao: 1,
+            geradoEm: new Date().toISOString(),
+            titulos: this.excelView.linhasTitulo(resultado).filter(linha => linha),
+            contexto: {
+                programa: contexto.programa ? { id: contexto.programa.id, nome: contexto.programa.nome } : null,
+                empresa: contexto.empresa || null,
+                turma: contexto.turma || null,
+                todasTurmas: !!contexto.todasTurmas,
+                dataInicio: contexto.dataInicio || null,
+                dataFim: contexto.dataFim || null,
+                aluno: contexto.aluno || null
+            },
+            perfil: resultado.perfil || null,
+            totalAlunos: resultado.totalAlunos,
+            totalRegistros: resultado.totalRegistros,
+            meses: resultado.meses || [],
+            categorias: resultado.categorias || [],
+            alunos: resultado.relatorio,
+            resumoPorTurma: resumo || null,
+            diasVerificar: resultado.diasVerificar || [],
+            valoresNaoClassificados: resultado.valoresNaoClassificados || []
+        }, null, 2);
+    }
+
+    /**
+     * Célula da tabela HTML com a chave de ordenação (números e datas DD/MM/YYYY)
+     * @param {*} valor
+     * @param {string} [classe]
+     * @param {string} [dica] - Texto exibido ao passar o mouse (title)
+     * @returns {string}
+     */
+    celulaHTML(valor, classe = '', dica = '') {
+        let chave = null;
+        let texto = valor;
+        if (typeof valor === 'number') {
+            chave = valor;
+            texto = valor.toLocaleString('pt-BR', { maximumFractionDigits: 2 });
+        } else {
+            chave = DateHelper.dataNumero(valor);
+        }
+        const atributos = (classe ? ` class="${classe}"` : '') + (chave !== null ? ` data-valor="${chave}"` : '')
+            + (dica ? ` title="${HtmlHelper.escapar(dica)}"` : '');
+        return `<td${atributos}>${HtmlHelper.escapar(texto)}</td>`;
+    }
+
+    /**
+     * Tabela HTML ordenável
+     * @param {Array<string>} rotulos - Cabeçalhos
+     * @param {Array<Array<string>>} linhas - Células já montadas (celulaHTML)
+     * @returns {string}
+     */
+    tabelaHTML(rotulos, linhas) {
+        return '<div class="tabela"><table class="ordenavel">'
+            + `<thead><tr>${rotulos.map(r => `<th>${HtmlHelper.escapar(r)}</th>`).join('')}</tr></thead>`
+            + `<tbody>${linhas.map(celulas => `<tr>${celulas.join('')}</tr>`).join('')}</tbody>`
+            + '</table></div>';
+    }
+
+    /**
+     * Relatório em um único arquivo HTML (estilos e ordenação embutidos, sem dependências)
+     * Traz as linhas de título e as cores do modelo, o resumo por turma ("Todas as turmas"),
+     * a tabela por aluno e os avisos (dias a verificar, justificativas sem categoria).
+     * @param {Object} resultado
+     * @param {Array} [resumo]
+     * @returns {string}
+     */
+    montarHTML(resultado, resumo = null) {
+        const modelo = this.excelView.modelo;
+        const cores = modelo.cores;
+        const titulos = this.excelView.linhasTitulo(resultado);
+        const colunas = this.excelView.colunasRelatorio(resultado);
+        const secoes = [];
+
+        if (resumo && resumo.length > 0) {
+            secoes.push('<h3>Resumo por Turma</h3>' + this.tabelaHTML(
+                ['TURMA', 'CURSO', 'Nº ALUNOS', 'TOTAL HORAS DE AUSÊNCIA', 'FREQUÊNCIA MÉDIA (%)', 'ALUNOS EM ATENÇÃO', 'ALUNOS CRÍTICOS', 'TOTAL EM RISCO'],
+                resumo.map(t => [
+                    this.celulaHTML(t.TURMA),
+                    this.celulaHTML(t.CURSO),
+                    this.celulaHTML(t.NUM_ALUNOS),
+                    this.celulaHTML(t.TOTAL_HORAS_AUSENCIA),
+                    this.celulaHTML(t.FREQUENCIA_MEDIA),
+                    this.celulaHTML(t.ALUNOS_ATENCAO),
+                    this.celulaHTML(t.ALUNOS_CRITICOS, t.ALUNOS_CRITICOS > 0 ? 'critico' : ''),
+                    this.celulaHTML(t.ALUNOS_ATENCAO + t.ALUNOS_CRITICOS)
+                ])
+            ));
+        }
+
+        secoes.push('<h3>Alunos</h3>' + this.tabelaHTML(
+            colunas.map(c => c.rotulo),
+            resultado.relatorio.map(aluno => colunas.map(c => {
+                const destaque = (c.id === 'SITUACAO' || c.id === 'PERCENTUAL_FREQUENCIA') ? HtmlHelper.classeSituacao(aluno.SITUACAO) : '';
+                // Faltas alteradas por justificativa manual: destaque e nota (como no Excel)
+                const ajuste = this.excelView.colunasAjuste[c.id];
+                const nota = ajuste === undefined ? '' : this.excelView.notaAjustes(aluno, ajuste);
+                if (nota) return this.celulaHTML(c.valor(aluno), 'ajustado', nota);
+                return this.celulaHTML(c.valor(aluno), destaque || (c.id === 'TRANSFERENCIA' && aluno.TRANSFERIDO ? 'atencao' : ''));
+            }))
+        ));
+
+        const ajustados = resultado.relatorio.filter(aluno => (aluno.AJUSTES || []).length > 0);
+        if (ajustados.length > 0) {
+            secoes.push('<h3>Justificativas manuais</h3>'
+                + '<p class="nota">As células destacadas foram alteradas por justificativas manuais (passe o mouse para ver o detalhe).</p>'
+                + this.tabelaHTML(
+                    ['TURMA', 'RA', 'ALUNO', 'DATA', 'AJUSTE', 'MOTIVO', 'ANEXO'],
+                    ajustados.flatMap(aluno => aluno.AJUSTES.map(a => [
+                        this.celulaHTML(aluno.TURMA),
+                        this.celulaHTML(aluno.RA),
+                        this.celulaHTML(aluno.ALUNO),
+                        this.celulaHTML(a.data),
+                        this.celulaHTML(a.justificada ? 'Falta justificada manualmente' : 'Justificativa retirada', 'ajustado'),
+                        this.celulaHTML(a.motivo || ''),
+                        this.celulaHTML(a.anexo || '')
+                    ]))
+                ));
+        }
+
+        if (resultado.diasVerificar && resultado.diasVerificar.length > 0) {
+            secoes.push('<h3>Dias a verificar</h3>' + this.tabelaHTML(
+                ['TURMA', 'DATA', 'ALUNOS COM REGISTRO', 'MOTIVO'],
+                resultado.diasVerificar.map(d => [d.turma, d.data, d.alunos, d.motivo].map(v => this.celulaHTML(v)))
+            ));
+        }
+
+        if (resultado.valoresNaoClassificados && resultado.valoresNaoClassificados.length > 0) {
+            secoes.push('<h3>Justificativas sem categoria</h3>' + this.tabelaHTML(
+                ['VALOR DE JUSTIFICADA (SEM CATEGORIA)', 'OCORRÊNCIAS'],
+                resultado.valoresNaoClassificados.map(v => [this.celulaHTML(v.valor), this.celulaHTML(v.ocorrencias)])
+            ));
+        }
+
+        const titulo = titulos.filter(linha => linha).join(' · ');
+        const estilo = `
+body { font-family: Arial, Helvetica, sans-serif; margin: 24px; color: #1e293b; }
+header { text-align: center; margin-bottom: 16px; }
+header .t1 { font-size: 18px; font-weight: bold; margin: 0; }
+header .t2, header .t3 { font-size: 15px; font-weight: bold; margin: 4px 0 0; }
+header .t4 { font-size: 12px; font-style: italic; color: #64748b; margin: 4px 0 0; }
+h3 { font-size: 15px; margin: 24px 0 8px; }
+.tabela { overflow-x: auto; }
+table { border-collapse: collapse; font-size: 12px; }
+th, td { border: 1px solid #${cores.borda}; padding: 4px 8px; white-space: nowrap; }
+th { background: #${cores.cabecalho}; color: #${cores.textoCabecalho}; cursor: pointer; position: sticky; top: 0; }
+th.asc::after { content: " ▲"; }
+th.desc::after { content: " ▼"; }
+tbody tr:nth-child(odd) { background: #${cores.listra}; }
+td.critico { background: #FECACA; color: #991B1B; font-weight: bold; }
+td.atencao { background: #FEF3C7; color: #92400E; font-weight: bold; }
+td.regular { background: #D1FAE5; color: #065F46; }
+td.ajustado { background: #EDE9FE; color: #5B21B6; font-weight: bold; }
+td[title] { cursor: help; }
+.nota { font-size: 12px; color: #64748b; margin: 0 0 8px; }
+footer { margin-top: 24px; font-size: 11px; color: #64748b; }
+@media print { th { position: static; } }`;
+
+        // Ordenação ao clicar no cabeçalho (números e datas pela chave data-valor)
+        const script = `
+document.querySelectorAll('table.ordenavel').forEach(function (tabela) {
+    var ths = tabela.querySelectorAll('thead th');
+    ths.forEach(function (th, indice) {
+        th.addEventListener('click', function () {
+            var asc = !th.classList.contains('asc');
+            ths.forEach(function (outro) { outro.classList.remove('asc', 'desc'); });
+            th.classList.add(asc ? 'asc' : 'desc');
+            var tbody = tabela.tBodies[0];
+            var linhas = Array.prototype.slice.call(tbody.rows);
+            linhas.sort(function (a, b) {
+                var ca = a.cells[indice], cb = b.cells[indice];
+                var va = ca.getAttribute('data-valor'), vb = cb.getAttribute('data-valor');
+                var r = (va !== null && vb !== null)
+                    ? Number(va) - Number(vb)
+                    : ca.textContent.localeCompare(cb.textContent, 'pt-BR', { numeric: true });
+                return asc ? r : -r;
+            });
+            linhas.forEach(function (linha) { tbody.appendChild(linha); });
+        });
+    });
+});`;
+
+        return '<!DOCTYPE html>\n<html lang="pt-BR">\n<head>\n<meta charset="UTF-8">\n'
+            + `<meta name="viewport" content="width=device-width, initial-scale=1.0">\n<title>${HtmlHelper.escapar(titulo)}</title>\n`
+            + `<style>${estilo}\n</style>\n</head>\n<body>\n<header>\n`
+            + titulos.map((linha, idx) => (linha ? `<p class="t${idx + 1}">${HtmlHelper.escapar(linha)}</p>\n` : '')).join('')
+            + '</header>\n'
+            + secoes.join('\n')
+            + `\n<footer>Gerado em ${HtmlHelper.escapar(new Date().toLocaleString('pt-BR'))} · Clique no cabeçalho de uma coluna para ordenar</footer>\n`
+            + `<script>${script}\n</script>\n</body>\n</html>\n`;
+    }
+}
@@ -0,0 +1,465 @@
+/**
+ * ReportPreviewView - Pré-visualização do relatório consolidado na página
+ * Responsável por: renderizar a tabela, ordenar colunas, filtrar por texto,
+ * calcular totais por coluna e destacar alunos acima do limite de ausência
+ */
+class ReportPreviewView {
+    /**
+     * @param {Object} options
+     * @param {Function} options.onExport - (resultado, formato) chamado ao clicar em "Exportar"
+     * @param {Function} options.onPrint - (resultado, quebra) chamado ao clicar em "Imprimir / PDF"
+     * @param {Function} options.onNotificar - (resultado, limite) chamado ao clicar em "Notificar alunos"
+     * @param {Function} options.onExcluirDia - (turma, data, motivo) chamado ao excluir um dia a verificar
+     */
+    constructor(options = {}) {
+        this.onExport = options.onExport || (() => {});
+        this.onPrint = options.onPrint || (() => {});
+        this.onNotificar = options.onNotificar || (() => {});
+        this.onExcluirDia = options.onExcluirDia || (() => {});
+        this.resultado = null;
+        this.sortKey = 'ALUNO';
+        this.sortDir = 'asc';
+        this.filtro = '';
+
+        // Colunas exibidas (mesmos rótulos do arquivo exportado)
+        this.colunas = [
+            { key: 'TURMA', label: 'TURMA', type: 'text' },
+            { key: 'ALUNO', label: 'ALUNO', type: 'text' },
+            { key: 'STATUS', label: 'STATUS', type: 'text' },
+            { key: 'STATUS_DESDE', label: 'DATA DO STATUS', type: 'date' },
+            { key: 'EMPRESA', label: 'EMPRESA', type: 'text' },
+            { key: 'CURSO', label: 'CURSO', type: 'text' },
+            { key: 'FALTAS_JUSTIFICADAS_DIAS', label: 'FALTAS JUSTIFICADAS (DIAS)', type: 'text' },
+            { key: 'NUM_FALTAS_JUSTIFICADAS', label: 'Nº FALTAS JUSTIFICADAS', type: 'number' },
+            { key: 'FALTAS_NAO_JUSTIFICADAS_DIAS', label: 'FALTAS NÃO JUSTIFICADAS (DIAS)', type: 'text' },
+            { key: 'NUM_FALTAS_NAO_JUSTIFICADAS', label: 'Nº FALTAS NÃO JUSTIFICADAS', type: 'number' },
+            { key: 'ATRASOS_DIAS', label: 'ATRASOS (DIAS)', type: 'text' },
+            { key: 'NUM_HORAS_ATRASO', label: 'Nº HORAS DE ATRASO', type: 'number' },
+            { key: 'TOTAL_HORAS_AUSENCIA', label: 'TOTAL HORAS DE AUSÊNCIA NO PERÍODO', type: 'number' },
+            { key: 'TOTAL_AULAS', label: 'TOTAL DE AULAS NO PERÍODO', type: 'number' },
+            { key: 'HORAS_PREVISTAS', label: 'CARGA HORÁRIA PREVISTA (H)', type: 'number' },
+            { key: 'HORAS_FREQUENTADAS', label: 'HORAS FREQUENTADAS (H)', type: 'number' },
+            { key: 'PERCENTUAL_FREQUENCIA', label: '% FREQUÊNCIA', type: 'number', agregado: 'media' },
+            { key: 'SITUACAO', label: 'SITUAÇÃO', type: 'text' }
+        ];
+
+        // Mudança de empresa ou turma no período (relatórios com transferências)
+        this.colunasTransferencia = [
+            { key: 'TRANSFERENCIA', label: 'TRANSFERÊNCIA', type: 'text' }
+        ];
+
+        // Dias previstos pelo cronograma da turma (relatórios com cronograma)
+        this.colunasCronograma = [
+            { key: 'DIAS_PREVISTOS', label: 'DIAS PREVISTOS NO CRONOGRAMA', type: 'number' },
+            { key: 'DIAS_SEM_REGISTRO_DIAS', label: 'DIAS SEM REGISTRO (DIAS)', type: 'text' },
+            { key: 'NUM_DIAS_SEM_REGISTRO', label: 'Nº DIAS SEM REGISTRO', type: 'number' }
+        ];
+
+        // Ausência acumulada desde o início da turma (relatórios com acumuladoCurso)
+        this.colunasCurso = [
+            { key: 'INICIO_TURMA', label: 'INÍCIO DA TURMA', type: 'date' },
+            { key: 'HORAS_AUSENCIA_CURSO', label: 'AUSÊNCIA ACUMULADA NO CURSO (H)', type: 'number' },
+            { key: 'CARGA_HORARIA_CURSO', label: 'CARGA HORÁRIA DO CURSO (H)', type: 'number', agregado: 'nenhum' },
+            { key: 'LIMITE_AUSENCIA_CURSO', label: 'LIMITE DE AUSÊNCIA NO CURSO (H)', type: 'number', agregado: 'nenhum' },
+            { key: 'SALDO_AUSENCIA_CURSO', label: 'SALDO DE AUSÊNCIA (H)', type: 'number', agregado: 'nenhum' }
+        ];
+        this.colunasAtivas = this.colunas;
+
+        // Elementos DOM
+        this.elements = {
+            container: document.getElementById('reportPreview'),
+            titulo: document.getElementById('previewTitulo'),
+            resumo: document.getElementById('previewResumo'),
+            aviso: document.getElementById('previewAviso'),
+            dias: document.getElementById('previewDias'),
+            diasResumo: document.getElementById('previewDiasResumo'),
+            diasTbody: document.querySelector('#previewDiasTabela tbody'),
+            filtroInput: document.getElementById('previewFiltro'),
+            limiteInput: document.getElementById('previewLimite'),
+            btnNotificar: document.getElementById('btnNotificar'),
+            quebraSelect: document.getElementById('impressaoQuebra'),
+            btnImprimir: document.getElementById('btnImprimir'),
+            formatoSelect: document.getElementById('formatoExportacao'),
+            btnExportar: document.getElementById('btnExportar'),
+            btnFechar: document.getElementById('btnFecharPreview'),
+            thead: document.querySelector('#previewTable thead'),
+            tbody: document.querySelector('#previewTable tbody'),
+            tfoot: document.querySelector('#previewTable tfoot')
+        };
+
+        this.init();
+    }
+
+    /**
+     * Configura os event listeners da barra de ferramentas
+     */
+    init() {
+        this.elements.filtroInput.addEventListener('input', (e) => {
+            this.filtro = e.target.value;
+            this.renderCorpo();
+        });
+
+        this.elements.limiteInput.addEventListener('input', () => {
+            this.renderCorpo();
+        });
+
+        this.elements.btnExportar.addEventListener('click', () => {
+            if (this.resultado) this.onExport(this.resultado, this.elements.formatoSelect.value);
+        });
+
+        this.elements.btnNotificar.addEventListener('click', () => {
+            if (this.resultado) this.onNotificar(this.resultado, this.getLimite());
+        });
+
+        this.elements.btnImprimir.addEventListener('click', () => {
+            if (this.resultado) this.onPrint(this.resultado, this.elements.quebraSelect.value);
+        });
+
+        this.elements.btnFechar.addEventListener('click', () => this.hide());
+
+        this.elements.diasTbody.addEventListener('click', (e) => {
+            const btn = e.target.closest('button[data-turma]');
+            if (btn) this.onExcluirDia(btn.dataset.turma, btn.dataset.data, btn.dataset.motivo);
+        });
+    }
+
+    /**
+     * Exibe o relatório gerado
+     * @param {Object} resultado - Retorno de DataModel.gerarRelatorio()
+     */
+    render(resultado) {
+        this.resultado = resultado;
+        this.filtro = '';
+        this.elements.filtroInput.value = '';
+
+        const programa = resultado.contexto && resultado.contexto.programa;
+        this.elements.titulo.textContent = programa
+            ? `Pré-visualização do Relatório · ${programa.nome}`
+            : 'Pré-visualização do Relatório';
+
+        // Perfis com mais de uma categoria de justificativa: contagem e dias de cada categoria
+        const categorias = resultado.categorias && resultado.categorias.length > 1 ? resultado.categorias : [];
+        const colunasCategorias = categorias.flatMap(nome => [
+            {
+                key: `CAT_DIAS_${nome}`,
+                label: `${nome.toUpperCase()} (DIAS)`,
+                type: 'text',
+                get: (aluno) => (aluno.CATEGORIAS && aluno.CATEGORIAS[nome] ? aluno.CATEGORIAS[nome].DIAS : '')
+            },
+            {
+                key: `CAT_NUM_${nome}`,
+                label: `Nº ${nome.toUpperCase()}`,
+                type: 'number',
+                get: (aluno) => (aluno.CATEGORIAS && aluno.CATEGORIAS[nome] ? aluno.CATEGORIAS[nome].NUM : 0)
+            }
+        ]);
+
+        // Períodos com vários meses: uma coluna de horas de ausência por mês
+        const meses = resultado.meses && resultado.meses.length > 1 ? resultado.meses : [];
+        const colunasTransferencia = resultado.transferencias > 0 ? this.colunasTransferencia : [];
+        const colunasCronograma = resultado.cronograma ? this.colunasCronograma : [];
+        const colunasCurso = resultado.acumuladoCurso ? this.colunasCurso : [];
+        this.colunasAtivas = this.colunas.concat(colunasTransferencia, colunasCronograma, colunasCurso, colunasCategorias, meses.map(({ chave, rotulo }) => ({
+            key: `MES_${chave}`,
+            label: `${rotulo} - AUSÊNCIA (H)`,
+            type: 'number',
+            get: (aluno) => (aluno.MESES && aluno.MESES[chave] ? aluno.MESES[chave].TOTAL_HORAS_AUSENCIA : 0)
+        })));
+        if (!this.colunasAtivas.some(c => c.key === this.sortKey)) {
+            this.sortKey = 'ALUNO';
+            this.sortDir = 'asc';
+        }
+
+        this.renderCabecalho();
+        this.renderCorpo();
+        this.renderAviso(resultado.valoresNaoClassificados || []);
+        this.renderDiasVerificar(resultado.diasVerificar || []);
+
+        this.elements.container.style.display = 'block';
+        this.elements.container.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+
+    /**
+     * Aviso dos valores de JUSTIFICADA que o perfil não classifica (não entram na contagem)
+     * @param {Array<Object>} valores - [{valor, ocorrencias}]
+     */
+    renderAviso(valores) {
+        const aviso = this.elements.aviso;
+        aviso.hidden = valores.length === 0;
+        aviso.textContent = valores.length === 0 ? '' :
+            `⚠ Valores de JUSTIFICADA sem categoria no perfil de regras (não contados como justificados nem como não justificados): ` +
+            valores.map(v => `"${v.valor}" (${v.ocorrencias})`).join(', ') +
+            '. Inclua-os em uma categoria em "Configurar".';
+    }
+
+    /**
+     * Lista os dias a conferir (prováveis dias sem aula e registros em dias não letivos)
+     * @param {Array<Object>} dias - [{turma, data, alunos, motivo}]
+     */
+    renderDiasVerificar(dias) {
+        const { dias: painel, diasResumo, diasTbody } = this.elements;
+        painel.hidden = dias.length === 0;
+        diasTbody.innerHTML = '';
+        if (dias.length === 0) return;
+
+        diasResumo.textContent = `⚠ ${dias.length} dia(s) de turma para conferir (prováveis dias sem aula ou registros em feriado/recesso)`;
+        dias.forEach(dia => {
+            const tr = document.createElement('tr');
+            [dia.turma, dia.data, dia.alunos, dia.motivo].forEach(valor => {
+                const td = document.createElement('td');
+                td.textContent = valor;
+                tr.appendChild(td);
+            });
+
+            const td = document.createElement('td');
+            const btn = document.createElement('button');
+            btn.type = 'button';
+            btn.className = 'btn btn-secondary btn-inline';
+            btn.dataset.turma = dia.turma;
+            btn.dataset.data = dia.data;
+            btn.dataset.motivo = dia.motivo;
+            btn.textContent = 'Excluir dia';
+            td.appendChild(btn);
+            tr.appendChild(td);
+
+            diasTbody.appendChild(tr);
+        });
+    }
+
+    /**
+     * Esconde a pré-visualização e descarta o relatório atual
+     */
+    hide() {
+        this.resultado = null;
+        this.elements.container.style.display = 'none';
+    }
+
+    /**
+     * Indica se há um relatório sendo exibido
+     * @returns {boolean}
+     */
+    isVisible() {
+        return this.resultado !== null;
+    }
+
+    /**
+     * Renderiza o cabeçalho da tabela com indicadores de ordenação
+     */
+    renderCabecalho() {
+        const tr = document.createElement('tr');
+
+        this.colunasAtivas.forEach(col => {
+            const th = document.createElement('th');
+            th.textContent = col.label;
+            th.dataset.key = col.key;
+            th.className = 'sortable';
+            if (col.type === 'number') th.classList.add('num');
+            if (col.key === this.sortKey) th.classList.add(this.sortDir === 'asc' ? 'sort-asc' : 'sort-desc');
+
+            th.addEventListener('click', () => this.ordenarPor(col.key));
+            tr.appendChild(th);
+        });
+
+        this.elements.thead.innerHTML = '';
+        this.elements.thead.appendChild(tr);
+    }
+
+    /**
+     * Alterna a ordenação pela coluna informada
+     * @param {string} key - Chave da coluna
+     */
+    ordenarPor(key) {
+        if (this.sortKey === key) {
+            this.sortDir = this.sortDir === 'asc' ? 'desc' : 'asc';
+        } else {
+            this.sortKey = key;
+            this.sortDir = 'asc';
+        }
+        this.renderCabecalho();
+        this.renderCorpo();
+    }
+
+    /**
+     * Valor de uma coluna para um aluno
+     */
+    getValor(aluno, col) {
+        const valor = col.get ? col.get(aluno) : aluno[col.key];
+        return valor === undefined || valor === null ? '' : valor;
+    }
+
+    /**
+     * Normaliza texto para busca (sem acentos, minúsculas)
+     */
+    normalizarBusca(valor) {
+        return String(valor === null || valor === undefined ? '' : valor)
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase();
+    }
+
+    /**
+     * Retorna as linhas visíveis (filtradas e ordenadas)
+     * @returns {Array}
+     */
+    getLinhasVisiveis() {
+        if (!this.resultado) return [];
+
+        const termo = this.normalizarBusca(this.filtro).trim();
+        let linhas = this.resultado.relatorio;
+
+        if (termo) {
+            linhas = linhas.filter(aluno => this.colunasAtivas.some(col =>
+                this.normalizarBusca(this.getValor(aluno, col)).includes(termo)
+            ));
+        }
+
+        const col = this.colunasAtivas.find(c => c.key === this.sortKey);
+        const fator = this.sortDir === 'asc' ? 1 : -1;
+        if (!col) return linhas.slice();
+
+        return linhas.slice().sort((a, b) => {
+            if (col.type === 'number') {
+                return ((Number(this.getValor(a, col)) || 0) - (Number(this.getValor(b, col)) || 0)) * fator;
+            }
+            if (col.type === 'date') {
+                return (this.dataOrdenavel(this.getValor(a, col)) - this.dataOrdenavel(this.getValor(b, col))) * fator;
+            }
+            return String(this.getValor(a, col)).localeCompare(String(this.getValor(b, col)), 'pt-BR') * fator;
+        });
+    }
+
+    /**
+     * Converte DD/MM/YYYY em AAAAMMDD para ordenação (vazia ou inválida = 0)
+     * @param {string} dataStr
+     * @returns {number}
+     */
+    dataOrdenavel(dataStr) {
+        return DateHelper.dataNumero(dataStr) || 0;
+    }
+
+    /**
+     * Limite de horas de ausência a partir do qual a linha é destacada
+     * @returns {number|null}
+     */
+    getLimite() {
+        const valor = parseFloat(this.elements.limiteInput.value);
+        return isNaN(valor) ? null : valor;
+    }
+
+    /**
+     * Renderiza corpo, totais e resumo de acordo com filtro/ordenação atuais
+     */
+    renderCorpo() {
+        const linhas = this.getLinhasVisiveis();
+        const limite = this.getLimite();
+        const fragment = document.createDocumentFragment();
+        let destacados = 0;
+
+        linhas.forEach(aluno => {
+            const tr = document.createElement('tr');
+            if (limite !== null && (Number(aluno.TOTAL_HORAS_AUSENCIA) || 0) > limite) {
+                tr.classList.add('row-alert');
+                destacados++;
+            }
+
+            this.colunasAtivas.forEach(col => {
+                const td = document.createElement('td');
+                td.textContent = this.getValor(aluno, col);
+                if (col.type === 'number') td.classList.add('num');
+                if (col.key === 'SITUACAO') td.classList.add('situacao', `situacao-${this.normalizarBusca(aluno.SITUACAO).replace(/\s+/g, '-')}`);
+                if (col.key === 'SALDO_AUSENCIA_CURSO' && aluno.SALDO_AUSENCIA_CURSO !== null && aluno.SALDO_AUSENCIA_CURSO <= 0) {
+                    td.classList.add('saldo-esgotado');
+                    td.title = 'Limite de ausência no curso atingido';
+                }
+                if (col.key === 'TRANSFERENCIA' && aluno.TRANSFERIDO) td.classList.add('transferido');
+                if (col.key === 'STATUS' && (aluno.HISTORICO_STATUS || []).length > 1) {
+                    td.classList.add('status-historico');
+                    td.title = aluno.HISTORICO_STATUS.map(h => `${h.desde || 'sem data'}: ${h.status}`).join('\n');
+                }
+                this.marcarAjustes(td, aluno, col.key);
+                tr.appendChild(td);
+            });
+
+            fragment.appendChild(tr);
+        });
+
+        this.elements.tbody.innerHTML = '';
+        if (linhas.length === 0) {
+            const tr = document.createElement('tr');
+            const td = document.createElement('td');
+            td.colSpan = this.colunasAtivas.length;
+            td.className = 'empty';
+            td.textContent = 'Nenhum aluno corresponde ao filtro.';
+            tr.appendChild(td);
+            fragment.appendChild(tr);
+        }
+        this.elements.tbody.appendChild(fragment);
+
+        this.renderTotais(linhas);
+
+        const total = this.resultado ? this.resultado.relatorio.length : 0;
+        const perfil = this.resultado && this.resultado.perfil;
+        this.elements.resumo.textContent = `${linhas.length} de ${total} alunos exibidos` +
+            (limite !== null ? ` · ${destacados} acima de ${limite}h de ausência` : '') +
+            (perfil ? ` · Perfil de regras: ${perfil.nome}` : '') +
+            (this.resultado && this.resultado.totalAjustes > 0 ? ` · ${this.resultado.totalAjustes} falta(s) com justificativa manual em destaque` : '') +
+            (this.resultado && this.resultado.transferencias > 0 ? ` · ${this.resultado.transferencias} aluno(s) transferido(s) no período (um registro por empresa/turma)` : '') +
+            (this.resultado && this.resultado.registrosAposSaida > 0 ? ` · ${this.resultado.registrosAposSaida} registro(s) após cancelamento/desistência ignorado(s)` : '') +
+            (this.resultado && this.resultado.registrosDiasExcluidos > 0 ? ` · ${this.resultado.registrosDiasExcluidos} registro(s) em dias excluídos ignorado(s)` : '');
+    }
+
+    /**
+     * Destaca as células de faltas alteradas por justificativas manuais (detalhes no title)
+     * @param {HTMLElement} td
+     * @param {Object} aluno
+     * @param {string} key - Coluna da célula
+     */
+    marcarAjustes(td, aluno, key) {
+        const justificada = {
+            FALTAS_JUSTIFICADAS_DIAS: true,
+            NUM_FALTAS_JUSTIFICADAS: true,
+            FALTAS_NAO_JUSTIFICADAS_DIAS: false,
+            NUM_FALTAS_NAO_JUSTIFICADAS: false
+        }[key];
+        if (justificada === undefined) return;
+
+        const ajustes = (aluno.AJUSTES || []).filter(a => a.justificada === justificada);
+        if (ajustes.length === 0) return;
+        td.classList.add('ajustado');
+        td.title = ajustes.map(a => `${a.data}: ${a.justificada ? 'justificada manualmente' : 'justificativa retirada'}` +
+            (a.motivo ? ` - ${a.motivo}` : '') + (a.anexo ? ` (anexo: ${a.anexo})` : '')).join('\n');
+    }
+
+    /**
+     * Renderiza linha de totais por coluna (soma das colunas numéricas visíveis;
+     * colunas percentuais exibem a média)
+     * @param {Array} linhas - Linhas visíveis
+     */
+    renderTotais(linhas) {
+        const tr = document.createElement('tr');
+
+        this.colunasAtivas.forEach((col, idx) => {
+            const td = document.createElement('td');
+            if (col.type === 'number') {
+                td.classList.add('num');
+                const soma = col.agregado === 'nenhum' ? 0 : linhas.reduce((sum, aluno) => sum + (Number(this.getValor(aluno, col)) || 0), 0);
+                if (col.agregado === 'nenhum') {
+                    td.textContent = '';
+                } else if (col.agregado === 'media') {
+                    // Alunos sem valor ("SEM DADOS") ficam fora da média
+                    const comValor = linhas.filter(aluno => this.getValor(aluno, col) !== '').length;
+                    td.textContent = comValor > 0 ? (Math.round((soma / comValor) * 10) / 10) : '';
+                    td.title = 'Média dos alunos exibidos';
+                } else {
+                    td.textContent = soma;
+                }
+            } else if (idx === 0) {
+                td.textContent = 'TOTAL';
+            }
+            tr.appendChild(td);
+        });
+
+        this.elements.tfoot.innerHTML = '';
+        this.elements.tfoot.appendChild(tr);
+    }
+}